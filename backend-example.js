@@ -2,7 +2,7 @@
 // File: backend/server.js
 
 const express = require('express');
-const { ConfidentialClientApplication } = require('@azure/msal-node');
+const { ConfidentialClientApplication, InteractionRequiredAuthError } = require('@azure/msal-node');
 const jwt = require('jsonwebtoken');
 const jwksClient = require('jwks-rsa');
 require('dotenv').config(); // Load environment variables from .env file
@@ -33,14 +33,52 @@ if (missingVars.length > 0) {
 }
 
 // Azure AD app configuration from environment variables
+// AUTHORITY is a full URL or, as in the add-in, just the tenant segment (e.g. organizations)
+const authoritySetting = process.env.AUTHORITY || process.env.TENANT_ID;
+const authority = authoritySetting.startsWith('https://')
+  ? authoritySetting
+  : `https://login.microsoftonline.com/${authoritySetting}`;
+const authorityOrigin = new URL(authority).origin;
+const isMicrosoftAuthority = authorityOrigin === 'https://login.microsoftonline.com';
+
 const clientConfig = {
   auth: {
     clientId: process.env.CLIENT_ID,
     clientSecret: process.env.CLIENT_SECRET,
-    authority: process.env.AUTHORITY || `https://login.microsoftonline.com/${process.env.TENANT_ID}`
+    authority,
+    // Any other host (e.g. the local stand-in in test/obo-stand-in-server.js) is trusted as configured
+    knownAuthorities: isMicrosoftAuthority ? [] : [new URL(authority).host]
   }
 };
 
+// Graph scopes the add-in may request (see src/common/graph-scopes.js)
+const GRAPH_SCOPES = [
+  'https://graph.microsoft.com/Mail.Read',
+  'https://graph.microsoft.com/Mail.ReadWrite',
+  'https://graph.microsoft.com/Notes.Read',
+  'https://graph.microsoft.com/Notes.ReadWrite',
+  'https://graph.microsoft.com/User.Read'
+];
+
+// The add-in asks for scopes as operations need them (incremental consent);
+// only scopes from GRAPH_SCOPES are exchanged, all of them when none are asked for.
+// Returns an empty list when none of the requested scopes is allowed.
+function getRequestedScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return GRAPH_SCOPES;
+  }
+  const requested = scopes.map(scope => String(scope).toLowerCase());
+  return GRAPH_SCOPES.filter(scope => requested.includes(scope.toLowerCase()));
+}
+
+// Audiences accepted for Office SSO tokens: the client ID (v2 tokens) and
+// the Application ID URI from the manifest's WebApplicationInfo (v1 tokens)
+const ssoAudiences = [
+  process.env.CLIENT_ID,
+  `api://${process.env.CLIENT_ID}`,
+  ...(process.env.SSO_AUDIENCE ? [process.env.SSO_AUDIENCE] : [])
+];
+
 console.log('Backend service initialized with:', {
   clientId: process.env.CLIENT_ID,
   authority: clientConfig.auth.authority,
@@ -50,17 +88,115 @@ console.log('Backend service initialized with:', {
 const confidentialClientApp = new ConfidentialClientApplication(clientConfig);
 
 // JWKS client for token validation
-const jwksUri = 'https://login.microsoftonline.com/common/discovery/v2.0/keys';
+const jwksUri = `${authorityOrigin}/common/discovery/v2.0/keys`;
 const client = jwksClient({ jwksUri });
 
 // Validate Office SSO token
 function getKey(header, callback) {
   client.getSigningKey(header.kid, (err, key) => {
+    if (err) {
+      callback(err);
+      return;
+    }
     const signingKey = key.publicKey || key.rsaPublicKey;
     callback(null, signingKey);
   });
 }
 
+// Verify the signature, audience, lifetime and issuer of an Office SSO token.
+// Resolves to the token claims.
+function verifySsoToken(ssoToken) {
+  return new Promise((resolve, reject) => {
+    jwt.verify(ssoToken, getKey, { audience: ssoAudiences, algorithms: ['RS256'] }, (err, claims) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      // Multi-tenant: the issuer must be the tenant the token was issued in
+      const validIssuers = [`${authorityOrigin}/${claims.tid}/v2.0`];
+      if (isMicrosoftAuthority) {
+        validIssuers.push(`https://sts.windows.net/${claims.tid}/`);
+      }
+      if (!claims.tid || !validIssuers.includes(claims.iss)) {
+        reject(new Error(`Unexpected token issuer: ${claims.iss}`));
+        return;
+      }
+
+      resolve(claims);
+    });
+  });
+}
+
+// Map an on-behalf-of failure to the response the add-in understands.
+// consent_required and interaction_required tell the client to fall back to
+// interactive MSAL sign-in, which can show the consent and MFA prompts.
+function getOboErrorResponse(error) {
+  const description = error.errorMessage || error.message;
+
+  if (error.subError === 'consent_required' || /AADSTS65001/.test(description)) {
+    return { status: 403, body: { error: 'consent_required', error_description: description } };
+  }
+  if (error instanceof InteractionRequiredAuthError || error.errorCode === 'interaction_required') {
+    // e.g. AADSTS50076/50079 (MFA); claims carry the Conditional Access challenge
+    return { status: 403, body: { error: 'interaction_required', error_description: description, claims: error.claims || null } };
+  }
+  return { status: 500, body: { error: 'server_error', error_description: `Token exchange failed: ${description}` } };
+}
+
+// Exchange the Office SSO token for a Microsoft Graph token (on-behalf-of flow).
+// The SSO token is sent as "Authorization: Bearer <token>" or { ssoToken } in the body,
+// the Graph scopes to request as { scopes } in the body.
+app.post('/api/auth/obo', async (req, res) => {
+  const authorization = req.headers.authorization || '';
+  const ssoToken = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.body?.ssoToken;
+
+  if (!ssoToken) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      error_description: 'Missing SSO token'
+    });
+  }
+
+  const scopes = getRequestedScopes(req.body?.scopes);
+  if (scopes.length === 0) {
+    return res.status(400).json({
+      error: 'invalid_scope',
+      error_description: `None of the requested scopes can be exchanged: ${req.body.scopes.join(' ')}`
+    });
+  }
+
+  let claims;
+  try {
+    claims = await verifySsoToken(ssoToken);
+  } catch (error) {
+    console.warn('SSO token rejected:', error.message);
+    return res.status(401).json({
+      error: 'invalid_token',
+      error_description: `SSO token validation failed: ${error.message}`
+    });
+  }
+
+  try {
+    console.log(`Exchanging SSO token on behalf of ${claims.preferred_username || claims.oid}...`);
+    const response = await confidentialClientApp.acquireTokenOnBehalfOf({
+      oboAssertion: ssoToken,
+      scopes
+    });
+
+    res.json({
+      access_token: response.accessToken,
+      expires_in: response.expiresOn ? Math.floor((response.expiresOn.getTime() - Date.now()) / 1000) : 3600,
+      token_type: 'Bearer',
+      scope: response.scopes?.join(' ') || scopes.join(' ')
+    });
+  } catch (error) {
+    const { status, body } = getOboErrorResponse(error);
+    console.error('On-behalf-of exchange failed:', body.error, body.error_description);
+    res.status(status).json(body);
+  }
+});
+
 // Exchange authorization code for Graph API token (PKCE + Client Secret)
 app.post('/api/auth/exchange-code', async (req, res) => {
   try {
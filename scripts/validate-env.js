@@ -95,8 +95,8 @@ function validateEnvFile() {
     'AUTHORITY': {
       required: true,
       example: 'https://login.microsoftonline.com/common',
-      description: 'Azure AD authority URL',
-      validate: (value) => value && value.startsWith('https://login.microsoftonline.com/')
+      description: 'Azure AD authority URL, or consumers, organizations, common or a tenant ID/domain',
+      validate: (value) => value && (value.startsWith('https://login.microsoftonline.com/') || /^[\w.-]+$/.test(value))
     },
     'GRAPH_SCOPES': {
       required: true,
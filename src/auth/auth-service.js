@@ -1,22 +1,47 @@
 /**
  * Microsoft Graph Authentication Service
  * 
- * Implements Office SSO-first authentication with MSAL.js fallback
- * Designed for Office Add-ins with personal Microsoft accounts
+ * Every Microsoft Graph call of the add-in goes through this service. Tokens
+ * come from one TokenProvider (token-provider.js) that tries the sign-in
+ * strategies (auth-strategies.js) in order and keeps the one token cache:
+ * 1. Office SSO, exchanged for a Graph token through the backend (/api/auth/obo)
+ * 2. MSAL.js popup (also when the exchange needs consent or multi-factor
+ *    authentication)
+ * 3. Authorization code + PKCE popup
+ * 4. Authorization code popup redeemed by the backend
  * 
- * Authentication Flow:
- * 1. Try Office SSO (Office.context.auth.getAccessTokenAsync)
- * 2. Fallback to MSAL.js popup authentication
- * 3. Handle permission consent like Microsoft's "Save to OneNote" add-in
+ * Handles permission consent like Microsoft's "Save to OneNote" add-in
  */
 
-import { PublicClientApplication, LogLevel } from '@azure/msal-browser';
-
-// MSAL Configuration for Office Add-ins with personal accounts
+import { PublicClientApplication, createNestablePublicClientApplication, LogLevel } from '@azure/msal-browser';
+import { executeGraphBatch } from '../common/graph-batch.js';
+import { withRetry, parseRetryAfter } from '../common/retry-policy.js';
+import { retryOnceOnUnauthorized } from '../common/token-lifetime.js';
+import { getAuthConfig } from '../common/env-config.js';
+import { explainSignInError } from '../common/authority.js';
+import { SIGN_IN_SCOPES } from '../common/graph-scopes.js';
+import { TokenProvider, TokenCache, ADDITIONAL_CONSENT_REQUIRED } from './token-provider.js';
+import {
+    createNestedAppAuthStrategy,
+    createOfficeSsoStrategy,
+    createMsalDialogStrategy,
+    createMsalPopupStrategy,
+    createPkcePopupStrategy,
+    createBackendExchangeStrategy
+} from './auth-strategies.js';
+import { pkceAuth } from './pkce-auth.js';
+import { EncryptedTokenStore, isEncryptedStorageSupported, migratePlaintextTokens } from './encrypted-token-store.js';
+
+const authConfig = getAuthConfig();
+
+// Backend service that performs the on-behalf-of exchange (see backend-example.js)
+const BACKEND_URL = authConfig.endpoints.backend;
+
+// MSAL Configuration for Office Add-ins
 const msalConfig = {
     auth: {
         clientId: 'a73f5240-e06c-43a3-8328-1fbd80766263',
-        authority: 'https://login.microsoftonline.com/consumers', // Personal accounts only
+        authority: authConfig.azureAd.authority, // AUTHORITY: consumers, organizations, common or a tenant
         redirectUri: 'https://localhost:3000/src/auth/msal-callback.html' // MSAL callback page
     },
     cache: {
@@ -38,24 +63,70 @@ const msalConfig = {
     }
 };
 
-// Required Microsoft Graph scopes
-const GRAPH_SCOPES = [
-    'https://graph.microsoft.com/Mail.Read',
-    'https://graph.microsoft.com/Notes.Read', 
-    'https://graph.microsoft.com/Notes.ReadWrite',
-    'https://graph.microsoft.com/User.Read'
-];
+// Microsoft Graph scopes requested at sign-in; operations that need more
+// request them when they first run (see common/graph-scopes.js)
+const GRAPH_SCOPES = SIGN_IN_SCOPES;
+
+/**
+ * Replace a failed sign-in error with an explanation when one of the
+ * strategies failed on consent or account type. The last strategy's reason
+ * wins: an earlier consent error is often resolved by the next strategy's
+ * interactive sign-in.
+ */
+function withSignInProblem(error) {
+    const failures = [error, ...(error.causes || [])];
+    const problem = failures.map(explainSignInError).filter(Boolean).pop();
+    if (!problem) {
+        return error;
+    }
+
+    const explained = new Error(problem.message);
+    explained.code = error.code;
+    explained.signInProblem = problem;
+    explained.causes = error.causes || [error];
+    return explained;
+}
+
+/**
+ * The token cache, persisted encrypted in IndexedDB where the browser supports
+ * it and otherwise kept in memory only. A sign-in that earlier versions stored
+ * in plain text is moved into it.
+ */
+function createTokenCache(storageKeys) {
+    const plaintextEntry = migratePlaintextTokens(storageKeys);
+    const cache = new TokenCache(isEncryptedStorageSupported() ? new EncryptedTokenStore() : null);
+    if (!cache.storage) {
+        console.warn('⚠️ Encrypted token storage is not available, the sign-in is kept in memory only');
+    }
+    if (plaintextEntry) {
+        cache.set(plaintextEntry);
+    }
+    return cache;
+}
 
 class AuthService {
     constructor() {
         this.msalInstance = null;
-        this.currentAccount = null;
-        this.accessToken = null;
         this.initializeMsal();
+
+        this.tokenProvider = new TokenProvider({
+            strategies: [
+                createNestedAppAuthStrategy({ createClient: createNestablePublicClientApplication, auth: msalConfig.auth, scopes: GRAPH_SCOPES }),
+                createOfficeSsoStrategy({ backendUrl: BACKEND_URL }),
+                createMsalDialogStrategy({ msalInstance: this.msalInstance, auth: msalConfig.auth, scopes: GRAPH_SCOPES }),
+                createMsalPopupStrategy({ msalInstance: this.msalInstance, scopes: GRAPH_SCOPES }),
+                createPkcePopupStrategy(pkceAuth),
+                createBackendExchangeStrategy(pkceAuth)
+            ],
+            cache: createTokenCache(authConfig.storage.keys),
+            scopes: GRAPH_SCOPES
+        });
     }
 
     /**
-     * Initialize MSAL instance
+     * Create the classic MSAL instance used by the dialog and popup
+     * strategies. Hosts with nested app authentication use their own
+     * nestable client instead (see createNestedAppAuthStrategy).
      */
     initializeMsal() {
         try {
@@ -67,162 +138,100 @@ class AuthService {
     }
 
     /**
-     * Main authentication method - tries SSO first, then MSAL popup
+     * Make sure the user is signed in - reuses the cached token, renews it
+     * silently, and only then runs the sign-in strategies
+     * 
+     * @returns {Promise<string>} Access token
      */
     async authenticate() {
-        console.log('🔐 Starting authentication flow...');
-        
+        console.log('🔐 Ensuring authentication...');
         try {
-            // Step 1: Try Office SSO first
-            console.log('🏢 Attempting Office SSO...');
-            const ssoToken = await this.tryOfficeSso();
-            if (ssoToken) {
-                console.log('✅ Office SSO successful');
-                this.accessToken = ssoToken;
-                return ssoToken;
-            }
-        } catch (ssoError) {
-            console.log('⚠️ Office SSO failed:', ssoError.message);
+            return await this.getAccessToken();
+        } catch (error) {
+            console.error('❌ Authentication failed:', error);
+            throw error;
         }
+    }
 
+    /**
+     * Get current access token (from the cache or renewed if needed)
+     *
+     * @param {object} [scopeSet] - Scope set of the operation (SCOPE_SETS);
+     *   the sign-in scopes when omitted
+     * @param {object} [account] - Account whose token is needed; the active
+     *   account when omitted
+     * @throws {Error} error.signInProblem ({ code, kind, message }) is set when
+     *   sign-in failed for a reason the user can act on, e.g. missing consent.
+     *   error.code is 'additional_consent_required' (with error.scopeSet and
+     *   error.account) when the operation needs permissions the user has not
+     *   granted yet
+     */
+    async getAccessToken(scopeSet = null, account = null) {
         try {
-            // Step 2: Fallback to MSAL popup authentication
-            console.log('🌐 Falling back to MSAL popup authentication...');
-            const msalToken = await this.authenticateWithMsal();
-            if (msalToken) {
-                console.log('✅ MSAL authentication successful');
-                this.accessToken = msalToken;
-                return msalToken;
+            return await this.tokenProvider.getAccessToken(scopeSet?.scopes, { account });
+        } catch (error) {
+            if (error.code === ADDITIONAL_CONSENT_REQUIRED) {
+                error.scopeSet = scopeSet;
+                throw error;
             }
-        } catch (msalError) {
-            console.error('❌ MSAL authentication failed:', msalError);
-            throw new Error(`Authentication failed: ${msalError.message}`);
+            throw withSignInProblem(error);
         }
-
-        throw new Error('All authentication methods failed');
     }
 
     /**
-     * Try Office SSO authentication
+     * Ask the user for the permissions of an operation. Call from a user
+     * action (e.g. the "Grant permission" button) so the sign-in window can open.
+     *
+     * @param {object} scopeSet - Scope set of the operation (SCOPE_SETS)
+     * @param {object} [account] - Account to consent with; the active account when omitted
+     * @returns {Promise<string>} Access token
      */
-    async tryOfficeSso() {
-        return new Promise((resolve, reject) => {
-            if (!Office?.context?.auth?.getAccessTokenAsync) {
-                reject(new Error('Office SSO API not available'));
-                return;
-            }
-
-            Office.context.auth.getAccessTokenAsync({
-                allowConsentPrompt: true,
-                allowSignInPrompt: true
-            }, (result) => {
-                if (result.status === Office.AsyncResultStatus.Succeeded) {
-                    console.log('✅ Office SSO token obtained');
-                    resolve(result.value);
-                } else {
-                    reject(new Error(`Office SSO failed: ${result.error.message}`));
-                }
-            });
-        });
+    async requestScopes(scopeSet, account = null) {
+        try {
+            return await this.tokenProvider.requestScopes(scopeSet.scopes, { account });
+        } catch (error) {
+            throw withSignInProblem(error);
+        }
     }
 
     /**
-     * MSAL popup authentication
+     * Sign in a given account without making it the active one. Call from a
+     * user action (e.g. a "Sign in" button) so the sign-in window can open.
+     *
+     * @param {object} account - Account, e.g. { username } of a mailbox
+     * @returns {Promise<string>} Access token
      */
-    async authenticateWithMsal() {
+    async signInAccount(account) {
         try {
-            console.log('🔧 MSAL Config Check:', {
-                clientId: msalConfig.auth.clientId,
-                authority: msalConfig.auth.authority,
-                redirectUri: msalConfig.auth.redirectUri
-            });
-            
-            // Check if we already have an account
-            const accounts = this.msalInstance.getAllAccounts();
-            if (accounts.length > 0) {
-                this.currentAccount = accounts[0];
-                console.log('📱 Using existing MSAL account:', this.currentAccount.username);
-            }
-
-            // Prepare login request
-            const loginRequest = {
-                scopes: GRAPH_SCOPES,
-                prompt: 'select_account' // Allow user to select account
-            };
-
-            // Try silent authentication first
-            if (this.currentAccount) {
-                try {
-                    console.log('🔄 Attempting silent token acquisition...');
-                    const silentResult = await this.msalInstance.acquireTokenSilent({
-                        ...loginRequest,
-                        account: this.currentAccount
-                    });
-                    console.log('✅ Silent token acquisition successful');
-                    this.currentAccount = silentResult.account;
-                    return silentResult.accessToken;
-                } catch (silentError) {
-                    console.log('⚠️ Silent authentication failed, using popup:', silentError.message);
-                }
-            }
-
-            // Use popup for interactive authentication
-            console.log('🖱️ Opening authentication popup...');
-            console.log('🔧 Login Request:', loginRequest);
-            
-            const popupResult = await this.msalInstance.acquireTokenPopup(loginRequest);
-            
-            console.log('✅ Popup authentication successful');
-            this.currentAccount = popupResult.account;
-            return popupResult.accessToken;
-
+            return await this.tokenProvider.signIn(undefined, { account });
         } catch (error) {
-            console.error('❌ MSAL authentication error:', error);
-            
-            // Provide specific error handling
-            if (error.errorCode === 'user_cancelled') {
-                throw new Error('Authentication cancelled by user');
-            } else if (error.message && error.message.includes('redirect_uri')) {
-                throw new Error('Redirect URI configuration error. Please check Azure AD app registration.');
-            } else {
-                throw error;
-            }
+            throw withSignInProblem(error);
         }
     }
 
     /**
-     * Get current access token (from memory or refresh if needed)
+     * Acquire a new access token without user interaction
+     * 
+     * @param {object} [account] - Account to renew; the active account when omitted
+     * @returns {Promise<string|null>} New access token, or null
      */
-    async getAccessToken() {
-        // Return cached token if available and valid
-        if (this.accessToken) {
-            return this.accessToken;
-        }
-
-        // Try to get a fresh token
-        console.log('🔄 No cached token, attempting authentication...');
-        return await this.authenticate();
+    async refreshAccessToken(account = null) {
+        return this.tokenProvider.refreshAccessToken(account);
     }
 
     /**
      * Check if user is authenticated
      */
     isAuthenticated() {
-        return !!this.accessToken || !!this.currentAccount;
+        return !!this.tokenProvider.cache.get();
     }
 
     /**
-     * Sign out user
+     * Sign out every signed-in account
      */
     async signOut() {
         try {
-            if (this.msalInstance && this.currentAccount) {
-                await this.msalInstance.logoutPopup({
-                    account: this.currentAccount
-                });
-            }
-            this.currentAccount = null;
-            this.accessToken = null;
+            await this.tokenProvider.signOut();
             console.log('✅ User signed out successfully');
         } catch (error) {
             console.error('❌ Sign out error:', error);
@@ -230,74 +239,107 @@ class AuthService {
     }
 
     /**
-     * Get current user account info
+     * Get the active account's info
+     * 
+     * @returns {object|null} { username, name, homeAccountId, tenantId }
      */
     getCurrentUser() {
-        return this.currentAccount;
+        return this.tokenProvider.getAccount();
     }
 
     /**
-     * Make authenticated Graph API call
+     * All signed-in accounts, the active one first
+     * 
+     * @returns {Array<object>}
      */
-    async callGraphApi(endpoint, method = 'GET', body = null, customHeaders = null) {
-        try {
-            const token = await this.getAccessToken();
-            if (!token) {
-                throw new Error('No access token available');
-            }
+    getAccounts() {
+        return this.tokenProvider.getAccounts();
+    }
 
-            const headers = {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/json',
-                'Content-Type': 'application/json'
-            };
+    /**
+     * Signed-in account matching a hint such as the mailbox address, signed
+     * in silently when possible
+     * 
+     * @param {object} hint - Account or { username }
+     * @returns {Promise<object|null>} The account, or null when it is not available
+     */
+    async findAccount(hint) {
+        return this.tokenProvider.findAccount(hint);
+    }
 
-            // Override with custom headers if provided
-            if (customHeaders) {
-                Object.assign(headers, customHeaders);
-            }
+    /**
+     * Sign-in method that issued the current token
+     * 
+     * @returns {{name: string, label: string}|null}
+     */
+    getAuthMethod() {
+        return this.tokenProvider.getTokenSource();
+    }
 
-            const options = {
-                method: method,
-                headers: headers
-            };
-
-            if (body && (method === 'POST' || method === 'PATCH' || method === 'PUT')) {
-                // Check if body is already a string (e.g., HTML content)
-                if (typeof body === 'string') {
-                    options.body = body;
-                } else {
-                    options.body = JSON.stringify(body);
-                }
-            }
+    /**
+     * Granted scopes and expiry of the current token
+     * 
+     * @returns {{scopes: Array<string>|null, expiresAt: number}|null}
+     */
+    getTokenDetails() {
+        return this.tokenProvider.getTokenDetails();
+    }
 
-            const response = await fetch(`https://graph.microsoft.com/v1.0${endpoint}`, options);
-            
-            console.log(`🌐 Graph API Request: ${method} https://graph.microsoft.com/v1.0${endpoint}`);
-            console.log('🔑 Request Headers:', JSON.stringify(headers, null, 2));
-            
-            if (!response.ok) {
-                // Try to get the detailed error message from the response
-                let errorDetails = `${response.status} ${response.statusText}`;
-                try {
-                    const errorResponse = await response.json();
-                    if (errorResponse.error) {
-                        errorDetails += `\nError Code: ${errorResponse.error.code}`;
-                        errorDetails += `\nError Message: ${errorResponse.error.message}`;
-                        if (errorResponse.error.details) {
-                            errorDetails += `\nDetails: ${JSON.stringify(errorResponse.error.details)}`;
-                        }
-                    }
-                } catch (jsonError) {
-                    console.log('Could not parse error response as JSON');
+    /**
+     * Sign in with another account the user picks and make it the active
+     * account. Call from a user action so the sign-in window can open; the
+     * other accounts stay signed in.
+     * 
+     * @returns {Promise<object|null>} The signed-in account
+     */
+    async switchAccount() {
+        try {
+            await this.tokenProvider.switchAccount();
+        } catch (error) {
+            throw withSignInProblem(error);
+        }
+        return this.getCurrentUser();
+    }
+
+    /**
+     * Make authenticated Graph API call
+     * 
+     * Body may be an object (sent as JSON), a string (e.g. page HTML with a
+     * custom Content-Type), a Blob, or FormData for multipart requests such as
+     * OneNote pages with attachments.
+     * Returns parsed JSON, the response text for non-JSON content (OneNote page
+     * HTML), or null for 204 No Content.
+     * 
+     * Throttled (429) and unavailable (503/504) responses and network errors
+     * are retried according to the retry policy (see common/retry-policy.js).
+     * A request rejected with 401 is sent once more with a new token.
+     * Thrown errors carry the HTTP status as error.status and the Graph
+     * error code (e.g. 'InefficientFilter'), if any, as error.graphErrorCode.
+     * 
+     * @param {object} [options]
+     * @param {object|false} [options.retry] - Retry options (budget, checkCompleted
+     *   for POSTs, onRetry, ...) or false to fail on the first error
+     * @param {object} [options.scopeSet] - Scope set the call needs (SCOPE_SETS);
+     *   the token's granted scopes are checked before the request is sent
+     * @param {object} [options.account] - Account whose token is sent; the
+     *   active account by default
+     */
+    async callGraphApi(endpoint, method = 'GET', body = null, customHeaders = null, options = {}) {
+        const { retry = {}, scopeSet = null, account = null } = options;
+        const send = () => this.sendGraphRequest(endpoint, method, body, customHeaders, { scopeSet, account });
+        const sendWithRetry = retry === false ? send : () => withRetry(send, {
+            method,
+            ...retry,
+            onRetry: (info) => {
+                console.warn(`⏳ Graph API ${info.error.status || 'network error'} on ${method} ${endpoint}, retry ${info.retry} in ${Math.round(info.delayMs / 1000)}s`);
+                if (retry.onRetry) {
+                    retry.onRetry(info);
                 }
-                
-                console.error('📋 Graph API Error Details:', errorDetails);
-                console.error('🔗 Request URL:', `https://graph.microsoft.com/v1.0${endpoint}`);
-                throw new Error(`Graph API call failed: ${errorDetails}`);
             }
+        });
 
-            return await response.json();
+        try {
+            return await retryOnceOnUnauthorized(sendWithRetry, () => this.refreshAccessToken(account));
         } catch (error) {
             console.error('❌ Graph API call failed:', error);
             throw error;
@@ -305,37 +347,128 @@ class AuthService {
     }
 
     /**
-     * Check if we have a valid authentication token
-     * @returns {boolean} True if token is available, false otherwise
+     * Send one Graph API request (no retries)
      */
-    async hasValidToken() {
-        try {
-            // Check if we have a cached token
-            if (this.accessToken) {
-                return true;
+    async sendGraphRequest(endpoint, method, body, customHeaders, { scopeSet = null, account = null } = {}) {
+        const token = await this.getAccessToken(scopeSet, account);
+        if (!token) {
+            throw new Error('No access token available');
+        }
+
+        const headers = {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+        };
+
+        // Override with custom headers if provided
+        if (customHeaders) {
+            Object.assign(headers, customHeaders);
+        }
+
+        const options = {
+            method: method,
+            headers: headers
+        };
+
+        if (body && (method === 'POST' || method === 'PATCH' || method === 'PUT')) {
+            // Check if body is already a string (e.g., HTML content)
+            if (typeof body === 'string') {
+                options.body = body;
+            } else if (typeof FormData !== 'undefined' && body instanceof FormData) {
+                // Multipart: the browser sets Content-Type with the part boundary
+                options.body = body;
+                delete headers['Content-Type'];
+            } else if (typeof Blob !== 'undefined' && body instanceof Blob) {
+                options.body = body;
+            } else {
+                options.body = JSON.stringify(body);
             }
-            
-            // Try to get a token without triggering authentication flow
-            // This will use silent authentication methods if available
-            const accounts = await this.msalInstance.getAllAccounts();
-            if (accounts.length > 0) {
-                try {
-                    const silentRequest = {
-                        scopes: this.scopes,
-                        account: accounts[0]
-                    };
-                    const response = await this.msalInstance.acquireTokenSilent(silentRequest);
-                    if (response && response.accessToken) {
-                        this.accessToken = response.accessToken;
-                        return true;
+        }
+
+        let response;
+        try {
+            response = await fetch(`https://graph.microsoft.com/v1.0${endpoint}`, options);
+        } catch (fetchError) {
+            // fetch only rejects when no response arrived (offline, DNS, reset connection)
+            fetchError.isNetworkError = true;
+            throw fetchError;
+        }
+        
+        console.log(`🌐 Graph API Request: ${method} https://graph.microsoft.com/v1.0${endpoint}`);
+        
+        if (!response.ok) {
+            // Try to get the detailed error message from the response
+            let errorDetails = `${response.status} ${response.statusText}`;
+            let graphErrorCode = null;
+            try {
+                const errorResponse = await response.json();
+                if (errorResponse.error) {
+                    graphErrorCode = errorResponse.error.code || null;
+                    errorDetails += `\nError Code: ${errorResponse.error.code}`;
+                    errorDetails += `\nError Message: ${errorResponse.error.message}`;
+                    if (errorResponse.error.details) {
+                        errorDetails += `\nDetails: ${JSON.stringify(errorResponse.error.details)}`;
                     }
-                } catch (silentError) {
-                    // Silent token acquisition failed, no valid token
-                    return false;
                 }
+            } catch (jsonError) {
+                console.log('Could not parse error response as JSON');
             }
             
-            return false;
+            console.error('📋 Graph API Error Details:', errorDetails);
+            console.error('🔗 Request URL:', `https://graph.microsoft.com/v1.0${endpoint}`);
+            const error = new Error(`Graph API call failed: ${errorDetails}`);
+            error.status = response.status;
+            error.graphErrorCode = graphErrorCode;
+            error.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+            throw error;
+        }
+
+        // PATCH and DELETE calls answer 204 No Content
+        if (response.status === 204) {
+            return null;
+        }
+
+        // OneNote page content is returned as HTML
+        const contentType = response.headers.get('Content-Type') || '';
+        if (contentType && !contentType.includes('json')) {
+            return await response.text();
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Make several Graph API calls through /$batch (up to 20 per round trip)
+     * 
+     * Each request is { id?, method?, url, headers?, body?, dependsOn? } with url
+     * relative to the v1.0 root. Failures are reported per request instead of
+     * being thrown, so callers can handle each result on its own. Throttled
+     * requests are sent again within the retry budget.
+     * 
+     * @param {Array<object>} requests - Requests to execute
+     * @param {object} [options] - retry, scopeSet and account of the requests (see callGraphApi)
+     * @returns {Promise<Array<object>>} Results in request order: { id, status, ok, body, headers, error }
+     */
+    async callGraphBatch(requests, { retry = {}, scopeSet = null, account = null } = {}) {
+        if (requests.length === 0) {
+            return [];
+        }
+        console.log(`📦 Graph API batch: ${requests.length} requests`);
+        return executeGraphBatch(
+            requests,
+            (endpoint, method, body, batchRetry) => this.callGraphApi(endpoint, method, body, null, { retry: batchRetry, scopeSet, account }),
+            { retry }
+        );
+    }
+
+    /**
+     * Check if we have a valid authentication token
+     * @returns {boolean} True if a token is available without user interaction
+     */
+    async hasValidToken() {
+        try {
+            return await this.tokenProvider.hasValidToken();
         } catch (error) {
             console.error('❌ Error checking token validity:', error);
             return false;
@@ -348,18 +481,7 @@ class AuthService {
     async logout() {
         try {
             console.log('🔄 Logging out user...');
-            
-            // Clear cached tokens
-            this.accessToken = null;
-            
-            // Clear MSAL cache
-            const accounts = await this.msalInstance.getAllAccounts();
-            if (accounts.length > 0) {
-                await this.msalInstance.logoutPopup({
-                    account: accounts[0]
-                });
-            }
-            
+            await this.tokenProvider.signOut();
             console.log('✅ User logged out successfully');
         } catch (error) {
             console.error('❌ Logout failed:', error);
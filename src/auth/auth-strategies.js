@@ -0,0 +1,454 @@
+/* global Office */
+
+/**
+ * Sign-in Strategies
+ *
+ * The ways the add-in can obtain a Microsoft Graph token, in the form the
+ * TokenProvider expects (see token-provider.js). AuthService chains them in
+ * this order:
+ * 1. Nested app authentication: MSAL's nestable client, tokens brokered by
+ *    the Office host (new Outlook, Outlook on the web)
+ * 2. Office SSO, with the SSO token exchanged for a Graph token by the
+ *    backend (on-behalf-of flow, /api/auth/obo)
+ * 3. MSAL.js in an Office dialog (hosts with the dialog API)
+ * 4. MSAL.js popup
+ * 5. Authorization code + PKCE, code redeemed in the browser
+ * 6. Authorization code, code redeemed by the backend with the client secret
+ *    (/api/auth/exchange-code)
+ * The authorization code strategies sign in through an Office dialog where
+ * the dialog API is available and a popup window elsewhere.
+ */
+
+import { USER_CANCELLED } from './token-provider.js';
+import { isDialogApiSupported, openAuthDialog } from './office-dialog.js';
+import { decodeJwtPayload } from '../common/token-lifetime.js';
+
+// Default from env-config.js, used until a backend is deployed
+const PLACEHOLDER_BACKEND = 'your-backend-service';
+
+/**
+ * Whether a backend service URL has been configured
+ *
+ * @param {string} backendUrl - BACKEND_SERVICE_URL
+ * @returns {boolean}
+ */
+export function isBackendConfigured(backendUrl) {
+    return !!backendUrl && !backendUrl.includes(PLACEHOLDER_BACKEND);
+}
+
+// Scopes the TokenProvider asks for, or the strategy's own when it asks for none
+function getRequestScopes(options, defaultScopes) {
+    return options?.scopes?.length ? options.scopes : defaultScopes;
+}
+
+// MSAL account matching a cache account: by home account ID, else by username
+function findMsalAccount(client, account) {
+    if (!account) {
+        return null;
+    }
+    const username = account.username?.toLowerCase();
+    return (account.homeAccountId && client.getAccountByHomeId(account.homeAccountId))
+        || (username && client.getAllAccounts().find(candidate => candidate.username?.toLowerCase() === username))
+        || null;
+}
+
+/**
+ * Check platform capabilities and available authentication methods
+ *
+ * @returns {object} { hasOffice, hasAuth, hasMailbox, platform, version, supportsPKCE }
+ */
+export function checkPlatformSupport() {
+    const support = {
+        hasOffice: typeof Office !== 'undefined',
+        hasAuth: false,
+        hasMailbox: false,
+        platform: 'unknown',
+        version: 'unknown',
+        supportsPKCE: typeof crypto !== 'undefined' && !!crypto.subtle
+    };
+
+    try {
+        if (support.hasOffice && Office.context) {
+            support.hasAuth = !!(Office.context.auth && Office.context.auth.getAccessTokenAsync);
+            support.hasMailbox = !!Office.context.mailbox;
+            if (Office.context.diagnostics) {
+                support.version = Office.context.diagnostics.version || 'unknown';
+            }
+            if (Office.context.platform) {
+                support.platform = Office.context.platform.toString();
+            }
+        }
+    } catch (error) {
+        console.error('Error checking platform support:', error);
+    }
+
+    return support;
+}
+
+/**
+ * Whether the Office host can broker tokens for nested app authentication
+ *
+ * @returns {boolean}
+ */
+export function isNestedAppAuthSupported() {
+    try {
+        return typeof Office !== 'undefined'
+            && !!Office.context?.requirements?.isSetSupported('NestedAppAuth', '1.1');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Nested app authentication (NAA): MSAL's nestable public client asks the
+ * Office host for tokens, so a user signed in to Outlook usually gets one
+ * without any prompt. When the host needs the user (consent, MFA) the host
+ * shows its own sign-in window.
+ *
+ * The client is created on first use; a host that supports the requirement
+ * set but cannot broker (e.g. missing brk-multihub redirect URI) fails the
+ * strategy and the chain moves on.
+ *
+ * @param {object} options
+ * @param {Function} options.createClient - createNestablePublicClientApplication
+ *   from @azure/msal-browser (or a test double)
+ * @param {object} options.auth - MSAL auth configuration (clientId, authority)
+ * @param {Array<string>} options.scopes - Graph scopes when the provider asks for none
+ */
+export function createNestedAppAuthStrategy({ createClient, auth, scopes }) {
+    let clientPromise = null;
+    const getClient = () => {
+        if (!clientPromise) {
+            clientPromise = createClient({ auth: { clientId: auth.clientId, authority: auth.authority } })
+                .catch((error) => {
+                    clientPromise = null;
+                    throw error;
+                });
+        }
+        return clientPromise;
+    };
+
+    const acquireTokenSilent = async (client, wanted, requestScopes) => {
+        const account = findMsalAccount(client, wanted);
+        // Without an account the host's signed-in user is used
+        return toMsalTokenResult(await client.acquireTokenSilent({ scopes: requestScopes, ...(account ? { account } : {}) }));
+    };
+
+    return {
+        name: 'nested-app-auth',
+        label: 'Office account (nested app authentication)',
+        isAvailable: () => isNestedAppAuthSupported(),
+
+        async acquireToken(options) {
+            const { claims, selectAccount, loginHint } = options;
+            const requestScopes = getRequestScopes(options, scopes);
+            const client = await getClient();
+
+            // The host's user may not be the account asked for (loginHint)
+            if (!claims && !selectAccount && !loginHint) {
+                try {
+                    return await acquireTokenSilent(client, null, requestScopes);
+                } catch (error) {
+                    console.log('🔄 Office host could not provide a token silently, asking the user:', error.errorCode || error.message);
+                }
+            }
+
+            try {
+                return toMsalTokenResult(await client.acquireTokenPopup({
+                    scopes: requestScopes,
+                    ...(selectAccount ? { prompt: 'select_account' } : {}),
+                    ...(loginHint ? { loginHint } : {}),
+                    ...(claims ? { claims } : {})
+                }));
+            } catch (error) {
+                if (error.errorCode === 'user_cancelled') {
+                    const cancelled = new Error('Authentication cancelled by user');
+                    cancelled.code = USER_CANCELLED;
+                    throw cancelled;
+                }
+                throw error;
+            }
+        },
+
+        async acquireTokenSilent(cached, options) {
+            return acquireTokenSilent(await getClient(), cached?.account || options?.account, getRequestScopes(options, scopes));
+        }
+    };
+}
+
+/**
+ * Office SSO + on-behalf-of exchange
+ *
+ * The SSO token's audience is the add-in, not Graph, so it is never sent to
+ * Graph; the backend exchanges it with its client secret. Consent and MFA
+ * errors from the exchange carry error.code (and error.claims), so the chain
+ * continues with an interactive sign-in.
+ *
+ * @param {object} options
+ * @param {string} options.backendUrl - Backend service that serves /api/auth/obo
+ */
+export function createOfficeSsoStrategy({ backendUrl }) {
+    return {
+        name: 'office-sso',
+        label: 'Office SSO',
+        // Always the account signed in to Office
+        canSelectAccount: false,
+        isAvailable: () => isBackendConfigured(backendUrl) && checkPlatformSupport().hasAuth,
+        acquireToken: (options) => acquireTokenViaSso(backendUrl, true, options?.scopes),
+        acquireTokenSilent: (cached, options) => acquireTokenViaSso(backendUrl, false, options?.scopes)
+    };
+}
+
+async function acquireTokenViaSso(backendUrl, interactive, scopes) {
+    const ssoToken = await getOfficeSsoToken(interactive);
+    const result = await exchangeSsoToken(backendUrl, ssoToken, scopes);
+    return { ...result, account: getSsoAccount(ssoToken) };
+}
+
+/**
+ * Get the Office SSO token (audience: the add-in)
+ *
+ * @param {boolean} interactive - Allow sign-in and consent prompts
+ * @returns {Promise<string>} SSO token
+ */
+function getOfficeSsoToken(interactive) {
+    return new Promise((resolve, reject) => {
+        Office.context.auth.getAccessTokenAsync({
+            allowConsentPrompt: interactive,
+            allowSignInPrompt: interactive
+        }, (result) => {
+            if (result.status === Office.AsyncResultStatus.Succeeded) {
+                console.log('✅ Office SSO token obtained');
+                resolve(result.value);
+            } else {
+                reject(new Error(`Office SSO failed: ${result.error.message}`));
+            }
+        });
+    });
+}
+
+/**
+ * Exchange an Office SSO token for a Graph token (on-behalf-of flow)
+ *
+ * @param {string} backendUrl - Backend service URL
+ * @param {string} ssoToken - Token from Office.context.auth.getAccessTokenAsync
+ * @param {Array<string>} [scopes] - Graph scopes to request (the backend's
+ *   default scopes when omitted)
+ * @returns {Promise<{accessToken: string, expiresOn: Date, scopes: string|null}>}
+ * @throws {Error} error.code is 'consent_required' or 'interaction_required'
+ *   (with error.claims) when the user has to sign in interactively
+ */
+export async function exchangeSsoToken(backendUrl, ssoToken, scopes = null) {
+    const response = await fetch(`${backendUrl}/api/auth/obo`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${ssoToken}`,
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(scopes?.length ? { scopes } : {})
+    });
+
+    let data = {};
+    try {
+        data = await response.json();
+    } catch (jsonError) {
+        console.log('Could not parse token exchange response as JSON');
+    }
+
+    if (!response.ok || !data.access_token) {
+        const error = new Error(`SSO token exchange failed: ${data.error_description || `${response.status} ${response.statusText}`}`);
+        error.code = data.error || 'server_error';
+        error.claims = data.claims || null;
+        throw error;
+    }
+
+    return {
+        accessToken: data.access_token,
+        expiresOn: new Date(Date.now() + (data.expires_in || 3600) * 1000),
+        scopes: data.scope || null
+    };
+}
+
+// The signed-in user as named in the SSO token
+function getSsoAccount(ssoToken) {
+    const claims = decodeJwtPayload(ssoToken);
+    if (!claims) {
+        return null;
+    }
+    return {
+        username: claims.preferred_username || claims.upn || null,
+        name: claims.name || null,
+        homeAccountId: claims.oid && claims.tid ? `${claims.oid}.${claims.tid}` : null,
+        tenantId: claims.tid || null
+    };
+}
+
+/**
+ * MSAL.js sign-in in an Office dialog: msal-callback.html runs MSAL's
+ * redirect flow inside the dialog and sends the token back. The dialog's MSAL
+ * cache is gone once it closes, so renewal signs in silently with the task
+ * pane's MSAL instance (hidden iframe) for the same account.
+ *
+ * @param {object} options
+ * @param {object} options.msalInstance - PublicClientApplication of the task pane
+ * @param {object} options.auth - MSAL auth configuration (clientId, authority, redirectUri)
+ * @param {Array<string>} options.scopes - Graph scopes when the provider asks for none
+ */
+export function createMsalDialogStrategy({ msalInstance, auth, scopes }) {
+    return {
+        name: 'msal-dialog',
+        label: 'Microsoft sign-in (Office dialog)',
+        isAvailable: () => isDialogApiSupported(),
+
+        async acquireToken(options) {
+            const { claims, loginHint } = options;
+            const params = new URLSearchParams({
+                dialog: 'signin',
+                clientId: auth.clientId,
+                authority: auth.authority,
+                scopes: getRequestScopes(options, scopes).join(' '),
+                ...(loginHint ? { loginHint } : {}),
+                ...(claims ? { claims } : {})
+            });
+
+            console.log('🪟 Opening authentication dialog...');
+            const message = await openAuthDialog(`${auth.redirectUri}?${params}`);
+            if (message.type !== 'MSAL_AUTH_RESULT' || !message.accessToken) {
+                throw new Error('Sign-in dialog did not return an access token');
+            }
+            return {
+                accessToken: message.accessToken,
+                expiresOn: message.expiresOn,
+                account: message.account,
+                scopes: message.scopes || null
+            };
+        },
+
+        async acquireTokenSilent(cached, options) {
+            const loginHint = (cached?.account || options?.account)?.username;
+            if (!msalInstance || !loginHint) {
+                return null;
+            }
+            await msalInstance.initialize();
+            return toMsalTokenResult(await msalInstance.ssoSilent({ scopes: getRequestScopes(options, scopes), loginHint }));
+        }
+    };
+}
+
+/**
+ * MSAL.js popup sign-in, renewed silently from MSAL's account cache. MSAL
+ * initializes on first use (initialize() returns at once after that).
+ *
+ * @param {object} options
+ * @param {object} options.msalInstance - PublicClientApplication
+ * @param {Array<string>} options.scopes - Graph scopes when the provider asks for none
+ */
+export function createMsalPopupStrategy({ msalInstance, scopes }) {
+    return {
+        name: 'msal-popup',
+        label: 'Microsoft sign-in (MSAL)',
+        isAvailable: () => !!msalInstance,
+
+        async acquireToken(options) {
+            const { claims, loginHint } = options;
+            const loginRequest = {
+                scopes: getRequestScopes(options, scopes),
+                // Sign in the account asked for, otherwise let the user select one
+                ...(loginHint ? { loginHint } : { prompt: 'select_account' }),
+                ...(claims ? { claims } : {})
+            };
+
+            try {
+                await msalInstance.initialize();
+                console.log('🖱️ Opening authentication popup...');
+                return toMsalTokenResult(await msalInstance.acquireTokenPopup(loginRequest));
+            } catch (error) {
+                if (error.errorCode === 'user_cancelled') {
+                    const cancelled = new Error('Authentication cancelled by user');
+                    cancelled.code = USER_CANCELLED;
+                    throw cancelled;
+                }
+                if (error.message && error.message.includes('redirect_uri')) {
+                    throw new Error('Redirect URI configuration error. Please check Azure AD app registration.');
+                }
+                throw error;
+            }
+        },
+
+        async acquireTokenSilent(cached, options) {
+            await msalInstance.initialize();
+            const wanted = cached?.account || options?.account;
+            const account = wanted
+                ? findMsalAccount(msalInstance, wanted)
+                : msalInstance.getAllAccounts()[0];
+            if (!account) {
+                return null;
+            }
+
+            return toMsalTokenResult(await msalInstance.acquireTokenSilent({
+                scopes: getRequestScopes(options, scopes),
+                account,
+                forceRefresh: !!cached // the cached token may be the one that was rejected
+            }));
+        },
+
+        // Signs out locally: logout popups are blocked in Outlook desktop, and
+        // one would open for every signed-in account
+        async signOut(cached) {
+            await msalInstance.initialize();
+            const account = findMsalAccount(msalInstance, cached?.account);
+            if (account) {
+                await msalInstance.clearCache({ account });
+            }
+        }
+    };
+}
+
+function toMsalTokenResult(result) {
+    return {
+        accessToken: result.accessToken,
+        expiresOn: result.expiresOn,
+        scopes: result.scopes || null,
+        account: result.account ? {
+            username: result.account.username,
+            name: result.account.name || null,
+            homeAccountId: result.account.homeAccountId,
+            tenantId: result.account.tenantId || null
+        } : null
+    };
+}
+
+/**
+ * Authorization code + PKCE, code redeemed in the browser. Renewed with the
+ * refresh token kept in the token cache.
+ *
+ * @param {PKCEAuthenticator} pkceAuth - See pkce-auth.js
+ */
+export function createPkcePopupStrategy(pkceAuth) {
+    return {
+        name: 'pkce-popup',
+        label: 'Microsoft sign-in (PKCE)',
+        isAvailable: () => pkceAuth.cryptoSupport.webCrypto,
+        acquireToken: (options) => pkceAuth.signIn({ redeemWithBackend: false, scopes: options?.scopes, loginHint: options?.loginHint }),
+        acquireTokenSilent: async (cached, options) => (cached?.refreshToken ? pkceAuth.redeemRefreshToken(cached.refreshToken, options?.scopes) : null),
+        signOut: () => pkceAuth.clearAuthData()
+    };
+}
+
+/**
+ * Authorization code, code redeemed by the backend with the client secret.
+ * Tokens issued to the backend cannot be renewed in the browser, so this
+ * strategy signs in again when its token expires.
+ *
+ * @param {PKCEAuthenticator} pkceAuth - See pkce-auth.js
+ */
+export function createBackendExchangeStrategy(pkceAuth) {
+    return {
+        name: 'backend-exchange',
+        label: 'Microsoft sign-in (backend)',
+        isAvailable: () => isBackendConfigured(pkceAuth.backendEndpoint) && pkceAuth.cryptoSupport.webCrypto,
+        acquireToken: (options) => pkceAuth.signIn({ redeemWithBackend: true, scopes: options?.scopes, loginHint: options?.loginHint }),
+        signOut: () => pkceAuth.clearAuthData()
+    };
+}
@@ -0,0 +1,264 @@
+/* global indexedDB, crypto, TextEncoder, TextDecoder, sessionStorage, localStorage */
+
+/**
+ * Encrypted Token Storage
+ *
+ * Keeps the token cache (access token, refresh token and account of each
+ * signed-in account) in IndexedDB, encrypted with AES-GCM. The key is a non-extractable CryptoKey
+ * generated in the browser and stored next to the data: script running in
+ * the add-in can use it to decrypt, but its bytes can never be read or
+ * copied out of the browser.
+ *
+ * A stored sign-in lasts at most maxLifetimeMs from when it was first stored;
+ * renewing the token does not extend it. clear() deletes the entry and the
+ * key, so nothing written before can be decrypted again.
+ *
+ * Earlier versions kept tokens in plain text in sessionStorage or
+ * localStorage; migratePlaintextTokens() removes them.
+ */
+
+import { checkCryptoSupport } from '../common/crypto-utils.js';
+
+const DATABASE_NAME = 'outlook2onenote';
+const OBJECT_STORE = 'tokens';
+const KEY_RECORD = 'encryption-key';
+const ENTRY_RECORD = 'token-cache';
+
+// Refresh tokens of single-page apps expire after 24 hours
+export const DEFAULT_MAX_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+// Plaintext keys written by earlier versions (see storage.keys in env-config.js)
+const PLAINTEXT_TOKEN_KEYS = ['ACCESS_TOKEN', 'REFRESH_TOKEN', 'TOKEN_EXPIRES', 'USER_INFO', 'TOKEN_CACHE'];
+
+/**
+ * Whether the browser can keep tokens encrypted (Web Crypto and IndexedDB)
+ *
+ * @returns {boolean}
+ */
+export function isEncryptedStorageSupported() {
+    const support = checkCryptoSupport();
+    return support.webCrypto && support.getRandomValues && support.textEncoder
+        && typeof indexedDB !== 'undefined';
+}
+
+export class EncryptedTokenStore {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.database] - Record store with async get(id),
+     *   put(id, value) and delete(id); an IndexedDB database by default
+     * @param {SubtleCrypto} [options.subtle] - Web Crypto implementation
+     * @param {number} [options.maxLifetimeMs] - How long a stored sign-in is kept
+     * @param {Function} [options.now] - Clock returning milliseconds
+     */
+    constructor({
+        database = null,
+        subtle = typeof crypto !== 'undefined' ? crypto.subtle : null,
+        maxLifetimeMs = DEFAULT_MAX_LIFETIME_MS,
+        now = Date.now
+    } = {}) {
+        this.database = database || createIndexedDbRecordStore(DATABASE_NAME, OBJECT_STORE);
+        this.subtle = subtle;
+        this.maxLifetimeMs = maxLifetimeMs;
+        this.now = now;
+        this.keyPromise = null;
+        this.storedAt = null;
+    }
+
+    /**
+     * Read and decrypt the stored cache
+     *
+     * @returns {Promise<object|null>} Cache state, or null when there is none,
+     *   it has outlived maxLifetimeMs or cannot be decrypted (both wipe it)
+     */
+    async load() {
+        const record = await this.database.get(ENTRY_RECORD);
+        if (!record) {
+            return null;
+        }
+        if (this.isExpired(record.storedAt)) {
+            console.log('🧹 Stored sign-in has expired, removing it');
+            await this.clear();
+            return null;
+        }
+
+        try {
+            const key = await this.getKey(false);
+            if (!key) {
+                throw new Error('Encryption key is missing');
+            }
+            const plaintext = await this.subtle.decrypt(
+                { name: 'AES-GCM', iv: record.iv, additionalData: encodeText(ENTRY_RECORD) },
+                key,
+                record.data
+            );
+            this.storedAt = record.storedAt;
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (error) {
+            console.warn('⚠️ Stored sign-in cannot be decrypted, removing it:', error.message);
+            await this.clear();
+            return null;
+        }
+    }
+
+    /**
+     * Encrypt and store the cache. Once the stored sign-in has outlived
+     * maxLifetimeMs it is wiped instead and the user signs in again on the
+     * next start.
+     *
+     * @param {object} state - Cache state (see TokenCache)
+     */
+    async save(state) {
+        if (this.storedAt !== null && this.isExpired(this.storedAt)) {
+            console.log('🧹 Stored sign-in has reached its lifetime, not storing the renewed token');
+            await this.clear();
+            return;
+        }
+
+        const key = await this.getKey(true);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await this.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: encodeText(ENTRY_RECORD) },
+            key,
+            encodeText(JSON.stringify(state))
+        );
+        const storedAt = this.storedAt ?? this.now();
+        await this.database.put(ENTRY_RECORD, { iv, data, storedAt });
+        this.storedAt = storedAt;
+    }
+
+    /**
+     * Delete the stored entry and its key
+     */
+    async clear() {
+        this.keyPromise = null;
+        this.storedAt = null;
+        await this.database.delete(ENTRY_RECORD);
+        await this.database.delete(KEY_RECORD);
+    }
+
+    isExpired(storedAt) {
+        return typeof storedAt !== 'number' || this.now() - storedAt > this.maxLifetimeMs;
+    }
+
+    /**
+     * The stored key, generated on first use when create is set
+     *
+     * @returns {Promise<CryptoKey|null>}
+     */
+    getKey(create) {
+        if (!this.keyPromise) {
+            this.keyPromise = this.readOrCreateKey(create).then(key => {
+                if (!key) {
+                    this.keyPromise = null;
+                }
+                return key;
+            }, error => {
+                this.keyPromise = null;
+                throw error;
+            });
+        }
+        return this.keyPromise;
+    }
+
+    async readOrCreateKey(create) {
+        const record = await this.database.get(KEY_RECORD);
+        if (record?.key) {
+            return record.key;
+        }
+        if (!create) {
+            return null;
+        }
+        // extractable: false - the key can encrypt and decrypt but never be exported
+        const key = await this.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        await this.database.put(KEY_RECORD, { key });
+        return key;
+    }
+}
+
+/**
+ * Remove tokens stored in plain text by earlier versions
+ *
+ * @param {object} keys - Storage keys (storage.keys of the auth configuration)
+ * @param {Array<Storage>} [storages] - Web Storages to clean (sessionStorage and localStorage by default)
+ * @returns {object|null} The plaintext token cache entry, to be stored encrypted, or null
+ */
+export function migratePlaintextTokens(keys, storages = getWebStorages()) {
+    let entry = null;
+
+    storages.forEach(storage => {
+        try {
+            if (!entry && keys.TOKEN_CACHE) {
+                const stored = JSON.parse(storage.getItem(keys.TOKEN_CACHE));
+                entry = stored?.accessToken ? stored : null;
+            }
+        } catch (error) {
+            // Unreadable entries are removed below
+        }
+        PLAINTEXT_TOKEN_KEYS
+            .filter(name => keys[name])
+            .forEach(name => storage.removeItem(keys[name]));
+    });
+
+    if (entry) {
+        console.log('🔐 Moving the stored sign-in to encrypted storage');
+    }
+    return entry;
+}
+
+function getWebStorages() {
+    const storages = [];
+    try {
+        if (typeof sessionStorage !== 'undefined') {
+            storages.push(sessionStorage);
+        }
+        if (typeof localStorage !== 'undefined') {
+            storages.push(localStorage);
+        }
+    } catch (error) {
+        // Storage access can be denied (e.g. blocked third-party storage)
+    }
+    return storages;
+}
+
+function encodeText(text) {
+    return new TextEncoder().encode(text);
+}
+
+/**
+ * Record store on an IndexedDB object store. The database is opened on first use.
+ */
+function createIndexedDbRecordStore(databaseName, storeName) {
+    let databasePromise = null;
+
+    const openDatabase = () => {
+        if (!databasePromise) {
+            databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    databasePromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return databasePromise;
+    };
+
+    const run = async (mode, operation) => {
+        const database = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    };
+
+    return {
+        get: id => run('readonly', store => store.get(id)),
+        put: (id, value) => run('readwrite', store => store.put(value, id)),
+        delete: id => run('readwrite', store => store.delete(id))
+    };
+}
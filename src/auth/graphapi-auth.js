@@ -1,410 +0,0 @@
-/* eslint-disable no-unused-vars */
-/* global Office */
-/* eslint-disable no-console */
-
-/*
- * Microsoft Graph API Authentication Service (Modernized with PKCE)
- * 
- * This module handles authentication for Microsoft Graph API access in Office Add-ins
- * using modern OAuth 2.0 Authorization Code Flow with PKCE as the primary method.
- * 
- * Modern Authentication Methods (in order of priority):
- * 1. OAuth 2.0 PKCE (Authorization Code Flow with Proof Key for Code Exchange) - Primary method
- * 2. SSO Authentication (getAccessTokenAsync) - Fallback for Office Add-ins
- * 3. Mock data (for testing/development)
- * 
- * Security Improvements:
- * - PKCE eliminates need for client secrets
- * - Dynamic code verifier/challenge prevents interception attacks
- * - Secure token storage with automatic refresh
- * - Cross-platform compatibility
- * 
- * Legacy Methods Removed:
- * - REST API Token (deprecated for Graph API)
- * - Exchange Token (deprecated, incompatible with Graph API)
- * 
- * Dependencies:
- * - pkce-auth.js (Primary PKCE authentication)
- * - crypto-utils.js (PKCE cryptographic functions)
- * - Office.js (SSO fallback only)
- * - Microsoft Graph API
- */
-
-import { pkceAuth, PKCEAuthenticator } from './pkce-auth.js';
-
-// Check platform capabilities and available authentication methods
-export function checkPlatformSupport() {
-  const support = {
-    hasOffice: typeof Office !== 'undefined',
-    hasAuth: false,
-    hasMailbox: false,
-    platform: 'unknown',
-    version: 'unknown',
-    supportsPKCE: true // PKCE works in all modern browsers
-  };
-  
-  try {
-    if (Office && Office.context) {
-      support.hasAuth = !!(Office.context.auth && Office.context.auth.getAccessTokenAsync);
-      support.hasMailbox = !!(Office.context.mailbox && Office.context.mailbox.getCallbackTokenAsync);
-      
-      if (Office.context.host) {
-        support.version = Office.context.host.version || 'unknown';
-      }
-    }
-    
-    // Determine platform
-    if (Office && Office.context && Office.context.platform) {
-      support.platform = Office.context.platform.toString();
-    }
-    
-    console.log("Platform capabilities (modernized):", support);
-    
-  } catch (error) {
-    console.error("Error checking platform support:", error);
-  }
-  
-  return support;
-}
-
-// Main authentication function with modern PKCE and SSO fallback
-export async function authenticateAndGetNotebooks() {
-  console.log("Starting modern Microsoft Graph API authentication for OneNote notebooks...");
-  
-  const platformSupport = checkPlatformSupport();
-  
-  // Try PKCE authentication first (primary method)
-  if (platformSupport.supportsPKCE) {
-    try {4
-      console.log("🚀 Attempting PKCE OAuth 2.0 authentication (primary method)");
-      
-      // Use the PKCE authenticator
-      const notebooks = await pkceAuth.authenticateAndGetNotebooks();
-      
-      if (notebooks && notebooks.length > 0) {
-        console.log(`✅ Successfully authenticated using PKCE method - got ${notebooks.length} notebooks`);
-        return notebooks;
-      } else if (notebooks === null) {
-        // PKCE flow is in progress (user being redirected)
-        console.log("🔄 PKCE authentication flow in progress...");
-        return null;
-      } else {
-        console.log("PKCE authentication returned no notebooks");
-      }
-    } catch (pkceError) {
-      console.error("PKCE authentication failed:", pkceError);
-      console.log("🔄 Falling back to SSO authentication");
-    }
-  } else {
-    console.warn("PKCE not supported in this environment");
-  }
-  
-  // Fallback to SSO if PKCE fails and Office.js is available
-  if (platformSupport.hasOffice && platformSupport.hasAuth) {
-    try {
-      console.log("🔄 Attempting SSO authentication (fallback method)");
-      const notebooks = await trySSoAuthentication();
-      
-      if (notebooks && notebooks.length > 0) {
-        console.log(`✅ Successfully authenticated using SSO fallback - got ${notebooks.length} notebooks`);
-        return notebooks;
-      } else {
-        console.log("SSO authentication returned no notebooks");
-      }
-    } catch (ssoError) {
-      console.error("SSO authentication failed:", ssoError);
-    }
-  } else {
-    console.log("SSO authentication not available on this platform");
-  }
-  
-  // Final fallback to mock data
-  console.log("⚠️ All authentication methods failed - using mock data for testing");
-  return getMockNotebooks();
-}
-
-// Method 1: Try SSO Authentication (Fallback Only)
-export async function trySSoAuthentication() {
-  return new Promise((resolve, reject) => {
-    try {
-      // Add timeout to prevent hanging
-      const timeout = setTimeout(() => {
-        console.log("SSO authentication timeout");
-        reject(new Error("SSO authentication timeout"));
-      }, 10000);
-      
-      Office.context.auth.getAccessTokenAsync({ 
-        allowSignInPrompt: true,
-        allowConsentPrompt: true,
-        forMSGraphAccess: true
-      }, async (tokenResult) => {
-        clearTimeout(timeout);
-        
-        if (tokenResult.status === Office.AsyncResultStatus.Succeeded) {
-          try {
-            console.log("SSO token obtained, attempting direct Graph API call...");
-            
-            // Try direct Graph API call with SSO token
-            // Note: This may not work without proper backend token exchange
-            const notebooks = await makeGraphApiRequest(tokenResult.value, 'SSO');
-            
-            if (notebooks && notebooks.length > 0) {
-              console.log(`✅ Successfully got ${notebooks.length} real OneNote notebooks via SSO`);
-              resolve(notebooks);
-            } else {
-              console.log("No OneNote notebooks found via SSO");
-              resolve([]);
-            }
-            
-          } catch (graphError) {
-            console.error("Direct SSO Graph API call failed (expected):", graphError);
-            console.log("📝 SSO tokens typically require backend exchange for Graph API access");
-            
-            // Return mock data instead of failing completely
-            console.log("🔧 Using mock data as SSO fallback");
-            resolve(getMockNotebooks());
-          }
-        } else {
-          console.error("SSO authentication failed:", {
-            error: tokenResult.error,
-            errorCode: tokenResult.error?.code,
-            errorMessage: tokenResult.error?.message
-          });
-          reject(new Error(`SSO failed: ${tokenResult.error?.message || 'Unknown error'}`));
-        }
-      });
-      
-    } catch (error) {
-      console.error("Exception in SSO authentication:", error);
-      reject(error);
-    }
-  });
-}
-
-// Make Microsoft Graph API request with proper error handling
-export async function makeGraphApiRequest(accessToken, authMethod) {
-  try {
-    console.log(`Making Graph API request using ${authMethod} token`);
-    
-    const graphUrl = 'https://graph.microsoft.com/v1.0/me/onenote/notebooks';
-    
-    const response = await fetch(graphUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    console.log(`Graph API response status: ${response.status}`);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`Graph API request error (${authMethod}): Error: Graph API request failed: ${response.status}  - ${errorText}`);
-      
-      // If we get InvalidAuthenticationToken error, this means the token audience is wrong
-      if (response.status === 401 && errorText.includes('InvalidAuthenticationToken')) {
-        console.log(`Token from ${authMethod} method is not compatible with Graph API`);
-        throw new Error(`Token audience mismatch for ${authMethod} method - Office.js tokens may require backend exchange for Graph API`);
-      }
-      
-      throw new Error(`Graph API request failed: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    console.log("OneNote notebooks response:", data);
-    
-    if (data.value && data.value.length > 0) {
-      // Map the response to a consistent format
-      const notebooks = data.value.map(notebook => ({
-        id: notebook.id,
-        name: notebook.displayName,
-        displayName: notebook.displayName,
-        createdDateTime: notebook.createdDateTime,
-        lastModifiedDateTime: notebook.lastModifiedDateTime,
-        isDefault: notebook.isDefault || false,
-        sectionsUrl: notebook.sectionsUrl,
-        sectionGroupsUrl: notebook.sectionGroupsUrl,
-        links: notebook.links
-      }));
-      
-      console.log(`Found ${notebooks.length} OneNote notebooks using ${authMethod} method`);
-      return notebooks;
-    } else {
-      console.log("No OneNote notebooks found");
-      return [];
-    }
-    
-  } catch (error) {
-    console.error(`Graph API request failed with ${authMethod} token:`, error);
-    throw error;
-  }
-}
-
-// Generate mock notebook data for testing (Updated for modern auth)
-export function getMockNotebooks() {
-  console.log("🔧 Generating mock OneNote notebooks for modern auth testing...");
-  
-  const mockNotebooks = [
-    {
-      id: 'modern-mock-1',
-      name: 'PKCE Authentication Test',
-      displayName: 'PKCE Authentication Test',
-      isDefault: false,
-      createdDateTime: new Date(Date.now() - 86400000 * 30).toISOString(), // 30 days ago
-      lastModifiedDateTime: new Date(Date.now() - 86400000 * 5).toISOString(), // 5 days ago
-      sectionsUrl: 'https://graph.microsoft.com/v1.0/me/onenote/notebooks/modern-mock-1/sections',
-      sectionGroupsUrl: 'https://graph.microsoft.com/v1.0/me/onenote/notebooks/modern-mock-1/sectionGroups',
-      links: {
-        oneNoteClientUrl: {
-          href: 'onenote:https://modern-auth-demo/pkce-test'
-        },
-        oneNoteWebUrl: {
-          href: 'https://modern-onenote-web/pkce-test'
-        }
-      }
-    },
-    {
-      id: 'modern-mock-2',
-      name: 'OAuth 2.0 Secure Notebook', 
-      displayName: 'OAuth 2.0 Secure Notebook',
-      isDefault: true,
-      createdDateTime: new Date(Date.now() - 86400000 * 60).toISOString(), // 60 days ago
-      lastModifiedDateTime: new Date(Date.now() - 86400000 * 1).toISOString(), // 1 day ago
-      sectionsUrl: 'https://graph.microsoft.com/v1.0/me/onenote/notebooks/modern-mock-2/sections',
-      sectionGroupsUrl: 'https://graph.microsoft.com/v1.0/me/onenote/notebooks/modern-mock-2/sectionGroups',
-      links: {
-        oneNoteClientUrl: {
-          href: 'onenote:https://modern-auth-demo/oauth2-secure'
-        },
-        oneNoteWebUrl: {
-          href: 'https://modern-onenote-web/oauth2-secure'
-        }
-      }
-    },
-    {
-      id: 'modern-mock-3',
-      name: 'Modern Authentication Demo',
-      displayName: 'Modern Authentication Demo',
-      isDefault: false,
-      createdDateTime: new Date(Date.now() - 86400000 * 14).toISOString(), // 14 days ago
-      lastModifiedDateTime: new Date(Date.now() - 86400000 * 2).toISOString(), // 2 days ago
-      sectionsUrl: 'https://graph.microsoft.com/v1.0/me/onenote/notebooks/modern-mock-3/sections',
-      sectionGroupsUrl: 'https://graph.microsoft.com/v1.0/me/onenote/notebooks/modern-mock-3/sectionGroups',
-      links: {
-        oneNoteClientUrl: {
-          href: 'onenote:https://modern-auth-demo/auth-demo'
-        },
-        oneNoteWebUrl: {
-          href: 'https://modern-onenote-web/auth-demo'
-        }
-      }
-    }
-  ];
-  
-  console.log(`✅ Generated ${mockNotebooks.length} mock notebooks for modern authentication testing`);
-  return mockNotebooks;
-}
-
-// PKCE Authentication utilities - expose from the PKCE module
-export { pkceAuth, PKCEAuthenticator } from './pkce-auth.js';
-
-// Modern authentication handler for authorization callbacks
-export async function handleAuthorizationCallback() {
-  try {
-    console.log("🔄 Handling OAuth authorization callback...");
-    return await pkceAuth.handleAuthorizationCallback();
-  } catch (error) {
-    console.error("Authorization callback handling failed:", error);
-    throw error;
-  }
-}
-
-// Logout functionality
-export async function logout() {
-  try {
-    console.log("👋 Initiating logout...");
-    return await pkceAuth.logout();
-  } catch (error) {
-    console.error("Logout failed:", error);
-    throw error;
-  }
-}
-
-// Token management utilities
-export async function hasValidToken() {
-  return await pkceAuth.hasValidToken();
-}
-
-export async function refreshToken() {
-  try {
-    console.log("� Refreshing access token...");
-    await pkceAuth.refreshAccessToken();
-    console.log("✅ Token refreshed successfully");
-  } catch (error) {
-    console.error("Token refresh failed:", error);
-    throw error;
-  }
-}
-
-// Backend token exchange using CLIENT_SECRET from environment
-export async function tryBackendTokenExchange(config) {
-  if (!config.endpoints.backend) {
-    throw new Error('Backend service URL not configured in environment');
-  }
-  
-  try {
-    console.log('🔄 Attempting backend token exchange with CLIENT_SECRET...');
-    
-    // Call backend service that uses CLIENT_SECRET for enhanced security
-    const response = await fetch(`${config.endpoints.backend}/api/auth/get-notebooks`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      body: JSON.stringify({
-        clientId: config.azureAd.clientId,
-        scopes: config.azureAd.scopes
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`Backend request failed: ${response.status} - ${errorData}`);
-    }
-    
-    const data = await response.json();
-    
-    if (data.notebooks && data.notebooks.value) {
-      const notebooks = data.notebooks.value.map(notebook => ({
-        id: notebook.id,
-        name: notebook.displayName,
-        displayName: notebook.displayName,
-        createdDateTime: notebook.createdDateTime,
-        lastModifiedDateTime: notebook.lastModifiedDateTime,
-        isDefault: notebook.isDefault || false,
-        sectionsUrl: notebook.sectionsUrl,
-        sectionGroupsUrl: notebook.sectionGroupsUrl,
-        links: notebook.links
-      }));
-      
-      console.log(`✅ Backend token exchange successful - got ${notebooks.length} real notebooks`);
-      return notebooks;
-    } else {
-      console.log("📭 No notebooks returned from backend service");
-      return [];
-    }
-    
-  } catch (error) {
-    console.error('❌ Backend token exchange failed:', error);
-    throw error;
-  }
-}
-
-// Legacy compatibility functions (maintained for backwards compatibility)
-export async function tryFallbackNotebookRetrieval() {
-  console.log("📱 Legacy fallback - using modern mock data");
-  return getMockNotebooks();
-}
@@ -0,0 +1,130 @@
+/* global Office */
+
+/**
+ * Office Dialog Sign-in
+ *
+ * Browser popups (window.open, MSAL's acquireTokenPopup) are blocked or lose
+ * their opener in Outlook desktop (WebView2) and on Mac. The Office dialog
+ * (Office.context.ui.displayDialogAsync) works in every Outlook host: it opens
+ * one of the add-in's callback pages, which runs the sign-in redirect and
+ * sends the result back with Office.context.ui.messageParent.
+ *
+ * Messages from the dialog are JSON objects with a type; a message with an
+ * error field ({ type, error, errorCode? }) fails the sign-in.
+ */
+
+import { USER_CANCELLED } from './token-provider.js';
+
+// Marks a callback page as running in an Office dialog, kept in the dialog's
+// sessionStorage across the redirect to the sign-in page and back
+export const AUTH_DIALOG_STORAGE_KEY = 'outlook2onenote_auth_dialog';
+
+// The callback pages only redirect the dialog to this sign-in service
+export const SIGN_IN_ORIGIN = 'https://login.microsoftonline.com';
+
+export const DIALOG_ERRORS = {
+    PAGE_NOT_FOUND: 12002,
+    DIALOG_CLOSED: 12006,
+    DIALOG_ALREADY_OPEN: 12007,
+    DIALOG_IGNORED: 12009
+};
+
+const DIALOG_ERROR_MESSAGES = {
+    [DIALOG_ERRORS.PAGE_NOT_FOUND]: 'The sign-in page could not be loaded. Check the redirect URI configuration.',
+    [DIALOG_ERRORS.DIALOG_CLOSED]: 'Authentication cancelled by user - sign-in dialog was closed',
+    [DIALOG_ERRORS.DIALOG_ALREADY_OPEN]: 'A sign-in dialog is already open. Finish or close it and try again.',
+    [DIALOG_ERRORS.DIALOG_IGNORED]: 'Authentication cancelled by user - sign-in dialog was not allowed to open'
+};
+
+// Dialog size in percent of the screen
+const DIALOG_OPTIONS = { height: 60, width: 30 };
+
+/**
+ * Whether the Office dialog API can be used for sign-in in this host
+ *
+ * @returns {boolean}
+ */
+export function isDialogApiSupported() {
+    try {
+        return typeof Office !== 'undefined'
+            && !!Office.context?.requirements?.isSetSupported('DialogApi', '1.1')
+            && typeof Office.context.ui?.displayDialogAsync === 'function';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Error for an Office dialog error code
+ *
+ * @param {number} code - Error code from displayDialogAsync or DialogEventReceived
+ * @param {string} [message] - Message reported by Office
+ * @returns {Error} error.code is 'user_cancelled' when the user closed or
+ *   declined the dialog, otherwise the Office error code
+ */
+export function createDialogError(code, message = '') {
+    const error = new Error(DIALOG_ERROR_MESSAGES[code] || `Sign-in dialog failed (${code})${message ? `: ${message}` : ''}`);
+    error.code = code === DIALOG_ERRORS.DIALOG_CLOSED || code === DIALOG_ERRORS.DIALOG_IGNORED
+        ? USER_CANCELLED
+        : code;
+    return error;
+}
+
+/**
+ * Open a sign-in page in an Office dialog and wait for its message
+ *
+ * @param {string} url - Page of the add-in's own domain to open
+ * @returns {Promise<object>} First message the page sends with messageParent
+ * @throws {Error} When the dialog cannot open, is closed, fails to load the
+ *   page or reports an error (see createDialogError)
+ */
+export function openAuthDialog(url) {
+    return new Promise((resolve, reject) => {
+        Office.context.ui.displayDialogAsync(url, DIALOG_OPTIONS, (result) => {
+            if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                console.error('❌ Sign-in dialog could not be opened:', result.error.code, result.error.message);
+                reject(createDialogError(result.error.code, result.error.message));
+                return;
+            }
+
+            const dialog = result.value;
+            let settled = false;
+            const finish = (settle, value) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                try {
+                    dialog.close();
+                } catch (closeError) {
+                    // The dialog is already gone
+                }
+                settle(value);
+            };
+
+            dialog.addEventHandler(Office.EventType.DialogMessageReceived, (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.message);
+                } catch (parseError) {
+                    finish(reject, new Error('Unreadable message from the sign-in dialog'));
+                    return;
+                }
+
+                if (message.error) {
+                    console.error('❌ Authentication error via dialog:', message.error);
+                    const error = new Error(message.error);
+                    error.code = message.errorCode || null;
+                    finish(reject, error);
+                } else {
+                    finish(resolve, message);
+                }
+            });
+
+            dialog.addEventHandler(Office.EventType.DialogEventReceived, (event) => {
+                console.log('⚠️ Sign-in dialog event:', event.error);
+                finish(reject, createDialogError(event.error));
+            });
+        });
+    });
+}
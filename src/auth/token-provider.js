@@ -0,0 +1,707 @@
+/**
+ * Token Provider
+ *
+ * Single source of Microsoft Graph access tokens for the add-in. Sign-in
+ * methods are strategies tried in a fixed order; the first one that returns a
+ * token wins. Its token goes into the one token cache every Graph caller
+ * reads, and silent renewals go back to the strategy that issued the token.
+ *
+ * The cache holds a token per account, so a personal and a work account can
+ * be signed in at once. One of them is active: calls that do not name an
+ * account use its token. Calls that name an account ({ homeAccountId,
+ * username }) get that account's token; a saved OneNote destination names
+ * the account that owns it.
+ *
+ * A strategy is an object with:
+ * - name: identifier stored with the token ('office-sso', 'msal-popup', ...)
+ * - label: name shown to the user
+ * - isAvailable(): optional, false skips the strategy in this host
+ * - acquireToken({ claims, scopes, selectAccount, loginHint }): interactive
+ *   sign-in, resolves to a token result. selectAccount asks the user to pick
+ *   an account instead of reusing the signed-in one; loginHint is the
+ *   username of the account needed
+ * - acquireTokenSilent(cached, { scopes, account }): optional renewal without
+ *   UI; cached is the account's cache entry or null, account the account
+ *   wanted (if any). Resolves to a token result or null
+ * - signOut(cached): optional, ends the strategy's own session
+ * - canSelectAccount: optional, false when the strategy can only sign in the
+ *   Office account (skipped by switchAccount())
+ *
+ * A token result is { accessToken, expiresOn?, refreshToken?, account?, scopes? }.
+ *
+ * Scopes are requested incrementally (see common/graph-scopes.js): sign-in
+ * asks for the provider's base scopes plus those of the operation at hand.
+ * When a later operation needs scopes the cached token was not granted, they
+ * are requested silently first; if the user has to consent, the call fails
+ * with error.code 'additional_consent_required' and error.missingScopes, and
+ * requestScopes() (from a user action) asks for them.
+ *
+ * A failed strategy tells the chain how to continue through error.code:
+ * - 'consent_required' / 'interaction_required': the next strategy signs in
+ *   interactively; error.claims (a claims challenge, e.g. for MFA) is passed on
+ * - 'user_cancelled': the user closed the sign-in window, so no other sign-in
+ *   window is opened
+ * A sign-in for a named account that ends with another account fails with
+ * error.code 'account_mismatch'.
+ * When every strategy fails, the thrown error lists their errors in
+ * error.causes.
+ */
+
+import { getTokenExpiry, isTokenFresh, getRefreshDelay } from '../common/token-lifetime.js';
+import { mergeScopes, getMissingScopes, getGrantedScopes, normalizeScopes, formatScopes } from '../common/graph-scopes.js';
+
+export const USER_CANCELLED = 'user_cancelled';
+export const ADDITIONAL_CONSENT_REQUIRED = 'additional_consent_required';
+export const ACCOUNT_MISMATCH = 'account_mismatch';
+
+/**
+ * Cache key of an account: its home account ID, else its username
+ *
+ * @param {object|null} account - Account ({ homeAccountId, username })
+ * @returns {string}
+ */
+export function getAccountKey(account) {
+    return account?.homeAccountId || account?.username?.toLowerCase() || 'default';
+}
+
+/**
+ * Key under which concurrent sign-ins are shared: the account asked for (or
+ * account selection) and the scopes, whatever their order or case
+ */
+function getSignInKey(scopes, { selectAccount = false, account = null } = {}) {
+    const scopeKey = normalizeScopes(scopes || []).map(scope => scope.toLowerCase()).sort().join(' ');
+    return `${selectAccount ? 'select' : account ? getAccountKey(account) : 'active'}|${scopeKey}`;
+}
+
+/**
+ * Whether two accounts are the same: compared by home account ID when both
+ * have one, otherwise by username (case-insensitive)
+ *
+ * @param {object|null} first - Account
+ * @param {object|null} second - Account
+ * @returns {boolean}
+ */
+export function isSameAccount(first, second) {
+    if (!first || !second) {
+        return false;
+    }
+    if (first.homeAccountId && second.homeAccountId) {
+        return first.homeAccountId === second.homeAccountId;
+    }
+    return !!first.username && first.username.toLowerCase() === second.username?.toLowerCase();
+}
+
+export class TokenProvider {
+    /**
+     * @param {object} options
+     * @param {Array<object>} options.strategies - Strategies in the order they are tried
+     * @param {TokenCache} [options.cache] - Token cache (in memory only by default)
+     * @param {Array<string>} [options.scopes] - Scopes every token is requested with
+     */
+    constructor({ strategies, cache = new TokenCache(), scopes = [] }) {
+        this.strategies = strategies;
+        this.cache = cache;
+        this.scopes = scopes;
+        this.refreshTimers = new Map();
+        this.refreshPromises = new Map();
+        this.signIns = new Map();
+        this.lastSignIn = Promise.resolve();
+        this.unresolvedAccounts = new Set();
+    }
+
+    /**
+     * Get an access token: the cached one while it is fresh, otherwise a
+     * silently renewed one, otherwise one from the sign-in chain
+     *
+     * @param {Array<string>} [scopes] - Scopes the caller needs besides the base scopes
+     * @param {object} [options]
+     * @param {object} [options.account] - Account whose token is needed; the
+     *   active account by default
+     * @returns {Promise<string>} Access token
+     * @throws {Error} error.code is 'additional_consent_required' when the
+     *   user has to consent to some of the scopes first (error.account is the
+     *   account to consent with), 'account_mismatch' when the user signed in
+     *   with another account than the one named
+     */
+    async getAccessToken(scopes = null, { account = null } = {}) {
+        const required = mergeScopes(this.scopes, scopes);
+        await this.cache.restore();
+        const cached = this.findEntry(account);
+        if (cached && !this.hasScopes(cached, required)) {
+            return this.acquireAdditionalScopes(cached, required);
+        }
+        if (cached && isTokenFresh(cached.expiresAt)) {
+            return cached.accessToken;
+        }
+
+        const renewedToken = await this.refreshAccessToken(account);
+        if (renewedToken) {
+            const renewed = this.findEntry(account);
+            return this.hasScopes(renewed, required) ? renewedToken : this.acquireAdditionalScopes(renewed, required);
+        }
+
+        return this.signIn(required, { account });
+    }
+
+    /**
+     * Signed-in account matching a hint such as the mailbox address. When no
+     * cached account matches, a silent sign-in for it is tried once.
+     *
+     * @param {object} hint - Account or { username }
+     * @returns {Promise<object|null>} The account, or null when it is not
+     *   available without user interaction
+     */
+    async findAccount(hint) {
+        await this.cache.restore();
+        const hintKey = getAccountKey(hint);
+        if (!this.findEntry(hint) && !this.unresolvedAccounts.has(hintKey)) {
+            if (!(await this.refreshAccessToken(hint))) {
+                this.unresolvedAccounts.add(hintKey);
+            }
+        }
+        return this.findEntry(hint)?.account || null;
+    }
+
+    /**
+     * Cache entry of an account, or of the active account when none is given
+     */
+    findEntry(account) {
+        if (!account) {
+            return this.cache.get();
+        }
+        return this.cache.getAll().find(entry => isSameAccount(entry.account, account)) || null;
+    }
+
+    /**
+     * Run the sign-in chain. Concurrent callers asking for the same account
+     * and scopes share one sign-in; a different sign-in waits until the
+     * current one has finished (one sign-in window at a time), so no caller
+     * gets the token of another account or scope set.
+     *
+     * @param {Array<string>} [scopes] - Scopes to request (defaults to the base scopes)
+     * @param {object} [options]
+     * @param {boolean} [options.selectAccount] - Let the user pick an account
+     * @param {object} [options.account] - Account to sign in; its token is
+     *   stored without making it the active account
+     * @returns {Promise<string>} Access token
+     */
+    async signIn(scopes = this.scopes, options = {}) {
+        const key = getSignInKey(scopes, options);
+        if (this.signIns.has(key)) {
+            return this.signIns.get(key);
+        }
+
+        const signIn = this.lastSignIn
+            .catch(() => {})
+            .then(() => this.runStrategies(scopes, options))
+            .finally(() => {
+                if (this.signIns.get(key) === signIn) {
+                    this.signIns.delete(key);
+                }
+            });
+        this.signIns.set(key, signIn);
+        this.lastSignIn = signIn;
+        return signIn;
+    }
+
+    /**
+     * Ask the user to consent to more scopes; run from a user action (e.g. a
+     * button) so the sign-in window is allowed to open
+     *
+     * @param {Array<string>} scopes - Scopes to add to the current token's
+     * @param {object} [options]
+     * @param {object} [options.account] - Account to consent with; the active
+     *   account by default
+     * @returns {Promise<string>} Access token
+     */
+    async requestScopes(scopes, { account = null } = {}) {
+        await this.cache.restore();
+        const cached = this.findEntry(account);
+        return this.signIn(mergeScopes(this.scopes, cached?.scopes, scopes), { account: cached?.account || account });
+    }
+
+    /**
+     * Sign in with an account the user picks and make it the active account.
+     * Other accounts stay signed in; run from a user action.
+     *
+     * @returns {Promise<string>} Access token
+     */
+    async switchAccount() {
+        await this.cache.restore();
+        return this.signIn(this.scopes, { selectAccount: true });
+    }
+
+    async runStrategies(scopes, { selectAccount = false, account = null } = {}) {
+        const failures = [];
+        let claims = null;
+        const strategies = this.getAvailableStrategies()
+            .filter(strategy => !selectAccount || strategy.canSelectAccount !== false);
+        const loginHint = account?.username || null;
+
+        for (const strategy of strategies) {
+            try {
+                console.log(`🔐 Signing in with ${strategy.label}...`);
+                const result = await strategy.acquireToken({ claims, scopes, selectAccount, loginHint });
+                if (account && result.account && !isSameAccount(result.account, account)) {
+                    const error = new Error(`Signed in as ${result.account.username}, but ${account.username} is needed here. Sign in with ${account.username}.`);
+                    error.code = ACCOUNT_MISMATCH;
+                    error.account = account;
+                    throw error;
+                }
+                // Results that name no account (PKCE, backend) were signed in
+                // with the login hint, so they belong to the account asked for
+                this.storeToken(strategy, result.account || !account ? result : { ...result, account }, null, scopes, { activate: !account });
+                this.unresolvedAccounts.clear();
+                console.log(`✅ Signed in with ${strategy.label}`);
+                return result.accessToken;
+            } catch (error) {
+                console.warn(`⚠️ ${strategy.label} failed:`, error.message);
+                error.strategy = strategy.label;
+                failures.push(error);
+
+                if (error.code === USER_CANCELLED
+                    || (error.code === ACCOUNT_MISMATCH && strategy.canSelectAccount !== false)) {
+                    throw error;
+                }
+                if (error.claims) {
+                    claims = error.claims;
+                }
+            }
+        }
+
+        const error = new Error(failures.length > 0
+            ? `Authentication failed. ${failures.map(failure => `${failure.strategy}: ${failure.message}`).join('; ')}`
+            : 'No sign-in method is available in this environment');
+        error.causes = failures;
+        throw error;
+    }
+
+    /**
+     * Acquire a new access token without user interaction
+     *
+     * Renews through the strategy that issued the account's cached token or,
+     * without one, through the first strategy that can sign the account in
+     * silently (e.g. an MSAL account left from an earlier session). Tokens
+     * for other accounts are ignored. Concurrent callers share one renewal per
+     * account. When silent renewal is not possible the account's token is
+     * removed, so the next call signs in interactively.
+     *
+     * @param {object} [account] - Account to renew; the active account by default
+     * @returns {Promise<string|null>} New access token, or null
+     */
+    async refreshAccessToken(account = null) {
+        const key = account ? getAccountKey(account) : '';
+        if (!this.refreshPromises.has(key)) {
+            this.refreshPromises.set(key, this.renewSilently(account).finally(() => {
+                this.refreshPromises.delete(key);
+            }));
+        }
+        return this.refreshPromises.get(key);
+    }
+
+    async renewSilently(account) {
+        await this.cache.restore();
+        const cached = this.findEntry(account);
+        const wanted = cached?.account || account;
+        const candidates = cached
+            ? this.strategies.filter(strategy => strategy.name === cached.source)
+            : this.getAvailableStrategies();
+        const scopes = mergeScopes(this.scopes, cached?.scopes);
+
+        for (const strategy of candidates) {
+            if (!strategy.acquireTokenSilent) {
+                continue;
+            }
+            try {
+                const result = await strategy.acquireTokenSilent(cached, { scopes, account: wanted });
+                if (result && wanted && result.account && !isSameAccount(result.account, wanted)) {
+                    console.log(`👤 ${strategy.label} has a token for another account`);
+                } else if (result) {
+                    this.storeToken(strategy, result, cached, scopes);
+                    console.log(`✅ Access token renewed via ${strategy.label}`);
+                    return result.accessToken;
+                }
+            } catch (error) {
+                console.warn(`⚠️ Silent token renewal via ${strategy.label} failed:`, error.message);
+            }
+        }
+
+        if (cached) {
+            this.removeToken(cached);
+        }
+        return null;
+    }
+
+    /**
+     * Get a token that also has the required scopes, without user interaction
+     * through the strategy that issued the cached token (consent given
+     * earlier, or by an administrator, needs no prompt)
+     */
+    async acquireAdditionalScopes(cached, required) {
+        const strategy = this.getStrategy(cached.source);
+        const scopes = mergeScopes(cached.scopes, required);
+
+        if (strategy?.acquireTokenSilent) {
+            try {
+                const result = await strategy.acquireTokenSilent(cached, { scopes });
+                if (result) {
+                    this.storeToken(strategy, result, cached, scopes);
+                    if (this.hasScopes(this.findEntry(cached.account), required)) {
+                        console.log(`✅ Additional scopes granted via ${strategy.label}`);
+                        return result.accessToken;
+                    }
+                }
+            } catch (error) {
+                console.log(`🔑 ${strategy.label} needs consent for additional scopes:`, error.message);
+            }
+        }
+
+        const missingScopes = getMissingScopes(required, this.findEntry(cached.account)?.scopes || cached.scopes);
+        const error = new Error(`Additional permission needed: ${formatScopes(missingScopes)}`);
+        error.code = ADDITIONAL_CONSENT_REQUIRED;
+        error.missingScopes = missingScopes;
+        error.account = cached.account || null;
+        throw error;
+    }
+
+    /**
+     * Whether a cache entry was granted the scopes (unknown grants count as granted)
+     */
+    hasScopes(entry, scopes) {
+        return getMissingScopes(scopes, entry.scopes).length === 0;
+    }
+
+    /**
+     * Whether a token for the active account is available without user interaction
+     *
+     * @returns {Promise<boolean>}
+     */
+    async hasValidToken() {
+        await this.cache.restore();
+        const cached = this.cache.get();
+        if (cached && isTokenFresh(cached.expiresAt)) {
+            return true;
+        }
+        return !!(await this.refreshAccessToken());
+    }
+
+    /**
+     * Store a token result in the cache and schedule its refresh ahead of expiry
+     *
+     * @param {object} strategy - Strategy that issued the token
+     * @param {object} result - Token result
+     * @param {object|null} [previous] - Cache entry being renewed; keeps its
+     *   refresh token and account when the result has none
+     * @param {Array<string>|null} [requestedScopes] - Scopes the token was
+     *   requested with; taken as granted when the result does not tell
+     * @param {object} [options]
+     * @param {boolean} [options.activate] - Make the account the active one
+     *   (an account is also activated when no other is)
+     */
+    storeToken(strategy, result, previous = null, requestedScopes = null, { activate = false } = {}) {
+        const entry = {
+            accessToken: result.accessToken,
+            expiresAt: getTokenExpiry(result.accessToken, result.expiresOn),
+            refreshToken: result.refreshToken || previous?.refreshToken || null,
+            account: result.account || previous?.account || null,
+            scopes: getGrantedScopes(result.accessToken, result.scopes)
+                || (requestedScopes?.length ? normalizeScopes(requestedScopes) : null),
+            source: strategy.name
+        };
+        // A renewal can name an account the previous entry did not know
+        if (previous && getAccountKey(previous.account) !== getAccountKey(entry.account)) {
+            activate = activate || previous === this.cache.get();
+            this.removeToken(previous);
+        }
+        this.cache.set(entry, { activate });
+
+        if (entry.expiresAt) {
+            console.log(`🔑 Access token valid until ${new Date(entry.expiresAt).toISOString()}`);
+        }
+        this.scheduleRefresh(entry);
+    }
+
+    /**
+     * Refresh a token shortly before it expires so an idle task pane does
+     * not start its next call with an expired token
+     */
+    scheduleRefresh(entry) {
+        const key = getAccountKey(entry.account);
+        this.cancelRefresh(key);
+
+        const delay = getRefreshDelay(entry.expiresAt);
+        if (delay === null) {
+            return;
+        }
+
+        this.refreshTimers.set(key, setTimeout(() => {
+            this.refreshTimers.delete(key);
+            this.refreshAccessToken(entry.account);
+        }, delay));
+    }
+
+    /**
+     * Cancel the scheduled refresh of one account, or of all when no key is given
+     */
+    cancelRefresh(key = null) {
+        this.refreshTimers.forEach((timer, timerKey) => {
+            if (key === null || key === timerKey) {
+                clearTimeout(timer);
+                this.refreshTimers.delete(timerKey);
+            }
+        });
+    }
+
+    /**
+     * Forget one account's token and cancel its scheduled refresh
+     */
+    removeToken(entry) {
+        this.cache.remove(entry);
+        this.cancelRefresh(getAccountKey(entry.account));
+    }
+
+    /**
+     * Forget the tokens of all accounts and cancel the scheduled refreshes
+     */
+    clearToken() {
+        this.cache.clear();
+        this.cancelRefresh();
+    }
+
+    /**
+     * Sign every account out of the strategy that issued its token and clear
+     * the cache, including its stored copy
+     */
+    async signOut() {
+        await this.cache.restore();
+        const entries = this.cache.getAll();
+        this.clearToken();
+        this.unresolvedAccounts.clear();
+        await this.cache.flush();
+
+        for (const cached of entries) {
+            const strategy = this.getStrategy(cached.source);
+            if (strategy?.signOut) {
+                await strategy.signOut(cached);
+            }
+        }
+    }
+
+    /**
+     * @returns {object|null} Account of the active token ({ username, name, homeAccountId, tenantId })
+     */
+    getAccount() {
+        return this.cache.get()?.account || null;
+    }
+
+    /**
+     * @returns {Array<object>} Accounts with a cached token, the active one first
+     */
+    getAccounts() {
+        const active = this.cache.get();
+        return [active, ...this.cache.getAll().filter(entry => entry !== active)]
+            .map(entry => entry?.account)
+            .filter(Boolean);
+    }
+
+    /**
+     * @returns {{scopes: Array<string>|null, expiresAt: number}|null} Granted
+     *   scopes and expiry (ms) of the active token
+     */
+    getTokenDetails() {
+        const cached = this.cache.get();
+        return cached ? { scopes: cached.scopes || null, expiresAt: cached.expiresAt } : null;
+    }
+
+    /**
+     * @returns {{name: string, label: string}|null} Strategy that issued the active token
+     */
+    getTokenSource() {
+        const cached = this.cache.get();
+        const strategy = cached && this.getStrategy(cached.source);
+        return strategy ? { name: strategy.name, label: strategy.label } : null;
+    }
+
+    getStrategy(name) {
+        return this.strategies.find(strategy => strategy.name === name) || null;
+    }
+
+    getAvailableStrategies() {
+        return this.strategies.filter(strategy => !strategy.isAvailable || strategy.isAvailable());
+    }
+}
+
+/**
+ * The one token cache: an entry { accessToken, expiresAt, refreshToken,
+ * account, scopes, source } per account (see getAccountKey) and which of them
+ * is active. Kept in memory and, when a storage is given, persisted as
+ * { activeKey, entries } so a reloaded task pane keeps its sign-ins. A single
+ * entry stored by earlier versions is read as the active account.
+ *
+ * The storage is either a Web Storage, read and written synchronously, or an
+ * asynchronous store with load(), save(state) and clear() such as
+ * EncryptedTokenStore. An asynchronous store is read once by restore() and
+ * written in the background; flush() waits for pending writes.
+ */
+export class TokenCache {
+    /**
+     * @param {Storage|object|null} [storage] - Web Storage or asynchronous store to persist the entries in
+     * @param {string} [key] - Web Storage key
+     */
+    constructor(storage = null, key = 'outlook2onenote_token_cache') {
+        this.storage = storage;
+        this.key = key;
+        this.entries = null;
+        this.activeKey = null;
+        this.isAsync = typeof storage?.load === 'function';
+        this.restorePromise = null;
+        this.changed = false;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Read the entries of an asynchronous store into memory. Runs once;
+     * entries set or cleared in the meantime win over the stored ones.
+     *
+     * @returns {Promise<void>}
+     */
+    restore() {
+        if (!this.restorePromise) {
+            this.restorePromise = this.isAsync
+                ? this.storage.load().then(state => {
+                    if (!this.changed) {
+                        this.applyState(state);
+                    }
+                }, error => {
+                    console.warn('Could not read the stored sign-in:', error.message);
+                })
+                : Promise.resolve();
+        }
+        return this.restorePromise;
+    }
+
+    /**
+     * Wait until the entries are written to an asynchronous store
+     *
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.pendingWrite;
+    }
+
+    /**
+     * @returns {object|null} Entry of the active account
+     */
+    get() {
+        const entries = this.getEntries();
+        return entries[this.activeKey] || null;
+    }
+
+    /**
+     * @returns {Array<object>} Entries of all accounts
+     */
+    getAll() {
+        return Object.values(this.getEntries());
+    }
+
+    /**
+     * Store an account's entry, replacing the one it had
+     *
+     * @param {object} entry - Cache entry
+     * @param {object} [options]
+     * @param {boolean} [options.activate] - Make the account the active one;
+     *   it also becomes active when no other account is
+     */
+    set(entry, { activate = false } = {}) {
+        const key = getAccountKey(entry.account);
+        const entries = this.getEntries();
+        if (activate || !entries[this.activeKey]) {
+            this.activeKey = key;
+        }
+        this.entries = { ...entries, [key]: entry };
+        this.persist();
+    }
+
+    /**
+     * Make the account of a stored entry the active one
+     */
+    activate(entry) {
+        const key = getAccountKey(entry.account);
+        if (this.getEntries()[key] && key !== this.activeKey) {
+            this.activeKey = key;
+            this.persist();
+        }
+    }
+
+    /**
+     * Remove an account's entry. When it was the active one, another account
+     * (if any) becomes active.
+     */
+    remove(entry) {
+        const key = getAccountKey(entry.account);
+        const { [key]: removed, ...entries } = this.getEntries();
+        if (!removed) {
+            return;
+        }
+        this.entries = entries;
+        if (this.activeKey === key) {
+            this.activeKey = Object.keys(entries)[0] || null;
+        }
+        this.persist();
+    }
+
+    /**
+     * Remove the entries of all accounts
+     */
+    clear() {
+        this.entries = {};
+        this.activeKey = null;
+        this.persist();
+    }
+
+    getEntries() {
+        if (this.entries === null) {
+            this.applyState(this.storage && !this.isAsync ? this.readStorage() : null);
+        }
+        return this.entries;
+    }
+
+    readStorage() {
+        try {
+            return JSON.parse(this.storage.getItem(this.key));
+        } catch (error) {
+            console.warn('Ignoring unreadable token cache entry');
+            this.storage.removeItem(this.key);
+            return null;
+        }
+    }
+
+    applyState(state) {
+        const entries = state?.accessToken
+            ? { [getAccountKey(state.account)]: state }
+            : { ...state?.entries };
+        this.entries = entries;
+        this.activeKey = entries[state?.activeKey] ? state.activeKey : (Object.keys(entries)[0] || null);
+    }
+
+    persist() {
+        this.changed = true;
+        const state = Object.keys(this.entries).length > 0
+            ? { activeKey: this.activeKey, entries: this.entries }
+            : null;
+        if (this.isAsync) {
+            this.write(() => (state ? this.storage.save(state) : this.storage.clear()));
+        } else if (this.storage && state) {
+            this.storage.setItem(this.key, JSON.stringify(state));
+        } else if (this.storage) {
+            this.storage.removeItem(this.key);
+        }
+    }
+
+    // Writes to an asynchronous store run one after another, in call order
+    write(operation) {
+        this.pendingWrite = this.pendingWrite.then(operation).catch(error => {
+            console.warn('Could not store the sign-in:', error.message);
+        });
+    }
+}
@@ -3,9 +3,15 @@
  * Centralized state management for Outlook2OneNote add-in
  */
 
+import { REPLY_TRIMMING_MODES, DEFAULT_REPLY_TRIMMING_MODE } from './reply-trimmer.js';
+import { DUPLICATE_HANDLING, DEFAULT_DUPLICATE_HANDLING } from './export-provenance.js';
+import { isSameAccount } from '../auth/token-provider.js';
+
 // Application state
 let appState = {
   selectedNotebook: null,
+  selectedSections: null,
+  threadExports: null,
   isAuthenticated: false,
   userSettings: {},
   sessionData: {}
@@ -29,7 +35,10 @@ export function getSelectedNotebook() {
   return null;
 }
 
-export function setSelectedNotebook(notebook) {
+// account: the signed-in account the notebook belongs to. Exports to the
+// notebook use that account's token, whichever account is active then.
+export function setSelectedNotebook(notebook, account = null) {
+  notebook = { ...notebook, account: toAccountReference(account || notebook?.account) };
   appState.selectedNotebook = notebook;
   
   // Persist to Office.js roaming settings
@@ -61,6 +70,135 @@ export function clearSelectedNotebook() {
   console.log('Notebook selection cleared');
 }
 
+// Export destination inside each notebook (with persistence): a section, or a
+// section group (kind 'sectionGroup') in which each export creates a new section.
+// A missing entry means "create a new section in the notebook for each export".
+function getSelectedSections() {
+  if (!appState.selectedSections) {
+    appState.selectedSections = Office.context.roamingSettings.get('selectedSections') || {};
+  }
+  return appState.selectedSections;
+}
+
+export function getSelectedSection(notebookId) {
+  return getSelectedSections()[notebookId] || null;
+}
+
+export function setSelectedSection(notebookId, section) {
+  const sections = { ...getSelectedSections() };
+  if (section) {
+    sections[notebookId] = {
+      kind: section.kind || 'section',
+      id: section.id,
+      displayName: section.displayName,
+      path: section.path || section.displayName
+    };
+  } else {
+    delete sections[notebookId];
+  }
+  appState.selectedSections = sections;
+  
+  Office.context.roamingSettings.set('selectedSections', sections);
+  Office.context.roamingSettings.saveAsync((result) => {
+    if (result.status === Office.AsyncResultStatus.Succeeded) {
+      console.log('💾 Section selection saved persistently:', section?.displayName || '(new section per export)');
+    } else {
+      console.warn('⚠️ Failed to save section selection:', result.error);
+    }
+  });
+}
+
+// Exported threads: conversationId -> OneNote target, used by "Sync" (with persistence).
+// Roaming settings are limited to 32 KB, so only the most recently exported threads are kept.
+const MAX_THREAD_EXPORTS = 40;
+
+function getThreadExports() {
+  if (!appState.threadExports) {
+    appState.threadExports = Office.context.roamingSettings.get('threadExports') || {};
+  }
+  return appState.threadExports;
+}
+
+export function getThreadExport(conversationId) {
+  return getThreadExports()[conversationId] || null;
+}
+
+// target: { notebookId, sectionId, sectionName, layout, pageId, exportedAt (ISO string), account }
+export function setThreadExport(conversationId, target) {
+  target = { ...target, account: toAccountReference(target.account) };
+  const exports = { ...getThreadExports(), [conversationId]: target };
+  
+  const conversationIds = Object.keys(exports)
+    .sort((a, b) => (exports[b].exportedAt || '').localeCompare(exports[a].exportedAt || ''));
+  conversationIds.slice(MAX_THREAD_EXPORTS).forEach(id => delete exports[id]);
+  appState.threadExports = exports;
+  
+  Office.context.roamingSettings.set('threadExports', exports);
+  Office.context.roamingSettings.saveAsync((result) => {
+    if (result.status === Office.AsyncResultStatus.Succeeded) {
+      console.log('💾 Thread export target saved:', target.sectionName);
+    } else {
+      console.warn('⚠️ Failed to save thread export target:', result.error);
+    }
+  });
+}
+
+// Only what identifies the account is stored with a destination (roaming
+// settings are limited to 32 KB)
+export function toAccountReference(account) {
+  if (!account) {
+    return null;
+  }
+  return {
+    homeAccountId: account.homeAccountId || null,
+    username: account.username || null,
+    tenantId: account.tenantId || null
+  };
+}
+
+// Forget the notebook, section choices and exported threads of an account,
+// e.g. when another account becomes active. Destinations saved before they
+// remembered their account belong to the account that was signed in.
+export function clearNotebookStateForAccount(account) {
+  const belongsToAccount = target => !target.account || isSameAccount(target.account, account);
+  const notebook = getSelectedNotebook();
+  const exports = getThreadExports();
+  const clearNotebook = !!notebook && belongsToAccount(notebook);
+  const clearedExports = Object.keys(exports).filter(id => belongsToAccount(exports[id]));
+  
+  const notebookIds = new Set(clearedExports.map(id => exports[id].notebookId));
+  if (clearNotebook) {
+    notebookIds.add(notebook.id);
+  }
+  const sections = getSelectedSections();
+  const clearedSections = Object.keys(sections).filter(notebookId => notebookIds.has(notebookId));
+  if (!clearNotebook && clearedExports.length === 0 && clearedSections.length === 0) {
+    return;
+  }
+  
+  if (clearNotebook) {
+    appState.selectedNotebook = null;
+    Office.context.roamingSettings.remove('selectedNotebook');
+  }
+  if (clearedSections.length > 0) {
+    appState.selectedSections = { ...sections };
+    clearedSections.forEach(notebookId => delete appState.selectedSections[notebookId]);
+    Office.context.roamingSettings.set('selectedSections', appState.selectedSections);
+  }
+  if (clearedExports.length > 0) {
+    appState.threadExports = { ...exports };
+    clearedExports.forEach(id => delete appState.threadExports[id]);
+    Office.context.roamingSettings.set('threadExports', appState.threadExports);
+  }
+  Office.context.roamingSettings.saveAsync((result) => {
+    if (result.status === Office.AsyncResultStatus.Succeeded) {
+      console.log('🗑️ Notebook state cleared for', account.username);
+    } else {
+      console.warn('⚠️ Failed to clear the notebook state of the account:', result.error);
+    }
+  });
+}
+
 // Authentication state
 export function setAuthenticationStatus(isAuthenticated) {
   appState.isAuthenticated = isAuthenticated;
@@ -84,6 +222,101 @@ export function getUserSetting(key) {
   return Office.context.roamingSettings.get(key);
 }
 
+// Export page layouts
+export const EXPORT_LAYOUTS = {
+  PER_MESSAGE: 'per-message', // One page per email
+  COMBINED: 'combined'        // The whole thread on one page
+};
+
+// Earlier layout: combined page plus one subpage per email. Graph cannot make
+// subpages (a page's level is read-only), so it is exported as COMBINED.
+export const LEGACY_SUBPAGES_LAYOUT = 'combined-subpages';
+
+export const DEFAULT_EXPORT_LAYOUT = EXPORT_LAYOUTS.PER_MESSAGE;
+
+export function getExportLayout() {
+  const layout = getUserSetting('exportLayout');
+  if (layout === LEGACY_SUBPAGES_LAYOUT) {
+    return EXPORT_LAYOUTS.COMBINED;
+  }
+  return Object.values(EXPORT_LAYOUTS).includes(layout) ? layout : DEFAULT_EXPORT_LAYOUT;
+}
+
+export function setExportLayout(layout) {
+  if (!Object.values(EXPORT_LAYOUTS).includes(layout)) {
+    throw new Error(`Unknown export layout: ${layout}`);
+  }
+  setUserSetting('exportLayout', layout);
+  console.log('📐 Export layout set:', layout);
+}
+
+export function getReplyTrimmingMode() {
+  const mode = getUserSetting('replyTrimming');
+  return Object.values(REPLY_TRIMMING_MODES).includes(mode) ? mode : DEFAULT_REPLY_TRIMMING_MODE;
+}
+
+export function setReplyTrimmingMode(mode) {
+  if (!Object.values(REPLY_TRIMMING_MODES).includes(mode)) {
+    throw new Error(`Unknown reply trimming mode: ${mode}`);
+  }
+  setUserSetting('replyTrimming', mode);
+  console.log('✂️ Reply trimming set:', mode);
+}
+
+export function getDuplicateHandling() {
+  const handling = getUserSetting('duplicateHandling');
+  return Object.values(DUPLICATE_HANDLING).includes(handling) ? handling : DEFAULT_DUPLICATE_HANDLING;
+}
+
+export function setDuplicateHandling(handling) {
+  if (!Object.values(DUPLICATE_HANDLING).includes(handling)) {
+    throw new Error(`Unknown duplicate handling: ${handling}`);
+  }
+  setUserSetting('duplicateHandling', handling);
+  console.log('♻️ Duplicate handling set:', handling);
+}
+
+// Attachment size limits (stored in the "attachmentLimits" user setting): the
+// largest file that is attached, and the total attached to one page. The
+// OneNote API rejects page-create requests larger than 70 MB, page HTML included.
+export const ONENOTE_REQUEST_LIMIT_BYTES = 70 * 1024 * 1024;
+
+export const DEFAULT_ATTACHMENT_LIMITS = {
+  maxAttachmentBytes: 10 * 1024 * 1024,
+  maxTotalBytes: 50 * 1024 * 1024
+};
+
+// Why the limits cannot be used, or null when they can
+export function validateAttachmentLimits(limits) {
+  const { maxAttachmentBytes, maxTotalBytes } = limits || {};
+  if (![maxAttachmentBytes, maxTotalBytes].every(bytes => Number.isSafeInteger(bytes) && bytes > 0)) {
+    return 'Attachment limits must be positive byte counts';
+  }
+  if (maxTotalBytes >= ONENOTE_REQUEST_LIMIT_BYTES) {
+    return 'The attachments of a page must stay below the 70 MB OneNote request limit';
+  }
+  if (maxAttachmentBytes > maxTotalBytes) {
+    return 'The largest attachment cannot be larger than the attachments of a page';
+  }
+  return null;
+}
+
+export function getAttachmentLimits() {
+  const limits = getUserSetting('attachmentLimits');
+  return limits && !validateAttachmentLimits(limits)
+    ? { maxAttachmentBytes: limits.maxAttachmentBytes, maxTotalBytes: limits.maxTotalBytes }
+    : { ...DEFAULT_ATTACHMENT_LIMITS };
+}
+
+export function setAttachmentLimits(limits) {
+  const problem = validateAttachmentLimits(limits);
+  if (problem) {
+    throw new Error(problem);
+  }
+  setUserSetting('attachmentLimits', { maxAttachmentBytes: limits.maxAttachmentBytes, maxTotalBytes: limits.maxTotalBytes });
+  console.log('📎 Attachment limits set:', limits);
+}
+
 // Session data (temporary, not persisted)
 export function setSessionData(key, value) {
   appState.sessionData[key] = value;
@@ -0,0 +1,167 @@
+/**
+ * Sign-in Authority and Account Types
+ *
+ * Which Microsoft accounts can sign in is decided by the authority, set per
+ * deployment with AUTHORITY:
+ * - consumers: personal Microsoft accounts (outlook.com, hotmail.com)
+ * - organizations: work or school accounts (Microsoft Entra ID)
+ * - common: both
+ * - a tenant ID or domain: work or school accounts of that organization only
+ * A full authority URL is accepted as well.
+ *
+ * Also explains the sign-in errors users hit most with organizational
+ * accounts (consent not granted, admin approval required, account type not
+ * allowed), so the task pane can tell them what to do.
+ */
+
+export const MICROSOFT_LOGIN_INSTANCE = 'https://login.microsoftonline.com';
+
+export const AUTHORITY_AUDIENCES = {
+  CONSUMERS: 'consumers',
+  ORGANIZATIONS: 'organizations',
+  COMMON: 'common'
+};
+
+export const DEFAULT_AUTHORITY_AUDIENCE = AUTHORITY_AUDIENCES.COMMON;
+
+/**
+ * Tenant that personal Microsoft accounts belong to
+ */
+export const PERSONAL_ACCOUNT_TENANT_ID = '9188040d-6c67-4c5b-b112-36a304b66dad';
+
+export const ACCOUNT_TYPES = {
+  PERSONAL: 'personal',
+  WORK_OR_SCHOOL: 'workOrSchool'
+};
+
+const ACCOUNT_TYPE_LABELS = {
+  [ACCOUNT_TYPES.PERSONAL]: 'Personal Microsoft account',
+  [ACCOUNT_TYPES.WORK_OR_SCHOOL]: 'Work or school account'
+};
+
+/**
+ * Full authority URL for an AUTHORITY setting
+ *
+ * @param {string} [value] - 'consumers', 'organizations', 'common', a tenant ID
+ *   or domain, or a full authority URL
+ * @returns {string} Authority URL without trailing slash
+ */
+export function resolveAuthority(value) {
+  const setting = (value || '').trim().replace(/\/+$/, '');
+  if (!setting) {
+    return `${MICROSOFT_LOGIN_INSTANCE}/${DEFAULT_AUTHORITY_AUDIENCE}`;
+  }
+  if (/^https:\/\//i.test(setting)) {
+    return setting;
+  }
+  return `${MICROSOFT_LOGIN_INSTANCE}/${setting}`;
+}
+
+/**
+ * Tenant segment of an authority URL
+ *
+ * @param {string} authority - Authority URL
+ * @returns {string} 'consumers', 'organizations', 'common' or the tenant
+ */
+export function getAuthorityTenant(authority) {
+  const segments = new URL(resolveAuthority(authority)).pathname.split('/').filter(Boolean);
+  return (segments[segments.length - 1] || DEFAULT_AUTHORITY_AUDIENCE).toLowerCase();
+}
+
+/**
+ * Which accounts an authority accepts, for display
+ *
+ * @param {string} authority - Authority URL
+ * @returns {string} Description
+ */
+export function describeAuthority(authority) {
+  const tenant = getAuthorityTenant(authority);
+  switch (tenant) {
+    case AUTHORITY_AUDIENCES.CONSUMERS:
+      return 'Personal Microsoft accounts';
+    case AUTHORITY_AUDIENCES.ORGANIZATIONS:
+      return 'Work or school accounts';
+    case AUTHORITY_AUDIENCES.COMMON:
+      return 'Personal and work or school accounts';
+    default:
+      return `Work or school accounts of ${tenant}`;
+  }
+}
+
+/**
+ * Account type of a signed-in account
+ *
+ * @param {object|null} account - Account with tenantId (see TokenProvider.getAccount)
+ * @returns {{type: string, label: string}|null} null when the tenant is unknown
+ */
+export function getAccountType(account) {
+  const tenantId = account?.tenantId;
+  if (!tenantId) {
+    return null;
+  }
+  const type = tenantId.toLowerCase() === PERSONAL_ACCOUNT_TENANT_ID
+    ? ACCOUNT_TYPES.PERSONAL
+    : ACCOUNT_TYPES.WORK_OR_SCHOOL;
+  return { type, label: ACCOUNT_TYPE_LABELS[type] };
+}
+
+// AADSTS error codes with an explanation users can act on
+const SIGN_IN_PROBLEMS = {
+  65001: {
+    kind: 'consent_required',
+    message: 'Outlook2OneNote has not been allowed to read your mail and write to OneNote yet. Sign in again and accept the permission request. If your organization does not let users approve apps, ask your IT administrator to grant consent for Outlook2OneNote.'
+  },
+  65004: {
+    kind: 'consent_declined',
+    message: 'The permission request was declined. Outlook2OneNote needs access to your mail and OneNote to export threads; sign in again and accept the request.'
+  },
+  90094: {
+    kind: 'admin_consent_required',
+    message: 'Your organization requires an administrator to approve Outlook2OneNote before it can access your mail and notebooks. Ask your IT administrator to grant admin consent for the app.'
+  },
+  90095: {
+    kind: 'admin_consent_required',
+    message: 'Your organization requires an administrator to approve Outlook2OneNote. An approval request can be sent from the sign-in window; try again once it has been approved.'
+  },
+  50020: {
+    kind: 'account_not_allowed',
+    message: 'This account does not belong to the organization Outlook2OneNote is set up for. Sign in with an account of that organization.'
+  },
+  500200: {
+    kind: 'account_not_allowed',
+    message: 'This deployment of Outlook2OneNote only accepts work or school accounts. Sign in with your organization account.'
+  },
+  50194: {
+    kind: 'app_not_in_tenant',
+    message: 'Outlook2OneNote is not set up for accounts outside its home organization. Ask the administrator to configure the app for your organization, or use an account of its home organization.'
+  },
+  700016: {
+    kind: 'app_not_in_tenant',
+    message: 'Outlook2OneNote is not available in your organization. Ask your IT administrator to add the app.'
+  }
+};
+
+/**
+ * Explains a sign-in error caused by consent or account type
+ *
+ * @param {Error|object} error - Error from MSAL, the token endpoint or the
+ *   on-behalf-of exchange (message, errorMessage, errorCode or code)
+ * @returns {{code: string|null, kind: string, message: string}|null} null for other errors
+ */
+export function explainSignInError(error) {
+  if (!error) {
+    return null;
+  }
+
+  const text = [error.message, error.errorMessage, error.error_description].filter(Boolean).join(' ');
+  const match = /AADSTS(\d+)/.exec(text);
+  if (match && SIGN_IN_PROBLEMS[match[1]]) {
+    return { code: `AADSTS${match[1]}`, ...SIGN_IN_PROBLEMS[match[1]] };
+  }
+
+  const errorCode = error.errorCode || error.code;
+  if (errorCode === 'consent_required') {
+    return { code: null, ...SIGN_IN_PROBLEMS[65001] };
+  }
+  return null;
+}
@@ -1,5 +1,5 @@
 /* eslint-disable no-unused-vars */
-/* global process */
+/* global process, __AUTHORITY__ */
 
 /**
  * Environment Configuration Loader
@@ -12,6 +12,8 @@
  * This configuration is intended for backend services only.
  */
 
+import { resolveAuthority } from './authority.js';
+
 /**
  * Load environment configuration
  * In browser environments, these would typically come from build-time injection
@@ -24,7 +26,8 @@ function loadEnvironmentConfig() {
   // For browser environments, these would be injected at build time
   const browserConfig = {
     clientId: 'a73f5240-e06c-43a3-8328-1fbd80766263',
-    authority: 'https://login.microsoftonline.com/common',
+    // AUTHORITY is injected at build time (webpack DefinePlugin)
+    authority: resolveAuthority(typeof __AUTHORITY__ !== 'undefined' ? __AUTHORITY__ : ''),
     redirectUri: 'https://localhost:3000/src/auth/callback',
     postLogoutRedirectUri: 'https://localhost:3000',
     backendServiceUrl: 'https://your-backend-service.azurewebsites.net',
@@ -34,13 +37,14 @@ function loadEnvironmentConfig() {
   };
   
   // Server-side configuration (Node.js with access to process.env)
+  const authority = isNode ? resolveAuthority(process.env.AUTHORITY || browserConfig.authority) : browserConfig.authority;
   const serverConfig = isNode ? {
     clientId: process.env.CLIENT_ID || browserConfig.clientId,
     clientSecret: process.env.CLIENT_SECRET || '',
     tenantId: process.env.TENANT_ID || 'common',
-    authority: process.env.AUTHORITY || browserConfig.authority,
-    tokenEndpoint: process.env.TOKEN_ENDPOINT || `${browserConfig.authority}/oauth2/v2.0/token`,
-    authEndpoint: process.env.AUTH_ENDPOINT || `${browserConfig.authority}/oauth2/v2.0/authorize`,
+    authority,
+    tokenEndpoint: process.env.TOKEN_ENDPOINT || `${authority}/oauth2/v2.0/token`,
+    authEndpoint: process.env.AUTH_ENDPOINT || `${authority}/oauth2/v2.0/authorize`,
     redirectUri: process.env.REDIRECT_URI || browserConfig.redirectUri,
     postLogoutRedirectUri: process.env.POST_LOGOUT_REDIRECT_URI || browserConfig.postLogoutRedirectUri,
     backendServiceUrl: process.env.BACKEND_SERVICE_URL || browserConfig.backendServiceUrl,
@@ -89,7 +93,8 @@ export function getAuthConfig() {
         TOKEN_EXPIRES: 'outlook2onenote_token_expires',
         CODE_VERIFIER: 'outlook2onenote_code_verifier',
         STATE: 'outlook2onenote_state',
-        USER_INFO: 'outlook2onenote_user_info'
+        USER_INFO: 'outlook2onenote_user_info',
+        TOKEN_CACHE: 'outlook2onenote_token_cache'
       }
     },
     debug: envConfig.debugAuth || false
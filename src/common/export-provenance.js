@@ -0,0 +1,136 @@
+/**
+ * Export Provenance
+ *
+ * Every exported page carries markers that identify what it was exported
+ * from, so a later export of the same thread can find the existing pages
+ * instead of creating copies. Markers are stored in OneNote data-id
+ * attributes, which OneNote keeps on the page and returns with the page
+ * content:
+ * - o2o-m-<hash>: one per message (hash of the internetMessageId)
+ * - o2o-c-<hash>: the conversation (hash of the conversationId)
+ * - o2o-t-<timestamp>: when the page was exported (UTC, yyyymmddThhmmssZ)
+ *
+ * Hashes keep the markers short and free of the characters found in message
+ * IDs (<, >, @) that data-id values and PATCH targets cannot contain.
+ */
+
+/**
+ * How an export handles messages that are already in the destination
+ * (stored in the "duplicateHandling" user setting)
+ */
+export const DUPLICATE_HANDLING = {
+  PROMPT: 'prompt',  // Ask the user each time
+  SKIP: 'skip',      // Export only messages that are not in the destination yet
+  UPDATE: 'update'   // Replace the pages that contain already exported messages
+};
+
+export const DEFAULT_DUPLICATE_HANDLING = DUPLICATE_HANDLING.PROMPT;
+
+const MARKER_PREFIX = 'o2o';
+
+/**
+ * Marker for one exported message
+ *
+ * @param {object} email - Export data from getConversationDataForExport()
+ * @returns {string} data-id value
+ */
+export function getMessageMarker(email) {
+  return `${MARKER_PREFIX}-m-${hashString(email.internetMessageId || email.id || '')}`;
+}
+
+/**
+ * Marker for the conversation a page was exported from
+ *
+ * @param {string} conversationId - Graph conversationId
+ * @returns {string} data-id value
+ */
+export function getConversationMarker(conversationId) {
+  return `${MARKER_PREFIX}-c-${hashString(conversationId || '')}`;
+}
+
+/**
+ * Marker for the export time
+ *
+ * @param {Date} date - Export time
+ * @returns {string} data-id value, e.g. "o2o-t-20241018T101500Z"
+ */
+export function getExportTimeMarker(date) {
+  return `${MARKER_PREFIX}-t-${date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}`;
+}
+
+/**
+ * Renders the provenance block appended to every exported page
+ *
+ * @param {string} conversationId - Graph conversationId
+ * @param {Date} exportedAt - Export time
+ * @returns {string} HTML
+ */
+export function renderProvenanceBlock(conversationId, exportedAt) {
+  return `
+    <div data-id="${getConversationMarker(conversationId)}" style="font-size: 8pt; color: #a0a0a0;">
+      <p data-id="${getExportTimeMarker(exportedAt)}">Exported from Outlook on ${exportedAt.toLocaleString()}</p>
+    </div>
+  `;
+}
+
+/**
+ * Reads the provenance markers from the HTML of an exported page
+ *
+ * @param {string} html - Page content as returned by GET /pages/{id}/content
+ * @returns {{messages: Set<string>, conversations: Set<string>, exportedAt: Date|null}}
+ */
+export function readProvenanceMarkers(html) {
+  const markers = { messages: new Set(), conversations: new Set(), exportedAt: null };
+  const pattern = new RegExp(`data-id\\s*=\\s*["']?(${MARKER_PREFIX}-([mct])-([\\w]+))`, 'gi');
+
+  let match;
+  while ((match = pattern.exec(html || '')) !== null) {
+    const [, marker, type, value] = match;
+    if (type === 'm') {
+      markers.messages.add(marker);
+    } else if (type === 'c') {
+      markers.conversations.add(marker);
+    } else {
+      markers.exportedAt = parseExportTime(value) || markers.exportedAt;
+    }
+  }
+
+  return markers;
+}
+
+/**
+ * Subject without reply/forward prefixes, lowercased, for matching page titles
+ *
+ * @param {string} subject - Message subject
+ * @returns {string} Normalized subject
+ */
+export function normalizeSubject(subject) {
+  return (subject || '')
+    .replace(/^\s*((re|fw|fwd|aw|wg|sv|vs)\s*(\[\d+\])?\s*:\s*)+/i, '')
+    .trim()
+    .toLowerCase();
+}
+
+function parseExportTime(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/i.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+// 53-bit string hash (cyrb53), base-36 encoded. Not cryptographic - markers
+// only need to be stable and unlikely to collide within one destination.
+function hashString(value) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
@@ -0,0 +1,301 @@
+/**
+ * Microsoft Graph JSON Batching
+ *
+ * Combines many Graph requests into /$batch calls of up to 20 requests each
+ * to cut round trips on long threads (NFR-PERF-003: a typical thread exports
+ * within 30 seconds).
+ *
+ * - Requests that depend on each other (dependsOn) are kept in the same batch
+ *   so Graph runs them in order; dependency chains longer than a batch are
+ *   split across consecutive batches, which run one after another.
+ * - Each request gets its own result, so one failed page does not fail the
+ *   others. A request whose dependency failed is reported with status 424
+ *   (Failed Dependency), as Graph does.
+ * - Graph returns non-JSON response bodies (e.g. OneNote page HTML) base64
+ *   encoded; they are decoded back to text.
+ * - Throttled requests (429, and 503/504 for idempotent methods) are sent
+ *   again after the Retry-After delay, within the retry budget (see
+ *   retry-policy.js), together with the requests that failed because of them.
+ *
+ * The module is transport-agnostic: callers pass the function that performs
+ * the POST to /$batch (normally AuthService.callGraphApi).
+ */
+
+import {
+  isIdempotentMethod,
+  isRetryableStatus,
+  getRetryDelay,
+  parseRetryAfter,
+  createRetryBudget,
+  consumeRetryBudget,
+  wait
+} from './retry-policy.js';
+
+/**
+ * Maximum number of requests Graph accepts in one batch
+ */
+export const MAX_BATCH_SIZE = 20;
+
+export const FAILED_DEPENDENCY_STATUS = 424;
+
+/**
+ * Executes requests through /$batch
+ *
+ * @param {Array<object>} requests - { id?, method?, url, headers?, body?, dependsOn? }.
+ *   url is relative to the Graph version root (e.g. "/me/messages/{id}").
+ *   A string body is sent as-is with the Content-Type given in headers (e.g.
+ *   OneNote page HTML); other bodies are sent as JSON. dependsOn lists ids of
+ *   earlier requests.
+ * @param {Function} callGraphApi - (endpoint, method, body, retry) => Promise<object>;
+ *   retry holds the retry options for the /$batch call itself
+ * @param {object} [options]
+ * @param {object|false} [options.retry] - Retry options (budget, sleep, random, ...)
+ *   or false to report throttled requests without retrying them
+ * @returns {Promise<Array<object>>} One result per request, in request order:
+ *   { id, status, ok, body, headers, error }
+ */
+export async function executeGraphBatch(requests, callGraphApi, options = {}) {
+  const prepared = normalizeRequests(requests);
+  const results = new Map();
+  const retry = options.retry === false ? null : (options.retry || {});
+  const budget = retry ? (retry.budget || createRetryBudget(retry)) : null;
+
+  for (const batch of planBatches(prepared)) {
+    // Requests whose dependency failed in an earlier batch are not sent
+    let pending = [];
+    batch.forEach(request => {
+      const failedDependency = request.dependsOn.find(id => results.has(id) && !results.get(id).ok);
+      if (failedDependency) {
+        results.set(request.id, createFailedResult(request.id, FAILED_DEPENDENCY_STATUS, `Dependency ${failedDependency} failed`));
+      } else {
+        pending.push(request);
+      }
+    });
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      const pendingIds = new Set(pending.map(request => request.id));
+      let response;
+      try {
+        response = await callGraphApi('/$batch', 'POST', {
+          requests: pending.map(request => toBatchRequest(request, pendingIds))
+        }, retry ? { ...retry, budget, idempotent: pending.every(request => isIdempotentMethod(request.method)) } : false);
+      } catch (error) {
+        // The batch call itself failed (network, authentication, throttling)
+        pending.forEach(request => results.set(request.id, createFailedResult(request.id, error.status || 0, error.message)));
+        break;
+      }
+
+      const responses = new Map((response?.responses || []).map(item => [String(item.id), item]));
+      pending.forEach(request => results.set(request.id, toResult(request.id, responses.get(request.id))));
+
+      pending = retry ? getRequestsToRetry(pending, results) : [];
+      if (pending.length === 0) {
+        break;
+      }
+
+      const delayMs = Math.max(...pending.map(request => {
+        const result = results.get(request.id);
+        return getRetryDelay({ status: result.status, retryAfterMs: parseRetryAfter(getHeader(result.headers, 'Retry-After')) }, attempt, retry, retry.random) || 0;
+      }));
+      if (!consumeRetryBudget(budget, delayMs)) {
+        break;
+      }
+      await (retry.sleep || wait)(delayMs);
+    }
+  }
+
+  return prepared.map(request => results.get(request.id));
+}
+
+// Requests to send again after a batch: throttled ones (503/504 only when
+// repeating the request is safe) and the ones that failed because a request
+// they depend on was throttled
+function getRequestsToRetry(requests, results) {
+  const retryIds = new Set();
+  requests.forEach(request => {
+    const { status } = results.get(request.id);
+    const throttled = status === 429 || (isRetryableStatus(status) && isIdempotentMethod(request.method));
+    const blocked = status === FAILED_DEPENDENCY_STATUS && request.dependsOn.some(id => retryIds.has(id));
+    if (throttled || blocked) {
+      retryIds.add(request.id);
+    }
+  });
+  return requests.filter(request => retryIds.has(request.id));
+}
+
+/**
+ * Splits requests into batches of at most MAX_BATCH_SIZE, keeping requests
+ * that depend on each other together where possible
+ *
+ * @param {Array<object>} requests - Normalized requests (see normalizeRequests)
+ * @returns {Array<Array<object>>} Batches in execution order
+ */
+export function planBatches(requests) {
+  // Group requests connected through dependsOn (union-find)
+  const parent = new Map(requests.map(request => [request.id, request.id]));
+  const find = id => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  requests.forEach(request => {
+    request.dependsOn.forEach(dependencyId => parent.set(find(request.id), find(dependencyId)));
+  });
+
+  const groups = new Map();
+  requests.forEach(request => {
+    const root = find(request.id);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(request);
+  });
+
+  const batches = [];
+  let current = [];
+  const flush = () => {
+    if (current.length > 0) {
+      batches.push(current);
+      current = [];
+    }
+  };
+
+  for (const group of groups.values()) {
+    if (group.length > MAX_BATCH_SIZE) {
+      // Too long for one batch: consecutive batches keep the order
+      flush();
+      for (let i = 0; i < group.length; i += MAX_BATCH_SIZE) {
+        batches.push(group.slice(i, i + MAX_BATCH_SIZE));
+      }
+    } else {
+      if (current.length + group.length > MAX_BATCH_SIZE) {
+        flush();
+      }
+      current.push(...group);
+    }
+  }
+  flush();
+
+  return batches;
+}
+
+/**
+ * Assigns ids and validates dependsOn references
+ *
+ * @param {Array<object>} requests - Requests as passed to executeGraphBatch()
+ * @returns {Array<object>} Requests with string id, method and dependsOn array
+ */
+export function normalizeRequests(requests) {
+  const seen = new Set();
+
+  return requests.map((request, index) => {
+    const id = String(request.id ?? index + 1);
+    if (seen.has(id)) {
+      throw new Error(`Duplicate batch request id: ${id}`);
+    }
+
+    const dependsOn = (request.dependsOn || []).map(String);
+    const unknown = dependsOn.find(dependencyId => !seen.has(dependencyId));
+    if (unknown) {
+      throw new Error(`Batch request ${id} depends on ${unknown}, which is not an earlier request`);
+    }
+
+    seen.add(id);
+    return { ...request, id, method: (request.method || 'GET').toUpperCase(), dependsOn };
+  });
+}
+
+// Build the JSON entry for one request. dependsOn is limited to requests in
+// the same batch; earlier batches have already completed.
+function toBatchRequest(request, batchIds) {
+  const entry = {
+    id: request.id,
+    method: request.method,
+    url: request.url
+  };
+
+  const headers = { ...(request.headers || {}) };
+  if (request.body !== undefined && request.body !== null) {
+    if (typeof request.body === 'string') {
+      // Non-JSON bodies are sent base64-encoded with their own Content-Type
+      entry.body = encodeBase64(request.body);
+    } else {
+      entry.body = request.body;
+      headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+    }
+  }
+  if (Object.keys(headers).length > 0) {
+    entry.headers = headers;
+  }
+
+  const dependsOn = request.dependsOn.filter(id => batchIds.has(id));
+  if (dependsOn.length > 0) {
+    entry.dependsOn = dependsOn;
+  }
+
+  return entry;
+}
+
+function toResult(id, response) {
+  if (!response) {
+    return createFailedResult(id, 0, 'No response for request in batch');
+  }
+
+  const status = Number(response.status);
+  const ok = status >= 200 && status < 300;
+  const headers = response.headers || {};
+  const body = decodeBody(response.body, headers);
+  const error = body?.error;
+
+  return {
+    id,
+    status,
+    ok,
+    body: body ?? null,
+    headers,
+    error: ok ? null : `${status}${error?.code ? ` ${error.code}` : ''}${error?.message ? `: ${error.message}` : ''}`
+  };
+}
+
+function createFailedResult(id, status, message) {
+  return { id, status, ok: false, body: null, headers: {}, error: message };
+}
+
+// Graph sends JSON bodies as JSON and every other body base64 encoded, so the
+// response's Content-Type decides how the body is decoded
+function decodeBody(body, headers) {
+  const contentType = getHeader(headers, 'Content-Type');
+  if (typeof body !== 'string' || !contentType) {
+    return body;
+  }
+  const [mediaType, ...parameters] = contentType.split(';').map(part => part.trim().toLowerCase());
+  if (mediaType === 'application/json' || mediaType.endsWith('+json')) {
+    return body;
+  }
+
+  const charset = parameters.find(parameter => parameter.startsWith('charset='))?.slice('charset='.length).replace(/"/g, '');
+  try {
+    const binary = atob(body.replace(/\s/g, ''));
+    return new TextDecoder(charset || 'utf-8').decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+  } catch (error) {
+    console.warn(`⚠️ Could not decode ${mediaType} batch response body:`, error.message);
+    return body;
+  }
+}
+
+function getHeader(headers, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+}
+
+// UTF-8 safe base64 encoding
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
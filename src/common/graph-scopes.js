@@ -0,0 +1,124 @@
+/**
+ * Microsoft Graph Scope Sets
+ *
+ * The add-in asks for permissions when an operation first needs them instead
+ * of all at sign-in (incremental consent). Signing in only grants notebook
+ * browsing; reading mail is consented when the first thread is exported.
+ *
+ * Scopes are compared in their full form (https://graph.microsoft.com/Mail.Read)
+ * and case-insensitively; token endpoints report them in the short form.
+ */
+
+import { decodeJwtPayload } from './token-lifetime.js';
+
+export const GRAPH_RESOURCE = 'https://graph.microsoft.com/';
+
+// OpenID Connect scopes that are not Graph permissions
+const OIDC_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+
+/**
+ * Scopes each operation needs. description completes "Outlook2OneNote needs
+ * permission to ..." in the task pane prompt.
+ */
+export const SCOPE_SETS = {
+  NOTEBOOK_BROWSING: {
+    name: 'notebookBrowsing',
+    description: 'see your OneNote notebooks and add pages to the one you choose',
+    scopes: [`${GRAPH_RESOURCE}User.Read`, `${GRAPH_RESOURCE}Notes.ReadWrite`]
+  },
+  THREAD_READING: {
+    name: 'threadReading',
+    description: 'read the messages of the email threads you export',
+    scopes: [`${GRAPH_RESOURCE}Mail.Read`]
+  },
+  ATTACHMENT_EXPORT: {
+    name: 'attachmentExport',
+    description: 'read the attachments of the emails you export',
+    scopes: [`${GRAPH_RESOURCE}Mail.Read`]
+  },
+  CATEGORY_TAGGING: {
+    name: 'categoryTagging',
+    description: 'tag exported emails with an Outlook category',
+    scopes: [`${GRAPH_RESOURCE}Mail.ReadWrite`]
+  }
+};
+
+/**
+ * Scopes requested at sign-in
+ */
+export const SIGN_IN_SCOPES = SCOPE_SETS.NOTEBOOK_BROWSING.scopes;
+
+/**
+ * Graph scopes in their full form, without OpenID Connect scopes and duplicates
+ *
+ * @param {string|Array<string>|null} scopes - Space-separated string or array
+ * @returns {Array<string>} Full scope URIs
+ */
+export function normalizeScopes(scopes) {
+  const list = typeof scopes === 'string' ? scopes.split(' ') : (scopes || []);
+  const normalized = list
+    .map(scope => scope.trim())
+    .filter(scope => scope && !OIDC_SCOPES.includes(scope.toLowerCase()))
+    .map(scope => (scope.includes('://') ? scope : `${GRAPH_RESOURCE}${scope}`));
+  return [...new Set(normalized)];
+}
+
+/**
+ * Union of scope lists
+ *
+ * @param {...Array<string>} scopeLists - Scope lists (null entries are skipped)
+ * @returns {Array<string>} Full scope URIs
+ */
+export function mergeScopes(...scopeLists) {
+  const merged = [];
+  scopeLists.filter(Boolean).forEach(list => {
+    normalizeScopes(list).forEach(scope => {
+      if (!merged.some(existing => existing.toLowerCase() === scope.toLowerCase())) {
+        merged.push(scope);
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * Required scopes a token was not granted
+ *
+ * @param {Array<string>} required - Scopes an operation needs
+ * @param {Array<string>|null} granted - Scopes of the token; null when unknown
+ * @returns {Array<string>} Missing scopes; empty when the granted scopes are unknown
+ */
+export function getMissingScopes(required, granted) {
+  if (!granted) {
+    return [];
+  }
+  const grantedScopes = normalizeScopes(granted).map(scope => scope.toLowerCase());
+  return normalizeScopes(required).filter(scope => !grantedScopes.includes(scope.toLowerCase()));
+}
+
+/**
+ * Scopes granted to a token, from the token response or else the token's
+ * "scp" claim
+ *
+ * @param {string} accessToken - Access token
+ * @param {string|Array<string>|null} [responseScopes] - scope of the token response / MSAL result
+ * @returns {Array<string>|null} Full scope URIs, or null when unknown (opaque token, no scope in the response)
+ */
+export function getGrantedScopes(accessToken, responseScopes = null) {
+  const fromResponse = normalizeScopes(responseScopes);
+  if (fromResponse.length > 0) {
+    return fromResponse;
+  }
+  const claims = decodeJwtPayload(accessToken);
+  return claims && typeof claims.scp === 'string' ? normalizeScopes(claims.scp) : null;
+}
+
+/**
+ * Short names for display, e.g. "Mail.Read"
+ *
+ * @param {Array<string>} scopes - Scopes
+ * @returns {string} Comma-separated short names
+ */
+export function formatScopes(scopes) {
+  return normalizeScopes(scopes).map(scope => scope.replace(GRAPH_RESOURCE, '')).join(', ');
+}
@@ -0,0 +1,664 @@
+/* eslint-disable no-unused-vars */
+
+/**
+ * Email HTML Sanitizer and OneNote Normalizer
+ *
+ * This module turns email content into HTML that is safe to store and that
+ * the OneNote page-create API accepts.
+ *
+ * Email HTML is written for mail clients, not for OneNote:
+ * - Scripts, event handlers and javascript: links must never reach a notebook
+ * - Tracking pixels and remote CSS backgrounds leak "opened" events
+ * - Outlook/Word markup (<o:p>, VML, conditional comments) and layout tables
+ *   render poorly or are rejected by the OneNote API
+ *
+ * Processing pipeline:
+ * 1. parseHtml()      - tolerant tokenizer building a small node tree
+ * 2. sanitize         - drop dangerous/hidden elements, attributes and URLs
+ * 3. normalize        - map tags, CSS and layout tables to OneNote's subset
+ * 4. serializeHtml()  - emit the resulting HTML fragment
+ *
+ * The module has no DOM dependency so it runs in the task pane and in Node tests.
+ *
+ * References:
+ * - https://learn.microsoft.com/graph/onenote-input-output-html
+ */
+
+// Elements without a closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is raw text, not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp']);
+
+// Elements removed together with everything inside them
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'head', 'title', 'meta', 'link', 'base',
+  'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'param',
+  'noscript', 'template', 'svg', 'math', 'xml',
+  'input', 'button', 'select', 'option', 'textarea',
+  'colgroup', 'col', 'map', 'area', 'audio', 'video', 'source', 'track', 'canvas'
+]);
+
+// Block elements that implicitly close an open <p>, as in browsers
+const CLOSES_PARAGRAPH = new Set([
+  'p', 'div', 'table', 'ul', 'ol', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr'
+]);
+
+// Namespaced Office elements removed with their content (VML shapes, Word XML data)
+const DROPPED_NAMESPACES = new Set(['v', 'w', 'm']);
+
+// Elements the OneNote API accepts as-is
+const ONENOTE_ELEMENTS = new Set([
+  'div', 'span', 'p', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'b', 'strong', 'i', 'em', 'u', 'strike', 'del', 'sup', 'sub', 'cite',
+  'a', 'img', 'ul', 'ol', 'li', 'pre', 'table', 'tr', 'td'
+]);
+
+// Elements rewritten to an accepted element (with an optional inline style)
+const ELEMENT_REPLACEMENTS = {
+  th: { tag: 'td', style: 'font-weight: bold' },
+  s: { tag: 'del' },
+  ins: { tag: 'u' },
+  font: { tag: 'span' },
+  center: { tag: 'div', style: 'text-align: center' },
+  blockquote: { tag: 'div' },
+  code: { tag: 'span', style: 'font-family: Consolas, monospace' },
+  tt: { tag: 'span', style: 'font-family: Consolas, monospace' },
+  kbd: { tag: 'span', style: 'font-family: Consolas, monospace' },
+  samp: { tag: 'span', style: 'font-family: Consolas, monospace' },
+  hr: { tag: 'br' },
+  dl: { tag: 'div' },
+  dt: { tag: 'p', style: 'font-weight: bold' },
+  dd: { tag: 'p' },
+  address: { tag: 'div' },
+  article: { tag: 'div' },
+  aside: { tag: 'div' },
+  section: { tag: 'div' },
+  header: { tag: 'div' },
+  footer: { tag: 'div' },
+  main: { tag: 'div' },
+  nav: { tag: 'div' },
+  figure: { tag: 'div' },
+  figcaption: { tag: 'div' },
+  caption: { tag: 'p', style: 'font-weight: bold' }
+};
+
+// CSS properties OneNote honours; everything else (margins, mso-*, positioning) is dropped
+const ALLOWED_CSS_PROPERTIES = new Set([
+  'color', 'background-color', 'font-family', 'font-size', 'font-weight', 'font-style', 'text-decoration', 'text-align'
+]);
+
+// Sizing is only kept on elements where OneNote uses it
+const SIZED_ELEMENTS = new Set(['img', 'table', 'td']);
+
+// CSS values that can execute code or load remote content
+const UNSAFE_CSS_VALUE = /expression\s*\(|url\s*\(|javascript:|behavior\s*:|@import/i;
+
+// Well-known open-tracking endpoints
+const TRACKER_PATTERNS = [
+  /sendgrid\.net\/wf\/open/i,
+  /list-manage\.com\/track\/open/i,
+  /mandrillapp\.com\/track\/open/i,
+  /google-analytics\.com\/collect/i,
+  /\/track\/open/i,
+  /\/(open|pixel|beacon|track|spacer)\.(gif|png)(\?|$)/i
+];
+
+const LINK_SCHEMES = /^(https?:|mailto:|tel:|#)/i;
+const IMAGE_SCHEMES = /^(https?:|name:|data:image\/(png|gif|jpe?g|bmp|webp);base64,)/i;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Escapes text for use in HTML content or a quoted attribute value
+ *
+ * Use this for every piece of email metadata (subject, names, addresses)
+ * that is interpolated into page HTML.
+ *
+ * @param {*} value - Value to escape (null/undefined become an empty string)
+ * @returns {string} HTML-safe string
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Converts a plain-text email body to HTML, keeping line breaks
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped HTML fragment
+ */
+export function textToHtml(text) {
+  return escapeHtml(text).replace(/\r\n|\r|\n/g, '<br />');
+}
+
+/**
+ * Sanitizes email HTML and normalizes it for the OneNote page API
+ *
+ * Accepts a full HTML document or a fragment and returns a body fragment.
+ *
+ * Inline images referenced as "cid:" only survive when
+ * options.rewriteImageSource maps them to a reachable source (for example a
+ * "name:" multipart part); returning null from the callback drops the image.
+ *
+ * @param {string} html - Email HTML as returned by Microsoft Graph
+ * @param {object} [options] - Processing options
+ * @param {function(string): ?string} [options.rewriteImageSource] - Maps an image src to its exported src
+ * @returns {string} Safe, OneNote-compatible HTML fragment
+ */
+export function sanitizeEmailHtml(html, options = {}) {
+  const tree = parseHtml(html);
+  const children = transformChildren(tree.children, options);
+  return serializeHtml({ type: 'root', children }).trim();
+}
+
+/**
+ * Parses HTML into a lightweight node tree
+ *
+ * Node shapes:
+ * - { type: 'root', children }
+ * - { type: 'element', name, attrs, children } (attribute values are decoded)
+ * - { type: 'text', value } (value is still HTML-encoded)
+ * - { type: 'comment', value }
+ *
+ * The parser is tolerant: unmatched closing tags are ignored, unclosed
+ * elements are closed at the end of input and stray "<" becomes text.
+ *
+ * @param {string} html - HTML to parse
+ * @returns {object} Root node
+ */
+export function parseHtml(html) {
+  const source = String(html || '');
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const tagPattern = /<(\/?)([a-zA-Z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let pos = 0;
+
+  while (pos < source.length) {
+    const current = stack[stack.length - 1];
+    const lt = source.indexOf('<', pos);
+
+    if (lt === -1) {
+      appendText(current, source.slice(pos));
+      break;
+    }
+
+    if (lt > pos) {
+      appendText(current, source.slice(pos, lt));
+    }
+    pos = lt;
+
+    // Comments, including Outlook conditional comments (<!--[if mso]>...<![endif]-->)
+    if (source.startsWith('<!--', pos)) {
+      const end = source.indexOf('-->', pos + 4);
+      current.children.push({ type: 'comment', value: source.slice(pos + 4, end === -1 ? source.length : end) });
+      pos = end === -1 ? source.length : end + 3;
+      continue;
+    }
+
+    // Doctype, CDATA, processing instructions and downlevel-revealed conditionals (<![if !mso]>)
+    if (source.startsWith('<!', pos) || source.startsWith('<?', pos)) {
+      const end = source.indexOf('>', pos);
+      pos = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    tagPattern.lastIndex = pos;
+    const match = tagPattern.exec(source);
+    if (!match || match.index !== pos) {
+      appendText(current, '&lt;');
+      pos += 1;
+      continue;
+    }
+    pos = tagPattern.lastIndex;
+
+    const [, closing, rawName, rawAttributes] = match;
+    const name = rawName.toLowerCase();
+
+    if (closing) {
+      closeElement(stack, name);
+      continue;
+    }
+
+    if (CLOSES_PARAGRAPH.has(name) && current.name === 'p') {
+      stack.pop();
+    }
+
+    const selfClosing = /\/\s*$/.test(rawAttributes);
+    const node = { type: 'element', name, attrs: parseAttributes(rawAttributes), children: [] };
+    stack[stack.length - 1].children.push(node);
+
+    if (RAW_TEXT_ELEMENTS.has(name) && !selfClosing) {
+      const endPattern = new RegExp(`</${name}\\s*>`, 'ig');
+      endPattern.lastIndex = pos;
+      const endMatch = endPattern.exec(source);
+      const end = endMatch ? endMatch.index : source.length;
+      node.children.push({ type: 'text', value: source.slice(pos, end) });
+      pos = endMatch ? endPattern.lastIndex : source.length;
+      continue;
+    }
+
+    if (!VOID_ELEMENTS.has(name) && !selfClosing) {
+      stack.push(node);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Serializes a node tree produced by parseHtml back to HTML
+ *
+ * @param {object} node - Root, element, text or comment node
+ * @returns {string} HTML
+ */
+export function serializeHtml(node) {
+  if (!node) {
+    return '';
+  }
+
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'comment':
+      return `<!--${node.value}-->`;
+    case 'root':
+      return node.children.map(serializeHtml).join('');
+    default: {
+      const attributes = Object.keys(node.attrs || {})
+        .map(name => ` ${name}="${escapeHtml(node.attrs[name])}"`)
+        .join('');
+
+      if (VOID_ELEMENTS.has(node.name)) {
+        return `<${node.name}${attributes} />`;
+      }
+      return `<${node.name}${attributes}>${node.children.map(serializeHtml).join('')}</${node.name}>`;
+    }
+  }
+}
+
+/**
+ * Decodes the HTML character references that matter for URL and style checks
+ *
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const codePoint = code[1] === 'x' || code[1] === 'X'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : entity;
+  });
+}
+
+// --- Parsing helpers ---
+
+function appendText(parent, value) {
+  if (!value) {
+    return;
+  }
+  const last = parent.children[parent.children.length - 1];
+  if (last && last.type === 'text') {
+    last.value += value;
+  } else {
+    parent.children.push({ type: 'text', value });
+  }
+}
+
+function closeElement(stack, name) {
+  for (let i = stack.length - 1; i > 0; i--) {
+    if (stack[i].name === name) {
+      stack.length = i;
+      return;
+    }
+  }
+  // Unmatched closing tag - ignore it
+}
+
+function parseAttributes(raw) {
+  const attrs = {};
+  const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+
+  while ((match = attributePattern.exec(raw)) !== null) {
+    const name = match[1].toLowerCase();
+    if (attrs[name] !== undefined) {
+      continue; // First occurrence wins, as in browsers
+    }
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attrs[name] = decodeEntities(value || '');
+  }
+
+  return attrs;
+}
+
+// --- Sanitize + normalize ---
+
+function transformChildren(children, options) {
+  const result = [];
+  children.forEach(child => {
+    transformNode(child, options).forEach(node => {
+      if (node.type === 'text') {
+        appendText({ children: result }, node.value);
+      } else {
+        result.push(node);
+      }
+    });
+  });
+  return result;
+}
+
+function transformNode(node, options) {
+  if (node.type === 'text') {
+    return [{ type: 'text', value: normalizeText(node.value) }];
+  }
+
+  if (node.type !== 'element') {
+    return []; // Comments (and Outlook conditional blocks) never reach OneNote
+  }
+
+  const name = node.name;
+
+  if (name.includes(':')) {
+    // Office namespaces: drop VML/Word data, unwrap <o:p> and smart tags
+    const prefix = name.split(':')[0];
+    return DROPPED_NAMESPACES.has(prefix) ? [] : transformChildren(node.children, options);
+  }
+
+  if (DROPPED_ELEMENTS.has(name) || isHiddenElement(node)) {
+    return [];
+  }
+
+  if (name === 'img') {
+    return transformImage(node, options);
+  }
+
+  if (name === 'table') {
+    return isLayoutTable(node) ? unwrapLayoutTable(node, options) : transformDataTable(node, options);
+  }
+
+  const replacement = ELEMENT_REPLACEMENTS[name];
+  const tag = ONENOTE_ELEMENTS.has(name) ? name : replacement?.tag;
+
+  if (!tag) {
+    // Unknown or structural element (html, body, thead, tbody, form, ...) - keep its content only
+    return transformChildren(node.children, options);
+  }
+
+  const attrs = transformAttributes(node, tag, replacement?.style);
+  const children = VOID_ELEMENTS.has(tag) ? [] : transformChildren(node.children, options);
+
+  // Links whose href was unsafe lose the element but keep their text
+  if (tag === 'a' && !attrs.href) {
+    return children;
+  }
+
+  return [{ type: 'element', name: tag, attrs, children }];
+}
+
+function transformImage(node, options) {
+  const originalSrc = cleanUrl(node.attrs.src);
+  const src = options.rewriteImageSource ? options.rewriteImageSource(originalSrc) : originalSrc;
+
+  if (!src || !IMAGE_SCHEMES.test(src) || isTrackingImage(node, src)) {
+    return [];
+  }
+
+  const attrs = { src };
+  if (node.attrs.alt) {
+    attrs.alt = node.attrs.alt;
+  }
+  ['width', 'height'].forEach(dimension => {
+    const value = parseInt(node.attrs[dimension], 10);
+    if (value > 0) {
+      attrs[dimension] = String(value);
+    }
+  });
+
+  const style = filterStyle(node.attrs.style, 'img');
+  if (style) {
+    attrs.style = style;
+  }
+
+  return [{ type: 'element', name: 'img', attrs, children: [] }];
+}
+
+function transformDataTable(node, options) {
+  const captions = [];
+  const rows = [];
+
+  collectTableRows(node, rows, captions);
+
+  const table = {
+    type: 'element',
+    name: 'table',
+    attrs: transformAttributes(node, 'table'),
+    children: rows.map(row => ({
+      type: 'element',
+      name: 'tr',
+      attrs: transformAttributes(row, 'tr'),
+      children: getRowCells(row).flatMap(cell => transformNode(cell, options))
+    }))
+  };
+
+  // OneNote rejects <caption>; render it as a bold paragraph above the table
+  return [...captions.flatMap(caption => transformNode(caption, options)), table];
+}
+
+function unwrapLayoutTable(node, options) {
+  const rows = [];
+  collectTableRows(node, rows, rows);
+
+  return rows.flatMap(row => {
+    if (row.name === 'caption') {
+      return transformNode(row, options);
+    }
+    return getRowCells(row).map(cell => ({
+      type: 'element',
+      name: 'div',
+      attrs: transformAttributes(cell, 'div'),
+      children: transformChildren(cell.children, options)
+    }));
+  });
+}
+
+// Rows of this table only (through thead/tbody/tfoot), never rows of nested tables
+function collectTableRows(node, rows, captions) {
+  node.children.forEach(child => {
+    if (child.type !== 'element') {
+      return;
+    }
+    if (child.name === 'tr') {
+      rows.push(child);
+    } else if (child.name === 'caption') {
+      captions.push(child);
+    } else if (child.name === 'thead' || child.name === 'tbody' || child.name === 'tfoot') {
+      collectTableRows(child, rows, captions);
+    }
+  });
+}
+
+function getRowCells(row) {
+  return row.children.filter(child => child.type === 'element' && (child.name === 'td' || child.name === 'th'));
+}
+
+// Tables used for positioning rather than tabular data
+function isLayoutTable(node) {
+  const role = (node.attrs.role || '').toLowerCase();
+  if (role === 'presentation' || role === 'none') {
+    return true;
+  }
+
+  if (containsElement(node, 'table')) {
+    return true;
+  }
+
+  const rows = [];
+  collectTableRows(node, rows, []);
+  return rows.length === 1 && getRowCells(rows[0]).length === 1;
+}
+
+function containsElement(node, name) {
+  return node.children.some(child =>
+    child.type === 'element' && (child.name === name || containsElement(child, name))
+  );
+}
+
+function isHiddenElement(node) {
+  if (node.attrs.hidden !== undefined) {
+    return true;
+  }
+  const style = (node.attrs.style || '').toLowerCase().replace(/\s+/g, '');
+  return style.includes('display:none') ||
+    style.includes('visibility:hidden') ||
+    style.includes('mso-hide:all');
+}
+
+function isTrackingImage(node, src) {
+  const width = parseInt(node.attrs.width, 10);
+  const height = parseInt(node.attrs.height, 10);
+  if ((width >= 0 && width <= 1) || (height >= 0 && height <= 1)) {
+    return true;
+  }
+
+  const style = (node.attrs.style || '').toLowerCase().replace(/\s+/g, '');
+  if (/(^|;)(width|height):[01]px/.test(style)) {
+    return true;
+  }
+
+  return TRACKER_PATTERNS.some(pattern => pattern.test(src));
+}
+
+function transformAttributes(node, tag, extraStyle = '') {
+  const source = node.attrs;
+  const attrs = {};
+  const styles = [];
+
+  if (extraStyle) {
+    styles.push(extraStyle);
+  }
+
+  // Presentational attributes become the equivalent inline CSS
+  if (source.align && /^(left|right|center|justify)$/i.test(source.align) && tag !== 'table') {
+    styles.push(`text-align: ${source.align.toLowerCase()}`);
+  }
+  if (source.bgcolor && isSafeCssValue(source.bgcolor)) {
+    styles.push(`background-color: ${source.bgcolor}`);
+  }
+  if (node.name === 'font') {
+    if (source.color && isSafeCssValue(source.color)) {
+      styles.push(`color: ${source.color}`);
+    }
+    if (source.face && isSafeCssValue(source.face)) {
+      styles.push(`font-family: ${source.face}`);
+    }
+  }
+
+  const filtered = filterStyle(source.style, tag);
+  if (filtered) {
+    styles.push(filtered);
+  }
+  if (styles.length > 0) {
+    attrs.style = styles.join('; ');
+  }
+
+  if (tag === 'a') {
+    const href = cleanUrl(source.href);
+    if (href && LINK_SCHEMES.test(href)) {
+      attrs.href = href;
+    }
+    if (source.title) {
+      attrs.title = source.title;
+    }
+  }
+
+  if (tag === 'td') {
+    ['colspan', 'rowspan'].forEach(name => {
+      const value = parseInt(source[name], 10);
+      if (value > 1) {
+        attrs[name] = String(value);
+      }
+    });
+  }
+
+  if (tag === 'table') {
+    const border = parseInt(source.border, 10);
+    attrs.border = String(border > 0 ? border : 1);
+  }
+
+  return attrs;
+}
+
+function filterStyle(style, tag) {
+  if (!style) {
+    return '';
+  }
+
+  return decodeEntities(style)
+    .split(';')
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) {
+        return null;
+      }
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      const value = declaration.slice(colon + 1).replace(/!important/gi, '').trim();
+
+      if (!value || !isSafeCssValue(value)) {
+        return null;
+      }
+      const allowed = ALLOWED_CSS_PROPERTIES.has(property) ||
+        ((property === 'width' || property === 'height') && SIZED_ELEMENTS.has(tag));
+      return allowed ? `${property}: ${value}` : null;
+    })
+    .filter(Boolean)
+    .join('; ');
+}
+
+function isSafeCssValue(value) {
+  return !UNSAFE_CSS_VALUE.test(value) && !/[<>]/.test(value);
+}
+
+// Attribute values are already decoded; strip the control characters browsers
+// ignore inside URLs so "java&#9;script:" cannot slip past the scheme check
+function cleanUrl(url) {
+  if (!url) {
+    return '';
+  }
+  return Array.from(String(url))
+    .filter(char => {
+      const code = char.charCodeAt(0);
+      return code > 0x1f && code !== 0x7f;
+    })
+    .join('')
+    .trim();
+}
+
+function normalizeText(value) {
+  // Bare "&" that does not start a character reference must be escaped
+  return value
+    .replace(/&(?!#?[a-zA-Z0-9]+;)/g, '&amp;')
+    .replace(/</g, '&lt;');
+}
@@ -0,0 +1,343 @@
+/* eslint-disable no-unused-vars */
+
+/**
+ * Quoted-Reply and Signature Trimming
+ *
+ * When a thread is exported page-per-message, every reply repeats the whole
+ * history below it. This module finds where a message's own content ends and
+ * splits the body into the new content and the trimmed remainder.
+ *
+ * Detected markers (first one in document order wins):
+ * - Gmail:   div.gmail_quote, div.gmail_signature
+ * - Outlook: #divRplyFwdMsg, #appendonsend, #Signature, "From: ... Sent: ..." header blocks,
+ *            "-----Original Message-----" and underscore separators
+ * - Apple:   blockquote[type=cite]
+ * - Yahoo:   div.yahoo_quoted
+ * - Generic: "On ... wrote:" headers, "-- " signature delimiter, "Sent from my ..." lines,
+ *            confidentiality/disclaimer blocks
+ *
+ * The stage runs between getConversationDataForExport() and page generation.
+ * Depending on the mode the trimmed content is dropped or kept separately so
+ * the page can render it under a collapsible "Quoted text" heading.
+ */
+
+import { parseHtml, serializeHtml, decodeEntities } from './html-sanitizer.js';
+
+/**
+ * Reply trimming modes (stored in the "replyTrimming" user setting)
+ */
+export const REPLY_TRIMMING_MODES = {
+  OFF: 'off',           // Export bodies unchanged
+  REMOVE: 'remove',     // Drop quoted history, signatures and disclaimers
+  COLLAPSE: 'collapse'  // Keep trimmed content separately, rendered below the message
+};
+
+export const DEFAULT_REPLY_TRIMMING_MODE = REPLY_TRIMMING_MODES.REMOVE;
+
+// Header and separator lines that start quoted history or a signature
+const LINE_MARKERS = [
+  { type: 'original-message', pattern: /^\s*-{2,}\s*Original Message\s*-{2,}\s*$/i },
+  { type: 'forwarded-message', pattern: /^\s*-{2,}\s*Forwarded message\s*-{2,}\s*$/i },
+  { type: 'outlook-separator', pattern: /^\s*_{20,}\s*$/ },
+  { type: 'signature', pattern: /^--\s?$/ },
+  { type: 'mobile-signature', pattern: /^\s*Sent from (my|Outlook|Mail for)\b.{0,40}$/i }
+];
+
+// "On <date>, <name> wrote:" in the languages we see most
+const WROTE_HEADER = /^\s*(On\b[\s\S]{5,300}\bwrote|Am\b[\s\S]{5,300}\bschrieb|Le\b[\s\S]{5,300}\ba écrit|El\b[\s\S]{5,300}\bescribió)\s*:\s*$/i;
+
+// Outlook-style "From: ... Sent: ..." header block
+const FROM_SENT_HEADER = /^\s*From:[\s\S]{1,300}?\b(Sent|Date):[\s\S]*\b(To|Subject):/i;
+
+// Legal disclaimers appended by mail gateways
+const DISCLAIMER = /^\s*(CONFIDENTIALITY NOTICE|DISCLAIMER|This (e-?mail|message)( and any (files|attachments)( transmitted with it)?)? (is|are|contains?|may contain) (strictly )?(confidential|privileged))/i;
+
+// Header blocks are short; longer elements are containers, not markers
+const MAX_HEADER_LENGTH = 600;
+
+const BLOCK_ELEMENTS = new Set(['div', 'p', 'blockquote', 'td', 'li', 'table', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+/**
+ * Trims quoted replies, signatures and disclaimers from every message of a conversation
+ *
+ * @param {Array<object>} conversationData - Export data from getConversationDataForExport()
+ * @param {string} [mode] - One of REPLY_TRIMMING_MODES
+ * @returns {Array<object>} New message objects; body holds the message's own content and,
+ *   in collapse mode, quotedBody holds the trimmed content
+ */
+export function trimConversationReplies(conversationData, mode = DEFAULT_REPLY_TRIMMING_MODE) {
+  if (mode === REPLY_TRIMMING_MODES.OFF) {
+    return conversationData;
+  }
+
+  return conversationData.map(email => {
+    const result = trimReply(email.body, email.bodyContentType);
+
+    if (!result.wasTrimmed) {
+      return email;
+    }
+
+    console.log(`✂️ Trimmed reply content (${result.markers.join(', ')}) from "${email.subject}"`);
+    return {
+      ...email,
+      body: result.body,
+      quotedBody: mode === REPLY_TRIMMING_MODES.COLLAPSE ? result.quoted : '',
+      trimMarkers: result.markers
+    };
+  });
+}
+
+/**
+ * Splits one message body into its own content and the trimmed remainder
+ *
+ * Bodies that would become empty (e.g. a forward without a comment) are
+ * returned unchanged.
+ *
+ * @param {string} body - Message body
+ * @param {string} contentType - "html" or "text"
+ * @returns {{body: string, quoted: string, markers: Array<string>, wasTrimmed: boolean}}
+ */
+export function trimReply(body, contentType = 'html') {
+  const untrimmed = { body, quoted: '', markers: [], wasTrimmed: false };
+
+  if (!body) {
+    return untrimmed;
+  }
+
+  const result = contentType === 'html' ? trimHtmlReply(body) : trimTextReply(body);
+
+  if (!result || !hasVisibleContent(result.body, contentType)) {
+    return untrimmed;
+  }
+
+  return { ...result, wasTrimmed: true };
+}
+
+// --- HTML bodies ---
+
+function trimHtmlReply(html) {
+  const tree = parseHtml(html);
+  splitMarkerTextNodes(tree);
+
+  const marker = findMarker(tree);
+  if (!marker) {
+    return null;
+  }
+
+  const { before, after } = splitTree(tree, marker.node);
+  return {
+    body: serializeHtml(before),
+    quoted: serializeHtml(after),
+    markers: [marker.type]
+  };
+}
+
+// Split text nodes at separator lines ("-- ", "-----Original Message-----")
+// so the separator becomes its own node that can serve as a cut point
+function splitMarkerTextNodes(node) {
+  if (!node.children) {
+    return;
+  }
+
+  const children = [];
+  node.children.forEach(child => {
+    if (child.type !== 'text') {
+      splitMarkerTextNodes(child);
+      children.push(child);
+      return;
+    }
+
+    const lines = child.value.split(/(\r?\n)/);
+    let buffer = '';
+    lines.forEach(line => {
+      const marker = matchLineMarker(decodeEntities(line));
+      if (marker && buffer.trim()) {
+        children.push({ type: 'text', value: buffer });
+        buffer = '';
+      }
+      if (marker) {
+        children.push({ type: 'text', value: line, marker });
+      } else {
+        buffer += line;
+      }
+    });
+    if (buffer) {
+      children.push({ type: 'text', value: buffer });
+    }
+  });
+  node.children = children;
+}
+
+// Depth-first search in document order for the first quote/signature marker
+function findMarker(node) {
+  for (const child of node.children || []) {
+    if (child.type === 'text' && child.marker) {
+      return { node: child, type: child.marker };
+    }
+    if (child.type !== 'element') {
+      continue;
+    }
+
+    const type = getElementMarkerType(child);
+    if (type) {
+      return { node: child, type };
+    }
+
+    const nested = findMarker(child);
+    if (nested) {
+      return nested;
+    }
+  }
+  return null;
+}
+
+function getElementMarkerType(element) {
+  const id = (element.attrs.id || '').toLowerCase();
+  const classes = (element.attrs.class || '').toLowerCase().split(/\s+/);
+
+  if (classes.includes('gmail_quote') || classes.includes('gmail_quote_container')) {
+    return 'gmail-quote';
+  }
+  if (classes.includes('gmail_signature')) {
+    return 'gmail-signature';
+  }
+  if (classes.includes('yahoo_quoted')) {
+    return 'yahoo-quote';
+  }
+  if (id === 'divrplyfwdmsg' || id === 'appendonsend') {
+    return 'outlook-quote';
+  }
+  if (id === 'signature' || classes.includes('ms-outlook-mobile-signature')) {
+    return 'outlook-signature';
+  }
+  if (element.name === 'blockquote' && (element.attrs.type || '').toLowerCase() === 'cite') {
+    return 'apple-quote';
+  }
+  // Outlook Web separates the reply header with a bare <hr>
+  if (element.name === 'hr' && element.attrs.tabindex === '-1') {
+    return 'outlook-quote';
+  }
+
+  if (!BLOCK_ELEMENTS.has(element.name)) {
+    return null;
+  }
+
+  const text = getTextContent(element);
+  if (text.length > MAX_HEADER_LENGTH) {
+    return null;
+  }
+  if (WROTE_HEADER.test(text)) {
+    return 'wrote-header';
+  }
+  if (FROM_SENT_HEADER.test(text)) {
+    return 'outlook-header';
+  }
+  if (DISCLAIMER.test(text)) {
+    return 'disclaimer';
+  }
+  return null;
+}
+
+// Split a tree at a marker: "before" holds everything preceding the marker,
+// "after" the marker and everything following it, both keeping their ancestors
+function splitTree(node, marker) {
+  if (node === marker) {
+    return { before: null, after: node, found: true };
+  }
+  if (!node.children) {
+    return { before: node, after: null, found: false };
+  }
+
+  for (let i = 0; i < node.children.length; i++) {
+    const split = splitTree(node.children[i], marker);
+    if (!split.found) {
+      continue;
+    }
+
+    const beforeChildren = node.children.slice(0, i);
+    const afterChildren = node.children.slice(i + 1);
+    if (split.before) {
+      beforeChildren.push(split.before);
+    }
+    if (split.after) {
+      afterChildren.unshift(split.after);
+    }
+
+    return {
+      before: { ...node, children: beforeChildren },
+      after: { ...node, children: afterChildren },
+      found: true
+    };
+  }
+
+  return { before: node, after: null, found: false };
+}
+
+// Visible text of a node with entities decoded and non-breaking spaces normalized
+function getTextContent(node) {
+  return collectText(node).replace(/\u00a0/g, ' ').trim();
+}
+
+function collectText(node) {
+  if (node.type === 'text') {
+    return decodeEntities(node.value);
+  }
+  if (node.type === 'element' && node.name === 'br') {
+    return '\n';
+  }
+  return (node.children || []).map(collectText).join('');
+}
+
+// --- Plain-text bodies ---
+
+function trimTextReply(text) {
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 1; i < lines.length; i++) {
+    const type = getTextLineMarkerType(lines, i);
+    if (type) {
+      return {
+        body: lines.slice(0, i).join('\n').replace(/\s+$/, ''),
+        quoted: lines.slice(i).join('\n'),
+        markers: [type]
+      };
+    }
+  }
+  return null;
+}
+
+function getTextLineMarkerType(lines, index) {
+  const line = lines[index];
+  const lineMarker = matchLineMarker(line);
+  if (lineMarker) {
+    return lineMarker;
+  }
+
+  // "On ... wrote:" headers are often wrapped over two lines
+  if (WROTE_HEADER.test(line) || WROTE_HEADER.test(`${line} ${lines[index + 1] || ''}`)) {
+    return 'wrote-header';
+  }
+  if (/^\s*From:/i.test(line) && FROM_SENT_HEADER.test(lines.slice(index, index + 6).join('\n'))) {
+    return 'outlook-header';
+  }
+  if (/^>/.test(line)) {
+    return 'quoted-lines';
+  }
+  if (DISCLAIMER.test(line)) {
+    return 'disclaimer';
+  }
+  return null;
+}
+
+function matchLineMarker(line) {
+  const marker = LINE_MARKERS.find(({ pattern }) => pattern.test(line.replace(/\u00a0/g, ' ')));
+  return marker ? marker.type : null;
+}
+
+function hasVisibleContent(body, contentType) {
+  if (contentType !== 'html') {
+    return body.trim().length > 0;
+  }
+  const tree = parseHtml(body);
+  return /<img\b/i.test(body) || getTextContent(tree).length > 0;
+}
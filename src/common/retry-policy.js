@@ -0,0 +1,205 @@
+/**
+ * Graph Retry Policy
+ *
+ * Central retry rules for Microsoft Graph calls. OneNote throttles bulk
+ * exports heavily, so a throttled request must wait and try again instead of
+ * losing the page.
+ *
+ * - 429, 503 and 504 are retried after the Retry-After delay the service
+ *   sends, or after an exponential backoff when it sends none.
+ * - Network errors (fetch rejected) are retried with jittered exponential
+ *   backoff.
+ * - Every operation has a retry budget: a maximum number of retries and a
+ *   maximum total wait. A budget can be shared by several calls.
+ * - Non-idempotent requests (POST, PATCH) are only retried when the failure
+ *   proves the request was not carried out (429), or when the caller can check
+ *   whether it was carried out anyway (e.g. the page already exists).
+ */
+
+/**
+ * Response statuses that are worth retrying
+ */
+export const RETRYABLE_STATUSES = [429, 503, 504];
+
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 4,      // Retries per operation
+  baseDelayMs: 1000,  // First backoff delay
+  maxDelayMs: 30000,  // Longest backoff delay
+  budgetMs: 90000     // Total time an operation may spend waiting
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.includes(status);
+}
+
+export function isIdempotentMethod(method) {
+  return IDEMPOTENT_METHODS.includes((method || 'GET').toUpperCase());
+}
+
+/**
+ * Parses a Retry-After header value (seconds or an HTTP date)
+ *
+ * @param {string|null} value - Header value
+ * @param {number} [now] - Current time in ms, for HTTP dates
+ * @returns {number|null} Delay in ms, or null when missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * baseDelayMs * 2^attempt, capped at maxDelayMs
+ *
+ * @param {number} attempt - Number of retries already made (0 for the first retry)
+ * @param {object} [options] - baseDelayMs and maxDelayMs
+ * @param {Function} [random] - Random source returning [0, 1)
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(attempt, options = {}, random = Math.random) {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * How long to wait before retrying a failed request
+ *
+ * @param {Error} error - Error with status and retryAfterMs (HTTP errors) or
+ *   isNetworkError (fetch rejected)
+ * @param {number} attempt - Number of retries already made
+ * @param {object} [options] - Backoff options
+ * @param {Function} [random] - Random source returning [0, 1)
+ * @returns {number|null} Delay in ms, or null when the error is not retryable
+ */
+export function getRetryDelay(error, attempt, options = {}, random = Math.random) {
+  if (isRetryableStatus(error.status)) {
+    return typeof error.retryAfterMs === 'number' ? error.retryAfterMs : getBackoffDelay(attempt, options, random);
+  }
+  if (error.isNetworkError) {
+    return getBackoffDelay(attempt, options, random);
+  }
+  return null;
+}
+
+/**
+ * Whether a failed request may have been carried out by the service.
+ * A throttled request (429) was rejected before it was processed; after a
+ * gateway error or a lost connection the outcome is unknown.
+ *
+ * @param {Error} error - Failed request
+ * @returns {boolean}
+ */
+export function mayHaveCompleted(error) {
+  return error.status !== 429;
+}
+
+/**
+ * Creates a retry budget. Pass the same budget to several calls to limit the
+ * retries of a larger operation as a whole.
+ *
+ * @param {object} [options] - maxRetries and budgetMs
+ * @returns {{maxRetries: number, budgetMs: number, retries: number, waitedMs: number}}
+ */
+export function createRetryBudget(options = {}) {
+  const { maxRetries, budgetMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  return { maxRetries, budgetMs, retries: 0, waitedMs: 0 };
+}
+
+/**
+ * Takes one retry with the given delay from the budget
+ *
+ * @param {object} budget - Budget from createRetryBudget()
+ * @param {number} delayMs - Delay before the retry
+ * @returns {boolean} false when the budget does not allow the retry
+ */
+export function consumeRetryBudget(budget, delayMs) {
+  if (budget.retries >= budget.maxRetries || budget.waitedMs + delayMs > budget.budgetMs) {
+    return false;
+  }
+  budget.retries++;
+  budget.waitedMs += delayMs;
+  return true;
+}
+
+/**
+ * Runs an operation and retries it according to the policy
+ *
+ * @param {Function} operation - (attempt) => Promise; throws errors as described in getRetryDelay()
+ * @param {object} [options]
+ * @param {string} [options.method] - HTTP method, decides whether ambiguous failures may be retried
+ * @param {boolean} [options.idempotent] - Overrides the method check (e.g. a $batch of GETs)
+ * @param {object} [options.budget] - Shared budget from createRetryBudget(); a new one by default
+ * @param {Function} [options.checkCompleted] - For non-idempotent requests: () => Promise
+ *   resolving to the result when the failed request was carried out anyway, null otherwise
+ * @param {Function} [options.onRetry] - ({ error, retry, delayMs }) => void, called before waiting
+ * @param {Function} [options.sleep] - (ms) => Promise
+ * @param {Function} [options.random] - Random source for the jitter
+ * @returns {Promise<*>} Result of the operation (or of checkCompleted)
+ */
+export async function withRetry(operation, options = {}) {
+  const {
+    method = 'GET',
+    idempotent = isIdempotentMethod(method),
+    budget = createRetryBudget(options),
+    checkCompleted = null,
+    onRetry = null,
+    sleep = wait,
+    random = Math.random
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const delayMs = getRetryDelay(error, attempt, options, random);
+      if (delayMs === null) {
+        throw error;
+      }
+
+      // Repeating a POST that may have gone through would create a duplicate
+      const ambiguous = !idempotent && mayHaveCompleted(error);
+      if (ambiguous && !checkCompleted) {
+        throw error;
+      }
+
+      if (!consumeRetryBudget(budget, delayMs)) {
+        error.retryBudgetExhausted = true;
+        throw error;
+      }
+
+      if (onRetry) {
+        onRetry({ error, retry: budget.retries, delayMs });
+      }
+      await sleep(delayMs);
+
+      if (ambiguous) {
+        const completed = await checkCompleted();
+        if (completed) {
+          return completed;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Waits before the next attempt
+ *
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+export function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
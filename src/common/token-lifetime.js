@@ -0,0 +1,100 @@
+/**
+ * Access Token Lifetime
+ *
+ * Helpers to know when an access token expires and to recover from a token
+ * that the service no longer accepts. The expiry comes from the MSAL result
+ * (expiresOn) when there is one, otherwise from the JWT "exp" claim. Tokens
+ * without a readable expiry (e.g. opaque personal account tokens) are used
+ * until Graph rejects them with 401.
+ */
+
+/**
+ * Tokens are refreshed this long before they expire
+ */
+export const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Decodes the payload of a JWT without validating it
+ *
+ * @param {string} token - JWT access token
+ * @returns {object|null} Claims, or null when the token is not a readable JWT
+ */
+export function decodeJwtPayload(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+    const json = new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    return JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Expiry time of an access token
+ *
+ * @param {string} token - Access token
+ * @param {Date|string|number|null} [expiresOn] - Expiry reported by the token endpoint or MSAL
+ * @returns {number|null} Expiry in ms since the epoch, or null when unknown
+ */
+export function getTokenExpiry(token, expiresOn = null) {
+  if (expiresOn) {
+    const time = new Date(expiresOn).getTime();
+    if (!Number.isNaN(time)) {
+      return time;
+    }
+  }
+
+  const claims = decodeJwtPayload(token);
+  return claims && typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+}
+
+/**
+ * Whether a token can still be used without refreshing it first
+ *
+ * @param {number|null} expiresAt - Expiry from getTokenExpiry()
+ * @param {number} [now] - Current time in ms
+ * @param {number} [marginMs] - How long before the expiry the token counts as expired
+ * @returns {boolean} true when the token is valid beyond the margin or its expiry is unknown
+ */
+export function isTokenFresh(expiresAt, now = Date.now(), marginMs = TOKEN_REFRESH_MARGIN_MS) {
+  return expiresAt === null || expiresAt - marginMs > now;
+}
+
+/**
+ * How long to wait before refreshing a token ahead of its expiry
+ *
+ * @param {number|null} expiresAt - Expiry from getTokenExpiry()
+ * @param {number} [now] - Current time in ms
+ * @param {number} [marginMs] - Refresh this long before the expiry
+ * @returns {number|null} Delay in ms (0 when already due), or null when the expiry is unknown
+ */
+export function getRefreshDelay(expiresAt, now = Date.now(), marginMs = TOKEN_REFRESH_MARGIN_MS) {
+  return expiresAt === null ? null : Math.max(0, expiresAt - marginMs - now);
+}
+
+/**
+ * Runs a request and, if it fails with 401 Unauthorized, refreshes the token
+ * and runs it once more. A second 401 is thrown to the caller.
+ *
+ * @param {Function} operation - () => Promise; errors carry the HTTP status as error.status
+ * @param {Function} refreshToken - () => Promise, acquires a new token
+ * @returns {Promise<*>} Result of the operation
+ */
+export async function retryOnceOnUnauthorized(operation, refreshToken) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.status !== 401) {
+      throw error;
+    }
+    console.log('🔄 Access token was rejected (401), acquiring a new one and retrying once');
+    await refreshToken();
+    return operation();
+  }
+}
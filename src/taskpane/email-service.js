@@ -25,6 +25,10 @@
  */
 
 import authService from '../auth/auth-service.js';
+import { SCOPE_SETS } from '../common/graph-scopes.js';
+
+// Error code when no signed-in account owns the mailbox (error.account names it)
+export const MAILBOX_SIGN_IN_REQUIRED = 'mailbox_sign_in_required';
 
 // Main function to dump thread information (development only)
 export async function dumpThread() {
@@ -118,7 +122,9 @@ export async function dumpThread() {
   }
 }
 
-// Helper function to get conversation data for export using Microsoft Graph API
+// Helper function to get conversation data for export using Microsoft Graph API.
+// Returns { messages, truncated }: truncated is set when the fallback scan hit
+// its page limit, so older messages of the thread may be missing.
 export async function getConversationDataForExport(conversationId) {
   console.log("Outlook2OneNote::email-service::getConversationDataForExport()");
   
@@ -127,43 +133,24 @@ export async function getConversationDataForExport(conversationId) {
     console.log('🔐 Checking authentication status for export...');
     await authService.authenticate();
     
-    // Get conversation messages via Graph API (reuse the logic from getConversationItemsViaGraph)
-    const allMessages = await authService.callGraphApi('/me/messages?$select=subject,from,receivedDateTime,bodyPreview,conversationId&$top=100');
-    
-    if (!allMessages || !allMessages.value) {
-      throw new Error('No messages returned from Microsoft Graph API');
-    }
-    
-    // Filter messages by conversation ID (handle Base64 encoding differences)
-    const targetWithDashes = conversationId.replace(/\//g, '-');
-    const exportMessages = allMessages.value.filter(message => {
-      const msgId = message.conversationId;
-      return msgId === conversationId || msgId === targetWithDashes;
-    });
+    // Get every message in the conversation (server-side filter with paging),
+    // including the full body rather than the 255-character bodyPreview
+    const { messages: exportMessages, truncated } = await getConversationMessages(
+      conversationId,
+      EXPORT_MESSAGE_FIELDS,
+      { 'Prefer': `outlook.body-content-type="${EXPORT_BODY_CONTENT_TYPE}"` }
+    );
     
     if (exportMessages.length === 0) {
       console.warn('No messages found for conversation ID:', conversationId);
-      return [];
+      return { messages: [], truncated };
     }
     
-    // Sort messages by date (oldest first)
-    exportMessages.sort((a, b) => {
-      const dateA = new Date(a.receivedDateTime || 0);
-      const dateB = new Date(b.receivedDateTime || 0);
-      return dateA - dateB;
-    });
-    
     // Transform messages to export format
-    const exportData = exportMessages.map(message => ({
-      subject: message.subject || 'No Subject',
-      senderName: message.from?.emailAddress?.name || 'Unknown Sender',
-      senderEmail: message.from?.emailAddress?.address || '',
-      date: new Date(message.receivedDateTime || new Date()),
-      body: message.bodyPreview || 'No content available'
-    }));
+    const exportData = exportMessages.map(toExportMessage);
     
     console.log(`📧 Retrieved ${exportData.length} messages for export`);
-    return exportData;
+    return { messages: exportData, truncated };
     
   } catch (error) {
     console.error("Error retrieving conversation data for export:", error);
@@ -171,6 +158,299 @@ export async function getConversationDataForExport(conversationId) {
   }
 }
 
+// Function to get a single message in export format.
+// The Office.js item ID (EWS format) is converted to a REST ID so the full
+// message - body, recipients and attachments - can be loaded from Graph.
+export async function getMessageDataForExport(item) {
+  console.log("Outlook2OneNote::email-service::getMessageDataForExport()");
+  
+  try {
+    if (!item.itemId) {
+      throw new Error("The current item has no ID (is it still being composed?)");
+    }
+    
+    await authService.authenticate();
+    
+    const restId = Office.context.mailbox.convertToRestId(item.itemId, Office.MailboxEnums.RestVersion.v2_0);
+    console.log('🔄 Converted item ID to REST ID:', restId);
+    
+    const message = await authService.callGraphApi(
+      `/me/messages/${encodeURIComponent(restId)}?$select=${EXPORT_MESSAGE_FIELDS}`,
+      'GET',
+      null,
+      { 'Prefer': `outlook.body-content-type="${EXPORT_BODY_CONTENT_TYPE}"` },
+      { scopeSet: SCOPE_SETS.THREAD_READING, account: await getMailboxAccount() }
+    );
+    
+    console.log(`📧 Retrieved message "${message.subject}" for export`);
+    return toExportMessage(message);
+    
+  } catch (error) {
+    console.error("Error retrieving message data for export:", error);
+    throw error;
+  }
+}
+
+// Map a Graph message to the export format used by the OneNote page renderer
+function toExportMessage(message) {
+  return {
+    id: message.id,
+    internetMessageId: message.internetMessageId || '',
+    conversationId: message.conversationId || '',
+    hasAttachments: !!message.hasAttachments,
+    subject: message.subject || 'No Subject',
+    senderName: message.from?.emailAddress?.name || 'Unknown Sender',
+    senderEmail: message.from?.emailAddress?.address || '',
+    date: new Date(message.receivedDateTime || new Date()),
+    body: message.body?.content || message.bodyPreview || 'No content available',
+    bodyContentType: message.body?.content ? (message.body.contentType || 'text').toLowerCase() : 'text',
+    bodyPreview: message.bodyPreview || '',
+    toRecipients: mapRecipients(message.toRecipients),
+    ccRecipients: mapRecipients(message.ccRecipients),
+    bccRecipients: mapRecipients(message.bccRecipients),
+    replyTo: mapRecipients(message.replyTo),
+    importance: message.importance || 'normal'
+  };
+}
+
+// Fields requested for every conversation message
+const CONVERSATION_MESSAGE_FIELDS = 'subject,from,receivedDateTime,sentDateTime,bodyPreview,conversationId,hasAttachments';
+
+// Fields requested for export - adds the full message body, recipients, importance
+// and the internetMessageId used to recognize already exported messages
+const EXPORT_MESSAGE_FIELDS = `${CONVERSATION_MESSAGE_FIELDS},body,toRecipients,ccRecipients,bccRecipients,replyTo,importance,internetMessageId`;
+
+// Body format requested for export: "html" or "text" (sent as Prefer: outlook.body-content-type)
+const EXPORT_BODY_CONTENT_TYPE = 'html';
+
+// Page size for conversation queries and the number of pages the fallback scan may read
+const CONVERSATION_PAGE_SIZE = 50;
+const FALLBACK_SCAN_MAX_PAGES = 20;
+
+// Shown when the fallback scan stopped at FALLBACK_SCAN_MAX_PAGES
+export const TRUNCATED_SCAN_WARNING = `Microsoft Graph could not search this conversation directly, so only the ${FALLBACK_SCAN_MAX_PAGES * CONVERSATION_PAGE_SIZE * 2} most recent emails of the mailbox were searched. Older emails of this thread may be missing.`;
+
+// Get all messages of a conversation, oldest first, as { messages, truncated }.
+// Uses a server-side $filter on conversationId and follows @odata.nextLink so
+// threads of any age are found. If Graph rejects the filter, falls back to a
+// bounded scan of the mailbox with client-side matching; truncated is set when
+// the scan stopped at its page limit with older messages left unread.
+// Optional headers (e.g. Prefer) are sent with every page request.
+export async function getConversationMessages(conversationId, selectFields = CONVERSATION_MESSAGE_FIELDS, headers = null) {
+  console.log("Outlook2OneNote::email-service::getConversationMessages()");
+  
+  const candidateIds = getConversationIdVariants(conversationId);
+  let messages = [];
+  let truncated = false;
+  let filterError = null;
+  
+  // Office.js and Graph may encode the same ID differently - try each variant
+  for (const candidateId of candidateIds) {
+    try {
+      const escapedId = candidateId.replace(/'/g, "''");
+      const filter = encodeURIComponent(`conversationId eq '${escapedId}'`);
+      const endpoint = `/me/messages?$filter=${filter}&$select=${selectFields}&$top=${CONVERSATION_PAGE_SIZE}`;
+      
+      ({ items: messages } = await getAllPages(endpoint, Infinity, headers));
+      console.log(`📬 Conversation filter returned ${messages.length} messages for ID variant`);
+      
+      if (messages.length > 0) {
+        break;
+      }
+    } catch (error) {
+      if (!isRejectedFilterError(error)) {
+        throw error;
+      }
+      console.warn('⚠️ Graph API rejected conversationId filter:', error.message);
+      filterError = error;
+    }
+  }
+  
+  // Fallback: scan the mailbox page by page and match client-side
+  if (messages.length === 0 && filterError) {
+    console.log('🔄 Falling back to mailbox scan with client-side conversation matching...');
+    const endpoint = `/me/messages?$select=${selectFields}&$top=${CONVERSATION_PAGE_SIZE * 2}`;
+    const scan = await getAllPages(endpoint, FALLBACK_SCAN_MAX_PAGES, headers);
+    messages = scan.items.filter(message => candidateIds.includes(message.conversationId));
+    truncated = scan.truncated;
+    console.log(`🔍 Mailbox scan matched ${messages.length} of ${scan.items.length} messages`);
+    if (truncated) {
+      console.warn(`⚠️ Mailbox scan stopped after ${FALLBACK_SCAN_MAX_PAGES} pages, older messages were not searched`);
+    }
+  }
+  
+  // Sort messages by date client-side ($orderby combined with $filter is rejected by Graph)
+  messages.sort((a, b) => {
+    const dateA = new Date(a.receivedDateTime || a.sentDateTime || 0);
+    const dateB = new Date(b.receivedDateTime || b.sentDateTime || 0);
+    return dateA - dateB; // Ascending order (oldest first)
+  });
+  
+  return { messages, truncated };
+}
+
+// Get the attachment list of a message (metadata only, no content)
+export async function getMessageAttachments(messageId) {
+  console.log("Outlook2OneNote::email-service::getMessageAttachments()");
+  
+  const data = await authService.callGraphApi(getAttachmentListEndpoint(messageId), 'GET', null, null, {
+    scopeSet: SCOPE_SETS.ATTACHMENT_EXPORT,
+    account: await getMailboxAccount()
+  });
+  return mapAttachmentList(data);
+}
+
+// Get the attachment lists of several messages in one Graph $batch round trip.
+// Returns a Map of messageId -> { attachments } or { error } so one failed
+// message does not affect the others.
+export async function getAttachmentLists(messageIds) {
+  console.log("Outlook2OneNote::email-service::getAttachmentLists()");
+  
+  const ids = [...new Set(messageIds)];
+  const results = await authService.callGraphBatch(ids.map(messageId => ({
+    url: getAttachmentListEndpoint(messageId)
+  })), { scopeSet: SCOPE_SETS.ATTACHMENT_EXPORT, account: await getMailboxAccount() });
+  
+  const lists = new Map();
+  results.forEach((result, index) => {
+    lists.set(ids[index], result.ok
+      ? { attachments: mapAttachmentList(result.body) }
+      : { error: new Error(result.error) });
+  });
+  return lists;
+}
+
+function getAttachmentListEndpoint(messageId) {
+  return `/me/messages/${encodeURIComponent(messageId)}/attachments?$select=id,name,contentType,size,isInline`;
+}
+
+function mapAttachmentList(data) {
+  if (!data || !data.value) {
+    return [];
+  }
+  
+  return data.value.map(attachment => ({
+    id: attachment.id,
+    name: attachment.name || 'attachment',
+    contentType: attachment.contentType || 'application/octet-stream',
+    size: attachment.size || 0,
+    isInline: !!attachment.isInline,
+    // Item (attached email) and reference (cloud link) attachments have no file content
+    isFile: attachment['@odata.type'] === '#microsoft.graph.fileAttachment'
+  }));
+}
+
+// Download a file attachment; returns its content as a Blob plus the contentId used by cid: references
+export async function getAttachmentContent(messageId, attachmentId) {
+  const attachment = await authService.callGraphApi(
+    `/me/messages/${encodeURIComponent(messageId)}/attachments/${encodeURIComponent(attachmentId)}`,
+    'GET',
+    null,
+    null,
+    { scopeSet: SCOPE_SETS.ATTACHMENT_EXPORT, account: await getMailboxAccount() }
+  );
+  
+  if (!attachment || !attachment.contentBytes) {
+    throw new Error('Attachment content not available');
+  }
+  
+  return {
+    blob: base64ToBlob(attachment.contentBytes, attachment.contentType || 'application/octet-stream'),
+    contentId: attachment.contentId || null
+  };
+}
+
+// Decode Graph's base64 contentBytes into a Blob for multipart upload
+function base64ToBlob(base64, contentType) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: contentType });
+}
+
+// Convert Graph recipient collections to { name, address } pairs
+function mapRecipients(recipients) {
+  if (!Array.isArray(recipients)) {
+    return [];
+  }
+  return recipients
+    .map(recipient => ({
+      name: recipient.emailAddress?.name || '',
+      address: recipient.emailAddress?.address || ''
+    }))
+    .filter(recipient => recipient.name || recipient.address);
+}
+
+// Mail is read with the token of the account that owns the mailbox, which is
+// not necessarily the account of the OneNote destination. When no signed-in
+// account matches the mailbox address the user has to sign in with it; the
+// mailbox is never read with another account.
+export async function getMailboxAccount() {
+  const address = Office.context.mailbox?.userProfile?.emailAddress;
+  if (!address) {
+    throw new Error("The mailbox address is not available, so the account to read it with is unknown.");
+  }
+  
+  const account = await authService.findAccount({ username: address });
+  if (!account) {
+    const error = new Error(`Sign in with ${address} to read this mailbox.`);
+    error.code = MAILBOX_SIGN_IN_REQUIRED;
+    error.account = { username: address };
+    throw error;
+  }
+  return account;
+}
+
+// Handle Base64 encoding differences: Graph API uses - where Office.js uses /
+function getConversationIdVariants(conversationId) {
+  const variants = [conversationId, conversationId.replace(/\//g, '-'), conversationId.replace(/-/g, '/')];
+  return variants.filter((id, index) => variants.indexOf(id) === index);
+}
+
+// Follow @odata.nextLink until the collection is exhausted (or maxPages is reached).
+// Returns { items, truncated }: truncated when maxPages left a nextLink unread.
+async function getAllPages(endpoint, maxPages = Infinity, headers = null) {
+  const items = [];
+  let nextEndpoint = endpoint;
+  let pageCount = 0;
+  
+  while (nextEndpoint && pageCount < maxPages) {
+    const data = await authService.callGraphApi(nextEndpoint, 'GET', null, headers, {
+      scopeSet: SCOPE_SETS.THREAD_READING,
+      account: await getMailboxAccount()
+    });
+    
+    if (!data || !data.value) {
+      throw new Error('No messages returned from Microsoft Graph API');
+    }
+    
+    items.push(...data.value);
+    pageCount++;
+    nextEndpoint = toGraphEndpoint(data['@odata.nextLink']);
+  }
+  
+  return { items, truncated: !!nextEndpoint };
+}
+
+// callGraphApi expects a path relative to the v1.0 root; nextLink (like the
+// OneNote sectionsUrl/sectionGroupsUrl properties) is an absolute URL
+export function toGraphEndpoint(nextLink) {
+  if (!nextLink) {
+    return null;
+  }
+  return nextLink.replace(/^https:\/\/graph\.microsoft\.com\/v1\.0/, '');
+}
+
+// Graph error codes of unsupported or inefficient filters
+const REJECTED_FILTER_CODES = ['InefficientFilter', 'ErrorInvalidUrlQueryFilter'];
+
+// Graph answers unsupported or inefficient filters with 400 Bad Request
+function isRejectedFilterError(error) {
+  return error?.status === 400 && REJECTED_FILTER_CODES.includes(error.graphErrorCode);
+}
+
 // Function to get conversation items using Microsoft Graph API only
 async function getConversationItemsViaGraph(conversationId, insertAt) {
   try {
@@ -184,46 +464,20 @@ async function getConversationItemsViaGraph(conversationId, insertAt) {
     console.log('🔍 Original Conversation ID:', conversationId);
     console.log('🔍 Encoded Conversation ID:', encodedConversationId);
     
-    // Try an even simpler approach - get recent messages without complex filtering
-    // Microsoft Graph API has limitations on complex filters with conversationId
-    console.log('🔄 Trying simplified query without conversationId filter...');
-    const graphEndpoint = `/me/messages?$select=subject,from,receivedDateTime,bodyPreview,conversationId&$top=100`;
-    console.log('🔗 Full Graph API URL:', `https://graph.microsoft.com/v1.0${graphEndpoint}`);
-    
     console.log('📡 Making Graph API call...');
-    const data = await authService.callGraphApi(graphEndpoint);
-    
-    if (!data || !data.value) {
-      throw new Error('No conversation data received from Microsoft Graph API');
-    }
-
-    const allMessages = data.value;
-    console.log(`📬 Retrieved ${allMessages.length} recent messages from Graph API`);
-    
-    // Filter messages by conversation ID client-side
-    // Handle Base64 encoding differences: Graph API uses - where Office.js uses /
-    const targetWithDashes = conversationId.replace(/\//g, '-');
-    
-    const messages = allMessages.filter(message => {
-      const msgId = message.conversationId;
-      // Direct comparison and dash-converted comparison
-      return msgId === conversationId || msgId === targetWithDashes;
-    });
+    const { messages, truncated } = await getConversationMessages(conversationId);
     
     console.log(`🔍 Found ${messages.length} messages matching conversation ID`);
     
     if (messages.length === 0) {
-      insertAt.appendChild(document.createTextNode(`No messages found for conversation ID: ${conversationId}. Retrieved ${allMessages.length} recent messages but none matched.`));
+      insertAt.appendChild(document.createTextNode(`No messages found for conversation ID: ${conversationId}.`));
+      if (truncated) {
+        insertAt.appendChild(document.createElement("br"));
+        insertAt.appendChild(document.createTextNode(`⚠️ ${TRUNCATED_SCAN_WARNING}`));
+      }
       return;
     }
     
-    // Sort messages by date since we couldn't use $orderby in the API call
-    messages.sort((a, b) => {
-      const dateA = new Date(a.receivedDateTime || a.sentDateTime || 0);
-      const dateB = new Date(b.receivedDateTime || b.sentDateTime || 0);
-      return dateA - dateB; // Ascending order (oldest first)
-    });
-    
     console.log('📅 Messages sorted by date:', messages.map(m => ({
       subject: m.subject?.substring(0, 50),
       date: m.receivedDateTime || m.sentDateTime
@@ -262,6 +516,9 @@ async function getConversationItemsViaGraph(conversationId, insertAt) {
     summaryDiv.style.fontWeight = "bold";
     summaryDiv.appendChild(document.createTextNode(`Total emails in thread (via Microsoft Graph API): ${messages.length}`));
     insertAt.appendChild(summaryDiv);
+    if (truncated) {
+      insertAt.appendChild(document.createTextNode(`⚠️ ${TRUNCATED_SCAN_WARNING}`));
+    }
     
     console.log(`✅ Successfully retrieved ${messages.length} messages from conversation via Microsoft Graph API`);
     
@@ -276,8 +533,9 @@ async function getConversationItemsViaGraph(conversationId, insertAt) {
       insertAt.appendChild(document.createTextNode("Please ensure you are authenticated. Click 'Choose Notebook' to authenticate."));
     } else if (error.message.includes("403")) {
       insertAt.appendChild(document.createTextNode("Access denied. Please ensure the app has the required permissions."));
-    } else if (error.message.includes("429")) {
-      insertAt.appendChild(document.createTextNode("Rate limit exceeded. Please try again in a few moments."));
+    } else if (error.status === 429) {
+      // callGraphApi has already waited and retried within its retry budget
+      insertAt.appendChild(document.createTextNode("Microsoft Graph is still throttling requests after several retries. Please try again in a few minutes."));
     }
     
     throw error;
@@ -0,0 +1,398 @@
+/* eslint-disable no-console */
+
+/*
+ * Notebook Browser - notebook-browser.js
+ *
+ * Tree browser for OneNote destinations: notebooks, section groups at any
+ * depth, and sections. Children are loaded lazily the first time a node is
+ * expanded. Any node can be selected as the export destination:
+ * - notebook or section group: each export creates a new section inside it
+ * - section: exports are added to that section
+ *
+ * The tree model functions are DOM-free so they can be unit-tested;
+ * renderNotebookBrowser() builds the interactive UI (ARIA tree with keyboard
+ * navigation and a type-to-filter box) on top of them.
+ */
+
+// Build the root nodes of the tree from a list of Graph notebooks
+export function createNotebookNodes(notebooks) {
+  return notebooks.map(notebook => createNode('notebook', notebook, null));
+}
+
+function createNode(kind, item, parent) {
+  const displayName = item.displayName || item.name || 'Untitled';
+  return {
+    kind,
+    id: item.id,
+    displayName,
+    // Path inside the notebook, e.g. "Client / Project / Notes"
+    path: !parent || parent.kind === 'notebook' ? displayName : `${parent.path} / ${displayName}`,
+    item,
+    parent,
+    notebook: parent ? parent.notebook : item,
+    children: kind === 'section' ? [] : null, // null = not loaded yet
+    expanded: false,
+    loading: false,
+    error: null
+  };
+}
+
+// Store the loaded children of a notebook or section group: groups first, then sections
+export function setNodeChildren(node, sectionGroups, sections) {
+  node.children = [
+    ...sectionGroups.map(group => createNode('sectionGroup', group, node)),
+    ...sections.map(section => createNode('section', section, node))
+  ];
+  return node.children;
+}
+
+// Add a newly created section to a loaded notebook or section group
+export function addSectionNode(parent, section) {
+  const node = createNode('section', section, parent);
+  if (parent.children) {
+    parent.children.push(node);
+  }
+  return node;
+}
+
+export function isExpandable(node) {
+  return node.kind !== 'section';
+}
+
+// Flatten the tree into the rows currently shown, as [{ node, depth }].
+// Without a filter, children of expanded nodes are shown. With a filter, only
+// loaded nodes that match (or contain a match) are shown, with their ancestors.
+export function getVisibleNodes(roots, filterText = '') {
+  const filter = filterText.trim().toLowerCase();
+  const visible = [];
+
+  const visit = (node, depth) => {
+    if (filter && !containsMatch(node, filter)) {
+      return;
+    }
+    visible.push({ node, depth });
+
+    if ((node.expanded || filter) && node.children) {
+      node.children.forEach(child => visit(child, depth + 1));
+    }
+  };
+
+  roots.forEach(root => visit(root, 0));
+  return visible;
+}
+
+function containsMatch(node, filter) {
+  return node.displayName.toLowerCase().includes(filter) ||
+    (node.children || []).some(child => containsMatch(child, filter));
+}
+
+// Map a key press on the row at index to a tree action (WAI-ARIA tree pattern):
+// { type: 'focus', index } | { type: 'expand' } | { type: 'collapse' } | { type: 'select' } | null
+export function getKeyboardAction(visible, index, key) {
+  const entry = visible[index];
+  if (!entry) {
+    return null;
+  }
+  const { node, depth } = entry;
+
+  switch (key) {
+    case 'ArrowDown':
+      return index < visible.length - 1 ? { type: 'focus', index: index + 1 } : null;
+    case 'ArrowUp':
+      return index > 0 ? { type: 'focus', index: index - 1 } : null;
+    case 'Home':
+      return { type: 'focus', index: 0 };
+    case 'End':
+      return { type: 'focus', index: visible.length - 1 };
+    case 'ArrowRight':
+      if (!isExpandable(node)) {
+        return null;
+      }
+      if (!node.expanded) {
+        return { type: 'expand' };
+      }
+      // Already expanded: move to the first child
+      return visible[index + 1] && visible[index + 1].depth > depth ? { type: 'focus', index: index + 1 } : null;
+    case 'ArrowLeft':
+      if (isExpandable(node) && node.expanded) {
+        return { type: 'collapse' };
+      }
+      // Collapsed or leaf: move to the parent
+      for (let i = index - 1; i >= 0; i--) {
+        if (visible[i].depth < depth) {
+          return { type: 'focus', index: i };
+        }
+      }
+      return null;
+    case 'Enter':
+    case ' ':
+      return { type: 'select' };
+    default:
+      return null;
+  }
+}
+
+// The export destination a node stands for: the notebook it belongs to and,
+// below the notebook level, the section or section group inside it
+export function getNodeDestination(node) {
+  return {
+    notebook: node.notebook,
+    target: node.kind === 'notebook'
+      ? null
+      : { kind: node.kind, id: node.id, displayName: node.displayName, path: node.path }
+  };
+}
+
+// Whether a node is the currently saved destination ({ notebookId, target })
+export function isCurrentDestination(node, current) {
+  if (!current || node.notebook.id !== current.notebookId) {
+    return false;
+  }
+  if (node.kind === 'notebook') {
+    return !current.target;
+  }
+  return !!current.target && current.target.id === node.id;
+}
+
+const KIND_ICONS = {
+  notebook: '📓',
+  sectionGroup: '📁',
+  section: '📑'
+};
+
+// Render the browser into a container element.
+// options:
+// - notebooks: Graph notebooks (root nodes)
+// - loadChildren(node): resolves to { sectionGroups, sections } for a notebook or section group
+// - current: saved destination { notebookId, target } to highlight
+// - onSelect(notebook, target): called when a node is chosen as destination
+// - createSection(node, name, statusElement): optional; creates a section in a
+//   notebook or section group node and resolves to the Graph section
+export function renderNotebookBrowser(container, options) {
+  const { notebooks, loadChildren, current, onSelect, createSection } = options;
+  const roots = createNotebookNodes(notebooks);
+  let filterText = '';
+  let focusedNode = roots[0] || null;
+  let visible = [];
+
+  // Type-to-filter box
+  const filterInput = document.createElement("input");
+  filterInput.type = "search";
+  filterInput.placeholder = "Filter notebooks, section groups and sections";
+  filterInput.setAttribute("aria-label", "Filter loaded notebooks, section groups and sections");
+  filterInput.style.width = "100%";
+  filterInput.style.boxSizing = "border-box";
+  filterInput.style.padding = "4px";
+  container.appendChild(filterInput);
+
+  const tree = document.createElement("div");
+  tree.setAttribute("role", "tree");
+  tree.setAttribute("aria-label", "OneNote destinations");
+  tree.style.marginTop = "10px";
+  tree.style.maxHeight = "300px";
+  tree.style.overflowY = "auto";
+  tree.style.border = "1px solid #ccc";
+  tree.style.borderRadius = "4px";
+  tree.style.padding = "4px";
+  container.appendChild(tree);
+
+  const render = (moveFocus = false) => {
+    visible = getVisibleNodes(roots, filterText);
+    if (!visible.some(entry => entry.node === focusedNode)) {
+      focusedNode = visible.length > 0 ? visible[0].node : null;
+    }
+
+    tree.innerHTML = "";
+    visible.forEach(({ node, depth }, index) => {
+      tree.appendChild(renderRow(node, depth, index));
+    });
+
+    if (visible.length === 0) {
+      const empty = document.createElement("div");
+      empty.style.padding = "8px";
+      empty.style.color = "#666";
+      empty.appendChild(document.createTextNode(filterText ? "No loaded items match the filter." : "No notebooks found."));
+      tree.appendChild(empty);
+    }
+
+    if (moveFocus) {
+      const focusedRow = tree.querySelector('[tabindex="0"]');
+      if (focusedRow) {
+        focusedRow.focus();
+      }
+    }
+    updateCreateTarget();
+  };
+
+  const renderRow = (node, depth, index) => {
+    const row = document.createElement("div");
+    const isCurrent = isCurrentDestination(node, current);
+    row.setAttribute("role", "treeitem");
+    row.setAttribute("aria-level", String(depth + 1));
+    row.setAttribute("aria-selected", isCurrent ? "true" : "false");
+    if (isExpandable(node)) {
+      row.setAttribute("aria-expanded", node.expanded || filterText ? "true" : "false");
+    }
+    row.tabIndex = node === focusedNode ? 0 : -1;
+    row.style.padding = "6px 8px";
+    row.style.paddingLeft = `${8 + depth * 16}px`;
+    row.style.margin = "2px 0";
+    row.style.borderRadius = "4px";
+    row.style.cursor = "pointer";
+    row.style.backgroundColor = isCurrent ? "#e6f3ff" : "transparent";
+    row.style.outlineOffset = "-2px";
+
+    // Expand/collapse toggle
+    const toggle = document.createElement("span");
+    toggle.style.display = "inline-block";
+    toggle.style.width = "16px";
+    toggle.appendChild(document.createTextNode(isExpandable(node) ? (node.expanded || filterText ? "▾" : "▸") : ""));
+    toggle.addEventListener("click", (event) => {
+      event.stopPropagation();
+      focusedNode = node;
+      toggleNode(node);
+    });
+    row.appendChild(toggle);
+
+    row.appendChild(document.createTextNode(`${KIND_ICONS[node.kind]} ${node.displayName}`));
+
+    if (node.loading) {
+      row.appendChild(document.createTextNode(" (loading...)"));
+    } else if (node.error) {
+      row.appendChild(document.createTextNode(` ⚠️ ${node.error}`));
+    }
+
+    row.addEventListener("click", () => {
+      focusedNode = node;
+      selectNode(node);
+    });
+    row.addEventListener("keydown", (event) => handleKeyDown(event, index));
+
+    return row;
+  };
+
+  const expandNode = async (node) => {
+    node.expanded = true;
+    node.error = null;
+
+    if (node.children === null && !node.loading) {
+      node.loading = true;
+      render(true);
+      try {
+        const { sectionGroups, sections } = await loadChildren(node);
+        setNodeChildren(node, sectionGroups, sections);
+      } catch (error) {
+        console.error("Failed to load children of", node.displayName, error);
+        node.error = error.message;
+        node.expanded = false;
+      } finally {
+        node.loading = false;
+      }
+    }
+    render(true);
+  };
+
+  const toggleNode = (node) => {
+    if (node.expanded) {
+      node.expanded = false;
+      render(true);
+    } else {
+      expandNode(node);
+    }
+  };
+
+  const selectNode = (node) => {
+    const { notebook, target } = getNodeDestination(node);
+    console.log("Export destination selected:", node.kind, node.path);
+    onSelect(notebook, target);
+  };
+
+  const handleKeyDown = (event, index) => {
+    const action = getKeyboardAction(visible, index, event.key);
+    if (!action) {
+      return;
+    }
+    event.preventDefault();
+
+    const node = visible[index].node;
+    if (action.type === 'focus') {
+      focusedNode = visible[action.index].node;
+      render(true);
+    } else if (action.type === 'expand') {
+      expandNode(node);
+    } else if (action.type === 'collapse') {
+      node.expanded = false;
+      render(true);
+    } else if (action.type === 'select') {
+      selectNode(node);
+    }
+  };
+
+  filterInput.addEventListener("input", () => {
+    filterText = filterInput.value;
+    render();
+  });
+  filterInput.addEventListener("keydown", (event) => {
+    if (event.key === 'ArrowDown' && visible.length > 0) {
+      event.preventDefault();
+      render(true);
+    }
+  });
+
+  // Create a section inside the focused notebook or section group
+  const createForm = document.createElement("div");
+  createForm.style.marginTop = "10px";
+  const createLabel = document.createElement("div");
+  createLabel.style.fontSize = "12px";
+  createLabel.style.color = "#666";
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.placeholder = "New section name";
+  nameInput.style.marginRight = "8px";
+  const createButton = document.createElement("button");
+  createButton.appendChild(document.createTextNode("Create section"));
+  const createStatus = document.createElement("div");
+  createStatus.style.fontSize = "12px";
+
+  const getCreateContainer = () => {
+    if (!focusedNode) {
+      return null;
+    }
+    return focusedNode.kind === 'section' ? focusedNode.parent : focusedNode;
+  };
+
+  const updateCreateTarget = () => {
+    const target = getCreateContainer();
+    createLabel.textContent = target ? `New section in: ${target.kind === 'notebook' ? target.displayName : `${target.notebook.displayName} / ${target.path}`}` : "";
+    createButton.disabled = !target;
+  };
+
+  createButton.addEventListener("click", async () => {
+    const target = getCreateContainer();
+    const sectionName = nameInput.value.trim();
+    if (!target || !sectionName) {
+      nameInput.focus();
+      return;
+    }
+
+    createButton.disabled = true;
+    try {
+      const section = await createSection(target, sectionName, createStatus);
+      selectNode(addSectionNode(target, section));
+    } catch (error) {
+      console.error("Failed to create section from browser:", error);
+    } finally {
+      createButton.disabled = false;
+    }
+  });
+
+  if (createSection) {
+    createForm.appendChild(createLabel);
+    createForm.appendChild(nameInput);
+    createForm.appendChild(createButton);
+    createForm.appendChild(createStatus);
+    container.appendChild(createForm);
+  }
+
+  render();
+}
@@ -26,10 +26,34 @@
 import { 
   getSelectedNotebook, 
   setSelectedNotebook, 
-  clearSelectedNotebook 
+  clearSelectedNotebook,
+  clearNotebookStateForAccount,
+  getDuplicateHandling,
+  getAttachmentLimits,
+  getExportLayout,
+  EXPORT_LAYOUTS,
+  LEGACY_SUBPAGES_LAYOUT,
+  getThreadExport,
+  setThreadExport
 } from '../common/app-state.js';
 
 import authService from '../auth/auth-service.js';
+import { ADDITIONAL_CONSENT_REQUIRED, isSameAccount } from '../auth/token-provider.js';
+import { getMessageAttachments, getAttachmentLists, getAttachmentContent, getMessageDataForExport, getMailboxAccount, toGraphEndpoint, MAILBOX_SIGN_IN_REQUIRED } from './email-service.js';
+import { FAILED_DEPENDENCY_STATUS } from '../common/graph-batch.js';
+import { isRetryableStatus } from '../common/retry-policy.js';
+import { renderNotebookBrowser } from './notebook-browser.js';
+import {
+  DUPLICATE_HANDLING,
+  getMessageMarker,
+  getExportTimeMarker,
+  renderProvenanceBlock,
+  readProvenanceMarkers,
+  normalizeSubject
+} from '../common/export-provenance.js';
+import { escapeHtml, sanitizeEmailHtml, textToHtml } from '../common/html-sanitizer.js';
+import { getAccountType } from '../common/authority.js';
+import { SCOPE_SETS, formatScopes } from '../common/graph-scopes.js';
 
 // Function to get OneNote notebooks using Office SSO-first authentication
 export async function getOneNoteNotebooks() {
@@ -56,6 +80,11 @@ export async function getOneNoteNotebooks() {
   } catch (error) {
     console.error("❌ Error getting OneNote notebooks:", error);
     
+    // Consent and account type problems need the user to act, show them
+    if (error.signInProblem || isPermissionNeeded(error)) {
+      throw error;
+    }
+    
     // Return mock data for development
     console.log("� Using mock OneNote notebooks for development");
     return getMockNotebooks();
@@ -88,9 +117,12 @@ function getMockNotebooks() {
   ];
 }
 
-// Function to show notebook selection popup
-export function showNotebookPopup(notebooks, onNotebookSelected) {
-  console.log("Showing notebook selection popup with", notebooks.length, "notebooks");
+// Function to show the notebook browser: notebooks, section groups at any depth and
+// sections, loaded lazily. onNotebookSelected(notebook, target) receives the notebook
+// and, when a node below it was chosen, the section or section group
+// ({ kind, id, displayName, path }); target is null for the notebook itself.
+export function showNotebookPopup(notebooks, onNotebookSelected, currentDestination = null) {
+  console.log("Showing notebook browser with", notebooks.length, "notebooks");
   
   const insertAt = document.getElementById("item-subject");
   
@@ -99,7 +131,7 @@ export function showNotebookPopup(notebooks, onNotebookSelected) {
   
   // Create header
   const header = document.createElement("h3");
-  header.appendChild(document.createTextNode("Select a OneNote Notebook:"));
+  header.appendChild(document.createTextNode("Select an export destination:"));
   insertAt.appendChild(header);
   
   if (notebooks.length === 0) {
@@ -107,110 +139,67 @@ export function showNotebookPopup(notebooks, onNotebookSelected) {
     return;
   }
   
-  // Create notebook list
-  const notebookList = document.createElement("div");
-  notebookList.style.marginTop = "10px";
-  notebookList.style.maxHeight = "300px";
-  notebookList.style.overflowY = "auto";
-  notebookList.style.border = "1px solid #ccc";
-  notebookList.style.borderRadius = "4px";
-  notebookList.style.padding = "10px";
-  
-  notebooks.forEach((notebook, index) => {
-    // Create notebook item
-    const notebookItem = document.createElement("div");
-    notebookItem.style.padding = "8px";
-    notebookItem.style.margin = "4px 0";
-    notebookItem.style.border = "1px solid #ddd";
-    notebookItem.style.borderRadius = "4px";
-    notebookItem.style.cursor = "pointer";
-    notebookItem.style.backgroundColor = "#f9f9f9";
-    
-    // Highlight default notebook
-    if (notebook.isDefault) {
-      notebookItem.style.backgroundColor = "#e6f3ff";
-      notebookItem.style.borderColor = "#4a90e2";
-    }
-    
-    // Add hover effect
-    notebookItem.addEventListener("mouseenter", () => {
-      notebookItem.style.backgroundColor = notebook.isDefault ? "#d1e9ff" : "#f0f0f0";
-    });
-    
-    notebookItem.addEventListener("mouseleave", () => {
-      notebookItem.style.backgroundColor = notebook.isDefault ? "#e6f3ff" : "#f9f9f9";
-    });
-    
-    // Create notebook content
-    const notebookContent = document.createElement("div");
-    
-    const notebookTitle = document.createElement("div");
-    notebookTitle.style.fontWeight = "bold";
-    notebookTitle.style.marginBottom = "4px";
-    notebookTitle.appendChild(document.createTextNode(notebook.displayName || notebook.name));
-    
-    if (notebook.isDefault) {
-      const defaultLabel = document.createElement("span");
-      defaultLabel.style.fontSize = "12px";
-      defaultLabel.style.color = "#4a90e2";
-      defaultLabel.style.marginLeft = "8px";
-      defaultLabel.appendChild(document.createTextNode("(Default)"));
-      notebookTitle.appendChild(defaultLabel);
-    }
-    
-    notebookContent.appendChild(notebookTitle);
-    
-    // Add creation date if available
-    if (notebook.createdDateTime) {
-      const dateInfo = document.createElement("div");
-      dateInfo.style.fontSize = "12px";
-      dateInfo.style.color = "#666";
-      const createdDate = new Date(notebook.createdDateTime);
-      dateInfo.appendChild(document.createTextNode(`Created: ${createdDate.toLocaleDateString()}`));
-      notebookContent.appendChild(dateInfo);
-    }
-    
-    notebookItem.appendChild(notebookContent);
-    
-    // Add click handler
-    notebookItem.addEventListener("click", () => {
-      console.log("Notebook selected:", notebook);
-      
-      // Highlight selected item
-      const allItems = notebookList.querySelectorAll("div[data-notebook-item]");
-      allItems.forEach(item => {
-        item.style.backgroundColor = item.dataset.isDefault === "true" ? "#e6f3ff" : "#f9f9f9";
-        item.style.borderColor = item.dataset.isDefault === "true" ? "#4a90e2" : "#ddd";
-      });
-      
-      notebookItem.style.backgroundColor = "#d4edda";
-      notebookItem.style.borderColor = "#28a745";
-      
-      // Call the callback with selected notebook
+  renderNotebookBrowser(insertAt, {
+    notebooks,
+    loadChildren: getNotebookNodeChildren,
+    current: currentDestination,
+    onSelect: (notebook, target) => {
       if (onNotebookSelected) {
-        onNotebookSelected(notebook);
+        onNotebookSelected(notebook, target);
       }
-    });
-    
-    // Add data attributes for selection tracking
-    notebookItem.setAttribute("data-notebook-item", "true");
-    notebookItem.setAttribute("data-is-default", notebook.isDefault ? "true" : "false");
-    
-    notebookList.appendChild(notebookItem);
+    },
+    createSection: (node, sectionName, statusElement) => createSection(
+      node.notebook,
+      sectionName,
+      statusElement,
+      node.kind === 'sectionGroup' ? node.item : null
+    )
   });
   
-  insertAt.appendChild(notebookList);
-  
   // Add instructions
   const instructions = document.createElement("div");
   instructions.style.marginTop = "10px";
   instructions.style.fontSize = "12px";
   instructions.style.color = "#666";
   instructions.style.fontStyle = "italic";
-  instructions.appendChild(document.createTextNode("Click on a notebook to select it for email export."));
+  instructions.appendChild(document.createTextNode("Expand with ▸ or the arrow keys. Pick a section to add exports to it, or a notebook or section group to create a new section for each export."));
   insertAt.appendChild(instructions);
 }
 
+// Load the section groups and sections directly below a notebook or section group
+// through its sectionGroupsUrl/sectionsUrl (absolute Graph URLs)
+async function getNotebookNodeChildren(node) {
+  const basePath = node.kind === 'notebook'
+    ? `/me/onenote/notebooks/${node.id}`
+    : `/me/onenote/sectionGroups/${node.id}`;
+  const sectionGroupsEndpoint = toGraphEndpoint(node.item.sectionGroupsUrl) || `${basePath}/sectionGroups`;
+  const sectionsEndpoint = toGraphEndpoint(node.item.sectionsUrl) || `${basePath}/sections`;
+  
+  const [sectionGroups, sections] = await Promise.all([
+    getOneNoteCollection(`${sectionGroupsEndpoint}?$select=id,displayName,sectionGroupsUrl,sectionsUrl`),
+    getOneNoteCollection(`${sectionsEndpoint}?$select=id,displayName`)
+  ]);
+  
+  sectionGroups.sort((a, b) => a.displayName.localeCompare(b.displayName));
+  sections.sort((a, b) => a.displayName.localeCompare(b.displayName));
+  return { sectionGroups, sections };
+}
+
+// Read every page of a OneNote collection (with the account's token, the
+// active account's by default)
+async function getOneNoteCollection(endpoint, account = null) {
+  const items = [];
+  let nextEndpoint = endpoint;
+  
+  while (nextEndpoint) {
+    const data = await authService.callGraphApi(nextEndpoint, 'GET', null, null, { account });
+    items.push(...(data?.value || []));
+    nextEndpoint = toGraphEndpoint(data?.['@odata.nextLink']);
+  }
+  
+  return items;
+}
+
 // Default callback for notebook selection
 export function onNotebookSelected(notebook) {
   console.log("Notebook selected (default callback):", notebook);
@@ -223,7 +212,10 @@ export function onNotebookSelected(notebook) {
 }
 
 // Helper function to export conversation to OneNote
-export async function exportConversationToOneNote(conversationData, notebook, insertAt) {
+// OneNote is written with the account that owns the notebook (notebook.account);
+// notebooks saved before they remembered their account use the active account.
+export async function exportConversationToOneNote(conversationData, notebook, insertAt, targetSection = null) {
+  const account = notebook.account || null;
   try {
     console.log("Exporting to OneNote notebook:", notebook);
     console.log("Debug - Notebook ID being used:", notebook.id);
@@ -262,20 +254,10 @@ export async function exportConversationToOneNote(conversationData, notebook, in
       throw new Error("Section name is empty after processing");
     }
     
-    insertAt.appendChild(document.createTextNode(`Creating section: "${sectionName}"`));
-    insertAt.appendChild(document.createElement("br"));
-    
-    // Step 1: Create a new section in the notebook
-    const sectionData = {
-      displayName: sectionName.trim() // Use displayName instead of name for OneNote API
-    };
-    
-    console.log("Debug - Section data being sent:", JSON.stringify(sectionData));
-    
     // First, let's verify the notebook exists and is accessible
     console.log("🔍 Verifying notebook access...");
     try {
-      const notebookCheck = await authService.callGraphApi(`/me/onenote/notebooks/${notebook.id}`);
+      const notebookCheck = await authService.callGraphApi(`/me/onenote/notebooks/${notebook.id}`, 'GET', null, null, { account });
       console.log("✅ Notebook verified:", notebookCheck.displayName);
     } catch (verifyError) {
       console.error("❌ Cannot access notebook:", verifyError);
@@ -283,7 +265,7 @@ export async function exportConversationToOneNote(conversationData, notebook, in
       // Try to refresh the notebooks list and find this notebook
       console.log("🔄 Refreshing notebooks list...");
       try {
-        const refreshedNotebooks = await authService.callGraphApi('/me/onenote/notebooks');
+        const refreshedNotebooks = await authService.callGraphApi('/me/onenote/notebooks', 'GET', null, null, { account });
         console.log("📚 Available notebooks:", refreshedNotebooks.value.map(nb => `${nb.displayName} (${nb.id})`));
         
         // Try to find the notebook by displayName
@@ -305,120 +287,93 @@ export async function exportConversationToOneNote(conversationData, notebook, in
       }
     }
     
-    let section;
-    try {
-      // Try the notebook-specific endpoint first (conversation export)
-      section = await authService.callGraphApi(
-        `/me/onenote/notebooks/${notebook.id}/sections`,
-        'POST',
-        sectionData
-      );
-      
-      insertAt.appendChild(document.createTextNode(`✓ Section created successfully`));
-      insertAt.appendChild(document.createElement("br"));
+    // Ask for attachment access before anything is written to OneNote
+    await ensureAttachmentPermission(conversationData);
+    
+    // Step 1: Export into the section chosen for this notebook, or create a new one
+    // (inside the chosen section group, if any)
+    const targetGroup = targetSection?.kind === 'sectionGroup' ? targetSection : null;
+    let section = targetSection && !targetGroup ? await resolveTargetSection(targetSection, account, insertAt) : null;
+    
+    // Step 2: Look for messages that were exported before. Without a chosen
+    // section, earlier exports are the sections named "<subject> - <date>".
+    const candidateSections = section
+      ? [section]
+      : await findSectionsByPrefix(notebook, targetGroup, `${emailSubject} - `);
+    const existingExport = await findExistingExport(candidateSections, account, conversationData, insertAt);
+    let emailsToExport = conversationData;
+    // Pages of the earlier export that the new pages replace; they are only
+    // deleted once every new page has been created
+    let replacedPages = [];
+    
+    if (existingExport.pages.length > 0) {
+      const handling = await resolveDuplicateHandling(existingExport, conversationData, insertAt);
+      if (handling === null) {
+        insertAt.appendChild(document.createTextNode("Export cancelled."));
+        return;
+      }
       
-    } catch (error) {
-      console.error("Failed to create section:", error);
+      // Keep the thread together in the section that already holds it
+      section = section || existingExport.section;
       
-      // If notebook-specific approach failed, try alternative approach
-      console.log("🔄 Trying alternative section creation method...");
-      try {
-        // Try using general sections endpoint with parentNotebook property
-        const alternativeSectionData = {
-          displayName: sectionName.trim(),
-          parentNotebook: {
-            id: notebook.id
-          }
-        };
-        
-        section = await authService.callGraphApi(
-          `/me/onenote/sections`,
-          'POST',
-          alternativeSectionData
-        );
-        
-        console.log("✅ Section created using alternative method");
-        insertAt.appendChild(document.createTextNode(`✓ Section created successfully (alternative method)`));
-        insertAt.appendChild(document.createElement("br"));
-        
-      } catch (alternativeError) {
-        console.error("Alternative section creation also failed:", alternativeError);
-        insertAt.appendChild(document.createTextNode(`❌ Failed to create section: ${error.message}`));
-        insertAt.appendChild(document.createElement("br"));
-        insertAt.appendChild(document.createTextNode(`❌ Alternative method also failed: ${alternativeError.message}`));
-        insertAt.appendChild(document.createElement("br"));
-        throw error;
+      if (handling === DUPLICATE_HANDLING.SKIP) {
+        emailsToExport = conversationData.filter(email => !existingExport.messageMarkers.has(getMessageMarker(email)));
+      } else {
+        replacedPages = existingExport.pages;
       }
     }
     
-    // Step 2: Create a page for each email in the conversation
-    insertAt.appendChild(document.createTextNode(`Creating ${conversationData.length} pages...`));
-    insertAt.appendChild(document.createElement("br"));
+    if (emailsToExport.length === 0) {
+      insertAt.appendChild(document.createTextNode(`✓ All ${conversationData.length} messages are already in section "${section.displayName}", nothing to export.`));
+      return;
+    }
     
-    for (let i = 0; i < conversationData.length; i++) {
-      const email = conversationData[i];
-      const emailDate = email.date.toLocaleDateString(); // Format: MM/DD/YYYY or local format
-      
-      // Create page title: "Subject - Date" with fallback for empty subjects
-      const emailSubject = email.subject && email.subject.trim() 
-        ? email.subject.trim() 
-        : "No Subject";
-      const pageTitle = `${emailSubject} - ${emailDate}`;
-      
-      // Build OneNote page content in HTML format
-      const pageContent = `
-        <html>
-          <head>
-            <title>${pageTitle}</title>
-          </head>
-          <body>
-            <div>
-              <h1>${emailSubject}</h1>
-              <table style="margin-bottom: 20px;">
-                <tr>
-                  <td><strong>From:</strong></td>
-                  <td>${email.senderName}${email.senderEmail ? ` (${email.senderEmail})` : ''}</td>
-                </tr>
-                <tr>
-                  <td><strong>Date:</strong></td>
-                  <td>${email.date.toLocaleString()}</td>
-                </tr>
-                <tr>
-                  <td><strong>To:</strong></td>
-                  <td>${email.recipients || 'Not available'}</td>
-                </tr>
-              </table>
-              <hr />
-              <div style="margin-top: 20px; white-space: pre-wrap;">
-                ${email.body}
-              </div>
-            </div>
-          </body>
-        </html>
-      `;
+    if (!section) {
+      section = await createSection(notebook, sectionName, insertAt, targetGroup);
+    }
+    
+    // Step 3: Create the pages in the layout chosen by the user
+    const layout = getExportLayout();
+    const exportedAt = new Date();
+    let pageCount = 0;
+    let combinedPage = null;
+    
+    if (layout === EXPORT_LAYOUTS.PER_MESSAGE) {
+      const createdPages = await createMessagePages(emailsToExport, section, account, insertAt, exportedAt);
+      pageCount = createdPages.length;
       
-      try {
-        // Create page in the section
-        await authService.callGraphApi(
-          `/me/onenote/sections/${section.id}/pages`,
-          'POST',
-          pageContent,
-          { 'Content-Type': 'text/html' }
-        );
-        
-        insertAt.appendChild(document.createTextNode(`✓ Page ${i + 1}: "${pageTitle}"`));
-        insertAt.appendChild(document.createElement("br"));
-        
-      } catch (pageError) {
-        console.error(`Failed to create page ${i + 1}:`, pageError);
-        insertAt.appendChild(document.createTextNode(`❌ Failed to create page ${i + 1}: ${pageError.message}`));
-        insertAt.appendChild(document.createElement("br"));
-        // Continue with other pages even if one fails
+      if (replacedPages.length > 0 && pageCount < emailsToExport.length) {
+        // Keep the earlier export rather than a partial replacement of it
+        await deletePages(createdPages, account, insertAt, "new");
+        throw new Error(`Only ${pageCount} of ${emailsToExport.length} pages could be created. The existing pages were left in place.`);
+      }
+    } else {
+      combinedPage = await createCombinedPage(emailsToExport, section, account, insertAt, exportedAt);
+      pageCount = 1;
+    }
+    
+    // Remember where the thread went so "Sync" can add later replies
+    if (earliestEmail.conversationId) {
+      setThreadExport(earliestEmail.conversationId, {
+        notebookId: notebook.id,
+        sectionId: section.id,
+        sectionName: section.displayName,
+        layout,
+        pageId: combinedPage?.id || null,
+        exportedAt: exportedAt.toISOString(),
+        account: notebook.account || authService.getCurrentUser()
+      });
+    }
+    
+    if (replacedPages.length > 0) {
+      const remainingPages = await deletePages(replacedPages, account, insertAt, "old");
+      if (remainingPages.length > 0) {
+        throw new Error(`Created ${pageCount} new pages, but ${remainingPages.length} of the ${replacedPages.length} old pages could not be removed. Delete them in OneNote: ${remainingPages.map(page => `"${page.title}"`).join(', ')}`);
       }
     }
     
     insertAt.appendChild(document.createElement("br"));
-    insertAt.appendChild(document.createTextNode(`🎉 Export completed! Created section "${sectionName}" with ${conversationData.length} pages in OneNote.`));
+    insertAt.appendChild(document.createTextNode(`🎉 Export completed! Created ${pageCount} pages in section "${section.displayName}" in OneNote.`));
     
   } catch (error) {
     console.error("Error exporting to OneNote:", error);
@@ -428,111 +383,911 @@ export async function exportConversationToOneNote(conversationData, notebook, in
   }
 }
 
-// Helper function to export single email to OneNote
-export async function exportSingleEmailToOneNote(item, notebook, insertAt) {
+// Sync a previously exported conversation: add only the messages that are not
+// in OneNote yet. Combined pages get the new messages appended in place;
+// per-message layouts get new pages in the same section.
+export async function syncConversationToOneNote(conversationData, insertAt) {
+  console.log("Outlook2OneNote::onenote-service::syncConversationToOneNote()");
+  
   try {
-    const exportDate = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-    const emailSubject = item.subject || "No Subject";
+    conversationData.sort((a, b) => a.date - b.date);
+    const conversationId = conversationData[0].conversationId;
+    const threadExport = conversationId ? getThreadExport(conversationId) : null;
     
-    // Create section name: "Single Email - Subject + Export Date"
-    const sectionName = `Single Email - ${emailSubject} - ${exportDate}`;
+    if (!threadExport) {
+      appendStatusLine(insertAt, "This thread has not been exported yet. Use 'Export Thread' first.");
+      return;
+    }
+    
+    // Written with the account the thread was exported with
+    const account = threadExport.account || null;
+    let section;
+    try {
+      section = await authService.callGraphApi(`/me/onenote/sections/${threadExport.sectionId}?$select=id,displayName`, 'GET', null, null, { account });
+    } catch (error) {
+      console.error("Synced section is not accessible:", error);
+      appendStatusLine(insertAt, `❌ Section "${threadExport.sectionName}" is no longer available. Export the thread again.`);
+      return;
+    }
+    appendStatusLine(insertAt, `Syncing with section: "${section.displayName}"`);
+    
+    const existingExport = await findExistingExport([section], account, conversationData, insertAt);
+    const newEmails = conversationData.filter(email => !existingExport.messageMarkers.has(getMessageMarker(email)));
+    
+    if (newEmails.length === 0) {
+      appendStatusLine(insertAt, `✓ Up to date: all ${conversationData.length} messages are already in OneNote.`);
+      return;
+    }
+    appendStatusLine(insertAt, `Adding ${newEmails.length} new message${newEmails.length === 1 ? '' : 's'}...`);
+    await ensureAttachmentPermission(newEmails);
+    
+    const syncedAt = new Date();
+    let pageId = threadExport.pageId;
+    
+    if (threadExport.layout === EXPORT_LAYOUTS.PER_MESSAGE) {
+      await createMessagePages(newEmails, section, account, insertAt, syncedAt);
+    } else {
+      const pageExists = pageId && existingExport.pages.some(page => page.id === pageId);
+      if (pageExists) {
+        await appendToCombinedPage(pageId, account, newEmails, conversationData, insertAt, syncedAt);
+        appendStatusLine(insertAt, `✓ Appended to combined page "${existingExport.pages.find(page => page.id === pageId).title}"`);
+      } else {
+        // The combined page was deleted or moved: start a new one for the whole thread
+        appendStatusLine(insertAt, "⚠️ Combined page not found, creating a new one");
+        pageId = (await createCombinedPage(conversationData, section, account, insertAt, syncedAt))?.id || null;
+      }
+      
+      if (threadExport.layout === LEGACY_SUBPAGES_LAYOUT) {
+        appendStatusLine(insertAt, "ℹ️ This thread was exported with message subpages, which OneNote no longer lets the add-in create; new messages were added to the combined page only");
+      }
+    }
+    
+    setThreadExport(conversationId, { ...threadExport, sectionName: section.displayName, pageId, exportedAt: syncedAt.toISOString() });
     
-    insertAt.appendChild(document.createTextNode(`Creating section: "${sectionName}"`));
     insertAt.appendChild(document.createElement("br"));
+    insertAt.appendChild(document.createTextNode(`🎉 Sync completed! Added ${newEmails.length} new messages to section "${section.displayName}".`));
     
-    // Step 1: Create a new section in the notebook
-    const sectionData = {
-      displayName: sectionName
-    };
+  } catch (error) {
+    console.error("Error syncing to OneNote:", error);
+    insertAt.appendChild(document.createElement("br"));
+    insertAt.appendChild(document.createTextNode(`❌ Sync failed: ${error.message}`));
+    throw error;
+  }
+}
+
+// Create a new section in the notebook, or in one of its section groups, with
+// the account that owns the notebook (notebook.account, else the active account).
+// Falls back to the general sections endpoint when the notebook-specific one fails.
+export async function createSection(notebook, sectionName, insertAt, sectionGroup = null) {
+  const account = notebook.account || null;
+  insertAt.appendChild(document.createTextNode(`Creating section: "${sectionName}"`));
+  insertAt.appendChild(document.createElement("br"));
+  
+  const sectionData = {
+    displayName: sectionName.trim() // Use displayName instead of name for OneNote API
+  };
+  
+  console.log("Debug - Section data being sent:", JSON.stringify(sectionData));
+  
+  let section;
+  try {
+    // Try the notebook-specific endpoint first (conversation export)
+    section = await authService.callGraphApi(
+      sectionGroup
+        ? `/me/onenote/sectionGroups/${sectionGroup.id}/sections`
+        : `/me/onenote/notebooks/${notebook.id}/sections`,
+      'POST',
+      sectionData,
+      null,
+      { account }
+    );
     
-    let section;
+    insertAt.appendChild(document.createTextNode(`✓ Section created successfully`));
+    insertAt.appendChild(document.createElement("br"));
+    
+  } catch (error) {
+    console.error("Failed to create section:", error);
+    
+    // Sections in a section group can only be created through the group
+    if (sectionGroup) {
+      insertAt.appendChild(document.createTextNode(`❌ Failed to create section: ${error.message}`));
+      insertAt.appendChild(document.createElement("br"));
+      throw error;
+    }
+    
+    // If notebook-specific approach failed, try alternative approach
+    console.log("🔄 Trying alternative section creation method...");
     try {
+      // Try using general sections endpoint with parentNotebook property
+      const alternativeSectionData = {
+        displayName: sectionName.trim(),
+        parentNotebook: {
+          id: notebook.id
+        }
+      };
+      
       section = await authService.callGraphApi(
-        `/me/onenote/notebooks/${notebook.id}/sections`,
+        `/me/onenote/sections`,
         'POST',
-        sectionData
+        alternativeSectionData,
+        null,
+        { account }
       );
       
-      insertAt.appendChild(document.createTextNode(`✓ Section created successfully`));
+      console.log("✅ Section created using alternative method");
+      insertAt.appendChild(document.createTextNode(`✓ Section created successfully (alternative method)`));
       insertAt.appendChild(document.createElement("br"));
       
-    } catch (error) {
-      console.error("Failed to create section:", error);
+    } catch (alternativeError) {
+      console.error("Alternative section creation also failed:", alternativeError);
       insertAt.appendChild(document.createTextNode(`❌ Failed to create section: ${error.message}`));
       insertAt.appendChild(document.createElement("br"));
+      insertAt.appendChild(document.createTextNode(`❌ Alternative method also failed: ${alternativeError.message}`));
+      insertAt.appendChild(document.createElement("br"));
       throw error;
     }
+  }
+  
+  return section;
+}
+
+// Look up the section chosen as export destination. Returns null when it no
+// longer exists (deleted or moved), so the export can fall back to a new section.
+async function resolveTargetSection(targetSection, account, insertAt) {
+  try {
+    const section = await authService.callGraphApi(`/me/onenote/sections/${targetSection.id}?$select=id,displayName`, 'GET', null, null, { account });
+    insertAt.appendChild(document.createTextNode(`Exporting into section: "${section.displayName}"`));
+    insertAt.appendChild(document.createElement("br"));
+    return section;
+  } catch (error) {
+    console.warn("Selected section is not accessible:", error);
+    insertAt.appendChild(document.createTextNode(`⚠️ Section "${targetSection.displayName}" is no longer available, creating a new section instead`));
+    insertAt.appendChild(document.createElement("br"));
+    return null;
+  }
+}
+
+// Find sections whose name starts with a prefix, in a notebook or section group
+async function findSectionsByPrefix(notebook, sectionGroup, prefix) {
+  const endpoint = sectionGroup
+    ? `/me/onenote/sectionGroups/${sectionGroup.id}/sections?$select=id,displayName`
+    : `/me/onenote/notebooks/${notebook.id}/sections?$select=id,displayName`;
+  
+  try {
+    const sections = await getOneNoteCollection(endpoint, notebook.account || null);
+    return sections.filter(section => section.displayName.toLowerCase().startsWith(prefix.toLowerCase()));
+  } catch (error) {
+    console.warn("Could not list sections for duplicate detection:", error);
+    return [];
+  }
+}
+
+// Find pages in the given sections that were exported from these messages.
+// Only pages whose title contains the thread subject are read, since every
+// export titles its pages with the message subject.
+// Returns { pages: [{ id, title, messageMarkers, exportedAt }], messageMarkers, section }
+async function findExistingExport(sections, account, conversationData, insertAt) {
+  const result = { pages: [], messageMarkers: new Set(), section: null };
+  if (sections.length === 0) {
+    return result;
+  }
+  
+  const wantedMessages = new Set(conversationData.map(getMessageMarker));
+  const subjects = [...new Set(conversationData.map(email => normalizeSubject(email.subject)).filter(Boolean))];
+  
+  appendStatusLine(insertAt, "🔍 Checking the destination for earlier exports...");
+  
+  for (const section of sections) {
+    let pages;
+    try {
+      pages = await getOneNoteCollection(`/me/onenote/sections/${section.id}/pages?$select=id,title`, account);
+    } catch (error) {
+      console.warn(`Could not list pages of section ${section.displayName}:`, error);
+      continue;
+    }
     
-    // Step 2: Create page for the single email
-    const emailDate = new Date().toLocaleDateString();
-    const pageTitle = `${emailSubject} - ${emailDate}`;
+    const candidates = pages.filter(page => {
+      const title = (page.title || '').toLowerCase();
+      return subjects.length === 0 || subjects.some(subject => title.includes(subject));
+    });
     
-    // Get email body (this is limited in Office.js, but we'll do what we can)
-    let emailBody = "Email body not available through Office.js";
+    // Read the candidate pages in batches instead of one request per page
+    const contents = await authService.callGraphBatch(candidates.map(page => ({
+      url: `/me/onenote/pages/${page.id}/content`
+    })), { account });
+    
+    candidates.forEach((page, index) => {
+      if (!contents[index].ok) {
+        console.warn(`Could not read page ${page.title}:`, contents[index].error);
+        return;
+      }
+      
+      const markers = readProvenanceMarkers(contents[index].body);
+      const matches = [...markers.messages].filter(marker => wantedMessages.has(marker));
+      
+      if (matches.length > 0) {
+        result.pages.push({ id: page.id, title: page.title, messageMarkers: matches, exportedAt: markers.exportedAt });
+        matches.forEach(marker => result.messageMarkers.add(marker));
+        result.section = result.section || section;
+      }
+    });
+  }
+  
+  if (result.pages.length > 0) {
+    appendStatusLine(insertAt, `Found ${result.messageMarkers.size} of ${conversationData.length} messages already exported to section "${result.section.displayName}"`);
+  }
+  return result;
+}
+
+// Decide how to handle already exported messages: the "duplicateHandling"
+// user setting, or ask the user. Resolves to a DUPLICATE_HANDLING value, or
+// null when the user cancels.
+async function resolveDuplicateHandling(existingExport, conversationData, insertAt) {
+  const setting = getDuplicateHandling();
+  if (setting !== DUPLICATE_HANDLING.PROMPT) {
+    return setting;
+  }
+  
+  const newCount = conversationData.length - existingExport.messageMarkers.size;
+  const lastExport = existingExport.pages
+    .map(page => page.exportedAt)
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0];
+  
+  return new Promise(resolve => {
+    const prompt = document.createElement("div");
+    prompt.style.margin = "10px 0";
+    prompt.style.padding = "10px";
+    prompt.style.border = "1px solid #f0ad4e";
+    prompt.style.borderRadius = "4px";
+    prompt.style.backgroundColor = "#fcf8e3";
+    
+    const message = document.createElement("div");
+    message.appendChild(document.createTextNode(
+      `This thread was exported before${lastExport ? ` (${lastExport.toLocaleString()})` : ''}. ` +
+      `${newCount} new message${newCount === 1 ? '' : 's'} since then.`
+    ));
+    prompt.appendChild(message);
+    
+    const addChoice = (label, value) => {
+      const button = document.createElement("button");
+      button.style.marginTop = "8px";
+      button.style.marginRight = "8px";
+      button.appendChild(document.createTextNode(label));
+      button.addEventListener("click", () => {
+        prompt.remove();
+        resolve(value);
+      });
+      prompt.appendChild(button);
+    };
+    
+    addChoice("Export new messages only", DUPLICATE_HANDLING.SKIP);
+    addChoice("Replace existing pages", DUPLICATE_HANDLING.UPDATE);
+    addChoice("Cancel", null);
+    
+    insertAt.appendChild(prompt);
+  });
+}
+
+// Delete exported pages: the old pages once their replacements exist, or new
+// pages of a replacement that could not be completed.
+// Returns the pages that could not be deleted.
+async function deletePages(pages, account, insertAt, kind) {
+  if (pages.length === 0) {
+    return [];
+  }
+  
+  const results = await authService.callGraphBatch(pages.map(page => ({
+    method: 'DELETE',
+    url: `/me/onenote/pages/${page.id}`
+  })), { account });
+  
+  return pages.filter((page, index) => {
+    if (results[index].ok) {
+      appendStatusLine(insertAt, `🗑️ Removed ${kind} page "${page.title}"`);
+      return false;
+    }
+    console.error(`Failed to delete page ${page.title}:`, results[index].error);
+    appendStatusLine(insertAt, `⚠️ Could not remove ${kind} page "${page.title}": ${results[index].error}`);
+    return true;
+  });
+}
+
+// Create one page per email in the section.
+// Pages without attachments are created through Graph $batch, chained with
+// dependsOn so they keep the thread order; pages with attachments need a
+// multipart request and are created on their own.
+// Returns the created pages; a failed page does not stop the export.
+async function createMessagePages(conversationData, section, account, insertAt, exportedAt) {
+  insertAt.appendChild(document.createTextNode(`Creating ${conversationData.length} pages...`));
+  insertAt.appendChild(document.createElement("br"));
+  
+  const attachmentLists = await prefetchAttachmentLists(conversationData);
+  const createdPages = [];
+  let pendingPages = [];
+  
+  const flushPendingPages = async () => {
+    createdPages.push(...await createPagesInBatch(section, account, pendingPages, insertAt));
+    pendingPages = [];
+  };
+  
+  for (let i = 0; i < conversationData.length; i++) {
+    const email = conversationData[i];
+    const emailSubject = getEmailSubject(email);
+    const pageTitle = `${emailSubject} - ${email.date.toLocaleDateString()}`;
+    
+    // Download attachments first so the page can reference them as multipart parts
+    const attachments = await prepareEmailAttachments(email, insertAt, 'attachment', 0, attachmentLists);
+    const bodyHtml = renderEmailBody(email, attachments);
     
     // Build OneNote page content in HTML format
     const pageContent = `
       <html>
         <head>
-          <title>${pageTitle}</title>
+          <title>${escapeHtml(pageTitle)}</title>
         </head>
         <body>
-          <div>
-            <h1>${emailSubject}</h1>
-            <table style="margin-bottom: 20px;">
-              <tr>
-                <td><strong>From:</strong></td>
-                <td>${item.sender?.displayName || 'Not available'} ${item.sender?.emailAddress ? `(${item.sender.emailAddress})` : ''}</td>
-              </tr>
-              <tr>
-                <td><strong>Date:</strong></td>
-                <td>${item.dateTimeCreated ? new Date(item.dateTimeCreated).toLocaleString() : 'Not available'}</td>
-              </tr>
-              <tr>
-                <td><strong>To:</strong></td>
-                <td>${item.to ? item.to.map(recipient => recipient.displayName || recipient.emailAddress).join(', ') : 'Not available'}</td>
-              </tr>
-            </table>
+          <div data-id="${getMessageMarker(email)}">
+            <h1>${escapeHtml(emailSubject)}</h1>
+            ${renderMessageHeader(email)}
             <hr />
-            <div style="margin-top: 20px;">
-              <p><em>Note: Email body extraction requires additional permissions. This shows the email metadata that is available through Office.js.</em></p>
-              <p><strong>Subject:</strong> ${emailSubject}</p>
-              <p><strong>Item ID:</strong> ${item.itemId || 'Not available'}</p>
-              <p><strong>Conversation ID:</strong> ${item.conversationId || 'Not available'}</p>
-            </div>
+            ${bodyHtml}
+            ${renderAttachments(attachments)}
           </div>
+          ${renderProvenanceBlock(email.conversationId, exportedAt)}
         </body>
       </html>
     `;
     
-    try {
-      // Create page in the section
-      await authService.callGraphApi(
-        `/me/onenote/sections/${section.id}/pages`,
-        'POST',
-        pageContent,
-        { 'Content-Type': 'text/html' }
-      );
-      
-      insertAt.appendChild(document.createTextNode(`✓ Page created: "${pageTitle}"`));
-      insertAt.appendChild(document.createElement("br"));
-      
-    } catch (pageError) {
-      console.error("Failed to create page:", pageError);
-      insertAt.appendChild(document.createTextNode(`❌ Failed to create page: ${pageError.message}`));
-      insertAt.appendChild(document.createElement("br"));
-      throw pageError;
+    const page = { number: i + 1, title: pageTitle, marker: getMessageMarker(email), content: pageContent };
+    if (attachments.length === 0) {
+      pendingPages.push(page);
+      continue;
     }
     
+    // Keep the page order: pages queued before this one are created first
+    await flushPendingPages();
+    const created = await createSinglePage(section, account, page, attachments, insertAt);
+    if (created) {
+      createdPages.push(created);
+    }
+  }
+  await flushPendingPages();
+  
+  return createdPages;
+}
+
+// Create queued pages ({ number, title, marker, content }) in as few round
+// trips as possible. A page that was not attempted because the page before it
+// failed (424 Failed Dependency) is retried on its own, as is a page that hit
+// a gateway error (503/504) once it is clear it was not created anyway.
+// Returns the created pages in order.
+async function createPagesInBatch(section, account, pages, insertAt) {
+  if (pages.length === 0) {
+    return [];
+  }
+  
+  const results = await authService.callGraphBatch(pages.map((page, index) => ({
+    id: String(page.number),
+    method: 'POST',
+    url: `/me/onenote/sections/${section.id}/pages`,
+    headers: { 'Content-Type': 'text/html' },
+    body: page.content,
+    dependsOn: index > 0 ? [String(pages[index - 1].number)] : []
+  })), { account });
+  
+  const createdPages = [];
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    const result = results[i];
+    
+    if (result.ok) {
+      createdPages.push(result.body);
+      appendStatusLine(insertAt, `✓ Page ${page.number}: "${page.title}"`);
+    } else if (result.status === FAILED_DEPENDENCY_STATUS || (result.status !== 429 && isRetryableStatus(result.status))) {
+      const created = await createSinglePage(section, account, page, [], insertAt, result.status !== FAILED_DEPENDENCY_STATUS);
+      if (created) {
+        createdPages.push(created);
+      }
+    } else {
+      console.error(`Failed to create page ${page.number}:`, result.error);
+      appendStatusLine(insertAt, `❌ Failed to create page ${page.number}: ${result.error}`);
+    }
+  }
+  
+  return createdPages;
+}
+
+// Create one page with its own request; returns the page, or null on failure.
+// With checkExisting, an earlier request that may have created the page is
+// checked for first.
+async function createSinglePage(section, account, page, attachments, insertAt, checkExisting = false) {
+  try {
+    const existing = checkExisting ? await findCreatedPage(section, account, page, new Date(Date.now() - CREATED_PAGE_WINDOW_MS)) : null;
+    const created = existing || await createPage(section, account, page, attachments, insertAt);
+    appendStatusLine(insertAt, `✓ Page ${page.number}: "${page.title}"`);
+    return created;
+  } catch (pageError) {
+    console.error(`Failed to create page ${page.number}:`, pageError);
+    appendStatusLine(insertAt, `❌ Failed to create page ${page.number}: ${pageError.message}`);
+    // Continue with other pages even if one fails
+    return null;
+  }
+}
+
+// Create a single chronological page for the whole thread: a numbered table of
+// contents (OneNote has no in-page links, so the numbers match the message
+// headers), then every message under its own header.
+// Attachments of all messages share one multipart request and one size budget.
+// Returns the created page, throws if the page cannot be created.
+async function createCombinedPage(conversationData, section, account, insertAt, exportedAt) {
+  insertAt.appendChild(document.createTextNode(`Creating combined page for ${conversationData.length} messages...`));
+  insertAt.appendChild(document.createElement("br"));
+  
+  const threadSubject = getEmailSubject(conversationData[0]);
+  const pageTitle = `${threadSubject} - ${conversationData[0].date.toLocaleDateString()}`;
+  const { tocItems, messageSections, attachments } = await renderCombinedMessages(conversationData, insertAt);
+  
+  const pageContent = `
+      <html>
+        <head>
+          <title>${escapeHtml(pageTitle)}</title>
+        </head>
+        <body>
+          <div data-id="contents">
+            <h1>${escapeHtml(threadSubject)}</h1>
+            ${renderCombinedSummary(conversationData)}
+            <h2>Contents</h2>
+            <ol data-id="o2o-toc">${tocItems.join('')}</ol>
+          </div>
+          ${messageSections.join('')}
+          ${renderProvenanceBlock(conversationData[0].conversationId, exportedAt)}
+        </body>
+      </html>
+    `;
+  
+  try {
+    const page = await createPage(section, account, {
+      title: pageTitle,
+      marker: getMessageMarker(conversationData[0]),
+      content: pageContent
+    }, attachments, insertAt);
+    insertAt.appendChild(document.createTextNode(`✓ Combined page: "${pageTitle}"`));
     insertAt.appendChild(document.createElement("br"));
-    insertAt.appendChild(document.createTextNode(`🎉 Single email exported! Created section "${sectionName}" with 1 page in OneNote.`));
+    return page;
+  } catch (pageError) {
+    console.error("Failed to create combined page:", pageError);
+    insertAt.appendChild(document.createTextNode(`❌ Failed to create combined page: ${pageError.message}`));
+    insertAt.appendChild(document.createElement("br"));
+    throw pageError;
+  }
+}
+
+// Append new messages to an existing combined page with a PATCH append command.
+// The table of contents and the summary line are updated as well; pages that
+// predate those targets only get the messages appended.
+async function appendToCombinedPage(pageId, account, newEmails, allEmails, insertAt, syncedAt) {
+  const firstNumber = allEmails.length - newEmails.length + 1;
+  const { tocItems, messageSections, attachments } = await renderCombinedMessages(newEmails, insertAt, firstNumber);
+  
+  const appendCommand = {
+    target: 'body',
+    action: 'append',
+    content: `${messageSections.join('')}
+          <p data-id="${getExportTimeMarker(syncedAt)}" style="font-size: 8pt; color: #a0a0a0;">Synced from Outlook on ${escapeHtml(syncedAt.toLocaleString())}</p>`
+  };
+  const commands = [
+    { target: '#o2o-toc', action: 'append', content: tocItems.join('') },
+    { target: '#o2o-summary', action: 'replace', content: renderCombinedSummary(allEmails) },
+    appendCommand
+  ];
+  
+  const patch = patchCommands => authService.callGraphApi(
+    `/me/onenote/pages/${pageId}/content`,
+    'PATCH',
+    attachments.length > 0 ? buildMultipartCommands(patchCommands, attachments) : patchCommands,
+    null,
+    { account }
+  );
+  
+  try {
+    await patch(commands);
+  } catch (error) {
+    console.warn("Page update with table of contents failed, appending messages only:", error);
+    await patch([appendCommand]);
+  }
+}
+
+// Render the table of contents entries and message blocks of a combined page;
+// numbering starts at firstNumber.
+// Returns { tocItems, messageSections, attachments }
+async function renderCombinedMessages(emails, insertAt, firstNumber = 1) {
+  const attachments = [];
+  const tocItems = [];
+  const messageSections = [];
+  const attachmentLists = await prefetchAttachmentLists(emails);
+  
+  for (let i = 0; i < emails.length; i++) {
+    const email = emails[i];
+    const number = firstNumber + i;
+    const usedBytes = attachments.reduce((total, attachment) => total + attachment.size, 0);
+    const emailAttachments = await prepareEmailAttachments(email, insertAt, `message${number}attachment`, usedBytes, attachmentLists);
+    attachments.push(...emailAttachments);
     
+    tocItems.push(`<li>${escapeHtml(email.senderName)} - ${escapeHtml(email.date.toLocaleString())}</li>`);
+    messageSections.push(`
+          <div data-id="${getMessageMarker(email)}">
+            <hr />
+            <h2>${number}. ${escapeHtml(getEmailSubject(email))}</h2>
+            ${renderMessageHeader(email)}
+            ${renderEmailBody(email, emailAttachments)}
+            ${renderAttachments(emailAttachments)}
+          </div>`);
+  }
+  
+  return { tocItems, messageSections, attachments };
+}
+
+function renderCombinedSummary(emails) {
+  const firstDate = emails[0].date;
+  const lastDate = emails[emails.length - 1].date;
+  return `<p data-id="o2o-summary">${emails.length} messages, ${escapeHtml(firstDate.toLocaleString())} - ${escapeHtml(lastDate.toLocaleString())}</p>`;
+}
+
+// Create a page ({ title, marker, content }) in the section (multipart when
+// attachments are included). Throttled requests are retried; after a timeout
+// or gateway error the section is checked for the page first, so a page that
+// OneNote created anyway is not created twice.
+async function createPage(section, account, page, attachments, insertAt) {
+  const startedAt = new Date();
+  return authService.callGraphApi(
+    `/me/onenote/sections/${section.id}/pages`,
+    'POST',
+    attachments.length > 0 ? buildMultipartPage(page.content, attachments) : page.content,
+    attachments.length > 0 ? null : { 'Content-Type': 'text/html' },
+    {
+      account,
+      retry: {
+        checkCompleted: () => findCreatedPage(section, account, page, startedAt),
+        onRetry: ({ error, delayMs }) => {
+          appendStatusLine(insertAt, error.status === 429
+            ? `⏳ OneNote is throttling requests, retrying "${page.title}" in ${Math.ceil(delayMs / 1000)}s...`
+            : `⏳ Request for "${page.title}" failed, retrying in ${Math.ceil(delayMs / 1000)}s...`);
+        }
+      }
+    }
+  );
+}
+
+// How far back a page may have been created by a request that failed
+const CREATED_PAGE_WINDOW_MS = 5 * 60 * 1000;
+
+// Tolerated difference between the local clock and OneNote's createdDateTime
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+// Find a page with the title and message marker created since the given time.
+// Returns the page, or null when it does not exist.
+async function findCreatedPage(section, account, page, since) {
+  const data = await authService.callGraphApi(
+    `/me/onenote/sections/${section.id}/pages?$select=id,title,createdDateTime&$orderby=createdDateTime desc&$top=20`,
+    'GET',
+    null,
+    null,
+    { account }
+  );
+  const candidates = ((data && data.value) || []).filter(candidate =>
+    candidate.title === page.title && new Date(candidate.createdDateTime).getTime() >= since.getTime() - CLOCK_SKEW_MS
+  );
+  
+  for (const candidate of candidates) {
+    const content = await authService.callGraphApi(`/me/onenote/pages/${candidate.id}/content`, 'GET', null, null, { account });
+    if (readProvenanceMarkers(content).messages.has(page.marker)) {
+      console.log(`Page "${page.title}" was created by the failed request, not creating it again`);
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Graph reports hasAttachments=false when a message only has inline images
+function needsAttachments(email) {
+  return email.hasAttachments || hasInlineImageReferences(email);
+}
+
+async function prepareEmailAttachments(email, insertAt, partPrefix, usedBytes, attachmentLists = null) {
+  return needsAttachments(email) ? prepareAttachments(email, insertAt, partPrefix, usedBytes, attachmentLists) : [];
+}
+
+// Attachments are read with their own scope set. Checking it up front makes a
+// missing permission fail the export as a whole instead of each attachment.
+async function ensureAttachmentPermission(emails) {
+  if (emails.some(needsAttachments)) {
+    await authService.getAccessToken(SCOPE_SETS.ATTACHMENT_EXPORT, await getMailboxAccount());
+  }
+}
+
+
+// List the attachments of every email that needs them with one $batch call.
+// Messages missing from the result are listed on their own by prepareAttachments().
+async function prefetchAttachmentLists(emails) {
+  const messageIds = emails.filter(needsAttachments).map(email => email.id);
+  if (messageIds.length < 2) {
+    return null;
+  }
+  
+  try {
+    return await getAttachmentLists(messageIds);
+  } catch (error) {
+    console.warn("Could not list attachments in a batch, listing per message:", error);
+    return null;
+  }
+}
+
+function getEmailSubject(email) {
+  return email.subject && email.subject.trim() ? email.subject.trim() : "No Subject";
+}
+
+// Render the From/Date/recipient table shown above each message
+function renderMessageHeader(email) {
+  return `<table style="margin-bottom: 20px;">
+              <tr>
+                <td><strong>From:</strong></td>
+                <td>${escapeHtml(email.senderName)}${email.senderEmail ? ` (${escapeHtml(email.senderEmail)})` : ''}</td>
+              </tr>
+              <tr>
+                <td><strong>Date:</strong></td>
+                <td>${escapeHtml(email.date.toLocaleString())}</td>
+              </tr>
+              ${renderRecipientRows(email)}
+            </table>`;
+}
+
+// Download the file attachments of an email that fit the size limits.
+// Part names start with partPrefix; usedBytes counts attachments already on the page;
+// attachmentLists holds lists prefetched by prefetchAttachmentLists().
+// Writes one status line per attachment to the task pane and never throws:
+// a failed attachment must not prevent the page from being created.
+async function prepareAttachments(email, insertAt, partPrefix = 'attachment', usedBytes = 0, attachmentLists = null) {
+  const limits = getAttachmentLimits();
+  const prepared = [];
+  let totalBytes = usedBytes;
+  let attachments;
+  
+  try {
+    const prefetched = attachmentLists && attachmentLists.get(email.id);
+    attachments = prefetched && prefetched.attachments ? prefetched.attachments : await getMessageAttachments(email.id);
   } catch (error) {
-    console.error("Error exporting single email:", error);
+    console.error("Failed to list attachments:", error);
+    appendStatusLine(insertAt, `  📎 Attachments unavailable: ${error.message}`);
+    return prepared;
+  }
+  
+  for (const attachment of attachments) {
+    const label = `${attachment.name} (${formatBytes(attachment.size)})`;
+    
+    if (!attachment.isFile) {
+      appendStatusLine(insertAt, `  📎 ${label} - skipped: not a file attachment`);
+      continue;
+    }
+    if (attachment.size > limits.maxAttachmentBytes) {
+      appendStatusLine(insertAt, `  📎 ${label} - skipped: larger than ${formatBytes(limits.maxAttachmentBytes)} limit`);
+      continue;
+    }
+    if (totalBytes + attachment.size > limits.maxTotalBytes) {
+      appendStatusLine(insertAt, `  📎 ${label} - skipped: page total would exceed ${formatBytes(limits.maxTotalBytes)}`);
+      continue;
+    }
+    
+    try {
+      const content = await getAttachmentContent(email.id, attachment.id);
+      prepared.push({
+        ...attachment,
+        ...content,
+        partName: `${partPrefix}${prepared.length + 1}`
+      });
+      totalBytes += attachment.size;
+      appendStatusLine(insertAt, attachment.isInline
+        ? `  🖼️ ${label} - embedded inline`
+        : `  📎 ${label} - attached`);
+    } catch (error) {
+      console.error(`Failed to download attachment ${attachment.name}:`, error);
+      appendStatusLine(insertAt, `  📎 ${label} - failed: ${error.message}`);
+    }
+  }
+  
+  return prepared;
+}
+
+// Images render inline; other files become OneNote file attachments (<object>).
+// Attachments already shown in the body through a cid: reference are skipped.
+function renderAttachments(attachments) {
+  const remaining = attachments.filter(attachment => !attachment.isEmbedded);
+  if (remaining.length === 0) {
+    return '';
+  }
+  
+  const items = remaining.map(attachment => {
+    if (isImageAttachment(attachment)) {
+      return `<p><img src="name:${attachment.partName}" alt="${escapeHtml(attachment.name)}" /></p>`;
+    }
+    return `<p><object data-attachment="${escapeHtml(attachment.name)}" data="name:${attachment.partName}" type="${escapeHtml(attachment.contentType)}" /></p>`;
+  });
+  
+  return `<h2>Attachments</h2>${items.join('')}`;
+}
+
+// Build a multipart/form-data page-update body: the PATCH commands in the
+// "Commands" part and one named part per attachment
+function buildMultipartCommands(commands, attachments) {
+  const formData = new FormData();
+  formData.append('Commands', new Blob([JSON.stringify(commands)], { type: 'application/json' }));
+  attachments.forEach(attachment => {
+    formData.append(attachment.partName, attachment.blob, attachment.name);
+  });
+  return formData;
+}
+
+// Build a multipart/form-data page-create body: the page HTML in the
+// "Presentation" part and one named part per attachment
+function buildMultipartPage(pageContent, attachments) {
+  const formData = new FormData();
+  formData.append('Presentation', new Blob([pageContent], { type: 'text/html' }));
+  attachments.forEach(attachment => {
+    formData.append(attachment.partName, attachment.blob, attachment.name);
+  });
+  return formData;
+}
+
+// Whether an HTML body references inline images (cid: URLs). The image
+// sources are read the way renderEmailBody sees them when it rewrites them.
+function hasInlineImageReferences(email) {
+  if (email.bodyContentType !== 'html') {
+    return false;
+  }
+  let found = false;
+  const rewriteImageSource = src => {
+    found = found || /^cid:/i.test(src);
+    return src;
+  };
+  [email.body, email.quotedBody].filter(Boolean).forEach(body => sanitizeEmailHtml(body, { rewriteImageSource }));
+  return found;
+}
+
+// Match a cid: reference to a downloaded attachment. Content IDs may be
+// URL-encoded in the body and wrapped in <> in the attachment metadata.
+function findAttachmentByContentId(attachments, contentId) {
+  const normalize = value => {
+    let decoded = value;
+    try {
+      decoded = decodeURIComponent(value);
+    } catch (error) {
+      // Not URL-encoded - use as-is
+    }
+    return decoded.replace(/^<|>$/g, '').trim().toLowerCase();
+  };
+  
+  const target = normalize(contentId);
+  return attachments.find(attachment => attachment.contentId && normalize(attachment.contentId) === target);
+}
+
+function isImageAttachment(attachment) {
+  return /^image\/(png|jpe?g|gif|bmp|tiff?)$/i.test(attachment.contentType);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function appendStatusLine(insertAt, text) {
+  insertAt.appendChild(document.createTextNode(text));
+  insertAt.appendChild(document.createElement("br"));
+}
+
+// Render the To/Cc/Bcc/Reply-To and importance rows of the page header.
+// Cc, Bcc and Reply-To rows are only shown when the message has them.
+function renderRecipientRows(email) {
+  const rows = [['To', formatRecipients(email.toRecipients) || 'Not available']];
+  
+  if (email.ccRecipients?.length) {
+    rows.push(['Cc', formatRecipients(email.ccRecipients)]);
+  }
+  if (email.bccRecipients?.length) {
+    rows.push(['Bcc', formatRecipients(email.bccRecipients)]);
+  }
+  if (email.replyTo?.length) {
+    rows.push(['Reply-To', formatRecipients(email.replyTo)]);
+  }
+  if (email.importance && email.importance !== 'normal') {
+    rows.push(['Importance', email.importance.charAt(0).toUpperCase() + email.importance.slice(1)]);
+  }
+  
+  return rows.map(([label, value]) => `
+                <tr>
+                  <td><strong>${label}:</strong></td>
+                  <td>${escapeHtml(value)}</td>
+                </tr>`).join('');
+}
+
+// Format { name, address } recipients as "Name (address); ..."
+function formatRecipients(recipients) {
+  if (!recipients || recipients.length === 0) {
+    return '';
+  }
+  return recipients
+    .map(recipient => recipient.name && recipient.address && recipient.name !== recipient.address
+      ? `${recipient.name} (${recipient.address})`
+      : recipient.name || recipient.address)
+    .join('; ');
+}
+
+// Render the email body for a OneNote page.
+// HTML bodies are sanitized and normalized to the subset OneNote accepts, with
+// inline cid: images pointed at their multipart parts (OneNote "name:" references);
+// text bodies are escaped and keep their line breaks.
+function renderEmailBody(email, attachments = []) {
+  if (email.bodyContentType === 'html') {
+    const rewriteImageSource = src => {
+      if (!/^cid:/i.test(src)) {
+        return src;
+      }
+      const attachment = findAttachmentByContentId(attachments, src.slice(4));
+      if (!attachment) {
+        console.warn("Inline image not exported, dropping reference:", src);
+        return null;
+      }
+      attachment.isEmbedded = true;
+      return `name:${attachment.partName}`;
+    };
+    
+    return `<div style="margin-top: 20px;">${sanitizeEmailHtml(email.body, { rewriteImageSource })}</div>`
+      + renderQuotedBody(email, body => sanitizeEmailHtml(body, { rewriteImageSource }));
+  }
+  
+  return `<div style="margin-top: 20px;">${textToHtml(email.body)}</div>`
+    + renderQuotedBody(email, textToHtml);
+}
+
+// Render content removed by reply trimming below the message. Content under a
+// heading can be collapsed in OneNote, so the history stays out of the way.
+function renderQuotedBody(email, renderBody) {
+  if (!email.quotedBody) {
+    return '';
+  }
+  
+  return `
+    <h3 style="color: #808080;">Quoted text</h3>
+    <div style="color: #808080;">${renderBody(email.quotedBody)}</div>
+  `;
+}
+
+// Helper function to export single email to OneNote.
+// Loads the full message from Graph by its REST ID and renders it through the
+// same page pipeline as thread exports (body, recipients, attachments, inline images).
+// Quoted history is not trimmed: in a single export it is the only copy of the thread.
+export async function exportSingleEmailToOneNote(item, notebook, insertAt, targetSection = null) {
+  console.log("Outlook2OneNote::onenote-service::exportSingleEmailToOneNote()");
+  
+  insertAt.appendChild(document.createTextNode("Loading email from Microsoft Graph..."));
+  insertAt.appendChild(document.createElement("br"));
+  
+  let emailData;
+  try {
+    emailData = await getMessageDataForExport(item);
+  } catch (error) {
+    console.error("Error loading single email:", error);
+    insertAt.appendChild(document.createTextNode(`❌ Could not load the email: ${error.message}`));
     insertAt.appendChild(document.createElement("br"));
-    insertAt.appendChild(document.createTextNode(`❌ Export failed: ${error.message}`));
     throw error;
   }
+  
+  // Page creation reports its own progress and errors
+  await exportConversationToOneNote([emailData], notebook, insertAt, targetSection);
 }
 
 // Modern authentication utility functions
@@ -582,8 +1337,10 @@ export async function handleOAuthCallback() {
 export async function refreshAuthenticationTokens() {
   try {
     console.log("🔄 Refreshing authentication tokens...");
-    // The new auth service handles token refresh automatically during calls
-    await authService.authenticate();
+    // Renew silently; sign in again when the token cannot be renewed
+    if (!(await authService.refreshAccessToken())) {
+      await authService.authenticate();
+    }
     console.log("✅ Tokens refreshed successfully");
     return true;
   } catch (error) {
@@ -621,18 +1378,125 @@ export async function logoutUser() {
  * Get current authentication method being used
  */
 export function getCurrentAuthMethod() {
-  // Check platform support and determine which auth method is active
+  // The sign-in strategy that issued the cached token
+  const method = authService.getAuthMethod();
+  return method ? method.label : 'Not signed in';
+}
+
+/**
+ * The active account: notebooks are listed for it and destinations chosen
+ * from that list belong to it
+ */
+export function getCurrentAccount() {
+  return authService.getCurrentUser();
+}
+
+/**
+ * Describe an account (the active one by default), e.g.
+ * "adele@contoso.com (Work or school account)"
+ */
+export function getCurrentAccountDescription(account = authService.getCurrentUser()) {
+  if (!account) {
+    return null;
+  }
+  const name = account.username || account.name || 'Unknown account';
+  const accountType = getAccountType(account);
+  return accountType ? `${name} (${accountType.label})` : name;
+}
+
+/**
+ * Details for the account panel: the user's profile from /me and the token in
+ * use. Returns null when nobody is signed in (no sign-in window is opened).
+ */
+export async function getAccountDetails() {
+  if (!(await checkAuthenticationStatus())) {
+    return null;
+  }
+  
+  let profile = null;
   try {
-    // With the new auth service, we use Office SSO first, then MSAL popup
-    if (typeof Office !== 'undefined' && Office.context && Office.context.auth) {
-      return 'Office.js SSO (Primary)';
-    } else {
-      return 'MSAL Popup Fallback';
-    }
+    profile = await authService.callGraphApi('/me?$select=displayName,mail,userPrincipalName');
   } catch (error) {
-    console.warn("Error determining auth method:", error);
-    return 'Unknown';
+    console.warn("Could not load the user profile:", error);
+  }
+  
+  const account = authService.getCurrentUser();
+  const token = authService.getTokenDetails();
+  return {
+    displayName: profile?.displayName || account?.name || null,
+    email: profile?.mail || profile?.userPrincipalName || account?.username || null,
+    account: getCurrentAccountDescription(),
+    authMethod: getCurrentAuthMethod(),
+    scopes: token?.scopes || null,
+    expiresAt: token?.expiresAt || null,
+    otherAccounts: authService.getAccounts().slice(1).map(other => getCurrentAccountDescription(other))
+  };
+}
+
+/**
+ * Sign in with another account the user picks and make it the active one.
+ * The previous account stays signed in, but its notebook, section choices and
+ * exported threads are cleared.
+ * 
+ * @returns {Promise<boolean>} Whether a different account is active now
+ */
+export async function switchAccount() {
+  console.log("🔄 Switching account...");
+  const previous = authService.getCurrentUser();
+  const account = await authService.switchAccount();
+  
+  const changed = !!previous && !!account && !isSameAccount(previous, account);
+  if (changed) {
+    clearNotebookStateForAccount(previous);
+    console.log(`✅ Switched from ${previous.username} to ${account.username}`);
   }
+  return changed;
+}
+
+/**
+ * Whether an operation failed because it needs a permission the user has not
+ * granted yet (incremental consent)
+ */
+export function isPermissionNeeded(error) {
+  return error?.code === ADDITIONAL_CONSENT_REQUIRED;
+}
+
+/**
+ * Explain which permission a failed operation needs, e.g. "Outlook2OneNote
+ * needs permission to read the messages of the email threads you export (Mail.Read)"
+ */
+export function describeNeededPermission(error) {
+  const scopes = formatScopes(error.missingScopes || error.scopeSet?.scopes || []);
+  const purpose = error.scopeSet ? `permission to ${error.scopeSet.description}` : 'an additional permission';
+  return `Outlook2OneNote needs ${purpose}${scopes ? ` (${scopes})` : ''}.`;
+}
+
+/**
+ * Ask the user for the permission a failed operation needs. Must run from a
+ * click so the sign-in window may open.
+ */
+export async function grantPermission(error) {
+  console.log("🔑 Requesting additional permission:", error.missingScopes);
+  await authService.requestScopes(error.scopeSet || { scopes: error.missingScopes }, error.account || null);
+  console.log("✅ Additional permission granted");
+}
+
+/**
+ * Whether an operation failed because the account that owns the mailbox is
+ * not signed in (error.account names it)
+ */
+export function isMailboxSignInNeeded(error) {
+  return error?.code === MAILBOX_SIGN_IN_REQUIRED;
+}
+
+/**
+ * Sign in the mailbox's account a failed operation needs. Must run from a
+ * click so the sign-in window may open.
+ */
+export async function signInMailboxAccount(error) {
+  console.log("🔑 Signing in the mailbox account:", error.account.username);
+  await authService.signInAccount(error.account);
+  console.log("✅ Mailbox account signed in");
 }
 
 /**
@@ -654,6 +1518,9 @@ export async function showAuthenticationStatus() {
     insertAt.appendChild(document.createTextNode(`Method: ${authMethod}`));
     insertAt.appendChild(document.createElement("br"));
     
+    insertAt.appendChild(document.createTextNode(`Account: ${getCurrentAccountDescription() || 'Not signed in'}`));
+    insertAt.appendChild(document.createElement("br"));
+    
     insertAt.appendChild(document.createTextNode(`Status: ${hasValid ? '✅ Valid' : '❌ Invalid/Missing'}`));
     insertAt.appendChild(document.createElement("br"));
     insertAt.appendChild(document.createElement("br"));
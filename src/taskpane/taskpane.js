@@ -32,17 +32,40 @@ import {
   showNotebookPopup, 
   onNotebookSelected,
   exportConversationToOneNote,
-  exportSingleEmailToOneNote
+  exportSingleEmailToOneNote,
+  syncConversationToOneNote,
+  getCurrentAccount,
+  getCurrentAccountDescription,
+  isPermissionNeeded,
+  describeNeededPermission,
+  grantPermission,
+  isMailboxSignInNeeded,
+  signInMailboxAccount,
+  getAccountDetails,
+  switchAccount,
+  logoutUser
 } from './onenote-service.js';
 
 import {
   getSelectedNotebook,
   setSelectedNotebook,
   clearSelectedNotebook,
-  initializeAppState
+  initializeAppState,
+  getExportLayout,
+  setExportLayout,
+  getReplyTrimmingMode,
+  setReplyTrimmingMode,
+  getDuplicateHandling,
+  setDuplicateHandling,
+  getAttachmentLimits,
+  setAttachmentLimits,
+  getSelectedSection,
+  setSelectedSection
 } from '../common/app-state.js';
 
-import { dumpThread, getConversationDataForExport } from './email-service.js';
+import { dumpThread, getConversationDataForExport, TRUNCATED_SCAN_WARNING } from './email-service.js';
+import { trimConversationReplies } from '../common/reply-trimmer.js';
+import { formatScopes } from '../common/graph-scopes.js';
 
 // Office.js initialization
 Office.onReady((info) => {
@@ -71,6 +94,29 @@ Office.onReady((info) => {
     
     document.getElementById("choose").onclick = chooseNotebook;
     document.getElementById("export").onclick = exportThread;
+    document.getElementById("sync").onclick = syncThread;
+    
+    // Page layout option, persisted in roaming settings
+    const layoutSelect = document.getElementById("export-layout");
+    layoutSelect.value = getExportLayout();
+    layoutSelect.onchange = () => setExportLayout(layoutSelect.value);
+    
+    // Reply trimming option, persisted in roaming settings
+    const trimmingSelect = document.getElementById("reply-trimming");
+    trimmingSelect.value = getReplyTrimmingMode();
+    trimmingSelect.onchange = () => setReplyTrimmingMode(trimmingSelect.value);
+    
+    // Handling of already exported messages, persisted in roaming settings
+    const duplicateSelect = document.getElementById("duplicate-handling");
+    duplicateSelect.value = getDuplicateHandling();
+    duplicateSelect.onchange = () => setDuplicateHandling(duplicateSelect.value);
+    
+    initializeAttachmentLimitOptions();
+    
+    // Account panel, loaded when it is opened
+    document.getElementById("account-panel").addEventListener("toggle", () => updateAccountPanel());
+    document.getElementById("switch-account").onclick = chooseAccount;
+    document.getElementById("sign-out").onclick = signOut;
   }
 });
 
@@ -87,8 +133,16 @@ function updateNotebookUI() {
   
   if (selectedNotebook) {
     insertAt.innerHTML = "";
+    const selectedSection = getSelectedSection(selectedNotebook.id);
     insertAt.appendChild(document.createTextNode(`✅ Selected Notebook: ${selectedNotebook.displayName || selectedNotebook.name || 'Unknown'}`));
     insertAt.appendChild(document.createElement("br"));
+    insertAt.appendChild(document.createTextNode(`📑 Section: ${describeSection(selectedSection)}`));
+    insertAt.appendChild(document.createElement("br"));
+    if (selectedNotebook.account) {
+      insertAt.appendChild(document.createTextNode(`🗂️ Notebook account: ${getCurrentAccountDescription(selectedNotebook.account)}`));
+      insertAt.appendChild(document.createElement("br"));
+    }
+    appendSignedInAccount(insertAt);
     insertAt.appendChild(document.createTextNode("You can use 'Export Thread' to export emails to this notebook, or choose a different notebook."));
     console.log('📖 Displaying previously selected notebook:', selectedNotebook.displayName);
   } else {
@@ -97,6 +151,177 @@ function updateNotebookUI() {
   }
 }
 
+// Warn that the thread was read from a limited mailbox scan and may be incomplete
+function appendTruncatedScanWarning(insertAt, truncated) {
+  if (truncated) {
+    insertAt.appendChild(document.createElement("br"));
+    insertAt.appendChild(document.createTextNode(`⚠️ ${TRUNCATED_SCAN_WARNING}`));
+  }
+}
+
+// Show who is signed in and with which kind of account
+function appendSignedInAccount(insertAt) {
+  const account = getCurrentAccountDescription();
+  if (account) {
+    insertAt.appendChild(document.createTextNode(`👤 Signed in as ${account}`));
+    insertAt.appendChild(document.createElement("br"));
+  }
+}
+
+// Show the signed-in user, how they signed in and the token in use.
+// Only loads while the panel is open.
+async function updateAccountPanel() {
+  if (!document.getElementById("account-panel").open) {
+    return;
+  }
+  
+  const details = document.getElementById("account-details");
+  details.innerHTML = "";
+  details.appendChild(document.createTextNode("Loading account..."));
+  
+  try {
+    renderAccountPanel(await getAccountDetails());
+  } catch (error) {
+    console.error("Error loading account details:", error);
+    details.innerHTML = "";
+    details.appendChild(document.createTextNode("❌ Could not load account details: " + error.message));
+  }
+}
+
+function renderAccountPanel(account) {
+  const details = document.getElementById("account-details");
+  details.innerHTML = "";
+  document.getElementById("sign-out").disabled = !account;
+  
+  if (!account) {
+    details.appendChild(document.createTextNode("Not signed in. Click 'Choose Notebook' to sign in."));
+    return;
+  }
+  
+  const user = account.displayName && account.email
+    ? `${account.displayName} (${account.email})`
+    : account.displayName || account.email || 'Unknown user';
+  [
+    `👤 ${user}`,
+    `Account: ${account.account || 'Unknown'}`,
+    `Signed in with: ${account.authMethod}`,
+    `Permissions: ${account.scopes ? formatScopes(account.scopes) : 'Unknown'}`,
+    `Token expires: ${describeExpiry(account.expiresAt)}`,
+    ...(account.otherAccounts?.length ? [`Also signed in: ${account.otherAccounts.join(', ')}`] : [])
+  ].forEach(line => {
+    details.appendChild(document.createTextNode(line));
+    details.appendChild(document.createElement("br"));
+  });
+}
+
+// e.g. "14:32:10 (in 52 min)"
+function describeExpiry(expiresAt) {
+  if (!expiresAt) {
+    return 'Unknown';
+  }
+  const minutes = Math.round((expiresAt - Date.now()) / 60000);
+  const time = new Date(expiresAt).toLocaleTimeString();
+  return minutes > 0 ? `${time} (in ${minutes} min)` : `${time} (expired, renewed on next use)`;
+}
+
+const MEGABYTE = 1024 * 1024;
+
+// Attachment size limits (largest file, total per page), persisted in roaming
+// settings. Limits that cannot be used, such as a file limit above the page
+// limit, are refused and the stored limits are shown again.
+function initializeAttachmentLimitOptions() {
+  const fileSelect = document.getElementById("max-attachment-size");
+  const pageSelect = document.getElementById("max-page-attachments");
+  
+  const showLimits = () => {
+    const limits = getAttachmentLimits();
+    fileSelect.value = String(limits.maxAttachmentBytes / MEGABYTE);
+    pageSelect.value = String(limits.maxTotalBytes / MEGABYTE);
+  };
+  const saveLimits = () => {
+    try {
+      setAttachmentLimits({
+        maxAttachmentBytes: Number(fileSelect.value) * MEGABYTE,
+        maxTotalBytes: Number(pageSelect.value) * MEGABYTE
+      });
+    } catch (error) {
+      showLimits();
+      const insertAt = document.getElementById("item-subject");
+      insertAt.innerHTML = "";
+      insertAt.appendChild(document.createTextNode("⚠️ " + error.message));
+    }
+  };
+  
+  showLimits();
+  fileSelect.onchange = saveLimits;
+  pageSelect.onchange = saveLimits;
+}
+
+// Tell the user which permission an operation needs and offer to grant it.
+// The sign-in window opens from the button click; retry runs the operation again.
+function showPermissionPrompt(insertAt, error, retry) {
+  insertAt.appendChild(document.createTextNode("🔑 Additional permission needed"));
+  insertAt.appendChild(document.createElement("br"));
+  insertAt.appendChild(document.createTextNode(describeNeededPermission(error)));
+  insertAt.appendChild(document.createElement("br"));
+  
+  const button = document.createElement("button");
+  button.style.marginTop = "8px";
+  button.appendChild(document.createTextNode("Grant permission"));
+  button.addEventListener("click", async () => {
+    button.disabled = true;
+    try {
+      await grantPermission(error);
+      retry();
+    } catch (grantError) {
+      console.error("Permission was not granted:", grantError);
+      button.disabled = false;
+      insertAt.appendChild(document.createElement("br"));
+      insertAt.appendChild(document.createTextNode(grantError.signInProblem
+        ? "🔒 " + grantError.message
+        : "❌ Permission not granted: " + grantError.message));
+    }
+  });
+  insertAt.appendChild(button);
+}
+
+// Tell the user the mailbox's account is not signed in and offer to sign it in.
+// The sign-in window opens from the button click; retry runs the operation again.
+function showMailboxSignInPrompt(insertAt, error, retry) {
+  insertAt.appendChild(document.createTextNode("🔑 Mailbox account not signed in"));
+  insertAt.appendChild(document.createElement("br"));
+  insertAt.appendChild(document.createTextNode(error.message));
+  insertAt.appendChild(document.createElement("br"));
+  
+  const button = document.createElement("button");
+  button.style.marginTop = "8px";
+  button.appendChild(document.createTextNode(`Sign in with ${error.account.username}`));
+  button.addEventListener("click", async () => {
+    button.disabled = true;
+    try {
+      await signInMailboxAccount(error);
+      updateAccountPanel();
+      retry();
+    } catch (signInError) {
+      console.error("Mailbox account was not signed in:", signInError);
+      button.disabled = false;
+      insertAt.appendChild(document.createElement("br"));
+      insertAt.appendChild(document.createTextNode(signInError.signInProblem
+        ? "🔒 " + signInError.message
+        : "❌ Sign-in failed: " + signInError.message));
+    }
+  });
+  insertAt.appendChild(button);
+}
+
+// Describe the export destination inside the selected notebook
+function describeSection(section) {
+  if (!section) {
+    return 'New section for each export';
+  }
+  return section.kind === 'sectionGroup' ? `New section in ${section.path} for each export` : section.path;
+}
+
 // Event handler: Choose OneNote notebook
 export async function chooseNotebook() {
   console.log("Outlook2OneNote::taskpane::chooseNotebook()");
@@ -113,18 +338,29 @@ export async function chooseNotebook() {
     if (notebooks && notebooks.length > 0) {
       insertAt.innerHTML = "";
       insertAt.appendChild(document.createTextNode(`Found ${notebooks.length} OneNote notebooks. Select one from the popup.`));
+      insertAt.appendChild(document.createElement("br"));
+      appendSignedInAccount(insertAt);
+      
+      const selectedNotebook = getSelectedNotebook();
+      const currentDestination = selectedNotebook
+        ? { notebookId: selectedNotebook.id, target: getSelectedSection(selectedNotebook.id) }
+        : null;
       
-      showNotebookPopup(notebooks, (notebook) => {
-        // Store the selected notebook globally with persistence
-        setSelectedNotebook(notebook);
-        console.log("Selected notebook stored:", notebook);
+      updateAccountPanel();
+      
+      showNotebookPopup(notebooks, (notebook, target) => {
+        // Store the selected notebook, the account it belongs to and the
+        // destination inside it with persistence
+        setSelectedNotebook(notebook, getCurrentAccount());
+        setSelectedSection(notebook.id, target);
+        console.log("Selected destination stored:", notebook, target);
         
         // Call the original callback
         onNotebookSelected(notebook);
         
         // Update UI to show selected notebook
         updateNotebookUI();
-      });
+      }, currentDestination);
     } else {
       insertAt.innerHTML = "";
       insertAt.appendChild(document.createTextNode("📭 No notebooks found or authentication cancelled."));
@@ -132,7 +368,54 @@ export async function chooseNotebook() {
   } catch (error) {
     console.error("Error in chooseNotebook:", error);
     insertAt.innerHTML = "";
-    insertAt.appendChild(document.createTextNode("❌ Error retrieving notebooks: " + error.message));
+    if (isPermissionNeeded(error)) {
+      showPermissionPrompt(insertAt, error, chooseNotebook);
+      return;
+    }
+    insertAt.appendChild(document.createTextNode(error.signInProblem
+      ? "🔒 " + error.message
+      : "❌ Error retrieving notebooks: " + error.message));
+  }
+}
+
+// Event handler: Sign in with another account
+export async function chooseAccount() {
+  console.log("Outlook2OneNote::taskpane::chooseAccount()");
+
+  const insertAt = document.getElementById("item-subject");
+
+  try {
+    const changed = await switchAccount();
+    if (changed) {
+      insertAt.innerHTML = "";
+      insertAt.appendChild(document.createTextNode("🔄 Switched account. The notebook and exported threads of the previous account were cleared; use 'Choose Notebook' to pick one of this account's notebooks."));
+      insertAt.appendChild(document.createElement("br"));
+      appendSignedInAccount(insertAt);
+    } else {
+      updateNotebookUI();
+    }
+  } catch (error) {
+    console.error("Error in chooseAccount:", error);
+    insertAt.innerHTML = "";
+    insertAt.appendChild(document.createTextNode(error.signInProblem
+      ? "🔒 " + error.message
+      : "❌ Could not switch account: " + error.message));
+  }
+  
+  updateAccountPanel();
+}
+
+// Event handler: Sign out and forget the notebook selection
+export async function signOut() {
+  console.log("Outlook2OneNote::taskpane::signOut()");
+
+  try {
+    await logoutUser();
+    renderAccountPanel(null);
+  } catch (error) {
+    const insertAt = document.getElementById("item-subject");
+    insertAt.innerHTML = "";
+    insertAt.appendChild(document.createTextNode("❌ Sign out failed: " + error.message));
   }
 }
 
@@ -149,6 +432,8 @@ export async function exportThread() {
     insertAt.appendChild(document.createTextNode("Please select a notebook first using 'Choose Notebook' button."));
     return;
   }
+  
+  const selectedSection = getSelectedSection(selectedNotebook.id);
 
   try {
     // Get current email item
@@ -164,22 +449,78 @@ export async function exportThread() {
     
     if (conversationId) {
       // Get conversation items for export
-      const conversationData = await getConversationDataForExport(conversationId);
+      const { messages: conversationData, truncated } = await getConversationDataForExport(conversationId);
       
-      if (conversationData && conversationData.length > 0) {
+      if (conversationData.length > 0) {
+        // Trim quoted history and signatures repeated in every reply
+        const trimmedData = trimConversationReplies(conversationData, getReplyTrimmingMode());
+        
         // Export to OneNote
-        await exportConversationToOneNote(conversationData, selectedNotebook, insertAt);
+        await exportConversationToOneNote(trimmedData, selectedNotebook, insertAt, selectedSection);
       } else {
         insertAt.appendChild(document.createTextNode("No conversation data found to export."));
       }
+      appendTruncatedScanWarning(insertAt, truncated);
     } else {
       // Export single email
-      await exportSingleEmailToOneNote(item, selectedNotebook, insertAt);
+      await exportSingleEmailToOneNote(item, selectedNotebook, insertAt, selectedSection);
     }
     
   } catch (error) {
     console.error("Error in exportThread:", error);
     insertAt.innerHTML = "";
+    if (isPermissionNeeded(error)) {
+      showPermissionPrompt(insertAt, error, exportThread);
+      return;
+    }
+    if (isMailboxSignInNeeded(error)) {
+      showMailboxSignInPrompt(insertAt, error, exportThread);
+      return;
+    }
     insertAt.appendChild(document.createTextNode("Error during export: " + error.message));
   }
 }
+
+// Event handler: Add new replies of a previously exported thread to OneNote
+export async function syncThread() {
+  console.log("Outlook2OneNote::taskpane::syncThread()");
+
+  const insertAt = document.getElementById("item-subject");
+  const conversationId = Office.context.mailbox.item.conversationId;
+  
+  insertAt.innerHTML = "";
+  if (!conversationId) {
+    insertAt.appendChild(document.createTextNode("This item is not part of a conversation, there is nothing to sync."));
+    return;
+  }
+
+  try {
+    insertAt.appendChild(document.createTextNode("Syncing email thread with OneNote..."));
+    insertAt.appendChild(document.createElement("br"));
+    insertAt.appendChild(document.createElement("br"));
+    
+    const { messages: conversationData, truncated } = await getConversationDataForExport(conversationId);
+    
+    if (conversationData.length > 0) {
+      const trimmedData = trimConversationReplies(conversationData, getReplyTrimmingMode());
+      
+      await syncConversationToOneNote(trimmedData, insertAt);
+    } else {
+      insertAt.appendChild(document.createTextNode("No conversation data found to sync."));
+    }
+    appendTruncatedScanWarning(insertAt, truncated);
+    
+  } catch (error) {
+    console.error("Error in syncThread:", error);
+    insertAt.innerHTML = "";
+    if (isPermissionNeeded(error)) {
+      showPermissionPrompt(insertAt, error, syncThread);
+      return;
+    }
+    if (isMailboxSignInNeeded(error)) {
+      showMailboxSignInPrompt(insertAt, error, syncThread);
+      return;
+    }
+    insertAt.appendChild(document.createTextNode("Error during sync: " + error.message));
+  }
+}
@@ -3,15 +3,17 @@
 /* eslint-disable no-console */
 
 /**
- * TaskPane Methods for Outlook2OneNote Add-in with PKCE Authentication
+ * TaskPane Methods for Outlook2OneNote Add-in
+ *
+ * Authentication happens in the OneNote service calls, which get their tokens
+ * from authService (one provider for every Graph call)
  */
 
-import { getOneNoteNotebooks, showNotebookPopup, onNotebookSelected, exportThread } from './onenote-service.js';
+import { getOneNoteNotebooks, showNotebookPopup, onNotebookSelected, exportThread, getCurrentAccount } from './onenote-service.js';
 import { getSelectedNotebook, setSelectedNotebook, clearSelectedNotebook } from '../common/app-state.js';
-import { pkceAuth } from '../auth/pkce-auth.js';
 
 /**
- * Choose OneNote notebook using PKCE authentication
+ * Choose OneNote notebook (signs in when needed)
  */
 async function chooseNotebook() {
   try {
@@ -28,7 +30,7 @@ async function chooseNotebook() {
       console.log(`✅ Found ${notebooks.length} notebooks`);
       outputElement.textContent = `Found ${notebooks.length} OneNote notebooks`;
       showNotebookPopup(notebooks, (notebook) => {
-        setSelectedNotebook(notebook.id, notebook.displayName);
+        setSelectedNotebook(notebook, getCurrentAccount());
         outputElement.textContent = `Selected: ${notebook.displayName}`;
       });
     } else {
@@ -0,0 +1,165 @@
+/*
+ * Account Switch State Test Script
+ *
+ * Validates that switching accounts clears the notebook state of the
+ * previous account.
+ *
+ * Run this test to verify:
+ * - The previous account's notebook, section choices and exported threads are cleared
+ * - Notebook state saved before it remembered its account counts as the previous account's
+ * - The state of other accounts is kept
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  clearNotebookStateForAccount,
+  getSelectedNotebook,
+  setSelectedNotebook,
+  getSelectedSection,
+  getThreadExport
+} from '../src/common/app-state.js';
+
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+const WORK_ACCOUNT = { username: 'adele@contoso.example', homeAccountId: 'home-work' };
+const PERSONAL_ACCOUNT = { username: 'adele@outlook.example', homeAccountId: 'home-personal' };
+
+// Stand-in for Office.js roaming settings
+function installRoamingSettings(values = {}) {
+  const stored = { ...values };
+  globalThis.Office = {
+    context: {
+      roamingSettings: {
+        get: key => stored[key],
+        set: (key, value) => {
+          stored[key] = value;
+        },
+        remove: key => {
+          delete stored[key];
+        },
+        saveAsync: () => {}
+      }
+    }
+  };
+  return stored;
+}
+
+// Test Suite
+const tests = [
+  asyncTest('Previous account\'s notebook state is cleared', async () => {
+    const stored = installRoamingSettings({
+      selectedNotebook: { id: 'nb-work', displayName: 'Work', account: WORK_ACCOUNT },
+      selectedSections: {
+        'nb-work': { kind: 'section', id: 'sec-work', displayName: 'Inbox' },
+        'nb-old': { kind: 'section', id: 'sec-old', displayName: 'Old' },
+        'nb-personal': { kind: 'section', id: 'sec-personal', displayName: 'Home' }
+      },
+      threadExports: {
+        'conv-work': { notebookId: 'nb-work', sectionId: 'sec-work', account: WORK_ACCOUNT },
+        'conv-old': { notebookId: 'nb-old', sectionId: 'sec-old', account: null },
+        'conv-personal': { notebookId: 'nb-personal', sectionId: 'sec-personal', account: PERSONAL_ACCOUNT }
+      }
+    });
+
+    clearNotebookStateForAccount({ ...WORK_ACCOUNT, name: 'Adele Vance' });
+
+    assert(getSelectedNotebook() === null && !('selectedNotebook' in stored), 'Selected notebook is cleared');
+    assert(getSelectedSection('nb-work') === null, 'Section choice of the notebook is cleared');
+    assert(getThreadExport('conv-work') === null, 'Exported thread of the account is cleared');
+    assert(getThreadExport('conv-old') === null && getSelectedSection('nb-old') === null, 'State saved without an account is cleared');
+    assert(getThreadExport('conv-personal')?.sectionId === 'sec-personal', 'Exported thread of another account is kept');
+    assert(getSelectedSection('nb-personal')?.id === 'sec-personal', 'Section choice of another account is kept');
+    assert(Object.keys(stored.threadExports).join() === 'conv-personal', 'Cleared state is saved');
+  }),
+
+  asyncTest('Notebook of another account is kept', async () => {
+    setSelectedNotebook({ id: 'nb-personal', displayName: 'Home' }, PERSONAL_ACCOUNT);
+
+    clearNotebookStateForAccount(WORK_ACCOUNT);
+
+    assert(getSelectedNotebook()?.id === 'nb-personal', 'Selected notebook is kept');
+    assert(getSelectedSection('nb-personal')?.id === 'sec-personal', 'Its section choice is kept');
+  })
+];
+
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Account Switch State Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
@@ -0,0 +1,163 @@
+/*
+ * Attachment Limits Test Script
+ *
+ * Validates the attachment size limits setting in the app state.
+ *
+ * Run this test to verify:
+ * - Limits must be positive byte counts with the file limit within the page limit
+ * - The attachments of a page stay below the 70 MB OneNote request limit
+ * - Stored limits are read back, unusable ones fall back to the defaults
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  ONENOTE_REQUEST_LIMIT_BYTES,
+  DEFAULT_ATTACHMENT_LIMITS,
+  validateAttachmentLimits,
+  getAttachmentLimits,
+  setAttachmentLimits,
+  setUserSetting
+} from '../src/common/app-state.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+const MB = 1024 * 1024;
+
+// Stand-in for Office.js roaming settings
+function installRoamingSettings(values = {}) {
+  const stored = { ...values };
+  globalThis.Office = {
+    context: {
+      roamingSettings: {
+        get: key => stored[key],
+        set: (key, value) => {
+          stored[key] = value;
+        },
+        saveAsync: () => {}
+      }
+    }
+  };
+  return stored;
+}
+
+// Test Suite
+const tests = [
+  asyncTest('Defaults are valid limits', async () => {
+    assert(validateAttachmentLimits(DEFAULT_ATTACHMENT_LIMITS) === null, 'Default limits are accepted');
+  }),
+
+  asyncTest('Unusable limits are refused', async () => {
+    assert(validateAttachmentLimits(null) !== null, 'Missing limits are refused');
+    assert(validateAttachmentLimits({ maxAttachmentBytes: 0, maxTotalBytes: 10 * MB }) !== null, 'Zero is refused');
+    assert(validateAttachmentLimits({ maxAttachmentBytes: '10', maxTotalBytes: 10 * MB }) !== null, 'Text is refused');
+    assert(validateAttachmentLimits({ maxAttachmentBytes: 25 * MB, maxTotalBytes: 10 * MB }) !== null, 'File limit above the page limit is refused');
+    assert(validateAttachmentLimits({ maxAttachmentBytes: 10 * MB, maxTotalBytes: ONENOTE_REQUEST_LIMIT_BYTES }) !== null, 'Page limit at the OneNote request limit is refused');
+    assert(validateAttachmentLimits({ maxAttachmentBytes: 50 * MB, maxTotalBytes: 65 * MB }) === null, 'Page limit below the OneNote request limit is accepted');
+  }),
+
+  asyncTest('Limits are stored and read back', async () => {
+    const stored = installRoamingSettings();
+    assert(getAttachmentLimits().maxTotalBytes === DEFAULT_ATTACHMENT_LIMITS.maxTotalBytes, 'Defaults apply without a setting');
+
+    setAttachmentLimits({ maxAttachmentBytes: 5 * MB, maxTotalBytes: 25 * MB });
+    assert(stored.attachmentLimits.maxAttachmentBytes === 5 * MB, 'Limits are saved to roaming settings');
+    assert(getAttachmentLimits().maxTotalBytes === 25 * MB, 'Saved limits are used');
+
+    let error = null;
+    try {
+      setAttachmentLimits({ maxAttachmentBytes: 5 * MB, maxTotalBytes: 80 * MB });
+    } catch (caught) {
+      error = caught;
+    }
+    assert(error?.message.includes('70 MB'), 'Limits above the OneNote request limit are not saved');
+    assert(getAttachmentLimits().maxTotalBytes === 25 * MB, 'Earlier limits stay in place');
+  }),
+
+  asyncTest('Unusable stored limits fall back to the defaults', async () => {
+    installRoamingSettings();
+    setUserSetting('attachmentLimits', { maxAttachmentBytes: 10 * MB, maxTotalBytes: 200 * MB });
+    const limits = getAttachmentLimits();
+    assert(limits.maxTotalBytes === DEFAULT_ATTACHMENT_LIMITS.maxTotalBytes, 'Default page limit is used');
+    assert(limits !== DEFAULT_ATTACHMENT_LIMITS, 'Defaults are returned as a copy');
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Attachment Limits Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
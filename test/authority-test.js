@@ -0,0 +1,164 @@
+/*
+ * Authority Test Script
+ *
+ * Validates the sign-in authority setting and the explanations of consent
+ * and account type errors.
+ *
+ * Run this test to verify:
+ * - AUTHORITY keywords, tenants and URLs resolve to an authority URL
+ * - Personal and work or school accounts are told apart
+ * - AADSTS consent and account errors are explained, other errors are not
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  PERSONAL_ACCOUNT_TENANT_ID,
+  ACCOUNT_TYPES,
+  resolveAuthority,
+  getAuthorityTenant,
+  describeAuthority,
+  getAccountType,
+  explainSignInError
+} from '../src/common/authority.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+
+const CONTOSO_TENANT_ID = '72f988bf-86f1-41af-91ab-2d7cd011db47';
+
+// Test Suite
+const tests = [
+  asyncTest('Authority Setting', async () => {
+    assert(resolveAuthority('') === 'https://login.microsoftonline.com/common', 'Defaults to common');
+    assert(resolveAuthority(undefined) === 'https://login.microsoftonline.com/common', 'Missing setting defaults to common');
+    assert(resolveAuthority('consumers') === 'https://login.microsoftonline.com/consumers', 'Keyword becomes an authority URL');
+    assert(resolveAuthority(' organizations ') === 'https://login.microsoftonline.com/organizations', 'Whitespace is ignored');
+    assert(resolveAuthority('contoso.onmicrosoft.com') === 'https://login.microsoftonline.com/contoso.onmicrosoft.com', 'Tenant domain');
+    assert(resolveAuthority(CONTOSO_TENANT_ID) === `https://login.microsoftonline.com/${CONTOSO_TENANT_ID}`, 'Tenant ID');
+    assert(resolveAuthority('https://login.microsoftonline.com/organizations/') === 'https://login.microsoftonline.com/organizations', 'URL is kept without trailing slash');
+    assert(resolveAuthority('https://localhost:3002/common') === 'https://localhost:3002/common', 'Other instances are kept');
+  }),
+
+  asyncTest('Authority Description', async () => {
+    assert(getAuthorityTenant('https://login.microsoftonline.com/Consumers') === 'consumers', 'Tenant segment is read case-insensitively');
+    assert(getAuthorityTenant('organizations') === 'organizations', 'Tenant of a keyword setting');
+    assert(describeAuthority('consumers') === 'Personal Microsoft accounts', 'Consumers');
+    assert(describeAuthority('https://login.microsoftonline.com/organizations') === 'Work or school accounts', 'Organizations');
+    assert(describeAuthority('common') === 'Personal and work or school accounts', 'Common');
+    assert(describeAuthority('contoso.onmicrosoft.com') === 'Work or school accounts of contoso.onmicrosoft.com', 'Single tenant');
+  }),
+
+  asyncTest('Account Type', async () => {
+    const personal = getAccountType({ username: 'zoe@outlook.com', tenantId: PERSONAL_ACCOUNT_TENANT_ID.toUpperCase() });
+    const work = getAccountType({ username: 'adele@contoso.com', tenantId: CONTOSO_TENANT_ID });
+
+    assert(personal.type === ACCOUNT_TYPES.PERSONAL, 'Personal account tenant');
+    assert(personal.label === 'Personal Microsoft account', 'Personal account label');
+    assert(work.type === ACCOUNT_TYPES.WORK_OR_SCHOOL, 'Organization tenant');
+    assert(work.label === 'Work or school account', 'Work or school account label');
+    assert(getAccountType({ username: 'someone' }) === null, 'Unknown without a tenant');
+    assert(getAccountType(null) === null, 'No account');
+  }),
+
+  asyncTest('Sign-in Error Explanations', async () => {
+    const consent = explainSignInError(new Error('SSO token exchange failed: AADSTS65001: The user or administrator has not consented to use the application.'));
+    assert(consent && consent.code === 'AADSTS65001' && consent.kind === 'consent_required', 'Consent not granted (AADSTS65001)');
+    assert(consent.message.includes('administrator'), 'Consent explanation mentions the administrator');
+
+    const adminConsent = explainSignInError({ errorCode: 'invalid_grant', errorMessage: 'AADSTS90094: Admin consent is required for the permissions requested by this application.' });
+    assert(adminConsent && adminConsent.kind === 'admin_consent_required', 'Admin consent required (AADSTS90094, MSAL errorMessage)');
+
+    const declined = explainSignInError({ error_description: 'AADSTS65004: User declined to consent to access the app.' });
+    assert(declined && declined.kind === 'consent_declined', 'Declined consent (token endpoint error_description)');
+
+    const wrongAccount = explainSignInError(new Error('AADSTS50020: User account from identity provider does not exist in tenant.'));
+    assert(wrongAccount && wrongAccount.kind === 'account_not_allowed', 'Account of another organization (AADSTS50020)');
+
+    const byCode = explainSignInError({ code: 'consent_required', message: 'SSO token exchange failed: 403 Forbidden' });
+    assert(byCode && byCode.kind === 'consent_required' && byCode.code === null, 'consent_required code without AADSTS number');
+
+    assert(explainSignInError(new Error('AADSTS50076: you must use multi-factor authentication.')) === null, 'MFA is not explained (resolved by interactive sign-in)');
+    assert(explainSignInError(new Error('popup_window_error')) === null, 'Other errors are not explained');
+    assert(explainSignInError(null) === null, 'No error');
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Authority Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
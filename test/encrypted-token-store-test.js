@@ -0,0 +1,312 @@
+/*
+ * Encrypted Token Store Test Script
+ *
+ * Validates encrypted token storage and the token cache on top of it.
+ *
+ * Run this test to verify:
+ * - Entries are stored encrypted under a non-extractable AES-GCM key
+ * - Stored sign-ins expire after their lifetime, renewals do not extend it
+ * - Clearing removes the entry and the key
+ * - Plaintext tokens of earlier versions are migrated and removed
+ * - The token cache restores from and writes to the store
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import { EncryptedTokenStore, migratePlaintextTokens, DEFAULT_MAX_LIFETIME_MS } from '../src/auth/encrypted-token-store.js';
+import { TokenCache } from '../src/auth/token-provider.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const STORAGE_KEYS = {
+  ACCESS_TOKEN: 'outlook2onenote_access_token',
+  REFRESH_TOKEN: 'outlook2onenote_refresh_token',
+  TOKEN_EXPIRES: 'outlook2onenote_token_expires',
+  CODE_VERIFIER: 'outlook2onenote_code_verifier',
+  STATE: 'outlook2onenote_state',
+  USER_INFO: 'outlook2onenote_user_info',
+  TOKEN_CACHE: 'outlook2onenote_token_cache'
+};
+
+// IndexedDB object store double
+function createMemoryDatabase() {
+  const records = new Map();
+  return {
+    records,
+    get: async id => records.get(id),
+    put: async (id, value) => {
+      records.set(id, value);
+    },
+    delete: async id => {
+      records.delete(id);
+    }
+  };
+}
+
+// Web Storage double
+function createMemoryStorage(items = {}) {
+  const map = new Map(Object.entries(items));
+  return {
+    map,
+    getItem: key => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => map.set(key, String(value)),
+    removeItem: key => map.delete(key)
+  };
+}
+
+function createClock(start = Date.now()) {
+  const clock = { time: start, now: () => clock.time };
+  return clock;
+}
+
+function createEntry(extra = {}) {
+  return {
+    accessToken: 'secret-access-token',
+    expiresAt: Date.now() + HOUR_MS,
+    refreshToken: 'secret-refresh-token',
+    account: { username: 'adele@contoso.example' },
+    scopes: ['https://graph.microsoft.com/User.Read'],
+    source: 'msal-popup',
+    ...extra
+  };
+}
+
+// Test Suite
+const tests = [
+  asyncTest('Entries are stored encrypted and read back', async () => {
+    const database = createMemoryDatabase();
+    const store = new EncryptedTokenStore({ database });
+    await store.save(createEntry());
+
+    const record = database.records.get('token-cache');
+    const storedBytes = Buffer.from(record.data).toString('latin1');
+    assert(!storedBytes.includes('secret-access-token') && !storedBytes.includes('secret-refresh-token'), 'Tokens are not stored in plain text');
+    assert(record.iv.length === 12, 'A 96-bit IV is stored with the entry');
+
+    const reloaded = new EncryptedTokenStore({ database });
+    const entry = await reloaded.load();
+    assert(entry.accessToken === 'secret-access-token' && entry.refreshToken === 'secret-refresh-token', 'Tokens are decrypted after a reload');
+    assert(entry.account.username === 'adele@contoso.example', 'Account is decrypted');
+
+    await store.save(createEntry({ accessToken: 'second' }));
+    assert(!Buffer.from(database.records.get('token-cache').iv).equals(Buffer.from(record.iv)), 'Every write uses a new IV');
+  }),
+
+  asyncTest('The encryption key is a non-extractable AES-GCM key', async () => {
+    const database = createMemoryDatabase();
+    await new EncryptedTokenStore({ database }).save(createEntry());
+
+    const { key } = database.records.get('encryption-key');
+    assert(key.type === 'secret' && key.algorithm.name === 'AES-GCM', 'Key is an AES-GCM secret key');
+    assert(key.extractable === false, 'Key cannot be exported');
+    assert(key.usages.includes('encrypt') && key.usages.includes('decrypt'), 'Key can encrypt and decrypt');
+
+    let exportError = null;
+    try {
+      await crypto.subtle.exportKey('raw', key);
+    } catch (error) {
+      exportError = error;
+    }
+    assert(exportError !== null, 'Exporting the key fails');
+  }),
+
+  asyncTest('Stored sign-ins expire after their lifetime', async () => {
+    const database = createMemoryDatabase();
+    const clock = createClock();
+    const store = new EncryptedTokenStore({ database, now: clock.now, maxLifetimeMs: 2 * HOUR_MS });
+    await store.save(createEntry());
+
+    clock.time += HOUR_MS;
+    assert((await new EncryptedTokenStore({ database, now: clock.now, maxLifetimeMs: 2 * HOUR_MS }).load()) !== null, 'Entry is read within its lifetime');
+
+    clock.time += 2 * HOUR_MS;
+    assert((await new EncryptedTokenStore({ database, now: clock.now, maxLifetimeMs: 2 * HOUR_MS }).load()) === null, 'Expired entry is not read');
+    assert(!database.records.has('token-cache') && !database.records.has('encryption-key'), 'Expired entry and key are wiped');
+    assert(DEFAULT_MAX_LIFETIME_MS === 24 * HOUR_MS, 'Default lifetime is 24 hours');
+  }),
+
+  asyncTest('Renewals do not extend the lifetime', async () => {
+    const database = createMemoryDatabase();
+    const clock = createClock();
+    const store = new EncryptedTokenStore({ database, now: clock.now, maxLifetimeMs: 2 * HOUR_MS });
+    await store.save(createEntry());
+    const firstStoredAt = database.records.get('token-cache').storedAt;
+
+    clock.time += HOUR_MS;
+    await store.save(createEntry({ accessToken: 'renewed' }));
+    assert(database.records.get('token-cache').storedAt === firstStoredAt, 'Renewal keeps the original storage time');
+
+    clock.time += 2 * HOUR_MS;
+    await store.save(createEntry({ accessToken: 'late-renewal' }));
+    assert(!database.records.has('token-cache'), 'Renewal after the lifetime wipes the stored sign-in');
+
+    await store.save(createEntry({ accessToken: 'new-sign-in' }));
+    assert(database.records.get('token-cache').storedAt === clock.time, 'Next sign-in starts a new lifetime');
+  }),
+
+  asyncTest('Clearing removes the entry and the key', async () => {
+    const database = createMemoryDatabase();
+    const store = new EncryptedTokenStore({ database });
+    await store.save(createEntry());
+    const oldRecord = database.records.get('token-cache');
+
+    await store.clear();
+    assert(database.records.size === 0, 'Entry and key are deleted');
+
+    await store.save(createEntry({ accessToken: 'after-logout' }));
+    database.records.set('token-cache', oldRecord);
+    assert(await new EncryptedTokenStore({ database }).load() === null, 'Data written under the old key cannot be decrypted');
+    assert(!database.records.has('token-cache'), 'Undecryptable entry is removed');
+  }),
+
+  asyncTest('Tampered entries are rejected', async () => {
+    const database = createMemoryDatabase();
+    await new EncryptedTokenStore({ database }).save(createEntry());
+    const record = database.records.get('token-cache');
+    const data = new Uint8Array(record.data.slice(0));
+    data[0] ^= 0xff;
+    database.records.set('token-cache', { ...record, data: data.buffer });
+
+    assert(await new EncryptedTokenStore({ database }).load() === null, 'Modified ciphertext fails authentication');
+    assert(database.records.size === 0, 'Tampered entry is wiped');
+  }),
+
+  asyncTest('Plaintext tokens of earlier versions are migrated', async () => {
+    const entry = createEntry();
+    const session = createMemoryStorage({
+      [STORAGE_KEYS.TOKEN_CACHE]: JSON.stringify(entry),
+      [STORAGE_KEYS.ACCESS_TOKEN]: 'old-access',
+      [STORAGE_KEYS.REFRESH_TOKEN]: 'old-refresh',
+      [STORAGE_KEYS.TOKEN_EXPIRES]: '123',
+      [STORAGE_KEYS.USER_INFO]: '{}',
+      [STORAGE_KEYS.CODE_VERIFIER]: 'in-flight-verifier',
+      unrelated: 'kept'
+    });
+    const local = createMemoryStorage({ [STORAGE_KEYS.ACCESS_TOKEN]: 'local-access' });
+
+    const migrated = migratePlaintextTokens(STORAGE_KEYS, [session, local]);
+
+    assert(migrated.accessToken === 'secret-access-token', 'Token cache entry is returned for encrypted storage');
+    assert(['ACCESS_TOKEN', 'REFRESH_TOKEN', 'TOKEN_EXPIRES', 'USER_INFO', 'TOKEN_CACHE'].every(name => !session.map.has(STORAGE_KEYS[name])),
+      'Plaintext token keys are removed from sessionStorage');
+    assert(local.map.size === 0, 'Plaintext token keys are removed from localStorage');
+    assert(session.map.get(STORAGE_KEYS.CODE_VERIFIER) === 'in-flight-verifier' && session.map.get('unrelated') === 'kept', 'Other keys are kept');
+
+    const corrupt = createMemoryStorage({ [STORAGE_KEYS.TOKEN_CACHE]: '{not json' });
+    assert(migratePlaintextTokens(STORAGE_KEYS, [corrupt]) === null, 'Unreadable entry is not migrated');
+    assert(corrupt.map.size === 0, 'Unreadable entry is removed');
+  }),
+
+  asyncTest('Token cache restores from and writes to an asynchronous store', async () => {
+    const database = createMemoryDatabase();
+    const cache = new TokenCache(new EncryptedTokenStore({ database }));
+    cache.set(createEntry());
+    await cache.flush();
+
+    const reloaded = new TokenCache(new EncryptedTokenStore({ database }));
+    assert(reloaded.get() === null, 'Nothing is read before restore');
+    await reloaded.restore();
+    assert(reloaded.get().accessToken === 'secret-access-token', 'Entry is restored');
+
+    reloaded.clear();
+    await reloaded.flush();
+    assert(database.records.size === 0, 'Clearing the cache wipes the store');
+  }),
+
+  asyncTest('Entries set before the restore finishes win', async () => {
+    const database = createMemoryDatabase();
+    await new EncryptedTokenStore({ database }).save(createEntry({ accessToken: 'stored' }));
+
+    const cache = new TokenCache(new EncryptedTokenStore({ database }));
+    const restoring = cache.restore();
+    cache.set(createEntry({ accessToken: 'migrated' }));
+    await restoring;
+    await cache.flush();
+
+    assert(cache.get().accessToken === 'migrated', 'Newer entry is kept in memory');
+    const reloaded = new TokenCache(new EncryptedTokenStore({ database }));
+    await reloaded.restore();
+    assert(reloaded.get().accessToken === 'migrated', 'Newer entry is stored');
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Encrypted Token Store Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
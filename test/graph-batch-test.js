@@ -0,0 +1,333 @@
+/*
+ * Graph Batch Test Script
+ *
+ * Validates the Microsoft Graph $batch layer used to create pages and read
+ * messages in fewer round trips.
+ *
+ * Run this test to verify:
+ * - Splitting requests into batches of at most 20
+ * - Keeping dependsOn chains together and in order
+ * - Request encoding (JSON and base64 bodies)
+ * - Mapping per-request results and failures back to the caller
+ * - Failed dependencies and failed batch calls
+ * - Sending throttled requests again
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  MAX_BATCH_SIZE,
+  FAILED_DEPENDENCY_STATUS,
+  executeGraphBatch,
+  planBatches,
+  normalizeRequests
+} from '../src/common/graph-batch.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+// Fake callGraphApi that records each /$batch call and answers every
+// request with respond(request) (default: 200 with the request id)
+function createFakeGraph(respond = request => ({ status: 200, body: { id: request.id } })) {
+  const calls = [];
+  const callGraphApi = async (endpoint, method, body) => {
+    calls.push({ endpoint, method, body });
+    return {
+      responses: body.requests.map(request => ({ id: request.id, headers: {}, ...respond(request) }))
+    };
+  };
+  return { calls, callGraphApi };
+}
+
+function createRequests(count, createRequest = index => ({ url: `/me/messages/${index}` })) {
+  return Array.from({ length: count }, (_, index) => createRequest(index));
+}
+
+// Test Suite
+const tests = [
+  asyncTest('Requests are split into batches of at most 20', async () => {
+    const { calls, callGraphApi } = createFakeGraph();
+    const results = await executeGraphBatch(createRequests(45), callGraphApi);
+
+    assert(MAX_BATCH_SIZE === 20, 'Batch size limit is 20');
+    assert(calls.length === 3, 'Three batch calls for 45 requests');
+    assert(calls.map(call => call.body.requests.length).join(',') === '20,20,5', 'Batches hold 20, 20 and 5 requests');
+    assert(calls.every(call => call.endpoint === '/$batch' && call.method === 'POST'), 'Batches are POSTed to /$batch');
+    assert(results.length === 45 && results.every(result => result.ok), 'One successful result per request');
+    assert(results.map(result => result.id).join(',') === createRequests(45).map((_, index) => index + 1).join(','), 'Results keep the request order');
+  }),
+
+  asyncTest('No batch call without requests', async () => {
+    const { calls, callGraphApi } = createFakeGraph();
+    const results = await executeGraphBatch([], callGraphApi);
+
+    assert(results.length === 0, 'Empty result');
+    assert(calls.length === 0, 'Nothing sent');
+  }),
+
+  asyncTest('Dependent requests are kept in one batch', async () => {
+    // 15 independent requests, then a chain of 10
+    const requests = [
+      ...createRequests(15, index => ({ id: `m${index}`, url: `/me/messages/${index}` })),
+      ...createRequests(10, index => ({
+        id: `p${index}`,
+        method: 'post',
+        url: '/me/onenote/sections/1/pages',
+        dependsOn: index > 0 ? [`p${index - 1}`] : []
+      }))
+    ];
+    const batches = planBatches(normalizeRequests(requests));
+
+    assert(batches.length === 2, 'Two batches');
+    assert(batches[0].length === 15, 'Independent requests fill the first batch');
+    assert(batches[1].every(request => request.id.startsWith('p')), 'The chain is not split');
+    assert(batches[1].map(request => request.id).join(',') === 'p0,p1,p2,p3,p4,p5,p6,p7,p8,p9', 'The chain keeps its order');
+    assert(batches[1][0].method === 'POST', 'Method is upper case');
+  }),
+
+  asyncTest('Chains longer than a batch span consecutive batches', async () => {
+    const { calls, callGraphApi } = createFakeGraph();
+    const requests = createRequests(25, index => ({
+      url: '/me/onenote/sections/1/pages',
+      method: 'POST',
+      dependsOn: index > 0 ? [index] : []
+    }));
+    await executeGraphBatch(requests, callGraphApi);
+
+    assert(calls.map(call => call.body.requests.length).join(',') === '20,5', 'Chain split into 20 and 5');
+    assert(calls[0].body.requests[1].dependsOn[0] === '1', 'dependsOn is sent within a batch');
+    assert(calls[1].body.requests[0].dependsOn === undefined, 'Dependencies on an earlier batch are not sent');
+    assert(calls[1].body.requests[1].dependsOn[0] === '21', 'Later requests keep their dependency');
+  }),
+
+  asyncTest('Bodies are encoded for the batch', async () => {
+    const { calls, callGraphApi } = createFakeGraph();
+    await executeGraphBatch([
+      { url: '/me/onenote/sections/1/pages', method: 'POST', headers: { 'Content-Type': 'text/html' }, body: '<html><title>Café</title></html>' },
+      { url: '/me/onenote/pages/1', method: 'PATCH', body: { level: 1 } },
+      { url: '/me/messages/1' }
+    ], callGraphApi);
+
+    const [html, json, get] = calls[0].body.requests;
+    assert(Buffer.from(html.body, 'base64').toString('utf8') === '<html><title>Café</title></html>', 'HTML body is base64 encoded as UTF-8');
+    assert(html.headers['Content-Type'] === 'text/html', 'HTML body keeps its Content-Type');
+    assert(json.body.level === 1 && json.headers['Content-Type'] === 'application/json', 'Object body is sent as JSON');
+    assert(get.method === 'GET' && get.body === undefined && get.headers === undefined, 'GET without body or headers');
+  }),
+
+  asyncTest('Failures are reported per request', async () => {
+    const { callGraphApi } = createFakeGraph(request => request.id === '2'
+      ? { status: 404, body: { error: { code: 'ErrorItemNotFound', message: 'Not found' } } }
+      : { status: 201, body: { id: `page-${request.id}` } });
+    const results = await executeGraphBatch(createRequests(3), callGraphApi);
+
+    assert(results[0].ok && results[0].body.id === 'page-1', 'First request succeeded');
+    assert(!results[1].ok && results[1].status === 404, 'Second request failed with its status');
+    assert(results[1].error === '404 ErrorItemNotFound: Not found', 'Error message includes Graph error code and message');
+    assert(results[2].ok, 'Third request is not affected');
+  }),
+
+  asyncTest('Base64 response bodies are decoded', async () => {
+    const html = '<html><body><div data-id="o2o-m-abc">Grüße</div></body></html>';
+    const { callGraphApi } = createFakeGraph(() => ({
+      status: 200,
+      headers: { 'Content-Type': 'text/html' },
+      body: Buffer.from(html, 'utf8').toString('base64')
+    }));
+    const results = await executeGraphBatch([{ url: '/me/onenote/pages/1/content' }], callGraphApi);
+
+    assert(results[0].body === html, 'HTML content decoded from base64');
+  }),
+
+  asyncTest('Response bodies are decoded by their Content-Type', async () => {
+    const bodies = {
+      1: { headers: { 'content-type': 'application/json; odata.metadata=minimal' }, body: 'Done' },
+      2: { headers: { 'Content-Type': 'text/plain; charset=iso-8859-1' }, body: Buffer.from('Gr\u00fc\u00dfe', 'latin1').toString('base64') },
+      3: { headers: { 'Content-Type': 'text/plain' }, body: Buffer.from('Done', 'utf8').toString('base64') },
+      4: { headers: {}, body: 'Done' }
+    };
+    const { callGraphApi } = createFakeGraph(request => ({ status: 200, ...bodies[request.id] }));
+    const results = await executeGraphBatch(createRequests(4), callGraphApi);
+
+    assert(results[0].body === 'Done', 'JSON string body is not base64 decoded');
+    assert(results[1].body === 'Grüße', 'Body is decoded with the charset of its Content-Type');
+    assert(results[2].body === 'Done', 'Base64 text that looks like plain text is decoded');
+    assert(results[3].body === 'Done', 'Body without a Content-Type is kept');
+  }),
+
+  asyncTest('Failed dependencies are not sent', async () => {
+    const { calls, callGraphApi } = createFakeGraph(request => request.id === '20'
+      ? { status: 500, body: { error: { code: 'InternalServerError' } } }
+      : { status: 201, body: {} });
+    const requests = createRequests(22, index => ({
+      url: '/me/onenote/sections/1/pages',
+      method: 'POST',
+      dependsOn: index > 0 ? [index] : []
+    }));
+    const results = await executeGraphBatch(requests, callGraphApi);
+
+    assert(results[19].status === 500, 'Last request of the first batch failed');
+    assert(results[20].status === FAILED_DEPENDENCY_STATUS && results[21].status === FAILED_DEPENDENCY_STATUS, 'Dependent requests fail with 424');
+    assert(calls.length === 1, 'Second batch is not sent');
+  }),
+
+  asyncTest('A failed batch call fails its requests only', async () => {
+    let callCount = 0;
+    const callGraphApi = async (endpoint, method, body) => {
+      callCount++;
+      if (callCount === 1) {
+        throw new Error('Network error');
+      }
+      return { responses: body.requests.map(request => ({ id: request.id, status: 200, body: {} })) };
+    };
+    const results = await executeGraphBatch(createRequests(25), callGraphApi);
+
+    assert(results.slice(0, 20).every(result => !result.ok && result.status === 0 && result.error === 'Network error'), 'Requests of the failed batch carry the error');
+    assert(results.slice(20).every(result => result.ok), 'The next batch is still sent');
+  }),
+
+  asyncTest('Missing responses are reported as failures', async () => {
+    const callGraphApi = async () => ({ responses: [{ id: '1', status: 200, body: {} }] });
+    const results = await executeGraphBatch(createRequests(2), callGraphApi);
+
+    assert(results[0].ok, 'Answered request succeeded');
+    assert(!results[1].ok && results[1].status === 0, 'Unanswered request failed');
+  }),
+
+  asyncTest('Throttled requests are sent again', async () => {
+    const delays = [];
+    let round = 0;
+    const calls = [];
+    const callGraphApi = async (endpoint, method, body, retry) => {
+      calls.push({ body, retry });
+      round++;
+      return {
+        responses: body.requests.map(request => {
+          if (round === 1 && request.id === '2') {
+            return { id: request.id, status: 429, headers: { 'Retry-After': '3' }, body: { error: { code: 'TooManyRequests' } } };
+          }
+          if (round === 1 && request.id === '3') {
+            return { id: request.id, status: FAILED_DEPENDENCY_STATUS, headers: {}, body: null };
+          }
+          return { id: request.id, status: 201, headers: {}, body: { id: `page-${request.id}` } };
+        })
+      };
+    };
+    const requests = createRequests(4, index => ({
+      url: '/me/onenote/sections/1/pages',
+      method: 'POST',
+      dependsOn: index > 0 && index < 3 ? [index] : []
+    }));
+    const results = await executeGraphBatch(requests, callGraphApi, {
+      retry: { sleep: async (ms) => delays.push(ms) }
+    });
+
+    assert(calls.length === 2, 'Second round sent');
+    assert(delays.join(',') === '3000', 'Waited for Retry-After');
+    assert(calls[1].body.requests.map(request => request.id).join(',') === '2,3', 'Throttled request and its dependent are resent');
+    assert(calls[1].body.requests[1].dependsOn[0] === '2', 'Resent requests keep their order');
+    assert(results.every(result => result.ok), 'All requests succeeded in the end');
+    assert(calls[0].retry.idempotent === false, 'Batch of POSTs is not repeated after ambiguous failures');
+  }),
+
+  asyncTest('Throttled requests fail when retries are disabled', async () => {
+    const { calls, callGraphApi } = createFakeGraph(() => ({ status: 429, headers: { 'Retry-After': '1' }, body: {} }));
+    const results = await executeGraphBatch(createRequests(2), callGraphApi, { retry: false });
+
+    assert(calls.length === 1, 'No second round');
+    assert(results.every(result => result.status === 429), 'Throttled status is reported');
+  }),
+
+  asyncTest('Invalid requests are rejected', async () => {
+    const expectError = (requests, pattern, message) => {
+      try {
+        normalizeRequests(requests);
+        assert(false, message);
+      } catch (error) {
+        assert(pattern.test(error.message), message);
+      }
+    };
+
+    expectError([{ id: 'a', url: '/me' }, { id: 'a', url: '/me' }], /Duplicate/, 'Duplicate ids are rejected');
+    expectError([{ id: 'a', url: '/me', dependsOn: ['b'] }, { id: 'b', url: '/me' }], /not an earlier request/, 'Forward dependencies are rejected');
+    assert(normalizeRequests([{ url: '/me' }, { url: '/me' }]).map(request => request.id).join(',') === '1,2', 'Ids default to the position');
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Graph Batch Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
@@ -0,0 +1,164 @@
+/*
+ * Graph Scopes Test Script
+ *
+ * Validates the per-operation scope sets used for incremental consent.
+ *
+ * Run this test to verify:
+ * - Scopes are normalized to their full form without OpenID Connect scopes
+ * - Scope lists merge without duplicates, case-insensitively
+ * - Missing scopes are found, unknown grants count as granted
+ * - Granted scopes are read from the token response or the token's scp claim
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  SCOPE_SETS,
+  SIGN_IN_SCOPES,
+  normalizeScopes,
+  mergeScopes,
+  getMissingScopes,
+  getGrantedScopes,
+  formatScopes
+} from '../src/common/graph-scopes.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+const USER_READ = 'https://graph.microsoft.com/User.Read';
+const NOTES_READ_WRITE = 'https://graph.microsoft.com/Notes.ReadWrite';
+const MAIL_READ = 'https://graph.microsoft.com/Mail.Read';
+
+// Unsigned JWT with the given claims (base64url encoded like real tokens)
+function createJwt(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+// Test Suite
+const tests = [
+  asyncTest('Every scope set describes its purpose and scopes', async () => {
+    Object.values(SCOPE_SETS).forEach(scopeSet => {
+      assert(scopeSet.name && scopeSet.description, `${scopeSet.name} has a name and description`);
+      assert(scopeSet.scopes.length > 0 && scopeSet.scopes.every(scope => scope.startsWith('https://graph.microsoft.com/')),
+        `${scopeSet.name} lists full Graph scopes`);
+    });
+    assert(SIGN_IN_SCOPES === SCOPE_SETS.NOTEBOOK_BROWSING.scopes, 'Sign-in asks for notebook browsing only');
+    assert(!SIGN_IN_SCOPES.includes(MAIL_READ), 'Mail access is not requested at sign-in');
+    assert(SCOPE_SETS.THREAD_READING.scopes.includes(MAIL_READ), 'Thread reading needs Mail.Read');
+  }),
+
+  asyncTest('Scopes are normalized to their full form', async () => {
+    assert(normalizeScopes('User.Read Notes.ReadWrite').join(' ') === `${USER_READ} ${NOTES_READ_WRITE}`, 'Short names from a scope string');
+    assert(normalizeScopes([MAIL_READ, 'Mail.Read']).join(' ') === MAIL_READ, 'Duplicates are removed');
+    assert(normalizeScopes('openid profile offline_access email Mail.Read').join(' ') === MAIL_READ, 'OpenID Connect scopes are dropped');
+    assert(normalizeScopes(' Mail.Read  ').join(' ') === MAIL_READ, 'Whitespace is ignored');
+    assert(normalizeScopes(null).length === 0, 'No scopes for null');
+    assert(normalizeScopes(['api://contoso/access_as_user'])[0] === 'api://contoso/access_as_user', 'Other resources are kept');
+  }),
+
+  asyncTest('Scope lists merge without duplicates', async () => {
+    const merged = mergeScopes([USER_READ], null, 'user.read Mail.Read', [MAIL_READ]);
+    assert(merged.join(' ') === `${USER_READ} ${MAIL_READ}`, 'Duplicates are removed case-insensitively, first spelling wins');
+    assert(mergeScopes().length === 0, 'No lists merge to nothing');
+  }),
+
+  asyncTest('Missing scopes are found', async () => {
+    assert(getMissingScopes([USER_READ, MAIL_READ], [USER_READ]).join(' ') === MAIL_READ, 'Ungranted scope is missing');
+    assert(getMissingScopes([MAIL_READ], 'mail.read').length === 0, 'Comparison ignores case and short form');
+    assert(getMissingScopes([MAIL_READ], null).length === 0, 'Unknown grants count as granted');
+    assert(getMissingScopes([MAIL_READ], []).join(' ') === MAIL_READ, 'Empty grant misses everything');
+  }),
+
+  asyncTest('Granted scopes come from the response or the scp claim', async () => {
+    const token = createJwt({ scp: 'User.Read Notes.ReadWrite' });
+    assert(getGrantedScopes(token, 'User.Read Mail.Read').join(' ') === `${USER_READ} ${MAIL_READ}`, 'Response scopes win');
+    assert(getGrantedScopes(token, ['openid']).join(' ') === `${USER_READ} ${NOTES_READ_WRITE}`, 'scp claim when the response has only OIDC scopes');
+    assert(getGrantedScopes(token).join(' ') === `${USER_READ} ${NOTES_READ_WRITE}`, 'scp claim when the response has none');
+    assert(getGrantedScopes('opaque-token') === null, 'Unknown for opaque tokens');
+    assert(getGrantedScopes(createJwt({ roles: ['Mail.Read'] })) === null, 'Unknown without an scp claim');
+  }),
+
+  asyncTest('Scopes are formatted by their short names', async () => {
+    assert(formatScopes([MAIL_READ, NOTES_READ_WRITE]) === 'Mail.Read, Notes.ReadWrite', 'Short names, comma separated');
+    assert(formatScopes([]) === '', 'Empty list formats to nothing');
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Graph Scopes Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
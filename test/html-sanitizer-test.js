@@ -0,0 +1,200 @@
+/*
+ * Email HTML Sanitizer Test Script
+ *
+ * Validates the sanitizer/normalizer used before email content is written
+ * to OneNote pages, using real-world email HTML samples.
+ *
+ * Run this test to verify:
+ * - Metadata escaping
+ * - Removal of scripts, event handlers, unsafe URLs and trackers
+ * - Outlook/Word markup cleanup
+ * - Layout table unwrapping and data table preservation
+ * - Inline (cid:) image rewriting
+ * - Tolerance for malformed markup
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  escapeHtml,
+  textToHtml,
+  sanitizeEmailHtml,
+  parseHtml,
+  serializeHtml
+} from '../src/common/html-sanitizer.js';
+
+import {
+  OUTLOOK_DESKTOP,
+  GMAIL_REPLY,
+  NEWSLETTER,
+  HOSTILE,
+  DATA_TABLE,
+  MALFORMED
+} from './fixtures/email-html-samples.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+// Test Suite
+const tests = [
+  asyncTest('Metadata Escaping', async () => {
+    assert(escapeHtml('Q3 <draft> & "final"') === 'Q3 &lt;draft&gt; &amp; &quot;final&quot;', 'Special characters are escaped');
+    assert(escapeHtml("O'Brien") === 'O&#39;Brien', 'Single quotes are escaped');
+    assert(escapeHtml(null) === '' && escapeHtml(undefined) === '', 'Missing values become empty strings');
+    assert(textToHtml('line 1\nline <2>') === 'line 1<br />line &lt;2&gt;', 'Plain text keeps line breaks and is escaped');
+  }),
+
+  asyncTest('Hostile Content Removal', async () => {
+    const output = sanitizeEmailHtml(HOSTILE);
+    assert(!/<script/i.test(output), 'Script elements removed');
+    assert(!/alert\(/.test(output), 'No script payload survives');
+    assert(!/\son\w+=/i.test(output), 'Event handler attributes removed');
+    assert(!/javascript:/i.test(output), 'javascript: URLs removed (including obfuscated schemes)');
+    assert(!/<(iframe|object|embed|form|input|button|svg)/i.test(output), 'Embedded and form elements removed');
+    assert(output.includes('here') && output.includes('or here'), 'Text of unsafe links is kept');
+    assert(output.includes('src="https://example.com/chart.png"'), 'Safe image is kept');
+    assert(!output.includes('src="x"'), 'Image with relative/unsafe source removed');
+    assert(output.includes('style="color: red"'), 'Unsafe CSS declarations dropped, safe ones kept');
+  }),
+
+  asyncTest('Outlook Desktop Markup', async () => {
+    const output = sanitizeEmailHtml(OUTLOOK_DESKTOP);
+    assert(!/<\/?(html|head|body|meta|style|xml)/i.test(output), 'Document wrapper, head and style removed');
+    assert(!/<\/?[ov]:/i.test(output), 'Office namespace elements removed');
+    assert(!output.includes('<!--'), 'Conditional comments removed');
+    assert(!/mso-|margin|class=/i.test(output), 'mso CSS, margins and classes removed');
+    assert(output.includes('font-family: &quot;Calibri&quot;,sans-serif'), 'Supported font CSS is kept');
+    assert(output.includes('<span style="color: #C00000">approved</span>'), 'Inline colour is kept');
+    assert(output.includes('Thanks &amp; regards,'), 'Entities are preserved');
+  }),
+
+  asyncTest('Gmail Reply', async () => {
+    const output = sanitizeEmailHtml(GMAIL_REPLY);
+    assert(output.startsWith('<div>Sounds good'), 'Body text preserved without dir attribute');
+    assert(output.includes('<a href="mailto:john@example.com">'), 'mailto links are kept');
+    assert(!/<blockquote/i.test(output), 'blockquote rewritten to a supported element');
+    assert(!/border-left|padding-left/.test(output), 'Unsupported quote CSS removed');
+  }),
+
+  asyncTest('Newsletter Layout And Trackers', async () => {
+    const output = sanitizeEmailHtml(NEWSLETTER);
+    assert(!/<table/i.test(output), 'Layout tables unwrapped');
+    assert(output.includes('<h1 style="font-size: 24px">Monthly Update</h1>'), 'Heading kept with supported CSS');
+    assert(output.includes('background-color: #f4f4f4'), 'bgcolor converted to CSS');
+    assert(!/Preheader/.test(output), 'Hidden preheader removed');
+    assert(!/sendgrid/.test(output), 'Tracking pixel removed');
+    assert(!/url\(/.test(output), 'CSS background images removed');
+    assert(output.includes('src="https://cdn.example.com/logo.png"'), 'Content image kept');
+    assert(output.includes('href="https://news.example.com/article?id=42&amp;utm_source=mail"'), 'Link query string re-encoded');
+  }),
+
+  asyncTest('Data Tables', async () => {
+    const output = sanitizeEmailHtml(DATA_TABLE);
+    assert(/<table border="1">/.test(output), 'Data table kept');
+    assert(!/<\/?(thead|tbody|th|caption)[\s>]/i.test(output), 'Unsupported table elements rewritten');
+    assert(output.indexOf('Quarterly numbers') < output.indexOf('<table'), 'Caption moved above the table');
+    assert(output.includes('<td style="font-weight: bold">Quarter</td>'), 'Header cells rendered bold');
+    assert(output.includes('<td style="text-align: right">$1,200</td>'), 'Cell alignment converted to CSS');
+    assert((output.match(/<tr>/g) || []).length === 3, 'All rows kept');
+  }),
+
+  asyncTest('Inline Image References', async () => {
+    const html = '<p><img src="cid:image001.png@01DA1234.5678ABCD" alt="Screenshot"><img src="cid:missing@example"></p>';
+
+    const unresolved = sanitizeEmailHtml(html);
+    assert(!/<img/.test(unresolved), 'cid: images are dropped when no rewrite is given');
+
+    const rewritten = sanitizeEmailHtml(html, {
+      rewriteImageSource: src => (src === 'cid:image001.png@01DA1234.5678ABCD' ? 'name:inline1' : null)
+    });
+    assert(rewritten.includes('<img src="name:inline1" alt="Screenshot" />'), 'Resolved cid: reference rewritten to name: part');
+    assert(!rewritten.includes('cid:'), 'Unresolved cid: reference dropped');
+  }),
+
+  asyncTest('Malformed Markup', async () => {
+    const output = sanitizeEmailHtml(MALFORMED);
+    assert(output.includes('Price &lt; 5 &amp; falling'), 'Stray < and & escaped');
+    assert(output.endsWith('Trailing'), 'Text after unmatched closing tag kept');
+    const reparsed = serializeHtml(parseHtml(output));
+    assert(reparsed === output, 'Sanitized output round-trips through the parser');
+    assert(sanitizeEmailHtml('') === '' && sanitizeEmailHtml(null) === '', 'Empty input yields empty output');
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Email HTML Sanitizer Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
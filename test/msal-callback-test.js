@@ -0,0 +1,325 @@
+/*
+ * MSAL Callback Page Test Script
+ *
+ * Runs the script of src/auth/msal-callback.html with the msal-browser build
+ * that webpack copies next to it (node_modules/@azure/msal-browser), in a
+ * sandbox standing in for the Office dialog window.
+ *
+ * Run this test to verify:
+ * - The page loads the msal-browser version from package.json, not a CDN build
+ * - A dialog sign-in starts MSAL's redirect for the requested account
+ * - The redirect response is sent back to the add-in with messageParent
+ * - MSAL errors are sent back as MSAL_AUTH_ERROR
+ *
+ * Usage:
+ * - Run with Node.js from the repository root (NODE_ENV=test); needs node_modules
+ * - Check console for detailed test results
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import vm from 'vm';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const PAGE_ORIGIN = 'https://localhost:3000';
+const PAGE_PATH = '/src/auth/msal-callback.html';
+const AUTHORITY = 'https://login.microsoftonline.com/common';
+const CLIENT_ID = '00000000-0000-0000-0000-00000000c11d';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+function readPage() {
+  return readFileSync(`${ROOT}src/auth/msal-callback.html`, 'utf8');
+}
+
+function readMsalBuild() {
+  return readFileSync(`${ROOT}node_modules/@azure/msal-browser/lib/msal-browser.min.js`, 'utf8');
+}
+
+// Inline script of the page (the one without a src attribute)
+function getPageScript(html) {
+  const scripts = [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)];
+  return scripts[scripts.length - 1][1];
+}
+
+function createStorage(items = new Map()) {
+  return {
+    items,
+    get length() {
+      return items.size;
+    },
+    key: index => [...items.keys()][index] ?? null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+function base64Url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function createIdToken(claims) {
+  return `${base64Url({ alg: 'none', typ: 'JWT' })}.${base64Url(claims)}.`;
+}
+
+// Load the page in a sandboxed window at the given URL. sessionStorage is
+// shared between loads, as it is in the dialog across the redirect.
+function loadPage({ search = '', hash = '', sessionItems = new Map(), fetch = null } = {}) {
+  const navigations = [];
+  const messages = [];
+  const listeners = {};
+  const location = {
+    origin: PAGE_ORIGIN,
+    protocol: 'https:',
+    host: 'localhost:3000',
+    hostname: 'localhost',
+    pathname: PAGE_PATH,
+    search,
+    hash,
+    get href() {
+      return `${PAGE_ORIGIN}${PAGE_PATH}${this.search}${this.hash}`;
+    },
+    assign: url => navigations.push(url),
+    replace: url => navigations.push(url)
+  };
+
+  const window = {
+    location,
+    sessionStorage: createStorage(sessionItems),
+    localStorage: createStorage(),
+    crypto: globalThis.crypto,
+    navigator: { userAgent: 'Node.js' },
+    document: { cookie: '', title: 'MSAL Callback', referrer: '' },
+    history: { replaceState: (state, title, url) => { location.hash = ''; location.search = url ? new URL(url, location.href).search : location.search; } },
+    performance: globalThis.performance,
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    Headers,
+    Uint8Array,
+    atob,
+    btoa,
+    fetch: fetch || (async url => {
+      throw new Error(`Unexpected request to ${url}`);
+    }),
+    addEventListener: (type, handler) => {
+      listeners[type] = handler;
+    },
+    removeEventListener: type => {
+      delete listeners[type];
+    },
+    Office: {
+      onReady: async () => ({}),
+      context: { ui: { messageParent: message => messages.push(JSON.parse(message)) } }
+    }
+  };
+  window.window = window;
+  window.self = window;
+  window.top = window;
+  window.parent = window;
+
+  const context = vm.createContext(window);
+  vm.runInContext(readMsalBuild(), context);
+  vm.runInContext(getPageScript(readPage()), context);
+
+  return { window, navigations, messages, sessionItems };
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for the page');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function signInSearch(extra = {}) {
+  const params = new URLSearchParams({
+    dialog: 'signin',
+    clientId: CLIENT_ID,
+    authority: AUTHORITY,
+    scopes: 'User.Read Notes.ReadWrite',
+    ...extra
+  });
+  return `?${params}`;
+}
+
+// Test Suite
+const tests = [
+  asyncTest('Page loads the msal-browser build of package.json', async () => {
+    const html = readPage();
+    const packageJson = JSON.parse(readFileSync(`${ROOT}package.json`, 'utf8'));
+    const wanted = packageJson.dependencies['@azure/msal-browser'].replace(/^\^/, '');
+    const bundled = readMsalBuild().match(/@azure\/msal-browser v(\d+\.\d+\.\d+)/)[1];
+
+    assert(!/<script[^>]+src="https?:[^"]*msal/.test(html), 'MSAL is not loaded from a CDN');
+    assert(/<script src="msal-browser\.min\.js"><\/script>/.test(html), 'MSAL is loaded from the copied build');
+    assert(bundled.split('.')[0] === wanted.split('.')[0] && bundled >= wanted, `Copied build ${bundled} matches ^${wanted}`);
+  }),
+
+  asyncTest('Dialog sign-in starts the redirect for the requested account', async () => {
+    const page = loadPage({ search: signInSearch({ loginHint: 'adele@contoso.example' }) });
+    await waitFor(() => page.navigations.length > 0 || page.messages.length > 0);
+
+    assert(page.messages.length === 0, `No error is sent to the add-in${page.messages[0] ? ` (${page.messages[0].error})` : ''}`);
+    const url = new URL(page.navigations[0]);
+    assert(url.origin + url.pathname === `${AUTHORITY}/oauth2/v2.0/authorize`, 'Redirects to the authorize endpoint');
+    assert(url.searchParams.get('client_id') === CLIENT_ID, 'Client ID is sent');
+    assert(url.searchParams.get('redirect_uri') === PAGE_ORIGIN + PAGE_PATH, 'Redirect URI is the callback page');
+    assert(url.searchParams.get('login_hint') === 'adele@contoso.example', 'Login hint is sent');
+    assert(url.searchParams.get('scope').split(' ').includes('Notes.ReadWrite'), 'Requested scopes are sent');
+    assert(url.searchParams.get('code_challenge_method') === 'S256', 'PKCE is used');
+  }),
+
+  asyncTest('Redirect response is sent to the add-in', async () => {
+    const start = loadPage({ search: signInSearch() });
+    await waitFor(() => start.navigations.length > 0 || start.messages.length > 0);
+    const authorizeUrl = new URL(start.navigations[0]);
+    assert(authorizeUrl.searchParams.get('prompt') === 'select_account', 'Without a login hint the user selects the account');
+
+    const claims = {
+      aud: CLIENT_ID,
+      iss: 'https://login.microsoftonline.com/tenant-1/v2.0',
+      iat: Math.floor(Date.now() / 1000),
+      exp: Math.floor(Date.now() / 1000) + 3600,
+      nonce: authorizeUrl.searchParams.get('nonce'),
+      oid: 'user-1',
+      tid: 'tenant-1',
+      preferred_username: 'adele@contoso.example',
+      name: 'Adele Vance'
+    };
+    const tokenRequests = [];
+    const fetch = async (url, options) => {
+      tokenRequests.push({ url, options });
+      return {
+        ok: true,
+        status: 200,
+        headers: { forEach: () => {} },
+        json: async () => ({
+          token_type: 'Bearer',
+          scope: 'User.Read Notes.ReadWrite openid profile',
+          expires_in: 3600,
+          ext_expires_in: 3600,
+          access_token: 'dialog-access-token',
+          id_token: createIdToken(claims),
+          client_info: base64Url({ uid: 'user-1', utid: 'tenant-1' })
+        })
+      };
+    };
+
+    const hash = `#code=authorization-code&client_info=${base64Url({ uid: 'user-1', utid: 'tenant-1' })}&state=${encodeURIComponent(authorizeUrl.searchParams.get('state'))}`;
+    const redirected = loadPage({ hash, sessionItems: start.sessionItems, fetch });
+    await waitFor(() => redirected.navigations.length > 0 || redirected.messages.length > 0);
+
+    // MSAL goes back to the URL the sign-in started from before handling the response
+    const returnUrl = new URL(redirected.navigations[0]);
+    assert(returnUrl.pathname === PAGE_PATH && returnUrl.searchParams.get('dialog') === 'signin', 'Returns to the page the sign-in started from');
+    const back = loadPage({ search: returnUrl.search, sessionItems: start.sessionItems, fetch });
+    await waitFor(() => back.messages.length > 0);
+
+    const message = back.messages[0];
+    assert(tokenRequests.length === 1 && tokenRequests[0].url.startsWith(`${AUTHORITY}/oauth2/v2.0/token`), 'Code is redeemed at the token endpoint');
+    assert(message.type === 'MSAL_AUTH_RESULT', `Result is sent to the add-in${message.error ? ` (${message.error})` : ''}`);
+    assert(message.accessToken === 'dialog-access-token', 'Access token is sent');
+    assert(message.account?.username === 'adele@contoso.example', 'Account is sent');
+    assert(!back.sessionItems.has('outlook2onenote_auth_dialog'), 'Stored sign-in request is removed');
+  }),
+
+  asyncTest('Return without a response is reported as an error', async () => {
+    const sessionItems = new Map([['outlook2onenote_auth_dialog', JSON.stringify({ clientId: CLIENT_ID, authority: AUTHORITY, scopes: ['User.Read'] })]]);
+    const page = loadPage({ sessionItems });
+    await waitFor(() => page.messages.length > 0);
+
+    assert(page.messages[0].type === 'MSAL_AUTH_ERROR', 'Error is sent to the add-in');
+    assert(page.messages[0].error === 'Sign-in did not return a token', 'Error explains the missing token');
+  }),
+
+  asyncTest('Unknown authority is refused', async () => {
+    const page = loadPage({ search: signInSearch({ authority: 'https://login.example.com/common' }) });
+    await waitFor(() => page.messages.length > 0);
+
+    assert(page.navigations.length === 0, 'No redirect is started');
+    assert(page.messages[0].type === 'MSAL_AUTH_ERROR', 'Error is sent to the add-in');
+  })
+];
+
+// Test runner
+async function runAllTests() {
+  console.log('🚀 Starting MSAL Callback Page Tests');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run when run with Node.js
+if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
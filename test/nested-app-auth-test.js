@@ -0,0 +1,339 @@
+/*
+ * Nested App Authentication Test Script
+ *
+ * Validates the nested app authentication (NAA) strategy and its place in
+ * the sign-in chain, with stand-ins for Office.js and MSAL's nestable client.
+ *
+ * Run this test to verify:
+ * - NAA is only used when the host supports NestedAppAuth 1.1
+ * - The host's token is taken silently before the host asks the user
+ * - Cancellation, claims challenges and silent renewal
+ * - Sign-in for a named account skips the host's account
+ * - Fallback to the other sign-in strategies when NAA fails
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import { createNestedAppAuthStrategy, isNestedAppAuthSupported } from '../src/auth/auth-strategies.js';
+import { TokenProvider, USER_CANCELLED } from '../src/auth/token-provider.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+
+const AUTH = { clientId: 'test-client', authority: 'https://login.microsoftonline.com/common', redirectUri: 'https://localhost:3000/src/auth/msal-callback.html' };
+const SCOPES = ['https://graph.microsoft.com/Mail.Read'];
+const HOUR_MS = 60 * 60 * 1000;
+
+function installOffice(requirementSets = { NestedAppAuth: '1.1' }) {
+  globalThis.Office = {
+    context: {
+      requirements: {
+        isSetSupported: (name, version) => requirementSets[name] !== undefined && requirementSets[name] >= version
+      }
+    }
+  };
+}
+
+function msalError(errorCode, message = errorCode) {
+  const error = new Error(message);
+  error.errorCode = errorCode;
+  return error;
+}
+
+function createMsalResult(accessToken) {
+  return {
+    accessToken,
+    expiresOn: new Date(Date.now() + HOUR_MS),
+    account: {
+      username: 'adele@contoso.example',
+      name: 'Adele',
+      homeAccountId: 'oid.tid',
+      tenantId: 'tid'
+    }
+  };
+}
+
+// Stand-in for createNestablePublicClientApplication and the client it resolves to
+function createNestableClientDouble({ silent, popup, createError = null } = {}) {
+  const calls = { create: [], silent: [], popup: [] };
+  const client = {
+    getAccountByHomeId: (homeAccountId) => (homeAccountId === 'oid.tid' ? { homeAccountId } : null),
+    async acquireTokenSilent(request) {
+      calls.silent.push(request);
+      return silent ? silent(request) : createMsalResult('naa-silent-token');
+    },
+    async acquireTokenPopup(request) {
+      calls.popup.push(request);
+      return popup ? popup(request) : createMsalResult('naa-popup-token');
+    }
+  };
+  const createClient = async (config) => {
+    calls.create.push(config);
+    if (createError) {
+      throw createError;
+    }
+    return client;
+  };
+  return { createClient, calls };
+}
+
+function createFallbackStrategy() {
+  const calls = [];
+  return {
+    calls,
+    name: 'msal-popup',
+    label: 'Microsoft sign-in (MSAL)',
+    async acquireToken(options) {
+      calls.push(options);
+      return { accessToken: 'fallback-token', expiresOn: new Date(Date.now() + HOUR_MS) };
+    }
+  };
+}
+
+function createProvider(double) {
+  const naa = createNestedAppAuthStrategy({ createClient: double.createClient, auth: AUTH, scopes: SCOPES });
+  const fallback = createFallbackStrategy();
+  return { provider: new TokenProvider({ strategies: [naa, fallback] }), naa, fallback };
+}
+
+// Test Suite
+const tests = [
+  asyncTest('NAA Detection', async () => {
+    delete globalThis.Office;
+    assert(isNestedAppAuthSupported() === false, 'Not supported without Office.js');
+
+    installOffice({});
+    assert(isNestedAppAuthSupported() === false, 'Not supported without the NestedAppAuth requirement set');
+
+    installOffice({ NestedAppAuth: '1.0' });
+    assert(isNestedAppAuthSupported() === false, 'Not supported below NestedAppAuth 1.1');
+
+    installOffice();
+    assert(isNestedAppAuthSupported() === true, 'Supported with NestedAppAuth 1.1');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Hosts Without NAA Use the Other Strategies', async () => {
+    installOffice({});
+    const double = createNestableClientDouble();
+    const { provider, fallback } = createProvider(double);
+
+    const token = await provider.getAccessToken();
+    assert(token === 'fallback-token', 'Token comes from the next strategy');
+    assert(double.calls.create.length === 0, 'Nestable client is not created');
+    assert(fallback.calls.length === 1, 'Fallback strategy signs in');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Token From the Office Host Without a Prompt', async () => {
+    installOffice();
+    const double = createNestableClientDouble();
+    const { provider, fallback } = createProvider(double);
+
+    const token = await provider.getAccessToken();
+    assert(token === 'naa-silent-token', 'Token comes from the host silently');
+    assert(double.calls.create.length === 1, 'Nestable client is created once');
+    assert(double.calls.create[0].auth.clientId === 'test-client' && double.calls.create[0].auth.authority === AUTH.authority, 'Client uses the app registration and authority');
+    assert(double.calls.create[0].auth.redirectUri === undefined, 'No redirect URI is passed to the nestable client');
+    assert(double.calls.silent[0].scopes === SCOPES && !double.calls.silent[0].account, 'Silent request uses the host account');
+    assert(double.calls.popup.length === 0, 'No prompt');
+    assert(fallback.calls.length === 0, 'Fallback is not used');
+    assert(provider.getTokenSource().name === 'nested-app-auth', 'Token source is NAA');
+    assert(provider.getAccount().homeAccountId === 'oid.tid', 'Account is stored with the token');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Host Prompts When Interaction Is Required', async () => {
+    installOffice();
+    const double = createNestableClientDouble({
+      silent: async () => {
+        throw msalError('interaction_required');
+      }
+    });
+    const { provider } = createProvider(double);
+
+    const token = await provider.getAccessToken();
+    assert(token === 'naa-popup-token', 'Token comes from the host prompt');
+    assert(double.calls.popup.length === 1 && double.calls.popup[0].scopes === SCOPES, 'Host prompt asks for the Graph scopes');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Claims Challenge Goes Straight to the Prompt', async () => {
+    installOffice();
+    const double = createNestableClientDouble();
+    const naa = createNestedAppAuthStrategy({ createClient: double.createClient, auth: AUTH, scopes: SCOPES });
+    const claims = '{"access_token":{"capolids":{"essential":true,"values":["policy"]}}}';
+
+    await naa.acquireToken({ claims });
+    assert(double.calls.silent.length === 0, 'No silent attempt with a claims challenge');
+    assert(double.calls.popup[0].claims === claims, 'Claims are passed to the prompt');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Switching Accounts Opens the Account Picker', async () => {
+    installOffice();
+    const double = createNestableClientDouble();
+    const naa = createNestedAppAuthStrategy({ createClient: double.createClient, auth: AUTH, scopes: SCOPES });
+
+    await naa.acquireToken({ selectAccount: true });
+    assert(double.calls.silent.length === 0, 'The Office account is not reused silently');
+    assert(double.calls.popup[0].prompt === 'select_account', 'Prompt lets the user pick an account');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Sign-in for Another Account Prompts With Its Username', async () => {
+    installOffice();
+    const double = createNestableClientDouble();
+    const naa = createNestedAppAuthStrategy({ createClient: double.createClient, auth: AUTH, scopes: SCOPES });
+
+    await naa.acquireToken({ loginHint: 'megan@fabrikam.example' });
+    assert(double.calls.silent.length === 0, 'The Office account is not taken silently');
+    assert(double.calls.popup[0].loginHint === 'megan@fabrikam.example', 'Prompt is for the account asked for');
+    assert(double.calls.popup[0].prompt === undefined, 'No account picker');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Cancelled Host Prompt Stops the Chain', async () => {
+    installOffice();
+    const double = createNestableClientDouble({
+      silent: async () => {
+        throw msalError('interaction_required');
+      },
+      popup: async () => {
+        throw msalError('user_cancelled', 'User cancelled the flow');
+      }
+    });
+    const { provider, fallback } = createProvider(double);
+
+    let thrown = null;
+    try {
+      await provider.getAccessToken();
+    } catch (error) {
+      thrown = error;
+    }
+    assert(thrown && thrown.code === USER_CANCELLED, 'Cancellation is reported');
+    assert(fallback.calls.length === 0, 'No other sign-in window is opened');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Failing Host Falls Back', async () => {
+    installOffice();
+    const double = createNestableClientDouble({ createError: new Error('Nested app authentication is not available') });
+    const { provider, fallback } = createProvider(double);
+
+    const token = await provider.getAccessToken();
+    assert(token === 'fallback-token', 'Next strategy signs in when the client cannot be created');
+    assert(fallback.calls.length === 1, 'Fallback strategy is used once');
+
+    const retryDouble = createNestableClientDouble({
+      silent: async () => {
+        throw msalError('interaction_required');
+      },
+      popup: async () => {
+        throw msalError('invalid_request', 'AADSTS50011: The redirect URI brk-multihub://localhost:3000 is not registered');
+      }
+    });
+    const retry = createProvider(retryDouble);
+    assert(await retry.provider.getAccessToken() === 'fallback-token', 'Next strategy signs in when the host cannot broker');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Silent Renewal Through the Host', async () => {
+    installOffice();
+    const double = createNestableClientDouble({ silent: async () => createMsalResult('naa-renewed-token') });
+    const { provider, naa } = createProvider(double);
+    provider.cache.set({
+      accessToken: 'expired',
+      expiresAt: Date.now() - 1000,
+      refreshToken: null,
+      account: { username: 'adele@contoso.example', homeAccountId: 'oid.tid', tenantId: 'tid' },
+      source: naa.name
+    });
+
+    const token = await provider.getAccessToken();
+    assert(token === 'naa-renewed-token', 'Expired token is renewed');
+    assert(double.calls.silent[0].account && double.calls.silent[0].account.homeAccountId === 'oid.tid', 'Renewal uses the signed-in account');
+    assert(double.calls.popup.length === 0, 'Renewal does not prompt');
+    provider.clearToken();
+    delete globalThis.Office;
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Nested App Authentication Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
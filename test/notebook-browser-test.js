@@ -0,0 +1,202 @@
+/*
+ * Notebook Browser Test Script
+ *
+ * Validates the tree model behind the notebook / section group / section
+ * browser used to pick the export destination.
+ *
+ * Run this test to verify:
+ * - Lazy-loaded children and paths at any depth
+ * - Expand/collapse and type-to-filter visibility
+ * - Keyboard navigation (WAI-ARIA tree pattern)
+ * - Destination mapping for notebooks, section groups and sections
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  createNotebookNodes,
+  setNodeChildren,
+  addSectionNode,
+  getVisibleNodes,
+  getKeyboardAction,
+  getNodeDestination,
+  isCurrentDestination
+} from '../src/taskpane/notebook-browser.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+// Build a notebook with Clients > Contoso > Project X > Notes, plus an Inbox section
+function buildTree() {
+  const roots = createNotebookNodes([
+    { id: 'nb1', displayName: 'Team Notebook' },
+    { id: 'nb2', displayName: 'Personal' }
+  ]);
+  const [clients] = setNodeChildren(roots[0], [{ id: 'sg1', displayName: 'Clients' }], [{ id: 's1', displayName: 'Inbox' }]);
+  const [contoso] = setNodeChildren(clients, [{ id: 'sg2', displayName: 'Contoso' }], []);
+  const [projectX] = setNodeChildren(contoso, [{ id: 'sg3', displayName: 'Project X' }], []);
+  const [notes] = setNodeChildren(projectX, [], [{ id: 's2', displayName: 'Notes' }]);
+  return { roots, clients, contoso, projectX, notes };
+}
+
+const names = visible => visible.map(({ node }) => node.displayName);
+
+// Test Suite
+const tests = [
+  asyncTest('Tree Structure', async () => {
+    const { roots, clients, notes } = buildTree();
+    assert(roots.length === 2 && roots[0].kind === 'notebook', 'Notebooks are root nodes');
+    assert(roots[1].children === null, 'Unexpanded notebook has no children loaded');
+    assert(clients.children.length === 1 && roots[0].children[1].kind === 'section', 'Section groups are listed before sections');
+    assert(notes.path === 'Clients / Contoso / Project X / Notes', 'Path covers nested section groups');
+    assert(notes.notebook.id === 'nb1', 'Deep nodes know their notebook');
+  }),
+
+  asyncTest('Expand And Collapse', async () => {
+    const { roots, clients } = buildTree();
+    assert(names(getVisibleNodes(roots)).join('|') === 'Team Notebook|Personal', 'Collapsed tree shows notebooks only');
+
+    roots[0].expanded = true;
+    const visible = getVisibleNodes(roots);
+    assert(names(visible).join('|') === 'Team Notebook|Clients|Inbox|Personal', 'Expanded notebook shows its children');
+    assert(visible[1].depth === 1, 'Children are one level deeper');
+
+    clients.expanded = true;
+    assert(names(getVisibleNodes(roots)).includes('Contoso'), 'Expanded section group shows nested groups');
+  }),
+
+  asyncTest('Type To Filter', async () => {
+    const { roots } = buildTree();
+    const visible = getVisibleNodes(roots, 'note');
+    assert(names(visible).join('|') === 'Team Notebook|Clients|Contoso|Project X|Notes', 'Filter shows matches with their ancestors, even when collapsed');
+    assert(visible[4].depth === 4, 'Filtered rows keep their depth');
+    assert(getVisibleNodes(roots, 'CONTOSO').length === 3, 'Filter is case-insensitive');
+    assert(getVisibleNodes(roots, 'nothing').length === 0, 'Non-matching filter shows nothing');
+  }),
+
+  asyncTest('Keyboard Navigation', async () => {
+    const { roots, clients } = buildTree();
+    roots[0].expanded = true;
+    let visible = getVisibleNodes(roots);
+
+    assert(getKeyboardAction(visible, 0, 'ArrowDown').index === 1, 'ArrowDown moves to the next row');
+    assert(getKeyboardAction(visible, 0, 'ArrowUp') === null, 'ArrowUp stops at the first row');
+    assert(getKeyboardAction(visible, 2, 'End').index === visible.length - 1, 'End moves to the last row');
+    assert(getKeyboardAction(visible, 1, 'ArrowRight').type === 'expand', 'ArrowRight expands a collapsed group');
+    assert(getKeyboardAction(visible, 0, 'ArrowRight').index === 1, 'ArrowRight on an expanded node moves to its first child');
+    assert(getKeyboardAction(visible, 2, 'ArrowRight') === null, 'ArrowRight does nothing on a section');
+    assert(getKeyboardAction(visible, 2, 'ArrowLeft').index === 0, 'ArrowLeft on a section moves to its parent');
+    assert(getKeyboardAction(visible, 0, 'ArrowLeft').type === 'collapse', 'ArrowLeft collapses an expanded node');
+    assert(getKeyboardAction(visible, 1, 'Enter').type === 'select', 'Enter selects the row');
+
+    clients.expanded = true;
+    visible = getVisibleNodes(roots);
+    assert(getKeyboardAction(visible, 2, 'ArrowLeft').index === 1, 'ArrowLeft on a nested group moves to its parent group');
+  }),
+
+  asyncTest('Export Destinations', async () => {
+    const { roots, contoso, notes } = buildTree();
+
+    const notebookDestination = getNodeDestination(roots[0]);
+    assert(notebookDestination.notebook.id === 'nb1' && notebookDestination.target === null, 'Notebook node selects the notebook');
+
+    const groupDestination = getNodeDestination(contoso);
+    assert(groupDestination.target.kind === 'sectionGroup' && groupDestination.target.path === 'Clients / Contoso', 'Section group node selects the group');
+
+    const sectionDestination = getNodeDestination(notes);
+    assert(sectionDestination.notebook.id === 'nb1' && sectionDestination.target.id === 's2', 'Section node selects the section in its notebook');
+
+    const current = { notebookId: 'nb1', target: { kind: 'section', id: 's2' } };
+    assert(isCurrentDestination(notes, current), 'Saved section is highlighted');
+    assert(!isCurrentDestination(roots[0], current), 'Its notebook is not highlighted');
+    assert(isCurrentDestination(roots[1], { notebookId: 'nb2', target: null }), 'Saved notebook without section is highlighted');
+  }),
+
+  asyncTest('Created Sections', async () => {
+    const { roots, contoso } = buildTree();
+    const added = addSectionNode(contoso, { id: 's3', displayName: 'Meeting Notes' });
+    assert(contoso.children.includes(added), 'New section is added to a loaded group');
+    assert(added.path === 'Clients / Contoso / Meeting Notes', 'New section gets its full path');
+
+    const unloaded = addSectionNode(roots[1], { id: 's4', displayName: 'Ideas' });
+    assert(roots[1].children === null && unloaded.notebook.id === 'nb2', 'Unloaded parents stay unloaded');
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Notebook Browser Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
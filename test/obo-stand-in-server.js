@@ -0,0 +1,118 @@
+// Stand-in Microsoft identity platform for testing the on-behalf-of exchange
+// File: test/obo-stand-in-server.js
+//
+// Serves the endpoints backend-example.js talks to (OpenID configuration,
+// signing keys, token endpoint) so /api/auth/obo can be exercised without a
+// tenant. It also issues fake Office SSO tokens signed with its own key.
+//
+// Usage:
+//   npx office-addin-dev-certs install      (once, creates the localhost certificate)
+//   npm run obo-stand-in
+//   NODE_EXTRA_CA_CERTS=~/.office-addin-dev-certs/ca.crt AUTHORITY=https://localhost:3002/common \
+//     CLIENT_ID=test-client CLIENT_SECRET=test-secret TENANT_ID=common node backend-example.js
+//
+//   TOKEN=$(curl -sk "https://localhost:3002/stand-in/sso-token?scenario=ok")
+//   curl -s -X POST http://localhost:3001/api/auth/obo -H "Authorization: Bearer $TOKEN"
+//
+// Scenarios (sso-token ?scenario=):
+//   ok                - the exchange returns a Graph token
+//   consent_required  - AADSTS65001, the user has not consented to the Graph scopes
+//   mfa_required      - AADSTS50076, Conditional Access requires multi-factor authentication
+//   expired           - the SSO token itself is expired
+
+const express = require('express');
+const https = require('https');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.STAND_IN_PORT || 3002;
+const ORIGIN = `https://localhost:${PORT}`;
+const CLIENT_ID = process.env.CLIENT_ID || 'test-client';
+const TENANT_ID = '9188040d-6c67-4c5b-b112-36a304b66dad';
+const CERT_DIR = process.env.DEV_CERTS_DIR || path.join(os.homedir(), '.office-addin-dev-certs');
+
+// Signing key for the SSO tokens this server issues
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/:tenant/v2.0/.well-known/openid-configuration', (req, res) => {
+    const base = `${ORIGIN}/${req.params.tenant}`;
+    res.json({
+        issuer: `${ORIGIN}/{tenantid}/v2.0`,
+        authorization_endpoint: `${base}/oauth2/v2.0/authorize`,
+        token_endpoint: `${base}/oauth2/v2.0/token`,
+        end_session_endpoint: `${base}/oauth2/v2.0/logout`,
+        jwks_uri: `${ORIGIN}/common/discovery/v2.0/keys`
+    });
+});
+
+app.get('/common/discovery/v2.0/keys', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Fake Office SSO token (what Office.auth.getAccessToken returns)
+app.get('/stand-in/sso-token', (req, res) => {
+    const scenario = req.query.scenario || 'ok';
+    const now = Math.floor(Date.now() / 1000);
+    const token = jwt.sign({
+        aud: CLIENT_ID,
+        iss: `${ORIGIN}/${TENANT_ID}/v2.0`,
+        tid: TENANT_ID,
+        oid: '00000000-0000-0000-0000-000000000001',
+        preferred_username: 'adele@contoso.example',
+        scp: 'access_as_user',
+        scenario,
+        iat: now,
+        nbf: now,
+        exp: scenario === 'expired' ? now - 60 : now + 3600
+    }, privateKey, { algorithm: 'RS256', keyid: KEY_ID });
+    res.type('text/plain').send(token);
+});
+
+app.post('/:tenant/oauth2/v2.0/token', (req, res) => {
+    const { grant_type: grantType, assertion, requested_token_use: tokenUse, client_id: clientId } = req.body;
+    console.log(`Token request: grant_type=${grantType} client_id=${clientId} scope=${req.body.scope}`);
+
+    if (grantType !== 'urn:ietf:params:oauth:grant-type:jwt-bearer' || tokenUse !== 'on_behalf_of') {
+        return res.status(400).json({ error: 'unsupported_grant_type', error_description: 'Only the on-behalf-of grant is supported by the stand-in' });
+    }
+
+    const claims = jwt.decode(assertion) || {};
+    if (claims.scenario === 'consent_required') {
+        return res.status(400).json({
+            error: 'invalid_grant',
+            error_description: 'AADSTS65001: The user or administrator has not consented to use the application.',
+            error_codes: [65001],
+            suberror: 'consent_required'
+        });
+    }
+    if (claims.scenario === 'mfa_required') {
+        return res.status(400).json({
+            error: 'interaction_required',
+            error_description: 'AADSTS50076: Due to a configuration change made by your administrator, you must use multi-factor authentication.',
+            error_codes: [50076],
+            claims: JSON.stringify({ access_token: { capolids: { essential: true, values: ['stand-in-policy'] } } })
+        });
+    }
+
+    res.json({
+        token_type: 'Bearer',
+        scope: req.body.scope,
+        expires_in: 3600,
+        ext_expires_in: 3600,
+        access_token: `stand-in-graph-token-${crypto.randomBytes(8).toString('hex')}`
+    });
+});
+
+https.createServer({
+    key: fs.readFileSync(path.join(CERT_DIR, 'localhost.key')),
+    cert: fs.readFileSync(path.join(CERT_DIR, 'localhost.crt'))
+}, app).listen(PORT, () => {
+    console.log(`Identity platform stand-in running on ${ORIGIN}`);
+});
@@ -0,0 +1,251 @@
+/*
+ * Office Dialog Test Script
+ *
+ * Validates sign-in through the Office dialog API with a stand-in for
+ * Office.context.ui.
+ *
+ * Run this test to verify:
+ * - Detection of the dialog API
+ * - The message sent by the sign-in page is returned and the dialog closed
+ * - Errors reported by the page, by the dialog (12002, 12006) and by
+ *   displayDialogAsync (12007, 12009)
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  DIALOG_ERRORS,
+  isDialogApiSupported,
+  createDialogError,
+  openAuthDialog
+} from '../src/auth/office-dialog.js';
+import { USER_CANCELLED } from '../src/auth/token-provider.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+
+// Stand-in for Office.js; the dialog replays the given events once opened
+function installOffice({ dialogApi = true, openError = null, events = [] } = {}) {
+  const dialog = {
+    handlers: {},
+    closed: false,
+    addEventHandler(type, handler) {
+      this.handlers[type] = handler;
+    },
+    close() {
+      this.closed = true;
+    }
+  };
+  const calls = [];
+
+  globalThis.Office = {
+    AsyncResultStatus: { Succeeded: 'succeeded', Failed: 'failed' },
+    EventType: { DialogMessageReceived: 'dialogMessageReceived', DialogEventReceived: 'dialogEventReceived' },
+    context: {
+      requirements: {
+        isSetSupported: (name, version) => dialogApi && name === 'DialogApi' && version === '1.1'
+      },
+      ui: {
+        displayDialogAsync(url, options, callback) {
+          calls.push({ url, options });
+          if (openError) {
+            callback({ status: 'failed', error: openError });
+            return;
+          }
+          callback({ status: 'succeeded', value: dialog });
+          events.forEach(event => {
+            setTimeout(() => dialog.handlers[event.type](event), 0);
+          });
+        }
+      }
+    }
+  };
+
+  return { dialog, calls };
+}
+
+function messageEvent(message) {
+  return { type: 'dialogMessageReceived', message: typeof message === 'string' ? message : JSON.stringify(message) };
+}
+
+function dialogEvent(code) {
+  return { type: 'dialogEventReceived', error: code };
+}
+
+async function openAndCatch(url) {
+  try {
+    await openAuthDialog(url);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+// Test Suite
+const tests = [
+  asyncTest('Dialog API Detection', async () => {
+    delete globalThis.Office;
+    assert(isDialogApiSupported() === false, 'Not supported without Office.js');
+
+    installOffice({ dialogApi: false });
+    assert(isDialogApiSupported() === false, 'Not supported without the DialogApi requirement set');
+
+    installOffice();
+    assert(isDialogApiSupported() === true, 'Supported with DialogApi 1.1');
+
+    globalThis.Office.context = {};
+    assert(isDialogApiSupported() === false, 'Not supported outside an Office host');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Dialog Error Codes', async () => {
+    assert(createDialogError(DIALOG_ERRORS.DIALOG_CLOSED).code === USER_CANCELLED, '12006 (dialog closed) is a cancellation');
+    assert(createDialogError(DIALOG_ERRORS.DIALOG_IGNORED).code === USER_CANCELLED, '12009 (dialog ignored) is a cancellation');
+
+    const notFound = createDialogError(DIALOG_ERRORS.PAGE_NOT_FOUND);
+    assert(notFound.code === 12002 && notFound.message.includes('redirect URI'), '12002 points at the redirect URI');
+
+    const other = createDialogError(12004, 'Domain is not trusted');
+    assert(other.code === 12004 && other.message.includes('12004') && other.message.includes('Domain is not trusted'), 'Other codes keep the Office message');
+  }),
+
+  asyncTest('Message From the Sign-in Page', async () => {
+    const { dialog, calls } = installOffice({
+      events: [messageEvent({ type: 'PKCE_AUTH_CODE', code: 'auth-code', state: 'state-1' })]
+    });
+
+    const message = await openAuthDialog('https://localhost:3000/src/auth/callback?authorize=x');
+    assert(calls.length === 1 && calls[0].url === 'https://localhost:3000/src/auth/callback?authorize=x', 'Dialog opens the given page');
+    assert(calls[0].options.height > 0 && calls[0].options.width > 0, 'Dialog size is set');
+    assert(message.type === 'PKCE_AUTH_CODE' && message.code === 'auth-code' && message.state === 'state-1', 'Message is returned');
+    assert(dialog.closed, 'Dialog is closed');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Errors From the Sign-in Page', async () => {
+    const { dialog } = installOffice({
+      events: [messageEvent({ type: 'MSAL_AUTH_ERROR', error: 'AADSTS65001: The user or administrator has not consented', errorCode: 'consent_required' })]
+    });
+
+    const error = await openAndCatch('https://localhost:3000/src/auth/msal-callback.html?dialog=signin');
+    assert(error && error.message.startsWith('AADSTS65001'), 'Error message of the page is kept');
+    assert(error.code === 'consent_required', 'Error code of the page is kept');
+    assert(dialog.closed, 'Dialog is closed after an error');
+
+    installOffice({ events: [messageEvent('not json')] });
+    const unreadable = await openAndCatch('https://localhost:3000/src/auth/callback');
+    assert(unreadable && unreadable.message.includes('Unreadable'), 'Unreadable message fails the sign-in');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Dialog Events', async () => {
+    installOffice({ events: [dialogEvent(DIALOG_ERRORS.DIALOG_CLOSED)] });
+    const closed = await openAndCatch('https://localhost:3000/src/auth/callback');
+    assert(closed && closed.code === USER_CANCELLED, 'Closing the dialog cancels the sign-in');
+
+    installOffice({ events: [dialogEvent(DIALOG_ERRORS.PAGE_NOT_FOUND)] });
+    const notFound = await openAndCatch('https://localhost:3000/src/auth/missing');
+    assert(notFound && notFound.code === DIALOG_ERRORS.PAGE_NOT_FOUND, 'Page not found fails the sign-in');
+
+    const { dialog } = installOffice({
+      events: [
+        messageEvent({ type: 'PKCE_AUTH_CODE', code: 'auth-code', state: 'state-1' }),
+        dialogEvent(DIALOG_ERRORS.DIALOG_CLOSED)
+      ]
+    });
+    const message = await openAuthDialog('https://localhost:3000/src/auth/callback');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert(message.code === 'auth-code' && dialog.closed, 'Close event after the message is ignored');
+    delete globalThis.Office;
+  }),
+
+  asyncTest('Dialog Cannot Open', async () => {
+    installOffice({ openError: { code: DIALOG_ERRORS.DIALOG_IGNORED, message: 'User ignored the dialog' } });
+    const ignored = await openAndCatch('https://localhost:3000/src/auth/callback');
+    assert(ignored && ignored.code === USER_CANCELLED, 'Declining the dialog prompt cancels the sign-in');
+
+    installOffice({ openError: { code: DIALOG_ERRORS.DIALOG_ALREADY_OPEN, message: 'A dialog is already opened' } });
+    const alreadyOpen = await openAndCatch('https://localhost:3000/src/auth/callback');
+    assert(alreadyOpen && alreadyOpen.code === DIALOG_ERRORS.DIALOG_ALREADY_OPEN, 'Second dialog is reported');
+    delete globalThis.Office;
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Office Dialog Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
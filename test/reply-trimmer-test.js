@@ -0,0 +1,196 @@
+/*
+ * Reply Trimming Test Script
+ *
+ * Validates detection of quoted history, signatures and disclaimers in
+ * fixture emails from Outlook, Gmail, Apple Mail and plain-text clients.
+ *
+ * Run this test to verify:
+ * - Client-specific quote markers (Gmail, Outlook desktop/web, Apple)
+ * - "On ... wrote:" and "-----Original Message-----" headers
+ * - Signature and disclaimer removal
+ * - Conversation-level trimming modes (off, remove, collapse)
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  trimReply,
+  trimConversationReplies,
+  REPLY_TRIMMING_MODES
+} from '../src/common/reply-trimmer.js';
+
+import {
+  GMAIL_REPLY,
+  APPLE_MAIL_REPLY,
+  OUTLOOK_REPLY,
+  OWA_REPLY,
+  DISCLAIMER_FOOTER,
+  BARE_FORWARD,
+  NEWSLETTER,
+  PLAIN_TEXT_ORIGINAL_MESSAGE,
+  PLAIN_TEXT_WROTE_HEADER
+} from './fixtures/email-html-samples.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+// Test Suite
+const tests = [
+  asyncTest('Gmail Reply', async () => {
+    const result = trimReply(GMAIL_REPLY, 'html');
+    assert(result.wasTrimmed, 'Gmail reply is trimmed');
+    assert(result.body.includes('Sounds good, see you Friday.'), 'New content kept');
+    assert(!result.body.includes('Jane Doe'), 'Signature removed');
+    assert(!result.body.includes('Can we meet on Friday?'), 'Quoted history removed');
+    assert(result.quoted.includes('Can we meet on Friday?'), 'Quoted history available separately');
+    assert(result.markers[0] === 'signature', 'Signature delimiter is the first marker');
+  }),
+
+  asyncTest('Apple Mail Reply', async () => {
+    const result = trimReply(APPLE_MAIL_REPLY, 'html');
+    assert(result.wasTrimmed, 'Apple Mail reply is trimmed');
+    assert(result.body.includes('Works for me.'), 'New content kept');
+    assert(!result.body.includes('Sent from my iPhone'), 'Mobile signature removed');
+    assert(!result.body.includes('Lunch at noon?'), 'Cited blockquote removed');
+  }),
+
+  asyncTest('Outlook Desktop Reply', async () => {
+    const result = trimReply(OUTLOOK_REPLY, 'html');
+    assert(result.wasTrimmed, 'Outlook reply is trimmed');
+    assert(result.markers[0] === 'outlook-quote', 'divRplyFwdMsg detected');
+    assert(result.body.includes('Attached is the final version.'), 'New content kept');
+    assert(!result.body.includes('Please send the final version.'), 'Content after the header removed');
+    assert(/<\/div><\/body><\/html>$/.test(result.body), 'Ancestor elements stay balanced');
+  }),
+
+  asyncTest('Outlook On The Web Reply', async () => {
+    const result = trimReply(OWA_REPLY, 'html');
+    assert(result.wasTrimmed, 'OWA reply is trimmed');
+    assert(result.body === '<div style="font-family:Aptos,sans-serif">Confirmed, thanks!</div>', 'Only the new content remains');
+    assert(result.quoted.includes('Can you confirm order 1234?'), 'Quoted history available separately');
+  }),
+
+  asyncTest('Disclaimer Footer', async () => {
+    const result = trimReply(DISCLAIMER_FOOTER, 'html');
+    assert(result.wasTrimmed && result.markers[0] === 'disclaimer', 'Disclaimer detected');
+    assert(result.body.includes('Regards,'), 'Closing kept');
+    assert(!result.body.includes('CONFIDENTIALITY'), 'Disclaimer removed');
+  }),
+
+  asyncTest('Untrimmable Messages', async () => {
+    const forward = trimReply(BARE_FORWARD, 'html');
+    assert(!forward.wasTrimmed && forward.body === BARE_FORWARD, 'Forward without comment is left unchanged');
+
+    const newsletter = trimReply(NEWSLETTER, 'html');
+    assert(!newsletter.wasTrimmed, 'Message without quotes is left unchanged');
+
+    assert(!trimReply('', 'html').wasTrimmed, 'Empty body is left unchanged');
+  }),
+
+  asyncTest('Plain Text Replies', async () => {
+    const original = trimReply(PLAIN_TEXT_ORIGINAL_MESSAGE, 'text');
+    assert(original.wasTrimmed, 'Original Message separator detected');
+    assert(original.body === 'Yes, Thursday works.\n\nThanks,\nKim', 'Text before separator kept');
+    assert(original.quoted.startsWith('-----Original Message-----'), 'Quoted part starts at separator');
+
+    const wrote = trimReply(PLAIN_TEXT_WROTE_HEADER, 'text');
+    assert(wrote.wasTrimmed && wrote.markers[0] === 'wrote-header', 'Wrapped "On ... wrote:" header detected');
+    assert(wrote.body === 'Looks good to me.', 'Text before header kept');
+  }),
+
+  asyncTest('Conversation Trimming Modes', async () => {
+    const conversation = [
+      { subject: 'Draft', body: '<p>Please send the final version.</p>', bodyContentType: 'html' },
+      { subject: 'RE: Draft', body: OUTLOOK_REPLY, bodyContentType: 'html' }
+    ];
+
+    const off = trimConversationReplies(conversation, REPLY_TRIMMING_MODES.OFF);
+    assert(off === conversation, 'Off mode returns data unchanged');
+
+    const removed = trimConversationReplies(conversation, REPLY_TRIMMING_MODES.REMOVE);
+    assert(removed[0] === conversation[0], 'Messages without quotes are not copied');
+    assert(!removed[1].body.includes('Please send') && removed[1].quotedBody === '', 'Remove mode drops quoted content');
+
+    const collapsed = trimConversationReplies(conversation, REPLY_TRIMMING_MODES.COLLAPSE);
+    assert(collapsed[1].quotedBody.includes('Please send the final version.'), 'Collapse mode keeps quoted content');
+    assert(conversation[1].body === OUTLOOK_REPLY, 'Input data is not mutated');
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Reply Trimming Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
@@ -0,0 +1,277 @@
+/*
+ * Retry Policy Test Script
+ *
+ * Validates the retry rules applied to Microsoft Graph calls when OneNote or
+ * Outlook throttle requests.
+ *
+ * Run this test to verify:
+ * - Retry-After parsing (seconds and HTTP dates)
+ * - Jittered exponential backoff
+ * - Which errors and methods are retried
+ * - Retry budgets
+ * - The existence check before repeating a POST
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  parseRetryAfter,
+  getBackoffDelay,
+  getRetryDelay,
+  createRetryBudget,
+  consumeRetryBudget,
+  withRetry
+} from '../src/common/retry-policy.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+function createHttpError(status, retryAfterMs = null) {
+  const error = new Error(`Graph API call failed: ${status}`);
+  error.status = status;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+function createNetworkError() {
+  const error = new TypeError('Failed to fetch');
+  error.isNetworkError = true;
+  return error;
+}
+
+// Operation that fails with the given errors, then resolves with "done"
+function createOperation(errors) {
+  const operation = async () => {
+    operation.calls++;
+    if (operation.calls <= errors.length) {
+      throw errors[operation.calls - 1];
+    }
+    return 'done';
+  };
+  operation.calls = 0;
+  return operation;
+}
+
+// Records the delays instead of waiting
+function createSleep() {
+  const sleep = async (ms) => {
+    sleep.delays.push(ms);
+  };
+  sleep.delays = [];
+  return sleep;
+}
+
+// Test Suite
+const tests = [
+  asyncTest('Retry-After Parsing', async () => {
+    const now = Date.parse('2024-06-03T10:00:00Z');
+
+    assert(parseRetryAfter('5') === 5000, 'Seconds are converted to ms');
+    assert(parseRetryAfter('0') === 0, 'Zero seconds');
+    assert(parseRetryAfter('Mon, 03 Jun 2024 10:00:30 GMT', now) === 30000, 'HTTP date is converted to a delay');
+    assert(parseRetryAfter('Mon, 03 Jun 2024 09:00:00 GMT', now) === 0, 'Past date means no delay');
+    assert(parseRetryAfter(null) === null, 'Missing header');
+    assert(parseRetryAfter('soon') === null, 'Invalid header');
+  }),
+
+  asyncTest('Exponential Backoff', async () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 8000 };
+
+    assert(getBackoffDelay(0, options, () => 0.999) === 999, 'First retry waits up to the base delay');
+    assert(getBackoffDelay(2, options, () => 0.5) === 2000, 'Delay doubles per retry');
+    assert(getBackoffDelay(10, options, () => 0.999) === 7992, 'Delay is capped');
+    assert(getBackoffDelay(3, options, () => 0) === 0, 'Jitter spans the whole range');
+  }),
+
+  asyncTest('Retryable Errors', async () => {
+    const random = () => 0.5;
+
+    assert(getRetryDelay(createHttpError(429, 7000), 0, {}, random) === 7000, '429 waits for Retry-After');
+    assert(getRetryDelay(createHttpError(503, 2000), 0, {}, random) === 2000, '503 waits for Retry-After');
+    assert(getRetryDelay(createHttpError(504), 1, { baseDelayMs: 1000 }, random) === 1000, '504 without Retry-After backs off');
+    assert(getRetryDelay(createNetworkError(), 0, { baseDelayMs: 1000 }, random) === 500, 'Network errors back off');
+    assert(getRetryDelay(createHttpError(400), 0) === null, '400 is not retried');
+    assert(getRetryDelay(createHttpError(404), 0) === null, '404 is not retried');
+    assert(getRetryDelay(new Error('No access token available'), 0) === null, 'Other errors are not retried');
+  }),
+
+  asyncTest('Retry Budget', async () => {
+    const budget = createRetryBudget({ maxRetries: 2, budgetMs: 10000 });
+
+    assert(consumeRetryBudget(budget, 4000), 'First retry fits');
+    assert(!consumeRetryBudget(budget, 7000), 'Retry exceeding the total wait is refused');
+    assert(consumeRetryBudget(budget, 6000), 'Second retry fits');
+    assert(!consumeRetryBudget(budget, 0), 'Retry count is limited');
+  }),
+
+  asyncTest('GET requests are retried until they succeed', async () => {
+    const sleep = createSleep();
+    const retries = [];
+    const operation = createOperation([createHttpError(429, 3000), createNetworkError()]);
+    const result = await withRetry(operation, {
+      sleep,
+      random: () => 0.5,
+      baseDelayMs: 1000,
+      onRetry: ({ retry, delayMs }) => retries.push(`${retry}:${delayMs}`)
+    });
+
+    assert(result === 'done', 'Operation succeeded');
+    assert(operation.calls === 3, 'Two retries');
+    assert(sleep.delays.join(',') === '3000,1000', 'Waited for Retry-After, then backed off');
+    assert(retries.join(',') === '1:3000,2:1000', 'onRetry reported each retry');
+  }),
+
+  asyncTest('Retries stop when the budget is spent', async () => {
+    const operation = createOperation([createHttpError(429, 60000), createHttpError(429, 60000)]);
+    try {
+      await withRetry(operation, { sleep: createSleep(), budgetMs: 90000 });
+      assert(false, 'Error is thrown when the budget is spent');
+    } catch (error) {
+      assert(error.status === 429, 'Last error is thrown when the budget is spent');
+      assert(error.retryBudgetExhausted === true, 'Error is marked as out of budget');
+      assert(operation.calls === 2, 'Only the retry that fit was made');
+    }
+  }),
+
+  asyncTest('Errors that are not retryable are thrown at once', async () => {
+    const operation = createOperation([createHttpError(403)]);
+    try {
+      await withRetry(operation, { sleep: createSleep() });
+      assert(false, '403 is thrown');
+    } catch (error) {
+      assert(error.status === 403 && operation.calls === 1, '403 is thrown without retrying');
+    }
+  }),
+
+  asyncTest('Throttled POST requests are retried', async () => {
+    const operation = createOperation([createHttpError(429, 1000)]);
+    const result = await withRetry(operation, { method: 'POST', sleep: createSleep() });
+
+    assert(result === 'done' && operation.calls === 2, 'A throttled POST was not processed and is sent again');
+  }),
+
+  asyncTest('POST requests are not repeated blindly', async () => {
+    const operation = createOperation([createHttpError(504)]);
+    try {
+      await withRetry(operation, { method: 'POST', sleep: createSleep() });
+      assert(false, 'Ambiguous POST failure is thrown');
+    } catch (error) {
+      assert(error.status === 504 && operation.calls === 1, 'POST without an existence check is not retried after 504');
+    }
+  }),
+
+  asyncTest('POST requests check for the result before retrying', async () => {
+    let checks = 0;
+    const existing = createOperation([createNetworkError()]);
+    const found = await withRetry(existing, {
+      method: 'POST',
+      sleep: createSleep(),
+      checkCompleted: async () => {
+        checks++;
+        return { id: 'page-1' };
+      }
+    });
+
+    assert(found.id === 'page-1', 'Page created by the failed request is returned');
+    assert(existing.calls === 1 && checks === 1, 'POST is not sent again when the page exists');
+
+    const missing = createOperation([createHttpError(503)]);
+    const created = await withRetry(missing, {
+      method: 'POST',
+      sleep: createSleep(),
+      checkCompleted: async () => null
+    });
+
+    assert(created === 'done' && missing.calls === 2, 'POST is sent again when the page does not exist');
+  }),
+
+  asyncTest('Shared budgets limit a whole operation', async () => {
+    const budget = createRetryBudget({ maxRetries: 1 });
+    await withRetry(createOperation([createHttpError(429, 0)]), { budget, sleep: createSleep() });
+
+    try {
+      await withRetry(createOperation([createHttpError(429, 0)]), { budget, sleep: createSleep() });
+      assert(false, 'Second call has no retries left');
+    } catch (error) {
+      assert(error.retryBudgetExhausted === true, 'Second call has no retries left');
+    }
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Retry Policy Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
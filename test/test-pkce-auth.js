@@ -21,7 +21,8 @@
 import { generateCodeVerifier, generateCodeChallenge, generateState, validateCodeVerifier, checkCryptoSupport } from '../common/crypto-utils.js';
 import { PKCEAuthenticator, pkceAuth } from '../src/auth/pkce-auth.js';
 import { getConfig, validateConfig } from '../src/auth/auth-config.js';
-import { authenticateAndGetNotebooks, checkPlatformSupport } from '../src/auth/graphapi-auth.js';
+import { checkPlatformSupport } from '../src/auth/auth-strategies.js';
+import { TokenProvider } from '../src/auth/token-provider.js';
 
 // Test results
 const testResults = {
@@ -182,73 +183,29 @@ const tests = [
   }),
 
   asyncTest('Token Validation Logic', async () => {
-    const authenticator = new PKCEAuthenticator();
+    // Tokens are kept in the TokenProvider's cache, not by the authenticator
+    const provider = new TokenProvider({ strategies: [] });
     
     // Test with no tokens
-    const hasValidToken1 = await authenticator.hasValidToken();
+    const hasValidToken1 = await provider.hasValidToken();
     assert(hasValidToken1 === false, 'Reports no valid token when none stored');
     
-    // Test refresh token availability
-    const canRefresh1 = await authenticator.canRefreshToken();
-    assert(canRefresh1 === false, 'Reports cannot refresh when no refresh token');
-    
     // Test with expired token
     const expiredTime = Date.now() - 3600000; // 1 hour ago
-    authenticator.storeSecurely('pkce_access_token', 'fake_token');
-    authenticator.storeSecurely('pkce_token_expires', expiredTime.toString());
+    provider.cache.set({ accessToken: 'fake_token', expiresAt: expiredTime, refreshToken: null, account: null, source: 'pkce-popup' });
     
-    const hasValidToken2 = await authenticator.hasValidToken();
+    const hasValidToken2 = await provider.hasValidToken();
     assert(hasValidToken2 === false, 'Reports invalid token when expired');
     
     // Test with valid token
     const futureTime = Date.now() + 3600000; // 1 hour from now
-    authenticator.storeSecurely('pkce_token_expires', futureTime.toString());
+    provider.cache.set({ accessToken: 'fake_token', expiresAt: futureTime, refreshToken: null, account: null, source: 'pkce-popup' });
     
-    const hasValidToken3 = await authenticator.hasValidToken();
+    const hasValidToken3 = await provider.hasValidToken();
     assert(hasValidToken3 === true, 'Reports valid token when not expired');
     
     // Cleanup test data
-    authenticator.clearAuthData();
-  }),
-
-  asyncTest('Mock Data Generation', async () => {
-    const authenticator = new PKCEAuthenticator();
-    
-    // Test mock notebook generation
-    const mockNotebooks = authenticator.getMockNotebooks();
-    assert(Array.isArray(mockNotebooks), 'Mock notebooks is array');
-    assert(mockNotebooks.length > 0, 'Mock notebooks contains items');
-    
-    // Validate notebook structure
-    const notebook = mockNotebooks[0];
-    assert(typeof notebook.id === 'string', 'Mock notebook has ID');
-    assert(typeof notebook.name === 'string', 'Mock notebook has name');
-    assert(typeof notebook.displayName === 'string', 'Mock notebook has display name');
-    assert(typeof notebook.isDefault === 'boolean', 'Mock notebook has isDefault flag');
-    assert(typeof notebook.links === 'object', 'Mock notebook has links object');
-  }),
-
-  asyncTest('Authentication Integration Test', async () => {
-    // Test the main authentication function
-    // This will likely return mock data unless real Azure AD is configured
-    try {
-      const notebooks = await authenticateAndGetNotebooks();
-      
-      if (notebooks === null) {
-        console.log('ℹ️ Authentication flow started (would redirect in real scenario)');
-      } else if (Array.isArray(notebooks)) {
-        assert(notebooks.length > 0, 'Authentication returned notebooks');
-        console.log(`Retrieved ${notebooks.length} notebooks (likely mock data)`);
-      } else {
-        throw new Error('Unexpected return type from authentication');
-      }
-    } catch (error) {
-      if (error.message.includes('CLIENT_ID must be set')) {
-        console.log('ℹ️ Authentication correctly detected configuration requirement');
-      } else {
-        throw error;
-      }
-    }
+    provider.clearToken();
   })
 ];
 
@@ -0,0 +1,204 @@
+/*
+ * Token Lifetime Test Script
+ *
+ * Validates expiry tracking and 401 recovery for access tokens.
+ *
+ * Run this test to verify:
+ * - Reading the expiry from MSAL results and JWT "exp" claims
+ * - When a token counts as expired and when it is refreshed
+ * - Retrying a request once after 401 Unauthorized
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import {
+  TOKEN_REFRESH_MARGIN_MS,
+  decodeJwtPayload,
+  getTokenExpiry,
+  isTokenFresh,
+  getRefreshDelay,
+  retryOnceOnUnauthorized
+} from '../src/common/token-lifetime.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+// Unsigned JWT with the given claims (base64url encoded like real tokens)
+function createJwt(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+function createHttpError(status) {
+  const error = new Error(`Graph API call failed: ${status}`);
+  error.status = status;
+  return error;
+}
+
+const EXP = Date.parse('2024-06-03T11:00:00Z') / 1000;
+
+// Test Suite
+const tests = [
+  asyncTest('JWT Decoding', async () => {
+    const claims = decodeJwtPayload(createJwt({ exp: EXP, name: 'Zoë', scp: 'Mail.Read Notes.ReadWrite' }));
+
+    assert(claims.exp === EXP, 'exp claim read');
+    assert(claims.name === 'Zoë', 'UTF-8 claims decoded');
+    assert(decodeJwtPayload('EwBwA8l6BAAU...opaque') === null, 'Opaque token is not a JWT');
+    assert(decodeJwtPayload('a.!!!.c') === null, 'Invalid payload is ignored');
+    assert(decodeJwtPayload(null) === null, 'Missing token');
+  }),
+
+  asyncTest('Token Expiry', async () => {
+    const msalExpiry = new Date('2024-06-03T12:00:00Z');
+
+    assert(getTokenExpiry(createJwt({ exp: EXP })) === EXP * 1000, 'Expiry from the JWT exp claim');
+    assert(getTokenExpiry(createJwt({ exp: EXP }), msalExpiry) === msalExpiry.getTime(), 'MSAL expiresOn takes precedence');
+    assert(getTokenExpiry('opaque-token', '2024-06-03T12:00:00Z') === msalExpiry.getTime(), 'Expiry of an opaque token from the MSAL result');
+    assert(getTokenExpiry('opaque-token') === null, 'Opaque token without MSAL result has no known expiry');
+    assert(getTokenExpiry(createJwt({ sub: 'x' })) === null, 'JWT without exp has no known expiry');
+  }),
+
+  asyncTest('Token Freshness', async () => {
+    const expiresAt = Date.parse('2024-06-03T11:00:00Z');
+
+    assert(TOKEN_REFRESH_MARGIN_MS === 5 * 60 * 1000, 'Tokens are refreshed 5 minutes ahead');
+    assert(isTokenFresh(expiresAt, Date.parse('2024-06-03T10:00:00Z')), 'Token valid for an hour is fresh');
+    assert(!isTokenFresh(expiresAt, Date.parse('2024-06-03T10:57:00Z')), 'Token expiring within the margin is not fresh');
+    assert(!isTokenFresh(expiresAt, Date.parse('2024-06-03T11:30:00Z')), 'Expired token is not fresh');
+    assert(isTokenFresh(null), 'Token with unknown expiry is used until rejected');
+  }),
+
+  asyncTest('Refresh Scheduling', async () => {
+    const expiresAt = Date.parse('2024-06-03T11:00:00Z');
+
+    assert(getRefreshDelay(expiresAt, Date.parse('2024-06-03T10:00:00Z')) === 55 * 60 * 1000, 'Refresh 5 minutes before expiry');
+    assert(getRefreshDelay(expiresAt, Date.parse('2024-06-03T10:58:00Z')) === 0, 'Refresh now when within the margin');
+    assert(getRefreshDelay(null) === null, 'No refresh scheduled for unknown expiry');
+  }),
+
+  asyncTest('Retry after 401', async () => {
+    let token = 'old';
+    let refreshes = 0;
+    const tokensUsed = [];
+    const result = await retryOnceOnUnauthorized(async () => {
+      tokensUsed.push(token);
+      if (token === 'old') {
+        throw createHttpError(401);
+      }
+      return 'notebooks';
+    }, async () => {
+      refreshes++;
+      token = 'new';
+    });
+
+    assert(result === 'notebooks', 'Request succeeded with the new token');
+    assert(tokensUsed.join(',') === 'old,new', 'Request sent again with the new token');
+    assert(refreshes === 1, 'Token refreshed once');
+  }),
+
+  asyncTest('Second 401 is not retried', async () => {
+    let attempts = 0;
+    try {
+      await retryOnceOnUnauthorized(async () => {
+        attempts++;
+        throw createHttpError(401);
+      }, async () => {});
+      assert(false, 'Second 401 is thrown');
+    } catch (error) {
+      assert(error.status === 401 && attempts === 2, 'Second 401 is thrown after one retry');
+    }
+  }),
+
+  asyncTest('Other errors are not retried', async () => {
+    let refreshes = 0;
+    try {
+      await retryOnceOnUnauthorized(async () => {
+        throw createHttpError(403);
+      }, async () => {
+        refreshes++;
+      });
+      assert(false, '403 is thrown');
+    } catch (error) {
+      assert(error.status === 403 && refreshes === 0, '403 is thrown without refreshing the token');
+    }
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Token Lifetime Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
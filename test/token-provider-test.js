@@ -0,0 +1,713 @@
+/*
+ * Token Provider Test Script
+ *
+ * Validates the sign-in strategy chain and the shared token cache.
+ *
+ * Run this test to verify:
+ * - Strategies are tried in order, skipped when unavailable
+ * - Consent/MFA claims are passed on, cancellation stops the chain
+ * - Cached tokens are reused and renewed through the issuing strategy
+ * - Sign-out and cache persistence
+ * - Granted scopes are recorded and missing scopes requested incrementally
+ * - Switching accounts skips Office-account-only strategies
+ * - Tokens of several accounts are kept and used per account
+ *
+ * Usage:
+ * - Include this file in your HTML or run with Node.js (NODE_ENV=test)
+ * - Check console for detailed test results
+ */
+
+import { TokenProvider, TokenCache, USER_CANCELLED, ADDITIONAL_CONSENT_REQUIRED, ACCOUNT_MISMATCH } from '../src/auth/token-provider.js';
+
+// Test results
+const testResults = {
+  passed: 0,
+  failed: 0,
+  errors: []
+};
+
+// Test utilities
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testResults.passed++;
+    return true;
+  } else {
+    console.error(`❌ ${message}`);
+    testResults.failed++;
+    testResults.errors.push(message);
+    return false;
+  }
+}
+
+function asyncTest(testName, testFn) {
+  return async function() {
+    try {
+      console.log(`\n🔍 Running test: ${testName}`);
+      await testFn();
+      console.log(`✅ Test passed: ${testName}`);
+    } catch (error) {
+      console.error(`❌ Test failed: ${testName}`, error);
+      testResults.failed++;
+      testResults.errors.push(`${testName}: ${error.message}`);
+    }
+  };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const USER_READ = 'https://graph.microsoft.com/User.Read';
+const NOTES_READ_WRITE = 'https://graph.microsoft.com/Notes.ReadWrite';
+const MAIL_READ = 'https://graph.microsoft.com/Mail.Read';
+
+// Strategy double that records its calls
+function createStrategy(name, behavior = {}) {
+  const calls = { acquireToken: [], acquireTokenSilent: [], signOut: [] };
+  const strategy = {
+    name,
+    label: `${name} label`,
+    calls,
+    async acquireToken(options) {
+      calls.acquireToken.push(options);
+      if (behavior.error) {
+        throw behavior.error;
+      }
+      return behavior.result || createResult(`${name}-token`);
+    },
+    async signOut(cached) {
+      calls.signOut.push(cached);
+    }
+  };
+  if (behavior.available === false) {
+    strategy.isAvailable = () => false;
+  }
+  if (behavior.silent) {
+    strategy.acquireTokenSilent = async (cached, options) => {
+      calls.acquireTokenSilent.push(cached);
+      calls.silentOptions = [...(calls.silentOptions || []), options];
+      return behavior.silent(cached, options);
+    };
+  }
+  return strategy;
+}
+
+function createResult(accessToken, extra = {}) {
+  return { accessToken, expiresOn: new Date(Date.now() + HOUR_MS), ...extra };
+}
+
+function createError(message, code, claims) {
+  const error = new Error(message);
+  error.code = code;
+  if (claims) {
+    error.claims = claims;
+  }
+  return error;
+}
+
+// Web Storage double
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+function createCacheEntry(source, expiresInMs, extra = {}) {
+  return { accessToken: `${source}-cached`, expiresAt: Date.now() + expiresInMs, refreshToken: null, account: null, source, ...extra };
+}
+
+const WORK_ACCOUNT = { username: 'adele@contoso.example', homeAccountId: 'home-work' };
+const PERSONAL_ACCOUNT = { username: 'adele@outlook.example', homeAccountId: 'home-personal' };
+
+// Test Suite
+const tests = [
+  asyncTest('Strategies are tried in order until one succeeds', async () => {
+    const sso = createStrategy('office-sso', { error: new Error('Office SSO API not available') });
+    const msal = createStrategy('msal-popup', { result: createResult('msal-token', { account: { username: 'adele@contoso.example' } }) });
+    const pkce = createStrategy('pkce-popup');
+    const provider = new TokenProvider({ strategies: [sso, msal, pkce] });
+
+    const token = await provider.getAccessToken();
+
+    assert(token === 'msal-token', 'Token comes from the first strategy that succeeds');
+    assert(sso.calls.acquireToken.length === 1 && msal.calls.acquireToken.length === 1, 'Earlier strategies were tried');
+    assert(pkce.calls.acquireToken.length === 0, 'Later strategies are not tried');
+    assert(provider.getTokenSource().name === 'msal-popup', 'Issuing strategy is recorded');
+    assert(provider.getTokenSource().label === 'msal-popup label', 'Issuing strategy label is available for the UI');
+    assert(provider.getAccount().username === 'adele@contoso.example', 'Account of the token is cached');
+    provider.clearToken();
+  }),
+
+  asyncTest('Unavailable strategies are skipped', async () => {
+    const sso = createStrategy('office-sso', { available: false });
+    const msal = createStrategy('msal-popup');
+    const provider = new TokenProvider({ strategies: [sso, msal] });
+
+    assert(await provider.getAccessToken() === 'msal-popup-token', 'Next available strategy signs in');
+    assert(sso.calls.acquireToken.length === 0, 'Unavailable strategy is not called');
+    provider.clearToken();
+  }),
+
+  asyncTest('Consent and MFA errors pass the claims challenge on', async () => {
+    const claims = '{"access_token":{"capolids":{"essential":true}}}';
+    const sso = createStrategy('office-sso', { error: createError('AADSTS50076', 'interaction_required', claims) });
+    const msal = createStrategy('msal-popup');
+    const provider = new TokenProvider({ strategies: [sso, msal] });
+
+    await provider.getAccessToken();
+
+    assert(sso.calls.acquireToken[0].claims === null, 'First strategy gets no claims');
+    assert(msal.calls.acquireToken[0].claims === claims, 'Next strategy gets the claims challenge');
+    provider.clearToken();
+  }),
+
+  asyncTest('Cancelled sign-in stops the chain', async () => {
+    const msal = createStrategy('msal-popup', { error: createError('Authentication cancelled by user', USER_CANCELLED) });
+    const pkce = createStrategy('pkce-popup');
+    const provider = new TokenProvider({ strategies: [msal, pkce] });
+
+    let thrown = null;
+    try {
+      await provider.getAccessToken();
+    } catch (error) {
+      thrown = error;
+    }
+
+    assert(thrown && thrown.code === USER_CANCELLED, 'Cancellation is thrown to the caller');
+    assert(pkce.calls.acquireToken.length === 0, 'No other sign-in window is opened');
+  }),
+
+  asyncTest('Failure of every strategy is reported', async () => {
+    const sso = createStrategy('office-sso', { error: new Error('SSO failed') });
+    const msal = createStrategy('msal-popup', { error: new Error('popup blocked') });
+    const provider = new TokenProvider({ strategies: [sso, msal] });
+
+    let thrown = null;
+    try {
+      await provider.getAccessToken();
+    } catch (error) {
+      thrown = error;
+    }
+
+    assert(thrown !== null, 'Error is thrown');
+    assert(thrown.message.includes('SSO failed') && thrown.message.includes('popup blocked'), 'Message names every failure');
+    assert(thrown.causes.length === 2 && thrown.causes[1].message === 'popup blocked', 'Failures are kept as causes');
+
+    const empty = new TokenProvider({ strategies: [createStrategy('office-sso', { available: false })] });
+    let emptyError = null;
+    try {
+      await empty.getAccessToken();
+    } catch (error) {
+      emptyError = error;
+    }
+    assert(emptyError && emptyError.message.includes('No sign-in method'), 'Reports when no strategy is available');
+  }),
+
+  asyncTest('Fresh cached token is reused', async () => {
+    const msal = createStrategy('msal-popup', { silent: async () => createResult('renewed') });
+    const provider = new TokenProvider({ strategies: [msal] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS));
+
+    assert(await provider.getAccessToken() === 'msal-popup-cached', 'Cached token is returned');
+    assert(msal.calls.acquireToken.length === 0 && msal.calls.acquireTokenSilent.length === 0, 'No strategy is called');
+    assert(await provider.hasValidToken() === true, 'hasValidToken reports the cached token');
+  }),
+
+  asyncTest('Expiring token is renewed through the issuing strategy', async () => {
+    const sso = createStrategy('office-sso', { silent: async () => createResult('sso-renewed') });
+    const pkce = createStrategy('pkce-popup', { silent: async cached => createResult('pkce-renewed', { refreshToken: null, seen: cached.refreshToken }) });
+    const provider = new TokenProvider({ strategies: [sso, pkce] });
+    provider.cache.set(createCacheEntry('pkce-popup', 60 * 1000, { refreshToken: 'refresh-1', account: { username: 'a@b.c' } }));
+
+    const token = await provider.getAccessToken();
+
+    assert(token === 'pkce-renewed', 'Renewed token is returned');
+    assert(sso.calls.acquireTokenSilent.length === 0, 'Other strategies are not asked');
+    assert(pkce.calls.acquireTokenSilent[0].refreshToken === 'refresh-1', 'Issuing strategy gets the cached entry');
+    assert(provider.cache.get().refreshToken === 'refresh-1', 'Refresh token is kept when the result has none');
+    assert(provider.getAccount().username === 'a@b.c', 'Account is kept when the result has none');
+    assert(pkce.calls.acquireToken.length === 0, 'No interactive sign-in');
+    provider.clearToken();
+  }),
+
+  asyncTest('Failed silent renewal falls back to sign-in', async () => {
+    const msal = createStrategy('msal-popup', {
+      result: createResult('signed-in'),
+      silent: async () => {
+        throw new Error('interaction_required');
+      }
+    });
+    const provider = new TokenProvider({ strategies: [msal] });
+    provider.cache.set(createCacheEntry('msal-popup', 60 * 1000));
+
+    assert(await provider.refreshAccessToken() === null, 'refreshAccessToken resolves to null');
+    assert(provider.cache.get() === null, 'Cache is cleared');
+    assert(await provider.hasValidToken() === false, 'hasValidToken reports no token');
+    assert(await provider.getAccessToken() === 'signed-in', 'Next call signs in interactively');
+    provider.clearToken();
+  }),
+
+  asyncTest('Empty cache tries silent sign-in before prompting', async () => {
+    const sso = createStrategy('office-sso', { silent: async () => null });
+    const msal = createStrategy('msal-popup', { silent: async () => createResult('from-msal-account') });
+    const provider = new TokenProvider({ strategies: [sso, msal] });
+
+    const token = await provider.getAccessToken();
+
+    assert(token === 'from-msal-account', 'Token from a remembered account is used');
+    assert(sso.calls.acquireTokenSilent[0] === null, 'Silent strategies get no cache entry');
+    assert(msal.calls.acquireToken.length === 0 && sso.calls.acquireToken.length === 0, 'No interactive sign-in');
+    assert(provider.getTokenSource().name === 'msal-popup', 'Source is the strategy that renewed');
+    provider.clearToken();
+  }),
+
+  asyncTest('Concurrent callers share one sign-in and one renewal', async () => {
+    let silentCalls = 0;
+    const msal = createStrategy('msal-popup', {
+      silent: async () => {
+        silentCalls++;
+        return createResult('renewed');
+      }
+    });
+    const provider = new TokenProvider({ strategies: [msal] });
+
+    const first = await Promise.all([provider.signIn(), provider.signIn(), provider.signIn()]);
+    assert(first.every(token => token === 'msal-popup-token'), 'Every caller gets the token');
+    assert(msal.calls.acquireToken.length === 1, 'Only one sign-in ran');
+
+    const renewed = await Promise.all([provider.refreshAccessToken(), provider.refreshAccessToken()]);
+    assert(renewed.every(token => token === 'renewed'), 'Every caller gets the renewed token');
+    assert(silentCalls === 1, 'Only one renewal ran');
+    provider.clearToken();
+  }),
+
+  asyncTest('Overlapping sign-ins for other accounts or scopes run one after another', async () => {
+    let running = 0;
+    let overlapped = false;
+    const msal = createStrategy('msal-popup');
+    msal.acquireToken = async options => {
+      msal.calls.acquireToken.push(options);
+      overlapped = overlapped || running > 0;
+      running++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      const account = options.loginHint === 'adele@contoso.example' ? WORK_ACCOUNT : PERSONAL_ACCOUNT;
+      return createResult(`${account.homeAccountId} ${options.scopes.join(' ')}`, { account });
+    };
+    const provider = new TokenProvider({ strategies: [msal] });
+
+    const [personal, work, mail, sameAsFirst] = await Promise.all([
+      provider.signIn(['User.Read']),
+      provider.signIn(['User.Read'], { account: WORK_ACCOUNT }),
+      provider.signIn(['User.Read', 'Mail.Read']),
+      provider.signIn(['user.read'])
+    ]);
+
+    assert(personal === 'home-personal User.Read', 'First caller gets its own token');
+    assert(work === 'home-work User.Read', 'Sign-in for another account gets that account\'s token');
+    assert(mail === 'home-personal User.Read Mail.Read', 'Sign-in for more scopes gets a token with them');
+    assert(sameAsFirst === personal, 'Same account and scopes share the sign-in');
+    assert(msal.calls.acquireToken.length === 3, 'One sign-in per account and scope set');
+    assert(!overlapped, 'Sign-ins do not overlap');
+
+    msal.acquireToken = async () => {
+      throw createError('Popup closed', USER_CANCELLED);
+    };
+    const results = await Promise.allSettled([provider.signIn(['Notes.Read']), provider.signIn(['Notes.Read'], { account: WORK_ACCOUNT })]);
+    assert(results.every(result => result.status === 'rejected'), 'A failed sign-in does not stop the next one from running');
+    provider.clearToken();
+  }),
+
+  asyncTest('Sign-out ends the issuing strategy session and clears the cache', async () => {
+    const sso = createStrategy('office-sso');
+    const msal = createStrategy('msal-popup');
+    const provider = new TokenProvider({ strategies: [sso, msal] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { account: { homeAccountId: 'home-1' } }));
+
+    await provider.signOut();
+
+    assert(msal.calls.signOut.length === 1, 'Issuing strategy signs out');
+    assert(msal.calls.signOut[0].account.homeAccountId === 'home-1', 'Sign-out gets the cached account');
+    assert(sso.calls.signOut.length === 0, 'Other strategies are not called');
+    assert(provider.cache.get() === null, 'Cache is cleared');
+    assert(provider.getTokenSource() === null && provider.getAccount() === null, 'No source or account after sign-out');
+  }),
+
+  asyncTest('Token cache persists to storage', async () => {
+    const storage = createMemoryStorage();
+    const provider = new TokenProvider({ strategies: [createStrategy('msal-popup')], cache: new TokenCache(storage, 'cache-key') });
+    await provider.getAccessToken();
+
+    const reloaded = new TokenCache(storage, 'cache-key');
+    assert(reloaded.get().accessToken === 'msal-popup-token', 'Entry is read back after a reload');
+    assert(reloaded.get().source === 'msal-popup', 'Source is persisted');
+    assert(typeof reloaded.get().expiresAt === 'number', 'Expiry is persisted');
+
+    provider.clearToken();
+    assert(storage.getItem('cache-key') === null, 'Clearing removes the stored entry');
+
+    storage.setItem('cache-key', '{not json');
+    const corrupt = new TokenCache(storage, 'cache-key');
+    assert(corrupt.get() === null, 'Unreadable entry is ignored');
+    assert(storage.getItem('cache-key') === null, 'Unreadable entry is removed');
+  }),
+
+  asyncTest('Sign-in requests the base scopes and records the granted ones', async () => {
+    const msal = createStrategy('msal-popup', { result: createResult('msal-token', { scopes: ['User.Read', 'Notes.ReadWrite', 'openid'] }) });
+    const provider = new TokenProvider({ strategies: [msal], scopes: [USER_READ, NOTES_READ_WRITE] });
+
+    await provider.getAccessToken();
+
+    assert(msal.calls.acquireToken[0].scopes.join(' ') === `${USER_READ} ${NOTES_READ_WRITE}`, 'Strategy is asked for the base scopes');
+    assert(provider.cache.get().scopes.join(' ') === `${USER_READ} ${NOTES_READ_WRITE}`, 'Granted scopes are stored in full form');
+    provider.clearToken();
+
+    const pkce = createStrategy('pkce-popup');
+    const requested = new TokenProvider({ strategies: [pkce], scopes: [USER_READ] });
+    await requested.getAccessToken([MAIL_READ]);
+    assert(pkce.calls.acquireToken[0].scopes.join(' ') === `${USER_READ} ${MAIL_READ}`, 'Scopes of the operation are added');
+    assert(requested.cache.get().scopes.join(' ') === `${USER_READ} ${MAIL_READ}`, 'Requested scopes are stored when the result has none');
+    requested.clearToken();
+  }),
+
+  asyncTest('Missing scopes are acquired silently through the issuing strategy', async () => {
+    const sso = createStrategy('office-sso', { silent: async () => createResult('sso-token') });
+    const msal = createStrategy('msal-popup', {
+      silent: async (cached, options) => createResult('msal-with-mail', { scopes: options.scopes })
+    });
+    const provider = new TokenProvider({ strategies: [sso, msal], scopes: [USER_READ] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { scopes: [USER_READ] }));
+
+    const token = await provider.getAccessToken([MAIL_READ]);
+
+    assert(token === 'msal-with-mail', 'Token with the additional scope is returned');
+    assert(msal.calls.silentOptions[0].scopes.join(' ') === `${USER_READ} ${MAIL_READ}`, 'Cached and additional scopes are requested together');
+    assert(sso.calls.acquireTokenSilent.length === 0, 'Other strategies are not asked');
+    assert(msal.calls.acquireToken.length === 0, 'No interactive sign-in');
+    assert(await provider.getAccessToken([MAIL_READ]) === 'msal-with-mail', 'Next call uses the cached token');
+    assert(await provider.getAccessToken() === 'msal-with-mail', 'Calls with fewer scopes use it as well');
+    provider.clearToken();
+  }),
+
+  asyncTest('Scopes that need consent fail with additional_consent_required', async () => {
+    const msal = createStrategy('msal-popup', {
+      silent: async () => {
+        throw createError('AADSTS65001: consent required', 'consent_required');
+      }
+    });
+    const provider = new TokenProvider({ strategies: [msal], scopes: [USER_READ] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { scopes: [USER_READ] }));
+
+    let error = null;
+    try {
+      await provider.getAccessToken([MAIL_READ]);
+    } catch (caught) {
+      error = caught;
+    }
+
+    assert(error?.code === ADDITIONAL_CONSENT_REQUIRED, 'Error code is additional_consent_required');
+    assert(error?.missingScopes?.join(' ') === MAIL_READ, 'Error lists the missing scopes');
+    assert(/Mail\.Read/.test(error?.message), 'Message names the missing scope');
+    assert(msal.calls.acquireToken.length === 0, 'No sign-in window is opened without a user action');
+    assert(provider.cache.get().accessToken === 'msal-popup-cached', 'Cached token is kept for other operations');
+    assert(await provider.getAccessToken() === 'msal-popup-cached', 'Operations within the granted scopes still work');
+    provider.clearToken();
+  }),
+
+  asyncTest('Silent result without the scopes still needs consent', async () => {
+    const msal = createStrategy('msal-popup', {
+      silent: async () => createResult('msal-renewed', { scopes: [USER_READ] })
+    });
+    const provider = new TokenProvider({ strategies: [msal], scopes: [USER_READ] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { scopes: [USER_READ] }));
+
+    let error = null;
+    try {
+      await provider.getAccessToken([MAIL_READ]);
+    } catch (caught) {
+      error = caught;
+    }
+
+    assert(error?.code === ADDITIONAL_CONSENT_REQUIRED, 'Consent is required');
+    assert(provider.cache.get().accessToken === 'msal-renewed', 'Renewed token is kept');
+    provider.clearToken();
+  }),
+
+  asyncTest('requestScopes signs in with the granted and the new scopes', async () => {
+    const msal = createStrategy('msal-popup', { result: createResult('msal-consented', { scopes: 'User.Read Notes.ReadWrite Mail.Read' }) });
+    const provider = new TokenProvider({ strategies: [msal], scopes: [USER_READ] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { scopes: [USER_READ, NOTES_READ_WRITE] }));
+
+    const token = await provider.requestScopes([MAIL_READ]);
+
+    assert(token === 'msal-consented', 'Token from the consent sign-in is returned');
+    assert(msal.calls.acquireToken[0].scopes.join(' ') === `${USER_READ} ${NOTES_READ_WRITE} ${MAIL_READ}`, 'Earlier grants are requested again with the new scope');
+    assert(await provider.getAccessToken([MAIL_READ]) === 'msal-consented', 'Operation needing the new scope gets the token');
+    provider.clearToken();
+  }),
+
+  asyncTest('Switching accounts asks for an account and skips Office-only strategies', async () => {
+    const sso = createStrategy('office-sso');
+    sso.canSelectAccount = false;
+    const msal = createStrategy('msal-popup', {
+      result: createResult('second-account-token', { account: { username: 'megan@fabrikam.example', homeAccountId: 'home-2' } })
+    });
+    const provider = new TokenProvider({ strategies: [sso, msal], scopes: [USER_READ] });
+    provider.cache.set(createCacheEntry('office-sso', HOUR_MS, { account: { username: 'adele@contoso.example', homeAccountId: 'home-1' } }));
+
+    const token = await provider.switchAccount();
+
+    assert(token === 'second-account-token', 'Token of the picked account is returned');
+    assert(sso.calls.acquireToken.length === 0, 'Strategy that can only use the Office account is skipped');
+    assert(msal.calls.acquireToken[0].selectAccount === true, 'Strategy is asked to let the user pick an account');
+    assert(msal.calls.acquireToken[0].scopes.join(' ') === USER_READ, 'New account is asked for the base scopes only');
+    assert(provider.getAccount().homeAccountId === 'home-2', 'New account replaces the previous one');
+    assert(provider.getTokenDetails().scopes.join(' ') === USER_READ, 'Token details list the granted scopes');
+    assert(typeof provider.getTokenDetails().expiresAt === 'number', 'Token details include the expiry');
+    provider.clearToken();
+    assert(provider.getTokenDetails() === null, 'No token details without a token');
+  }),
+
+  asyncTest('Cancelled account switch keeps the current account', async () => {
+    const msal = createStrategy('msal-popup', { error: createError('Authentication cancelled by user', USER_CANCELLED) });
+    const provider = new TokenProvider({ strategies: [msal] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { account: { homeAccountId: 'home-1' } }));
+
+    let error = null;
+    try {
+      await provider.switchAccount();
+    } catch (caught) {
+      error = caught;
+    }
+
+    assert(error?.code === USER_CANCELLED, 'Cancellation is reported');
+    assert(provider.getAccount().homeAccountId === 'home-1', 'Previous account stays signed in');
+    provider.clearToken();
+  }),
+
+  asyncTest('Tokens of several accounts are kept side by side', async () => {
+    const msal = createStrategy('msal-popup', { result: createResult('personal-token', { account: PERSONAL_ACCOUNT }) });
+    const provider = new TokenProvider({ strategies: [msal] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { accessToken: 'work-token', account: WORK_ACCOUNT }));
+
+    await provider.switchAccount();
+
+    assert(provider.getAccounts().map(account => account.homeAccountId).join(' ') === 'home-personal home-work', 'Both accounts are listed, the active one first');
+    assert(await provider.getAccessToken() === 'personal-token', 'Calls without an account use the active account');
+    assert(await provider.getAccessToken(null, { account: WORK_ACCOUNT }) === 'work-token', 'Named account gets its own token');
+    assert(await provider.getAccessToken(null, { account: { username: 'ADELE@outlook.example' } }) === 'personal-token', 'Accounts are also found by username');
+    assert(msal.calls.acquireToken.length === 1, 'No further sign-in');
+    assert(provider.getAccount().homeAccountId === 'home-personal', 'Calls for a named account leave the active account');
+    provider.clearToken();
+  }),
+
+  asyncTest('Named account is renewed without changing the active account', async () => {
+    const msal = createStrategy('msal-popup', { silent: async (cached, options) => createResult('work-renewed', { account: options.account }) });
+    const provider = new TokenProvider({ strategies: [msal] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { accessToken: 'personal-token', account: PERSONAL_ACCOUNT }));
+    provider.cache.set(createCacheEntry('msal-popup', 60 * 1000, { accessToken: 'work-expiring', account: WORK_ACCOUNT }));
+
+    const token = await provider.getAccessToken(null, { account: WORK_ACCOUNT });
+
+    assert(token === 'work-renewed', 'Renewed token of the named account is returned');
+    assert(msal.calls.acquireTokenSilent[0].accessToken === 'work-expiring', 'Renewal gets the named account\'s entry');
+    assert(provider.getAccount().homeAccountId === 'home-personal', 'Active account is unchanged');
+    assert(await provider.getAccessToken() === 'personal-token', 'Active account keeps its token');
+    provider.clearToken();
+  }),
+
+  asyncTest('Sign-in for a named account checks the account', async () => {
+    const msal = createStrategy('msal-popup', {
+      result: createResult('other-token', { account: { username: 'megan@fabrikam.example', homeAccountId: 'home-other' } })
+    });
+    const provider = new TokenProvider({ strategies: [msal] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { accessToken: 'personal-token', account: PERSONAL_ACCOUNT }));
+
+    let error = null;
+    try {
+      await provider.getAccessToken(null, { account: WORK_ACCOUNT });
+    } catch (caught) {
+      error = caught;
+    }
+
+    assert(msal.calls.acquireToken[0].loginHint === 'adele@contoso.example', 'Sign-in is asked for the named account');
+    assert(error?.code === ACCOUNT_MISMATCH, 'Token for another account is refused');
+    assert(provider.getAccounts().length === 1, 'Token for the other account is not stored');
+
+    const work = createStrategy('msal-popup', { result: createResult('work-token', { account: WORK_ACCOUNT }) });
+    const signedIn = new TokenProvider({ strategies: [work] });
+    signedIn.cache.set(createCacheEntry('msal-popup', HOUR_MS, { accessToken: 'personal-token', account: PERSONAL_ACCOUNT }));
+    assert(await signedIn.getAccessToken(null, { account: WORK_ACCOUNT }) === 'work-token', 'Named account signs in');
+    assert(signedIn.getAccount().homeAccountId === 'home-personal', 'Signing in a named account does not make it active');
+    provider.clearToken();
+    signedIn.clearToken();
+  }),
+
+  asyncTest('Sign-in for a named account keeps a token that names no account under it', async () => {
+    const pkce = createStrategy('pkce', { result: createResult('work-token') });
+    const provider = new TokenProvider({ strategies: [pkce] });
+    provider.cache.set(createCacheEntry('pkce', HOUR_MS, { accessToken: 'personal-token', account: PERSONAL_ACCOUNT }));
+
+    assert(await provider.signIn(undefined, { account: { username: 'adele@contoso.example' } }) === 'work-token', 'Named account signs in');
+    assert((await provider.findAccount({ username: 'ADELE@contoso.example' }))?.username === 'adele@contoso.example', 'Token is found by the account\'s username');
+    assert(provider.getAccount().homeAccountId === 'home-personal', 'Active account is unchanged');
+    provider.clearToken();
+  }),
+
+  asyncTest('Office-account-only strategies are skipped for another account', async () => {
+    const sso = createStrategy('office-sso', { result: createResult('office-token', { account: PERSONAL_ACCOUNT }) });
+    sso.canSelectAccount = false;
+    const msal = createStrategy('msal-popup', { result: createResult('work-token', { account: WORK_ACCOUNT }) });
+    const provider = new TokenProvider({ strategies: [sso, msal] });
+
+    assert(await provider.signIn(undefined, { account: WORK_ACCOUNT }) === 'work-token', 'Next strategy signs in the named account');
+    assert(provider.getAccounts().length === 1 && provider.getAccount().homeAccountId === 'home-work', 'Only the named account is stored');
+    provider.clearToken();
+  }),
+
+  asyncTest('Mailbox address is matched to a signed-in account', async () => {
+    let silentCalls = 0;
+    const msal = createStrategy('msal-popup', {
+      silent: async (cached, options) => {
+        silentCalls++;
+        return options.account?.username === 'megan@fabrikam.example'
+          ? createResult('megan-token', { account: { username: 'megan@fabrikam.example', homeAccountId: 'home-megan' } })
+          : createResult('work-token', { account: WORK_ACCOUNT });
+      }
+    });
+    const provider = new TokenProvider({ strategies: [msal] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { account: WORK_ACCOUNT }));
+
+    assert((await provider.findAccount({ username: 'Adele@Contoso.example' })).homeAccountId === 'home-work', 'Cached account matches case-insensitively');
+    assert(silentCalls === 0, 'No sign-in for a cached account');
+
+    const megan = await provider.findAccount({ username: 'megan@fabrikam.example' });
+    assert(megan?.homeAccountId === 'home-megan', 'Other account is signed in silently');
+    assert(provider.getAccount().homeAccountId === 'home-work', 'Active account is unchanged');
+
+    assert(await provider.findAccount({ username: 'alias@contoso.example' }) === null, 'Unknown address resolves to null');
+    const attempts = silentCalls;
+    await provider.findAccount({ username: 'alias@contoso.example' });
+    assert(silentCalls === attempts, 'Unknown address is not tried again');
+    provider.clearToken();
+  }),
+
+  asyncTest('Consent errors name the account', async () => {
+    const msal = createStrategy('msal-popup', {
+      result: createResult('work-consented', { account: WORK_ACCOUNT, scopes: [USER_READ, MAIL_READ] }),
+      silent: async () => {
+        throw createError('Consent required', 'consent_required');
+      }
+    });
+    const provider = new TokenProvider({ strategies: [msal], scopes: [USER_READ] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { accessToken: 'personal-token', account: PERSONAL_ACCOUNT, scopes: [USER_READ] }));
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { accessToken: 'work-token', account: WORK_ACCOUNT, scopes: [USER_READ] }));
+
+    let error = null;
+    try {
+      await provider.getAccessToken([MAIL_READ], { account: WORK_ACCOUNT });
+    } catch (caught) {
+      error = caught;
+    }
+    assert(error?.code === ADDITIONAL_CONSENT_REQUIRED && error.account.homeAccountId === 'home-work', 'Error names the account that needs consent');
+
+    await provider.requestScopes([MAIL_READ], { account: error.account });
+    assert(msal.calls.acquireToken[0].loginHint === 'adele@contoso.example', 'Consent is asked for that account');
+    assert(await provider.getAccessToken([MAIL_READ], { account: WORK_ACCOUNT }) === 'work-consented', 'Account has the new permission');
+    assert(provider.getAccount().homeAccountId === 'home-personal', 'Active account is unchanged');
+    provider.clearToken();
+  }),
+
+  asyncTest('Failed renewal and sign-out per account', async () => {
+    const msal = createStrategy('msal-popup', {
+      silent: async () => {
+        throw new Error('interaction_required');
+      }
+    });
+    const provider = new TokenProvider({ strategies: [msal] });
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { account: PERSONAL_ACCOUNT }));
+    provider.cache.set(createCacheEntry('msal-popup', 60 * 1000, { account: WORK_ACCOUNT }), { activate: true });
+
+    assert(await provider.refreshAccessToken() === null, 'Active account cannot be renewed');
+    assert(provider.getAccounts().length === 1 && provider.getAccount().homeAccountId === 'home-personal', 'Only its token is removed; the other account becomes active');
+
+    provider.cache.set(createCacheEntry('msal-popup', HOUR_MS, { account: WORK_ACCOUNT }));
+    await provider.signOut();
+    assert(msal.calls.signOut.map(cached => cached.account.homeAccountId).sort().join(' ') === 'home-personal home-work', 'Every account is signed out');
+    assert(provider.getAccounts().length === 0, 'Cache is empty');
+  }),
+
+  asyncTest('Token cache persists several accounts', async () => {
+    const storage = createMemoryStorage();
+    const cache = new TokenCache(storage, 'cache-key');
+    cache.set(createCacheEntry('msal-popup', HOUR_MS, { accessToken: 'work-token', account: WORK_ACCOUNT }));
+    cache.set(createCacheEntry('msal-popup', HOUR_MS, { accessToken: 'personal-token', account: PERSONAL_ACCOUNT }));
+
+    const reloaded = new TokenCache(storage, 'cache-key');
+    assert(reloaded.getAll().length === 2, 'Both accounts are read back');
+    assert(reloaded.get().accessToken === 'work-token', 'Active account is read back');
+
+    reloaded.activate(reloaded.getAll().find(entry => entry.account.homeAccountId === 'home-personal'));
+    assert(new TokenCache(storage, 'cache-key').get().accessToken === 'personal-token', 'Active account change is stored');
+
+    storage.setItem('legacy-key', JSON.stringify(createCacheEntry('msal-popup', HOUR_MS, { account: WORK_ACCOUNT })));
+    const legacy = new TokenCache(storage, 'legacy-key');
+    assert(legacy.get()?.account.homeAccountId === 'home-work', 'Single entry of earlier versions is read as the active account');
+  }),
+
+  asyncTest('Tokens with unknown scopes are not checked', async () => {
+    const sso = createStrategy('office-sso', { silent: async () => createResult('renewed') });
+    const provider = new TokenProvider({ strategies: [sso], scopes: [USER_READ] });
+    provider.cache.set(createCacheEntry('office-sso', HOUR_MS, { scopes: null }));
+
+    assert(await provider.getAccessToken([MAIL_READ]) === 'office-sso-cached', 'Cached token is used');
+    assert(sso.calls.acquireTokenSilent.length === 0, 'No additional request is made');
+    provider.clearToken();
+  })
+];
+
+// Run all tests
+async function runAllTests() {
+  console.log('🚀 Starting Token Provider Test Suite\n');
+  console.log('='.repeat(60));
+
+  const startTime = Date.now();
+
+  for (const test of tests) {
+    await test();
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Test Results Summary');
+  console.log('='.repeat(60));
+  console.log(`✅ Passed: ${testResults.passed}`);
+  console.log(`❌ Failed: ${testResults.failed}`);
+  console.log(`⏱️ Duration: ${duration}ms`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.errors.forEach(error => console.log(`   • ${error}`));
+  }
+
+  return testResults.failed === 0;
+}
+
+// Export for use in other contexts
+export { runAllTests, testResults };
+
+// Auto-run if this script is loaded directly
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    runAllTests().catch(error => {
+      console.error('Test suite encountered an error:', error);
+    });
+  });
+} else if (typeof process !== 'undefined' && process.env.NODE_ENV === 'test') {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
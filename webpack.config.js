@@ -4,6 +4,7 @@ const devCerts = require("office-addin-dev-certs");
 const CopyWebpackPlugin = require("copy-webpack-plugin");
 const HtmlWebpackPlugin = require("html-webpack-plugin");
 const webpack = require("webpack");
+require("dotenv").config();
 
 const urlDev = "https://localhost:3000/";
 const urlProd = "https://www.countinglight.com/outlook2onenote"; 
@@ -54,6 +55,7 @@ module.exports = async (env, options) => {
     plugins: [
       new webpack.DefinePlugin({
         __DEV__: JSON.stringify(dev),
+        __AUTHORITY__: JSON.stringify(process.env.AUTHORITY || ""),
         'process.env.NODE_ENV': JSON.stringify(dev ? 'development' : 'production')
       }),
       new HtmlWebpackPlugin({
@@ -71,6 +73,14 @@ module.exports = async (env, options) => {
             from: "src/auth/callback.html",
             to: "src/auth/callback.html",
           },
+          {
+            from: "src/auth/msal-callback.html",
+            to: "src/auth/msal-callback.html",
+          },
+          {
+            from: "node_modules/@azure/msal-browser/lib/msal-browser.min.js",
+            to: "src/auth/msal-browser.min.js",
+          },
           {
             from: "src/common/*.js",
             to: "src/common/[name][ext]",